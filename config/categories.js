@@ -0,0 +1,48 @@
+// config/categories.js
+// The categories the site started with. Migrations and the seed script create any that are
+// missing; after that admins manage them through /api/admin/categories.
+
+const category = (slug, icon, color, description) => ({
+  slug,
+  displayName: slug.charAt(0).toUpperCase() + slug.slice(1),
+  description,
+  icon,
+  color
+});
+
+const DEFAULT_CATEGORIES = [
+  category('love', 'fas fa-heart', '#ff6b9d', 'Explore the complexities of love, relationships, and emotional bonds.'),
+  category('justice', 'fas fa-balance-scale', '#4ecdc4', 'Examine questions of fairness, law, and moral righteousness.'),
+  category('survival', 'fas fa-shield-alt', '#ff7b54', 'Navigate life-or-death scenarios and survival instincts.'),
+  category('family', 'fas fa-home', '#7fcdcd', 'Consider the bonds, duties, and conflicts within families.'),
+  category('freedom', 'fas fa-dove', '#74b9ff', 'Debate liberty, autonomy, and the limits of freedom.'),
+  category('sacrifice', 'fas fa-hand-holding-heart', '#fd79a8', 'Weigh the costs and benefits of personal sacrifice.'),
+  category('truth', 'fas fa-search', '#fdcb6e', 'Grapple with honesty, deception, and the value of truth.'),
+  category('loyalty', 'fas fa-handshake', '#6c5ce7', 'Explore faithfulness, betrayal, and allegiance.'),
+  category('revenge', 'fas fa-sword', '#e17055', 'Consider justice, retribution, and forgiveness.'),
+  category('power', 'fas fa-crown', '#fd79a8', 'Examine authority, influence, and the use of power.'),
+  category('empathy', 'fas fa-hands-helping', '#81ecec', 'Step into other people\'s shoes and weigh their feelings against your own.'),
+  category('morality', 'fas fa-compass', '#a29bfe', 'Dive deep into fundamental ethical principles and moral reasoning.'),
+  category('desire', 'fas fa-fire', '#ff7675', 'Confront temptation and what you are willing to do for what you want.'),
+  category('regret', 'fas fa-undo', '#636e72', 'Look back on choices made and the ones you wish you could take back.'),
+  category('identity', 'fas fa-user', '#00b894', 'Question who you are and what you would change to stay true to it.'),
+  category('betrayal', 'fas fa-user-times', '#e17055', 'Face broken trust from both sides of the betrayal.'),
+  category('hope', 'fas fa-star', '#00b894', 'Decide when to hold on, when to let go, and what hope is worth.'),
+  category('fear', 'fas fa-ghost', '#2d3436', 'Choose between safety and what is right when fear takes hold.'),
+  category('faith', 'fas fa-pray', '#fdcb6e', 'Test belief, doubt, and the commitments faith asks of us.'),
+  category('control', 'fas fa-cog', '#74b9ff', 'Weigh the urge to take charge against other people\'s right to choose.'),
+  category('loss', 'fas fa-heart-broken', '#636e72', 'Navigate grief and the hard choices that come after losing something.'),
+  category('trust', 'fas fa-link', '#00cec9', 'Decide who to rely on and what it costs when trust is misplaced.'),
+  category('responsibility', 'fas fa-weight', '#fd79a8', 'Consider what we owe others and who carries the blame.'),
+  category('choice', 'fas fa-directions', '#6c5ce7', 'Face impossible decisions where every option has a price.'),
+  category('pain', 'fas fa-band-aid', '#2d3436', 'Weigh suffering, yours and others\', against what it might achieve.'),
+  category('greed', 'fas fa-coins', '#fdcb6e', 'Explore wealth, ambition, and when wanting more goes too far.'),
+  category('envy', 'fas fa-eye', '#00b894', 'Confront jealousy and what it drives people to do.'),
+  category('honor', 'fas fa-medal', '#fd79a8', 'Examine integrity, reputation, and keeping your word.'),
+  category('duty', 'fas fa-flag', '#74b9ff', 'Balance obligations to others against your own conscience.'),
+  category('self', 'fas fa-mirror', '#fdcb6e', 'Reflect on self-interest, self-respect, and self-sacrifice.')
+].map((defaults, index) => ({ ...defaults, sortOrder: index }));
+
+module.exports = {
+  DEFAULT_CATEGORIES
+};
@@ -0,0 +1,68 @@
+// config/permissions.js
+// Permission scopes checked by requireScope() and the scopes each admin role grants.
+
+const SCOPES = [
+  'dashboard:read',
+  'questions:read',
+  'questions:write',
+  'categories:write',
+  'subscribers:read',
+  'subscribers:write',
+  'subscribers:delete',
+  'email-events:report',
+  'responses:read',
+  'responses:moderate',
+  'moderation:configure',
+  'analytics:read',
+  'analytics:export',
+  'metrics:recalculate',
+  'system:logs',
+  'system:metrics',
+  'users:manage',
+  'api-keys:manage',
+  'audit:read'
+];
+
+// Owners hold every scope
+const ROLE_SCOPES = {
+  owner: SCOPES,
+  editor: [
+    'dashboard:read',
+    'questions:read',
+    'questions:write',
+    'categories:write',
+    'subscribers:read',
+    'subscribers:write',
+    'responses:read',
+    'responses:moderate',
+    'analytics:read',
+    'analytics:export'
+  ],
+  moderator: [
+    'dashboard:read',
+    'questions:read',
+    'responses:read',
+    'responses:moderate'
+  ],
+  analyst: [
+    'dashboard:read',
+    'analytics:read',
+    'analytics:export',
+    'metrics:recalculate'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_SCOPES);
+
+// Machine clients can't manage accounts or mint further keys
+const API_KEY_SCOPES = SCOPES.filter(scope => !['users:manage', 'api-keys:manage'].includes(scope));
+
+const roleHasScope = (role, scope) => (ROLE_SCOPES[role] || []).includes(scope);
+
+module.exports = {
+  SCOPES,
+  ROLES,
+  ROLE_SCOPES,
+  API_KEY_SCOPES,
+  roleHasScope
+};
@@ -0,0 +1,55 @@
+// config/screening.js
+// Default rules for automatic response screening. Admins can change all of these
+// through PUT /api/admin/moderation/settings; the defaults apply until they do.
+
+// Matched as whole words after leetspeak normalisation, plus simple plural/verb endings.
+// Deliberately short - extend it per community through the API.
+const DEFAULT_BLOCKED_WORDS = [
+  'fuck', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard', 'asshole', 'dick',
+  'cock', 'cunt', 'twat', 'wanker', 'slut', 'whore', 'retard'
+];
+
+const DEFAULT_SPAM_PHRASES = [
+  'buy now', 'click here', 'free money', 'limited offer', 'work from home',
+  'earn money fast', 'visit my profile', 'check out my channel', 'dm me', 'crypto giveaway'
+];
+
+const DEFAULT_SCREENING_RULES = {
+  enabled: true,
+  // Scores add up across rules (capped at 100)
+  flagThreshold: 40,
+  rejectThreshold: 80,
+  profanity: {
+    enabled: true,
+    weight: 35, // per distinct word, at most twice
+    words: DEFAULT_BLOCKED_WORDS
+  },
+  links: {
+    enabled: true,
+    weight: 30, // any link; doubled for more than two
+    allowedDomains: []
+  },
+  spam: {
+    enabled: true,
+    weight: 25, // per spam phrase; shouting and punctuation runs count half
+    phrases: DEFAULT_SPAM_PHRASES
+  },
+  repetition: {
+    enabled: true,
+    weight: 45,
+    windowHours: 24,
+    maxRepeats: 3 // identical text site-wide before it counts as spam
+  },
+  quality: {
+    enabled: true,
+    weight: 25,
+    minEntropy: 2.5, // bits per character
+    minUniqueWordRatio: 0.3
+  }
+};
+
+module.exports = {
+  DEFAULT_BLOCKED_WORDS,
+  DEFAULT_SPAM_PHRASES,
+  DEFAULT_SCREENING_RULES
+};
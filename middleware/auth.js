@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const ApiKey = require('../models/ApiKey');
+
+const ACCESS_TOKEN_TTL = process.env.ADMIN_ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.ADMIN_REFRESH_TOKEN_TTL || '7d';
+const TOKEN_ISSUER = 'moral-dilemma-admin';
+
+const getAccessSecret = () => process.env.JWT_SECRET;
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+const isAuthConfigured = () => Boolean(getAccessSecret());
+
+// Short-lived token sent as "Authorization: Bearer <token>"
+const signAccessToken = (user) => jwt.sign(
+  { sub: user._id.toString(), role: user.role, type: 'access' },
+  getAccessSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL, issuer: TOKEN_ISSUER }
+);
+
+// Long-lived token tied to a session entry on the user so it can be revoked
+const signRefreshToken = (user) => {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign(
+    { sub: user._id.toString(), type: 'refresh' },
+    getRefreshSecret(),
+    { expiresIn: REFRESH_TOKEN_TTL, issuer: TOKEN_ISSUER, jwtid: tokenId }
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, tokenId, expiresAt: new Date(exp * 1000) };
+};
+
+const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, getRefreshSecret(), { issuer: TOKEN_ISSUER });
+  if (payload.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+};
+
+// Record a rejected request and send the error response
+const deny = (req, res, status, reason, error, details = {}) => {
+  console.warn('Access denied', {
+    reason,
+    status,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    ...details
+  });
+
+  return res.status(status).json({
+    success: false,
+    error
+  });
+};
+
+// Pull the credential from "Authorization: Bearer <token>" or "X-API-Key: <key>"
+const getCredential = (req) => {
+  const apiKeyHeader = req.headers['x-api-key'];
+  if (apiKeyHeader) {
+    return { type: 'api_key', value: apiKeyHeader };
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return ApiKey.isApiKey(token)
+    ? { type: 'api_key', value: token }
+    : { type: 'access_token', value: token };
+};
+
+// Resolve an access token to an active admin account, or describe why not
+const resolveAccessToken = async (token) => {
+  if (!isAuthConfigured()) {
+    console.error('JWT_SECRET is not set - admin authentication is unavailable');
+    return { status: 500, reason: 'auth_not_configured', error: 'Admin authentication is not configured' };
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getAccessSecret(), { issuer: TOKEN_ISSUER });
+  } catch (tokenError) {
+    return tokenError.name === 'TokenExpiredError'
+      ? { status: 401, reason: 'token_expired', error: 'Unauthorized: Access token expired' }
+      : { status: 401, reason: 'token_invalid', error: 'Unauthorized: Invalid access token' };
+  }
+
+  if (payload.type !== 'access') {
+    return { status: 401, reason: 'token_invalid', error: 'Unauthorized: Invalid access token' };
+  }
+
+  // Load the account so deactivation and role changes apply immediately
+  const user = await AdminUser.findById(payload.sub);
+  if (!user || !user.isActive) {
+    return {
+      status: 401,
+      reason: 'account_inactive',
+      error: 'Unauthorized: Account is not active',
+      details: { adminId: payload.sub }
+    };
+  }
+
+  return { user };
+};
+
+const resolveApiKey = async (key) => {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey) {
+    return { status: 401, reason: 'api_key_invalid', error: 'Unauthorized: Invalid API key' };
+  }
+
+  if (!apiKey.isActive) {
+    return {
+      status: 401,
+      reason: apiKey.revokedAt ? 'api_key_revoked' : 'api_key_expired',
+      error: 'Unauthorized: API key is no longer active',
+      details: { apiKeyId: apiKey._id.toString(), apiKeyPrefix: apiKey.prefix }
+    };
+  }
+
+  return { apiKey };
+};
+
+const describePrincipal = (req) => {
+  if (req.admin) {
+    return { adminId: req.admin._id.toString(), adminEmail: req.admin.email, role: req.admin.role };
+  }
+  if (req.apiKey) {
+    return { apiKeyId: req.apiKey._id.toString(), apiKeyName: req.apiKey.name, apiKeyPrefix: req.apiKey.prefix };
+  }
+  return {};
+};
+
+// Who made an authenticated request, as recorded in revisions and audit events.
+// Requests without a principal (cron jobs, scripts) are the system.
+const getActor = (req) => {
+  if (req && req.admin) {
+    return { type: 'admin', id: req.admin._id, name: req.admin.email, role: req.admin.role };
+  }
+  if (req && req.apiKey) {
+    return { type: 'api_key', id: req.apiKey._id, name: req.apiKey.name, role: null };
+  }
+  return { type: 'system', id: null, name: null, role: null };
+};
+
+// Middleware to verify an admin access token (API keys are not accepted)
+const authenticateAdmin = async (req, res, next) => {
+  try {
+    const credential = getCredential(req);
+    if (!credential || credential.type !== 'access_token') {
+      return deny(req, res, 401, 'missing_credentials', 'Unauthorized: Missing access token');
+    }
+
+    const result = await resolveAccessToken(credential.value);
+    if (!result.user) {
+      return deny(req, res, result.status, result.reason, result.error, result.details);
+    }
+
+    req.admin = result.user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate'
+    });
+  }
+};
+
+// Middleware accepting either an admin access token or an API key
+const authenticate = async (req, res, next) => {
+  try {
+    const credential = getCredential(req);
+    if (!credential) {
+      return deny(req, res, 401, 'missing_credentials', 'Unauthorized: Missing access token or API key');
+    }
+
+    if (credential.type === 'api_key') {
+      const result = await resolveApiKey(credential.value);
+      if (!result.apiKey) {
+        return deny(req, res, result.status, result.reason, result.error, result.details);
+      }
+
+      req.apiKey = result.apiKey;
+      result.apiKey.touch(req.ip).catch(err =>
+        console.error('Error recording API key usage:', err)
+      );
+      return next();
+    }
+
+    const result = await resolveAccessToken(credential.value);
+    if (!result.user) {
+      return deny(req, res, result.status, result.reason, result.error, result.details);
+    }
+
+    req.admin = result.user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate'
+    });
+  }
+};
+
+// Authenticate, then require a permission scope from the admin's role or the API key
+const requireScope = (scope) => [
+  authenticate,
+  (req, res, next) => {
+    const principal = req.admin || req.apiKey;
+    if (!principal.hasScope(scope)) {
+      return deny(req, res, 403, 'insufficient_scope', 'Forbidden: Insufficient permissions', {
+        scope,
+        ...describePrincipal(req)
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  authenticateAdmin,
+  authenticate,
+  requireScope,
+  getActor,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  isAuthConfigured
+};
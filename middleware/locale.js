@@ -0,0 +1,32 @@
+const { DEFAULT_LOCALE, normalize, parseAcceptLanguage } = require('../utils/i18n');
+const { readCookie } = require('../utils/cookies');
+
+// Language for the request: an explicit ?lang= wins and is remembered in a cookie, then the
+// remembered choice, then the browser's Accept-Language, then DEFAULT_LOCALE
+const LOCALE_COOKIE = 'md_lang';
+const LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+const detectLocale = (req, res, next) => {
+  const fromQuery = normalize(req.query.lang);
+
+  if (fromQuery) {
+    res.cookie(LOCALE_COOKIE, fromQuery, {
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/',
+      maxAge: LOCALE_COOKIE_MAX_AGE
+    });
+  }
+
+  req.locale = fromQuery
+    || normalize(readCookie(req, LOCALE_COOKIE))
+    || parseAcceptLanguage(req.headers['accept-language'])
+    || DEFAULT_LOCALE;
+
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  res.vary('Cookie');
+  next();
+};
+
+module.exports = { detectLocale, LOCALE_COOKIE };
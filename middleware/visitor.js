@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const Response = require('../models/Response');
+const { readCookie } = require('../utils/cookies');
+
+// Anonymous visitor identity used to deduplicate votes.
+// Browsers get a signed cookie; other clients can store the token from the
+// X-Visitor-Token response header and send it back in the same header.
+const VISITOR_COOKIE = 'md_visitor';
+const VISITOR_HEADER = 'x-visitor-token';
+const VISITOR_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+let fallbackSecret = null;
+
+const getSecret = () => {
+  const secret = process.env.VISITOR_SECRET || process.env.JWT_SECRET;
+  if (secret) return secret;
+
+  // Tokens signed with a per-process secret stop verifying after a restart
+  if (!fallbackSecret) {
+    console.warn('VISITOR_SECRET is not set - visitor tokens will not survive a restart');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+const sign = (visitorId) => crypto
+  .createHmac('sha256', getSecret())
+  .update(visitorId)
+  .digest('base64url');
+
+const createToken = (visitorId) => `${visitorId}.${sign(visitorId)}`;
+
+// Returns the visitor id for a well-formed, correctly signed token
+const verifyToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [visitorId, signature, ...rest] = token.split('.');
+  if (!visitorId || !signature || rest.length > 0 || !/^[\w-]{16,64}$/.test(visitorId)) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(visitorId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return visitorId;
+};
+
+// Hash of IP and user agent - a weak identity for clients that keep no token.
+// ipAddress may be a raw X-Forwarded-For list (stored on old responses); only the client
+// end of it counts.
+const fingerprintFor = (ipAddress, userAgent) => crypto
+  .createHash('sha256')
+  .update(`${String(ipAddress || '').split(',')[0].trim()}|${userAgent || ''}`)
+  .digest('hex')
+  .slice(0, 32);
+
+// req.ip only trusts X-Forwarded-For as far as the 'trust proxy' setting allows, so clients
+// can't pick their own fingerprint by sending the header themselves
+const getFingerprint = (req) => fingerprintFor(
+  req.ip || req.socket.remoteAddress || '127.0.0.1',
+  req.headers['user-agent']
+);
+
+// The identity of the latest response from the same IP and user agent, so visitors who
+// cleared their cookies (or never kept one) keep their votes
+const recoverVisitorId = async (fingerprint) => {
+  const previous = await Response.findOne({ fingerprint, visitorId: { $type: 'string' } })
+    .sort({ timestamp: -1 })
+    .select('visitorId')
+    .lean();
+
+  return previous ? previous.visitorId : null;
+};
+
+// Sets req.visitor = { id, fingerprint, source }, where source is 'header', 'cookie',
+// 'fingerprint' (recovered) or 'new', and issues a token when the client sent none
+const identifyVisitor = async (req, res, next) => {
+  const fingerprint = getFingerprint(req);
+  const fromHeader = verifyToken(req.headers[VISITOR_HEADER]);
+  const fromCookie = fromHeader ? null : verifyToken(readCookie(req, VISITOR_COOKIE));
+  let visitorId = fromHeader || fromCookie;
+  let source = fromHeader ? 'header' : 'cookie';
+
+  if (!visitorId) {
+    try {
+      visitorId = await recoverVisitorId(fingerprint);
+      source = 'fingerprint';
+    } catch (error) {
+      console.error('Error recovering visitor identity:', error);
+    }
+  }
+
+  if (!visitorId) {
+    visitorId = crypto.randomBytes(16).toString('base64url');
+    source = 'new';
+  }
+
+  if (!fromHeader) {
+    // Refresh the cookie so active visitors keep their identity
+    res.cookie(VISITOR_COOKIE, createToken(visitorId), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/',
+      maxAge: VISITOR_COOKIE_MAX_AGE
+    });
+  }
+
+  if (!fromHeader && !fromCookie) {
+    res.set('X-Visitor-Token', createToken(visitorId));
+  }
+
+  req.visitor = { id: visitorId, fingerprint, source };
+  next();
+};
+
+module.exports = {
+  identifyVisitor,
+  createToken,
+  verifyToken,
+  getFingerprint,
+  fingerprintFor
+};
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES, roleHasScope } = require('../config/permissions');
+
+const PASSWORD_SALT_ROUNDS = 12;
+const MAX_SESSIONS = 10;
+
+// One entry per issued refresh token so sessions can be revoked individually
+const sessionSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  ipAddress: String,
+  userAgent: String
+}, { _id: false });
+
+const adminUserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    default: 'editor'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sessions: {
+    type: [sessionSchema],
+    default: []
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adminUserSchema.index({ role: 1 });
+
+adminUserSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Hash and store a new password
+adminUserSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+adminUserSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Record a refresh token, dropping expired and oldest sessions
+adminUserSchema.methods.addSession = function(tokenId, expiresAt, ipAddress, userAgent) {
+  const now = new Date();
+  this.sessions = this.sessions
+    .filter(session => session.expiresAt > now)
+    .slice(-(MAX_SESSIONS - 1));
+  this.sessions.push({ tokenId, expiresAt, ipAddress, userAgent });
+};
+
+adminUserSchema.methods.hasSession = function(tokenId) {
+  const now = new Date();
+  return this.sessions.some(session => session.tokenId === tokenId && session.expiresAt > now);
+};
+
+adminUserSchema.methods.removeSession = function(tokenId) {
+  this.sessions = this.sessions.filter(session => session.tokenId !== tokenId);
+};
+
+adminUserSchema.methods.hasScope = function(scope) {
+  return roleHasScope(this.role, scope);
+};
+
+adminUserSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase().trim() });
+};
+
+// Never expose password hashes or refresh sessions
+adminUserSchema.methods.toJSON = function() {
+  return {
+    _id: this._id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    isActive: this.isActive,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+adminUserSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Keys look like "mdk_<prefix>_<secret>"; only a SHA-256 hash of the full key is stored
+const KEY_PREFIX = 'mdk_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record usage without a full save so concurrent requests don't conflict
+apiKeySchema.methods.touch = function(ipAddress) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } }
+  );
+};
+
+// Create a key and return the plaintext once - it cannot be recovered later
+apiKeySchema.statics.generate = async function({ name, scopes, expiresAt, createdBy }) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}${prefix}_${secret}`;
+
+  const apiKey = await this.create({
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt: expiresAt || null,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+apiKeySchema.statics.isApiKey = function(value) {
+  return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+};
+
+apiKeySchema.methods.toJSON = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    isActive: this.isActive,
+    createdBy: this.createdBy,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
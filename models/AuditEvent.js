@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const ACTOR_TYPES = ['admin', 'api_key', 'system'];
+
+// Append-only record of a privileged action: who did what to which record, its state
+// before and after, and where the request came from.
+const auditEventSchema = new mongoose.Schema({
+  actor: {
+    type: new mongoose.Schema({
+      type: { type: String, enum: ACTOR_TYPES, required: true },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null },
+      // Email or key name at the time, so events survive deleted accounts
+      name: { type: String, default: null },
+      role: { type: String, default: null }
+    }, { _id: false }),
+    required: true
+  },
+  // "<target type>.<verb>", e.g. question.delete
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: new mongoose.Schema({
+      type: { type: String, required: true },
+      // One id, or several for bulk actions
+      ids: { type: [String], default: [] },
+      label: { type: String, default: null }
+    }, { _id: false }),
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Request parameters that are not part of the target's state
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  requestId: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.ids': 1, createdAt: -1 });
+
+// Audit events are never edited or removed
+const rejectChange = function (next) {
+  next(new Error('Audit events are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => auditEventSchema.pre(operation, rejectChange));
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+auditEventSchema.statics.ACTOR_TYPES = ACTOR_TYPES;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
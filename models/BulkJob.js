@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const RESULT_STATUSES = ['ok', 'skipped', 'error'];
+
+// A bulk admin action that runs in the background, with its progress and per-item results
+const bulkJobSchema = new mongoose.Schema({
+  // Collection the job acts on, e.g. questions
+  target: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  // Action options such as the new category or the tags to add
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  results: [{
+    _id: false,
+    id: String,
+    // Title or other label at the time, so results survive deletions
+    label: { type: String, default: null },
+    status: { type: String, enum: RESULT_STATUSES },
+    message: { type: String, default: null }
+  }],
+  createdBy: {
+    type: new mongoose.Schema({
+      type: { type: String, enum: ['admin', 'api_key', 'system'], required: true },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null },
+      name: { type: String, default: null }
+    }, { _id: false }),
+    required: true
+  },
+  // Why the whole job stopped, when it did
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Bumped with every progress update
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Finished jobs are only interesting for a while
+bulkJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+bulkJobSchema.statics.STATUSES = JOB_STATUSES;
+bulkJobSchema.statics.RESULT_STATUSES = RESULT_STATUSES;
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Question URLs are /:category/:slug, so a category can't take the name of a site route
+const RESERVED_SLUGS = ['api', 'admin', 'category', 'categories', 'trending', 'about', 'health', 'js', 'styles'];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// A question category. The slug is what questions store and what appears in URLs, so it
+// never changes; retire a category by deactivating it instead.
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 50,
+    immutable: true,
+    match: [SLUG_PATTERN, 'Category slugs may only contain lowercase letters, numbers and hyphens'],
+    validate: [slug => !RESERVED_SLUGS.includes(slug), 'This slug is reserved for a site page']
+  },
+  displayName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Font Awesome classes, e.g. "fas fa-heart"
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'fas fa-question-circle'
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/, 'Colours must be hex values like #4ecdc4'],
+    default: '#667eea'
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive categories keep their questions but accept no new ones and have no category page
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ isActive: 1, sortOrder: 1 });
+
+categorySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+categorySchema.statics.RESERVED_SLUGS = RESERVED_SLUGS;
+categorySchema.statics.SLUG_PATTERN = SLUG_PATTERN;
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_CHANNELS = ['instant', 'daily', 'weekly'];
+
+// A question that has been sent to a subscriber, either on its own or in a digest. The outbox
+// records it once the message is sent (see services/outboxService.js), so cancelled and
+// dead-lettered messages don't count. The unique index keeps one entry per subscriber and
+// question.
+const deliverySchema = new mongoose.Schema({
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: DELIVERY_CHANNELS,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+deliverySchema.index({ subscriber: 1, question: 1 }, { unique: true });
+deliverySchema.index({ question: 1 });
+
+deliverySchema.statics.CHANNELS = DELIVERY_CHANNELS;
+
+// Records deliveries, skipping any that are already recorded
+deliverySchema.statics.record = async function(deliveries) {
+  if (deliveries.length === 0) return;
+
+  try {
+    await this.insertMany(deliveries, { ordered: false });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Ids (as strings) of the given questions the subscriber has already received
+deliverySchema.statics.receivedBy = async function(subscriberId, questionIds) {
+  const received = await this.find({ subscriber: subscriberId, question: { $in: questionIds } })
+    .distinct('question');
+  return new Set(received.map(id => id.toString()));
+};
+
+// Ids (as strings) of the given subscribers who have already received a question
+deliverySchema.statics.recipientsOf = async function(questionId, subscriberIds) {
+  const recipients = await this.find({ question: questionId, subscriber: { $in: subscriberIds } })
+    .distinct('subscriber');
+  return new Set(recipients.map(id => id.toString()));
+};
+
+module.exports = mongoose.model('Delivery', deliverySchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const EMAIL_EVENT_TYPES = ['hard_bounce', 'soft_bounce', 'complaint'];
+const EMAIL_EVENT_SOURCES = ['json', 'dsn', 'arf'];
+
+// A bounce or spam complaint reported for an address (see services/bounceService.js).
+// Soft bounces are counted over a window, so events are kept for a while.
+const emailEventSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    default: null
+  },
+  // The outbox message that bounced, when the report identifies it
+  outboxMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboxMessage',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: EMAIL_EVENT_TYPES,
+    required: true
+  },
+  // Enhanced status code from the report, e.g. 5.1.1
+  status: {
+    type: String,
+    default: null
+  },
+  diagnostic: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: EMAIL_EVENT_SOURCES,
+    required: true
+  },
+  // Identifies the report so a redelivered one is only counted once
+  eventId: {
+    type: String,
+    default: null
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+emailEventSchema.index({ email: 1, type: 1, occurredAt: -1 });
+emailEventSchema.index({ eventId: 1 }, { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } });
+emailEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+emailEventSchema.statics.TYPES = EMAIL_EVENT_TYPES;
+emailEventSchema.statics.SOURCES = EMAIL_EVENT_SOURCES;
+
+module.exports = mongoose.model('EmailEvent', emailEventSchema);
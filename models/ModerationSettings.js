@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { DEFAULT_SCREENING_RULES: DEFAULTS } = require('../config/screening');
+
+const MODERATION_MODES = ['auto_approve', 'pre_moderation'];
+
+const weight = (value) => ({ type: Number, min: 0, max: 100, default: value });
+const enabled = (value) => ({ type: Boolean, default: value });
+const wordList = (values) => ({ type: [{ type: String, trim: true, lowercase: true }], default: () => [...values] });
+
+// Single settings document; MODERATION_MODE only supplies the default until an admin saves one
+const moderationSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  mode: {
+    type: String,
+    enum: MODERATION_MODES,
+    default: () => (MODERATION_MODES.includes(process.env.MODERATION_MODE) ? process.env.MODERATION_MODE : 'auto_approve')
+  },
+  // Weighted reader reports that hide a response until a moderator reviews it
+  reportThreshold: {
+    type: Number,
+    min: 1,
+    max: 1000,
+    default: () => parseFloat(process.env.REPORT_HIDE_THRESHOLD) || 3
+  },
+  // Automatic screening of submitted text (see services/screeningService.js)
+  screening: {
+    enabled: enabled(DEFAULTS.enabled),
+    flagThreshold: weight(DEFAULTS.flagThreshold),
+    rejectThreshold: weight(DEFAULTS.rejectThreshold),
+    profanity: {
+      enabled: enabled(DEFAULTS.profanity.enabled),
+      weight: weight(DEFAULTS.profanity.weight),
+      words: wordList(DEFAULTS.profanity.words)
+    },
+    links: {
+      enabled: enabled(DEFAULTS.links.enabled),
+      weight: weight(DEFAULTS.links.weight),
+      allowedDomains: wordList(DEFAULTS.links.allowedDomains)
+    },
+    spam: {
+      enabled: enabled(DEFAULTS.spam.enabled),
+      weight: weight(DEFAULTS.spam.weight),
+      phrases: wordList(DEFAULTS.spam.phrases)
+    },
+    repetition: {
+      enabled: enabled(DEFAULTS.repetition.enabled),
+      weight: weight(DEFAULTS.repetition.weight),
+      windowHours: { type: Number, min: 1, max: 24 * 30, default: DEFAULTS.repetition.windowHours },
+      maxRepeats: { type: Number, min: 1, max: 100, default: DEFAULTS.repetition.maxRepeats }
+    },
+    quality: {
+      enabled: enabled(DEFAULTS.quality.enabled),
+      weight: weight(DEFAULTS.quality.weight),
+      minEntropy: { type: Number, min: 0, max: 8, default: DEFAULTS.quality.minEntropy },
+      minUniqueWordRatio: { type: Number, min: 0, max: 1, default: DEFAULTS.quality.minUniqueWordRatio }
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moderationSettingsSchema.statics.getCurrent = async function() {
+  const settings = await this.findOne({ key: 'default' });
+  return settings || new this({ key: 'default' });
+};
+
+moderationSettingsSchema.statics.MODES = MODERATION_MODES;
+
+module.exports = mongoose.model('ModerationSettings', moderationSettingsSchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead', 'cancelled'];
+const OUTBOX_KINDS = ['question', 'digest'];
+
+// Sent messages are kept this long for inspection
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// One email waiting to be sent, being sent or already sent by the outbox worker
+// (see services/outboxService.js). Messages are rendered when queued, so a retry sends
+// exactly what was queued.
+const outboxMessageSchema = new mongoose.Schema({
+  // Identifies what the message is for, e.g. question:<question id>:<subscriber id>.
+  // Queuing the same key twice keeps the first message, so a rerun never sends twice.
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: OUTBOX_KINDS,
+    required: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    default: null
+  },
+  // Questions the message tells the subscriber about
+  questions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  to: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // A pending message is not sent before this
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a worker claimed the message for sending
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // When the message was dead-lettered after failing too often
+  deadAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ status: 1, lockedAt: 1 });
+outboxMessageSchema.index({ subscriber: 1 });
+outboxMessageSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_SECONDS, partialFilterExpression: { status: 'sent' } }
+);
+
+outboxMessageSchema.statics.STATUSES = OUTBOX_STATUSES;
+outboxMessageSchema.statics.KINDS = OUTBOX_KINDS;
+
+// Ids (as strings) of the given questions in messages still waiting to be sent to the
+// subscriber, or being sent
+outboxMessageSchema.statics.queuedFor = async function(subscriberId, questionIds) {
+  const queued = await this.find({
+    subscriber: subscriberId,
+    status: { $in: ['pending', 'sending'] },
+    questions: { $in: questionIds }
+  }).distinct('questions');
+  return new Set(queued.map(id => id.toString()));
+};
+
+// Queue messages, skipping any whose key is already queued. Resolves to the number queued.
+outboxMessageSchema.statics.enqueue = async function(messages) {
+  if (messages.length === 0) return 0;
+
+  try {
+    const inserted = await this.insertMany(messages, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    // Duplicate keys were queued before; the rest were inserted
+    if (error.code !== 11000) throw error;
+    return (error.insertedDocs || []).length;
+  }
+};
+
+// Queue one message unless its key is already queued. Resolves to the queued message,
+// which is the earlier one when the key was taken.
+outboxMessageSchema.statics.enqueueOne = async function(message) {
+  try {
+    return await this.findOneAndUpdate(
+      { key: message.key },
+      { $setOnInsert: message },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two upserts raced for the key; the other one won
+    if (error.code !== 11000) throw error;
+    return this.findOne({ key: message.key });
+  }
+};
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const View = require('./View');
+const Response = require('./Response');
+const softDelete = require('./plugins/softDelete');
+const categoryService = require('../services/categoryService');
+const { SOURCE_LOCALE, SUPPORTED_LOCALES } = require('../utils/i18n');
+
+const QUESTION_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// complete: every field translated from the current source text
+// outdated: translated, but the title, text or choices changed since
+// incomplete: some fields or choices have no translation yet
+// missing: no translation at all
+const TRANSLATION_STATUSES = ['complete', 'outdated', 'incomplete', 'missing'];
 
 const choiceSchema = new mongoose.Schema({
   text: {
@@ -12,69 +25,71 @@ const choiceSchema = new mongoose.Schema({
   }
 });
 
-const responseSchema = new mongoose.Schema({
-  choice: {
-    type: String,
-    required: function () {
-      return this.parent().questionType === 'multiple_choice';
-    }
-  },
-  explanation: {
+const slugHistorySchema = new mongoose.Schema({
+  category: {
     type: String,
-    trim: true,
-    maxlength: 1000,
-    required: function () {
-      return this.parent().questionType === 'multiple_choice';
-    }
+    required: true,
+    lowercase: true,
+    trim: true
   },
-  responseText: {
+  slug: {
     type: String,
-    trim: true,
-    maxlength: 2000,
-    required: function () {
-      return this.parent().questionType === 'paragraph';
-    }
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now
+    required: true,
+    lowercase: true,
+    trim: true
   },
-  createdAt: {
+  changedAt: {
     type: Date,
     default: Date.now
+  }
+}, { _id: false });
+
+const translatedChoiceSchema = new mongoose.Schema({
+  // _id of the source choice, so votes in every language count towards the same choice
+  choiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
   },
-  ipAddress: {
-    type: String,
-    required: false // For tracking unique responses
-  },
-  userAgent: {
+  text: {
     type: String,
-    required: false
+    required: true,
+    trim: true
   }
-});
+}, { _id: false });
 
-const viewSchema = new mongoose.Schema({
-  timestamp: {
-    type: Date,
-    default: Date.now
-  },
-  ipAddress: {
+// The question in another language. Questions are written in the source locale
+// (see utils/i18n.js); each translation covers one other locale.
+const translationSchema = new mongoose.Schema({
+  locale: {
     type: String,
-    required: true
+    required: true,
+    enum: SUPPORTED_LOCALES.filter(locale => locale !== SOURCE_LOCALE)
   },
-  userAgent: {
+  title: {
     type: String,
-    required: false
+    trim: true,
+    maxlength: 200
   },
-  sessionId: {
+  questionText: {
     type: String,
-    required: false
+    trim: true,
+    maxlength: 2000
   },
-  referrer: {
+  choices: {
+    type: [translatedChoiceSchema],
+    default: []
+  },
+  // Hash of the source title, text and choices the translation was made from;
+  // a mismatch marks it outdated (see services/translationService.js)
+  sourceHash: {
     type: String,
-    required: false
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
-});
+}, { _id: false });
 
 const popularityMetricsSchema = new mongoose.Schema({
   totalViews: {
@@ -149,17 +164,19 @@ const questionSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  slugHistory: {
+    type: [slugHistorySchema],
+    default: []
+  },
   category: {
     type: String,
     required: true,
-    enum: [
-      'love', 'justice', 'survival', 'family', 'freedom', 'sacrifice',
-      'truth', 'loyalty', 'revenge', 'power', 'empathy', 'morality',
-      'desire', 'regret', 'identity', 'betrayal', 'hope', 'fear',
-      'faith', 'control', 'loss', 'trust', 'responsibility', 'choice',
-      'pain', 'greed', 'envy', 'honor', 'duty', 'self'
-    ],
-    lowercase: true
+    lowercase: true,
+    // Any category in the collection; the API only lets new questions use active ones
+    validate: {
+      validator: category => categoryService.exists(category),
+      message: props => `"${props.value}" is not a known category`
+    }
   },
   questionText: {
     type: String,
@@ -188,13 +205,17 @@ const questionSchema = new mongoose.Schema({
       message: 'Multiple choice questions must have 2-6 choices, paragraph questions should have no choices'
     }
   },
-  responses: {
-    type: [responseSchema],
+  translations: {
+    type: [translationSchema],
     default: []
   },
-  views: {
-    type: [viewSchema],
-    default: []
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  responseCount: {
+    type: Number,
+    default: 0
   },
   popularityMetrics: {
     type: popularityMetricsSchema,
@@ -204,6 +225,32 @@ const questionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Only published questions are visible to the public
+  status: {
+    type: String,
+    enum: QUESTION_STATUSES,
+    default: 'published'
+  },
+  // When a scheduled question goes live
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once subscribers have been told about the question, so they hear about it only once
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+  // When a publisher started queuing the subscriber emails; cleared if it fails, and a
+  // claim left by a crash expires (see services/publishingService.js)
+  notifyClaimedAt: {
+    type: Date,
+    default: null
+  },
   tags: [{
     type: String,
     trim: true,
@@ -228,6 +275,9 @@ const questionSchema = new mongoose.Schema({
   }
 });
 
+// Deleted questions stay in the trash until purged (see services/trashService.js)
+questionSchema.plugin(softDelete);
+
 // Indexes for performance
 questionSchema.index({ category: 1, slug: 1 }, { unique: true });
 questionSchema.index({ questionType: 1 });
@@ -237,11 +287,26 @@ questionSchema.index({ 'popularityMetrics.popularityScore': -1 });
 questionSchema.index({ 'popularityMetrics.trendingScore': -1 });
 questionSchema.index({ category: 1, 'popularityMetrics.popularityScore': -1 });
 questionSchema.index({ createdAt: -1 });
+questionSchema.index({ status: 1, publishedAt: -1 });
+questionSchema.index({ status: 1, publishAt: 1 });
 questionSchema.index({ tags: 1 });
+// Full-text search, weighted towards titles and tags
+questionSchema.index(
+  { title: 'text', tags: 'text', questionText: 'text' },
+  {
+    name: 'question_text_search',
+    weights: { title: 10, tags: 5, questionText: 2 },
+    default_language: 'english'
+  }
+);
+questionSchema.index({ 'slugHistory.category': 1, 'slugHistory.slug': 1 });
 
 // Update timestamp
 questionSchema.pre('save', function (next) {
   this.updatedAt = new Date();
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = this.updatedAt;
+  }
   next();
 });
 
@@ -253,46 +318,86 @@ questionSchema.virtual('totalVotes').get(function () {
   return 0;
 });
 
-questionSchema.virtual('responseCount').get(function () {
-  return this.responses ? this.responses.length : 0;
-});
-
-questionSchema.virtual('viewCount').get(function () {
-  return this.views ? this.views.length : 0;
-});
-
 // Method to record a view
-questionSchema.methods.recordView = function(ipAddress, userAgent = '', sessionId = '', referrer = '') {
-  if (!this.views) this.views = [];
-  
-  this.views.push({
+questionSchema.methods.recordView = async function(ipAddress, userAgent = '', sessionId = '', referrer = '') {
+  await View.create({
+    question: this._id,
     timestamp: new Date(),
     ipAddress,
     userAgent,
     sessionId,
     referrer
   });
-  
-  return this.save();
+
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { viewCount: 1 } });
+  this.viewCount = (this.viewCount || 0) + 1;
+
+  return this;
+};
+
+// Find the visitor's earlier response. Responses recorded before visitor tracking
+// only carry a fingerprint, so they are matched on that and claimed by the visitor.
+questionSchema.methods.findVisitorResponse = async function (visitor) {
+  if (!visitor) return null;
+
+  const byVisitor = await Response.findOne({ question: this._id, visitorId: visitor.id })
+    .sort({ timestamp: -1 });
+  if (byVisitor || !visitor.fingerprint) {
+    return byVisitor;
+  }
+
+  return Response.findOne({
+    question: this._id,
+    fingerprint: visitor.fingerprint,
+    visitorId: { $exists: false }
+  }).sort({ timestamp: -1 });
 };
 
-// Method to add response with tracking
-questionSchema.methods.addMultipleChoiceResponse = function (choiceText, explanation, ipAddress = '', userAgent = '') {
+// Method to add response with tracking. options: { visitor, moderation }, where
+// moderation holds the screening result (see moderationService.screenSubmission).
+// With a visitor, a repeat vote replaces the earlier one.
+// Resolves to { response, previousChoice } - previousChoice is null for a new vote.
+questionSchema.methods.addMultipleChoiceResponse = async function (choiceText, explanation, ipAddress = '', userAgent = '', options = {}) {
   if (this.questionType !== 'multiple_choice') {
     throw new Error('Cannot add multiple choice response to paragraph question');
   }
 
-  if (!this.responses) this.responses = [];
+  const { visitor = null, moderation = {} } = options;
+  const existing = await this.findVisitorResponse(visitor);
+  if (existing) {
+    return this.changeVote(existing, choiceText, explanation, options);
+  }
 
-  this.responses.push({
-    choice: choiceText,
-    explanation: explanation,
-    timestamp: new Date(),
-    createdAt: new Date(),
-    ipAddress,
-    userAgent
-  });
+  let response;
+  try {
+    response = await Response.create({
+      question: this._id,
+      questionType: this.questionType,
+      choice: choiceText,
+      explanation: explanation,
+      timestamp: new Date(),
+      createdAt: new Date(),
+      ipAddress,
+      userAgent,
+      ...moderation,
+      ...(visitor && { visitorId: visitor.id, fingerprint: visitor.fingerprint })
+    });
+  } catch (error) {
+    // A concurrent request from the same visitor got its vote in first
+    const winner = error.code === 11000 ? await this.findVisitorResponse(visitor) : null;
+    if (winner) {
+      return this.changeVote(winner, choiceText, explanation, options);
+    }
+    throw error;
+  }
+
+  // Counters are incremented atomically so concurrent votes are not lost
+  await this.constructor.updateOne(
+    { _id: this._id, 'choices.text': choiceText },
+    { $inc: { 'choices.$.votes': 1, responseCount: 1 } }
+  );
 
+  this.responseCount = (this.responseCount || 0) + 1;
   if (this.choices && Array.isArray(this.choices)) {
     const choice = this.choices.find(c => c.text === choiceText);
     if (choice) {
@@ -300,112 +405,233 @@ questionSchema.methods.addMultipleChoiceResponse = function (choiceText, explana
     }
   }
 
-  return this.save();
+  return { response, previousChoice: null };
+};
+
+// Move an existing vote to another choice (or just update its explanation).
+// A rewritten explanation goes back through moderation.
+questionSchema.methods.changeVote = async function (response, choiceText, explanation, options = {}, attempts = 3) {
+  const { visitor = null, moderation = {} } = options;
+  const previousChoice = response.choice;
+  const explanationChanged = explanation !== response.explanation;
+
+  // Only apply the change if nobody moved the vote since it was read
+  const updated = await Response.findOneAndUpdate(
+    { _id: response._id, choice: previousChoice },
+    {
+      $set: {
+        choice: choiceText,
+        explanation,
+        changedAt: new Date(),
+        ...(visitor && { visitorId: visitor.id, fingerprint: visitor.fingerprint }),
+        ...(explanationChanged && moderation.moderationStatus && {
+          moderatedBy: null,
+          moderatedAt: null,
+          moderationReason: null,
+          screening: null,
+          ...moderation
+        })
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = attempts > 1 ? await Response.findById(response._id) : null;
+    if (!current) {
+      throw new Error('Vote changed concurrently');
+    }
+    return this.changeVote(current, choiceText, explanation, options, attempts - 1);
+  }
+
+  if (previousChoice !== choiceText) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $inc: { 'choices.$[previous].votes': -1, 'choices.$[next].votes': 1 } },
+      {
+        arrayFilters: [
+          { 'previous.text': previousChoice, 'previous.votes': { $gt: 0 } },
+          { 'next.text': choiceText }
+        ]
+      }
+    );
+
+    if (this.choices && Array.isArray(this.choices)) {
+      const previous = this.choices.find(c => c.text === previousChoice);
+      const next = this.choices.find(c => c.text === choiceText);
+      if (previous && previous.votes > 0) previous.votes -= 1;
+      if (next) next.votes = (next.votes || 0) + 1;
+    }
+  }
+
+  return { response: updated, previousChoice };
+};
+
+// Save an edit without overwriting votes counted since the question was read. Votes are
+// $inc'ed straight into the collection, so when the choices are rewritten the save only
+// matches if every choice still has the votes read here. Otherwise the counts are refreshed
+// and the save retried. It fails with a VersionError if another edit got in first or a
+// choice being removed has been voted for.
+questionSchema.methods.saveKeepingVotes = async function (options = {}, attempts = 3) {
+  if (this.isNew || !this.isModified('choices')) {
+    return this.save(options);
+  }
+
+  const ids = this.choices.map(choice => choice._id);
+  const votesChanged = this.choices.map(choice => ({ _id: choice._id, votes: { $exists: true, $ne: choice.votes } }));
+  this.$where = {
+    choices: { $not: { $elemMatch: { $or: [...votesChanged, { _id: { $nin: ids }, votes: { $gt: 0 } }] } } }
+  };
+
+  try {
+    return await this.save(options);
+  } catch (error) {
+    if (error.name !== 'VersionError' || attempts <= 1) throw error;
+
+    const current = await this.constructor.findById(this._id)
+      .select('choices __v')
+      .withDeleted()
+      .session(options.session || null);
+    const kept = new Set(ids.map(String));
+    if (!current || current.__v !== this.__v ||
+      current.choices.some(choice => choice.votes > 0 && !kept.has(choice._id.toString()))) {
+      throw error;
+    }
+
+    const votes = new Map(current.choices.map(choice => [choice._id.toString(), choice.votes]));
+    this.choices.forEach(choice => {
+      if (votes.has(choice._id.toString())) choice.votes = votes.get(choice._id.toString());
+    });
+    // The failed save forgot the choices were replaced
+    this.markModified('choices');
+    return await this.saveKeepingVotes(options, attempts - 1);
+  } finally {
+    this.$where = undefined;
+  }
 };
 
-questionSchema.methods.addParagraphResponse = function (responseText, explanation = '', ipAddress = '', userAgent = '') {
+questionSchema.methods.addParagraphResponse = async function (responseText, explanation = '', ipAddress = '', userAgent = '', options = {}) {
   if (this.questionType !== 'paragraph') {
     throw new Error('Cannot add paragraph response to multiple choice question');
   }
 
-  if (!this.responses) this.responses = [];
+  const { visitor = null, moderation = {} } = options;
 
   const responseData = {
+    question: this._id,
+    questionType: this.questionType,
     responseText: responseText,
     timestamp: new Date(),
     createdAt: new Date(),
     ipAddress,
-    userAgent
+    userAgent,
+    ...moderation,
+    ...(visitor && { visitorId: visitor.id, fingerprint: visitor.fingerprint })
   };
 
   if (explanation && explanation.trim() !== '') {
     responseData.explanation = explanation;
   }
 
-  this.responses.push(responseData);
-  return this.save();
+  const response = await Response.create(responseData);
+
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { responseCount: 1 } });
+  this.responseCount = (this.responseCount || 0) + 1;
+
+  return response;
+};
+
+// Count records of a tracking collection (views or responses) per time window.
+// identity is the expression that tells distinct people apart.
+const aggregateActivity = async (Model, questionId, now, identity = '$ipAddress') => {
+  const day = 24 * 60 * 60 * 1000;
+
+  const [stats] = await Model.aggregate([
+    { $match: { question: questionId } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        last24h: { $sum: { $cond: [{ $gte: ['$timestamp', new Date(now - day)] }, 1, 0] } },
+        last7d: { $sum: { $cond: [{ $gte: ['$timestamp', new Date(now - 7 * day)] }, 1, 0] } },
+        last30d: { $sum: { $cond: [{ $gte: ['$timestamp', new Date(now - 30 * day)] }, 1, 0] } },
+        identities: { $addToSet: identity }
+      }
+    },
+    {
+      $project: {
+        total: 1,
+        last24h: 1,
+        last7d: 1,
+        last30d: 1,
+        unique: { $size: '$identities' }
+      }
+    }
+  ]);
+
+  return stats || { total: 0, last24h: 0, last7d: 0, last30d: 0, unique: 0 };
 };
 
 // Method to calculate popularity metrics
-questionSchema.methods.calculatePopularityMetrics = function() {
+questionSchema.methods.calculatePopularityMetrics = async function() {
   const now = new Date();
   const day = 24 * 60 * 60 * 1000;
-  const week = 7 * day;
-  const month = 30 * day;
 
-  // Count views in different time periods
-  const viewsLast24h = this.views.filter(view => 
-    now - new Date(view.timestamp) <= day
-  ).length;
-  
-  const viewsLast7d = this.views.filter(view => 
-    now - new Date(view.timestamp) <= week
-  ).length;
-  
-  const viewsLast30d = this.views.filter(view => 
-    now - new Date(view.timestamp) <= month
-  ).length;
-
-  // Count responses in different time periods
-  const responsesLast24h = this.responses.filter(response => 
-    now - new Date(response.timestamp) <= day
-  ).length;
-  
-  const responsesLast7d = this.responses.filter(response => 
-    now - new Date(response.timestamp) <= week
-  ).length;
-  
-  const responsesLast30d = this.responses.filter(response => 
-    now - new Date(response.timestamp) <= month
-  ).length;
+  const [viewStats, responseStats] = await Promise.all([
+    aggregateActivity(View, this._id, now),
+    // Responses from before visitor tracking only have an IP to go on
+    aggregateActivity(Response, this._id, now, { $ifNull: ['$visitorId', '$ipAddress'] })
+  ]);
 
-  // Calculate unique views (based on IP address)
-  const uniqueViewIPs = new Set(this.views.map(view => view.ipAddress));
-  const uniqueResponseIPs = new Set(this.responses.map(response => response.ipAddress));
+  const totalViews = this.viewCount || 0;
+  const totalResponses = this.responseCount || 0;
 
   // Calculate engagement rate (responses/views ratio)
-  const engagementRate = this.views.length > 0 ? 
-    (this.responses.length / this.views.length) * 100 : 0;
+  const engagementRate = totalViews > 0 ?
+    (totalResponses / totalViews) * 100 : 0;
 
   // Calculate popularity score (weighted algorithm)
   const ageInDays = (now - this.createdAt) / day;
   const ageFactor = Math.max(0.1, 1 / (1 + ageInDays * 0.1)); // Newer questions get slight boost
   
   const popularityScore = (
-    (viewsLast7d * 2) +           // Recent views weight more
-    (responsesLast7d * 5) +       // Responses weight much more
-    (uniqueViewIPs.size * 1.5) +  // Unique engagement
-    (engagementRate * 0.5) +      // Engagement quality
-    (this.featured ? 10 : 0)      // Featured boost
+    (viewStats.last7d * 2) +           // Recent views weight more
+    (responseStats.last7d * 5) +       // Responses weight much more
+    (viewStats.unique * 1.5) +         // Unique engagement
+    (engagementRate * 0.5) +           // Engagement quality
+    (this.featured ? 10 : 0)           // Featured boost
   ) * ageFactor;
 
   // Calculate trending score (recent activity focus)
   const trendingScore = (
-    (viewsLast24h * 5) +
-    (responsesLast24h * 10) +
-    (viewsLast7d * 2) +
-    (responsesLast7d * 4)
+    (viewStats.last24h * 5) +
+    (responseStats.last24h * 10) +
+    (viewStats.last7d * 2) +
+    (responseStats.last7d * 4)
   );
 
-  // Update metrics
-  this.popularityMetrics = {
-    totalViews: this.views.length,
-    uniqueViews: uniqueViewIPs.size,
-    totalResponses: this.responses.length,
-    uniqueResponses: uniqueResponseIPs.size,
-    viewsLast24h,
-    viewsLast7d,
-    viewsLast30d,
-    responsesLast24h,
-    responsesLast7d,
-    responsesLast30d,
+  const popularityMetrics = {
+    totalViews,
+    uniqueViews: viewStats.unique,
+    totalResponses,
+    uniqueResponses: responseStats.unique,
+    viewsLast24h: viewStats.last24h,
+    viewsLast7d: viewStats.last7d,
+    viewsLast30d: viewStats.last30d,
+    responsesLast24h: responseStats.last24h,
+    responsesLast7d: responseStats.last7d,
+    responsesLast30d: responseStats.last30d,
     popularityScore: Math.round(popularityScore * 100) / 100,
     trendingScore: Math.round(trendingScore * 100) / 100,
     engagementRate: Math.round(engagementRate * 100) / 100,
     lastCalculated: now
   };
 
-  return this.save();
+  // Update metrics without rewriting the rest of the document
+  await this.constructor.updateOne({ _id: this._id }, { $set: { popularityMetrics } });
+  this.popularityMetrics = popularityMetrics;
+
+  return this;
 };
 
 // Static method to update all popularity metrics
@@ -415,28 +641,48 @@ questionSchema.statics.updateAllPopularityMetrics = async function() {
   return Promise.all(promises);
 };
 
-// FIXED: Find question by category and slug
-questionSchema.statics.findByCategoryAndSlug = function(category, slug) {
-  return this.findOne({ 
+// Restrict a query to questions the public can see
+questionSchema.statics.published = function(query = {}) {
+  return { ...query, status: 'published' };
+};
+
+// FIXED: Find question by category and slug. Unpublished questions are only
+// found with includeUnpublished (for admin tools).
+questionSchema.statics.findByCategoryAndSlug = function(category, slug, { includeUnpublished = false } = {}) {
+  const query = {
     category: category.toLowerCase(), 
     slug: slug.toLowerCase() 
+  };
+  return this.findOne(includeUnpublished ? query : this.published(query));
+};
+
+// Find a published question by a category and slug it used before being renamed
+questionSchema.statics.findBySlugHistory = function(category, slug) {
+  return this.findOne({
+    status: 'published',
+    slugHistory: {
+      $elemMatch: {
+        category: category.toLowerCase(),
+        slug: slug.toLowerCase()
+      }
+    }
   });
 };
 
 // FIXED: Get latest questions
-questionSchema.statics.getLatest = function(limit = 10) {
-  return this.find({})
-    .sort({ createdAt: -1 })
+questionSchema.statics.getLatest = function(limit = 10, query = {}) {
+  return this.find(this.published(query))
+    .sort({ publishedAt: -1, createdAt: -1 })
     .limit(limit)
-    .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime');
+    .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime translations');
 };
 
 // FIXED: Get featured questions
-questionSchema.statics.getFeatured = function(limit = 10) {
-  return this.find({ featured: true })
+questionSchema.statics.getFeatured = function(limit = 10, query = {}) {
+  return this.find(this.published({ ...query, featured: true }))
     .sort({ 'popularityMetrics.popularityScore': -1, createdAt: -1 })
     .limit(limit)
-    .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime');
+    .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime translations');
 };
 
 // FIXED: Static method to get questions by category with sorting options
@@ -446,10 +692,11 @@ questionSchema.statics.getByCategory = function(category, options = {}) {
     questionType = 'all',   // 'all', 'multiple_choice', 'paragraph'
     limit = 20,
     page = 1,
-    featured = false
+    featured = false,
+    filters = {}
   } = options;
 
-  let query = { category: category.toLowerCase() };
+  let query = this.published({ category: category.toLowerCase() });
   
   if (questionType !== 'all') {
     query.questionType = questionType;
@@ -459,13 +706,15 @@ questionSchema.statics.getByCategory = function(category, options = {}) {
     query.featured = true;
   }
 
+  query = this.applyFilters(query, filters);
+
   let sortOptions = {};
   switch (sortBy) {
     case 'trending':
       sortOptions = { 'popularityMetrics.trendingScore': -1, createdAt: -1 };
       break;
     case 'newest':
-      sortOptions = { createdAt: -1 };
+      sortOptions = { publishedAt: -1, createdAt: -1 };
       break;
     case 'most_responses':
       sortOptions = { 'popularityMetrics.totalResponses': -1, createdAt: -1 };
@@ -482,23 +731,99 @@ questionSchema.statics.getByCategory = function(category, options = {}) {
     .sort(sortOptions)
     .skip(skip)
     .limit(limit)
-    .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime choices responses views');
+    .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime choices responseCount viewCount translations');
+};
+
+// Query clauses for the list filters, keyed by dimension so facets can leave their own one out
+questionSchema.statics.getFilterClauses = function(filters = {}) {
+  const clauses = {};
+
+  if (filters.category) {
+    clauses.category = { category: filters.category.toLowerCase() };
+  }
+  if (filters.tags && filters.tags.length > 0) {
+    clauses.tags = { tags: { $in: filters.tags } };
+  }
+  if (filters.allTags && filters.allTags.length > 0) {
+    clauses.allTags = { tags: { $all: filters.allTags } };
+  }
+  if (filters.difficulty && filters.difficulty.length > 0) {
+    clauses.difficulty = { difficulty: { $in: filters.difficulty } };
+  }
+  if (filters.minReadTime !== undefined || filters.maxReadTime !== undefined) {
+    clauses.readTime = { estimatedReadTime: {} };
+    if (filters.minReadTime !== undefined) clauses.readTime.estimatedReadTime.$gte = filters.minReadTime;
+    if (filters.maxReadTime !== undefined) clauses.readTime.estimatedReadTime.$lte = filters.maxReadTime;
+  }
+  if (filters.createdAfter || filters.createdBefore) {
+    clauses.createdAt = { createdAt: {} };
+    if (filters.createdAfter) clauses.createdAt.createdAt.$gte = filters.createdAfter;
+    if (filters.createdBefore) clauses.createdAt.createdAt.$lte = filters.createdBefore;
+  }
+
+  return clauses;
+};
+
+// Add the list filters to a query, optionally skipping some dimensions
+questionSchema.statics.applyFilters = function(query, filters = {}, exclude = []) {
+  const clauses = Object.entries(this.getFilterClauses(filters))
+    .filter(([dimension]) => !exclude.includes(dimension))
+    .map(([, clause]) => clause);
+
+  if (clauses.length === 0) {
+    return query;
+  }
+
+  return { ...query, $and: [...(query.$and || []), ...clauses] };
+};
+
+// Counts per tag, difficulty and category for the questions matching baseQuery and filters.
+// Each facet ignores its own filter so the counts show what selecting another value would give.
+questionSchema.statics.getFacets = async function(baseQuery = {}, filters = {}, tagLimit = 30) {
+  const matchExcept = (...dimensions) => {
+    const { $and } = this.applyFilters({}, filters, dimensions);
+    return $and ? [{ $match: { $and } }] : [];
+  };
+  const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: this.published(baseQuery) },
+    {
+      $facet: {
+        tags: [...matchExcept('tags'), { $unwind: '$tags' }, ...countBy('$tags'), { $limit: tagLimit }],
+        difficulty: [...matchExcept('difficulty'), ...countBy('$difficulty')],
+        category: [...matchExcept('category'), ...countBy('$category')]
+      }
+    }
+  ]);
+
+  const format = (buckets = []) => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+
+  return {
+    tags: format(result && result.tags),
+    difficulty: format(result && result.difficulty),
+    category: format(result && result.category)
+  };
 };
 
 // FIXED: Static method to get category statistics
 questionSchema.statics.getCategoryStats = async function(category) {
-  const totalQuestions = await this.countDocuments({ category: category.toLowerCase() });
+  const match = this.published({ category: category.toLowerCase() });
+  const totalQuestions = await this.countDocuments(match);
   const multipleChoiceCount = await this.countDocuments({ 
-    category: category.toLowerCase(), 
+    ...match, 
     questionType: 'multiple_choice' 
   });
   const paragraphCount = await this.countDocuments({ 
-    category: category.toLowerCase(), 
+    ...match, 
     questionType: 'paragraph' 
   });
 
   const popularityAgg = await this.aggregate([
-    { $match: { category: category.toLowerCase() } },
+    { $match: match },
     {
       $group: {
         _id: null,
@@ -529,19 +854,19 @@ questionSchema.statics.getCategoryStats = async function(category) {
 };
 
 // FIXED: Static method to get trending questions across all categories
-questionSchema.statics.getTrending = function(limit = 10) {
-  return this.find({})
+questionSchema.statics.getTrending = function(limit = 10, query = {}) {
+  return this.find(this.published(query))
     .sort({ 'popularityMetrics.trendingScore': -1 })
     .limit(limit)
-    .select('title slug category questionText questionType createdAt popularityMetrics tags difficulty estimatedReadTime');
+    .select('title slug category questionText questionType createdAt popularityMetrics tags difficulty estimatedReadTime translations');
 };
 
 // FIXED: Static method to get most popular questions across all categories
-questionSchema.statics.getMostPopular = function(limit = 10) {
-  return this.find({})
+questionSchema.statics.getMostPopular = function(limit = 10, query = {}) {
+  return this.find(this.published(query))
     .sort({ 'popularityMetrics.popularityScore': -1 })
     .limit(limit)
-    .select('title slug category questionText questionType createdAt popularityMetrics tags difficulty estimatedReadTime');
+    .select('title slug category questionText questionType createdAt popularityMetrics tags difficulty estimatedReadTime translations');
 };
 
 // Enhanced toJSON method
@@ -549,20 +874,17 @@ questionSchema.methods.toJSON = function () {
   const obj = this.toObject();
   
   obj.totalVotes = this.totalVotes;
-  obj.responseCount = this.responseCount;
-  obj.viewCount = this.viewCount;
+  obj.responseCount = this.responseCount || 0;
+  obj.viewCount = this.viewCount || 0;
 
   if (this.questionType === 'paragraph' && (!obj.choices || obj.choices.length === 0)) {
     delete obj.choices;
   }
 
-  // Don't expose raw views and detailed response data in list views
-  delete obj.views;
-  if (obj.responses) {
-    delete obj.responses;
-  }
-
   return obj;
 };
 
+questionSchema.statics.STATUSES = QUESTION_STATUSES;
+questionSchema.statics.TRANSLATION_STATUSES = TRANSLATION_STATUSES;
+
 module.exports = mongoose.model('Question', questionSchema);
\ No newline at end of file
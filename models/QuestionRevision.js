@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const REVISION_ACTIONS = ['baseline', 'create', 'update', 'publish', 'rollback'];
+const AUTHOR_TYPES = ['admin', 'api_key', 'system'];
+
+// An immutable record of one change to a question: who made it, the full state of the
+// tracked fields afterwards, and a field-level diff against the previous revision.
+const questionRevisionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true,
+    immutable: true
+  },
+  // 1, 2, 3... per question
+  revision: {
+    type: Number,
+    min: 1,
+    required: true,
+    immutable: true
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true,
+    immutable: true
+  },
+  author: {
+    type: new mongoose.Schema({
+      type: { type: String, enum: AUTHOR_TYPES, required: true },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null },
+      // Email or key name at the time, so the history survives deleted accounts
+      name: { type: String, default: null }
+    }, { _id: false }),
+    required: true,
+    immutable: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  changes: {
+    type: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    immutable: true
+  },
+  // Set on rollbacks
+  restoredFrom: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+questionRevisionSchema.index({ question: 1, revision: -1 }, { unique: true });
+
+// Revisions are never edited or removed individually
+const rejectChange = function (next) {
+  next(new Error('Question revisions are immutable'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete']
+  .forEach(operation => questionRevisionSchema.pre(operation, rejectChange));
+questionRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+questionRevisionSchema.statics.ACTIONS = REVISION_ACTIONS;
+
+module.exports = mongoose.model('QuestionRevision', questionRevisionSchema);
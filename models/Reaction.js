@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const REACTION_TYPES = ['insightful', 'agree', 'disagree'];
+
+// A reader's reaction to a public response. A visitor can mark a response
+// insightful and either agree or disagree with it, each at most once.
+const reactionSchema = new mongoose.Schema({
+  response: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Response',
+    required: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  visitorId: {
+    type: String,
+    required: true
+  },
+  fingerprint: {
+    type: String,
+    required: false
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One reaction of each type per visitor and response
+reactionSchema.index({ response: 1, visitorId: 1, type: 1 }, { unique: true });
+reactionSchema.index({ response: 1, fingerprint: 1, type: 1 });
+reactionSchema.index({ question: 1, visitorId: 1 });
+
+reactionSchema.statics.TYPES = REACTION_TYPES;
+
+// Helpfulness votes ({ positive, negative }) from a response's reactions ([{ visitorId, type }]).
+// A visitor who found it insightful, agreed, or both is one positive vote; one who
+// disagreed is one negative vote.
+reactionSchema.statics.tally = function(reactions) {
+  const positive = new Set();
+  const negative = new Set();
+  for (const { visitorId, type } of reactions) {
+    (type === 'disagree' ? negative : positive).add(visitorId);
+  }
+  return { positive: positive.size, negative: negative.size };
+};
+
+module.exports = mongoose.model('Reaction', reactionSchema);
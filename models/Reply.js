@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Response = require('./Response');
+
+// How deeply replies can nest; a reply to a response is at depth 1
+const MAX_REPLY_DEPTH = Math.max(parseInt(process.env.REPLY_MAX_DEPTH) || 3, 1);
+
+// A reader's reply to a response, or to another reply in the same thread.
+// Replies are screened and moderated like responses.
+const replySchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  // The response at the top of the thread
+  response: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Response',
+    required: true
+  },
+  // The reply this one answers; null when it answers the response itself
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    default: null
+  },
+  depth: {
+    type: Number,
+    min: 1,
+    max: MAX_REPLY_DEPTH,
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: {
+    type: String,
+    required: false
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  visitorId: {
+    type: String,
+    required: false
+  },
+  fingerprint: {
+    type: String,
+    required: false
+  },
+  moderationStatus: {
+    type: String,
+    enum: Response.MODERATION_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  screening: {
+    type: new mongoose.Schema({
+      score: { type: Number, min: 0, max: 100 },
+      reasons: [{
+        _id: false,
+        rule: String,
+        detail: String,
+        score: Number
+      }],
+      contentHash: String,
+      screenedAt: Date
+    }, { _id: false }),
+    default: null
+  }
+});
+
+// Paginated threads, one level at a time
+replySchema.index({ response: 1, parent: 1, moderationStatus: 1, timestamp: 1 });
+// Moderation queue
+replySchema.index({ moderationStatus: 1, timestamp: -1 });
+
+// Approved replies directly under each of the given parents, as { parentId: count }.
+// field is 'response' for top-level replies or 'parent' for nested ones.
+replySchema.statics.countChildren = async function (field, ids) {
+  if (ids.length === 0) return {};
+
+  const match = { [field]: { $in: ids }, moderationStatus: 'approved' };
+  if (field === 'response') match.parent = null;
+
+  const counts = await this.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((result, item) => {
+    result[String(item._id)] = item.count;
+    return result;
+  }, {});
+};
+
+replySchema.statics.MAX_DEPTH = MAX_REPLY_DEPTH;
+
+module.exports = mongoose.model('Reply', replySchema);
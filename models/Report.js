@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'misinformation', 'off_topic', 'other'];
+const REPORT_STATUSES = ['open', 'upheld', 'dismissed'];
+
+// A reader's report of a public response. Reporters are anonymous visitors,
+// identified the same way as voters (see middleware/visitor.js).
+const reportSchema = new mongoose.Schema({
+  response: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Response',
+    required: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  reporterId: {
+    type: String,
+    required: true
+  },
+  fingerprint: {
+    type: String,
+    required: false
+  },
+  ipAddress: {
+    type: String,
+    required: false
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Reporter reputation when the report was made; the response's report score is the sum
+  weight: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One report per reporter and response
+reportSchema.index({ response: 1, reporterId: 1 }, { unique: true });
+reportSchema.index({ response: 1, fingerprint: 1 });
+// Admin summary and reporter reputation
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reporterId: 1, status: 1 });
+
+// Reputation of a reporter from how their earlier reports were resolved: 1 for a
+// newcomer, towards 2 when reports are upheld and towards 0 when they are dismissed
+reportSchema.statics.getReporterWeight = async function (reporterId) {
+  const counts = await this.aggregate([
+    { $match: { reporterId, status: { $in: ['upheld', 'dismissed'] } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const upheld = (counts.find(item => item._id === 'upheld') || {}).count || 0;
+  const dismissed = (counts.find(item => item._id === 'dismissed') || {}).count || 0;
+
+  return Math.round((2 * (upheld + 1) / (upheld + dismissed + 2)) * 100) / 100;
+};
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+reportSchema.statics.STATUSES = REPORT_STATUSES;
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+
+const responseSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  questionType: {
+    type: String,
+    enum: ['multiple_choice', 'paragraph'],
+    required: true
+  },
+  choice: {
+    type: String,
+    required: function () {
+      return this.questionType === 'multiple_choice';
+    }
+  },
+  explanation: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    required: function () {
+      return this.questionType === 'multiple_choice';
+    }
+  },
+  responseText: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    required: function () {
+      return this.questionType === 'paragraph';
+    }
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: {
+    type: String,
+    required: false // For tracking unique responses
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  // Anonymous visitor identity (see middleware/visitor.js)
+  visitorId: {
+    type: String,
+    required: false
+  },
+  fingerprint: {
+    type: String,
+    required: false
+  },
+  changedAt: {
+    type: Date,
+    default: null
+  },
+  // Only approved responses are listed publicly; votes count whatever the status
+  moderationStatus: {
+    type: String,
+    enum: MODERATION_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  // Reader reactions (see models/Reaction.js) and the Wilson score used for sortBy=top
+  reactions: {
+    insightful: { type: Number, default: 0 },
+    agree: { type: Number, default: 0 },
+    disagree: { type: Number, default: 0 }
+  },
+  helpfulScore: {
+    type: Number,
+    default: 0
+  },
+  // Reader reports (see models/Report.js); reportScore is the reputation-weighted sum of open reports
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  reportScore: {
+    type: Number,
+    default: 0
+  },
+  // Set when reports hid the response automatically
+  reportHiddenAt: {
+    type: Date,
+    default: null
+  },
+  // Automatic screening result for the submitted text
+  screening: {
+    type: new mongoose.Schema({
+      score: { type: Number, min: 0, max: 100 },
+      reasons: [{
+        _id: false,
+        rule: String,
+        detail: String,
+        score: Number
+      }],
+      contentHash: String,
+      screenedAt: Date
+    }, { _id: false }),
+    default: null
+  }
+});
+
+// Indexes for paginated listings and time-based analytics
+responseSchema.index({ question: 1, timestamp: -1 });
+responseSchema.index({ timestamp: 1 });
+// One vote per visitor on multiple choice questions
+responseSchema.index(
+  { question: 1, visitorId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { questionType: 'multiple_choice', visitorId: { $type: 'string' } }
+  }
+);
+responseSchema.index({ fingerprint: 1, timestamp: -1 });
+// Public listings and the moderation queue
+responseSchema.index({ question: 1, moderationStatus: 1, timestamp: -1 });
+responseSchema.index({ moderationStatus: 1, timestamp: -1 });
+// Public listing sorted by helpfulness
+responseSchema.index({ question: 1, moderationStatus: 1, helpfulScore: -1, timestamp: -1 });
+// Repeated submission checks
+responseSchema.index({ 'screening.contentHash': 1, timestamp: -1 }, { sparse: true });
+
+// Lower bound of the Wilson score interval (95%) for the share of positive votes, counted
+// per visitor by Reaction.tally, so a response with a few unanimous votes does not outrank
+// one with many mostly positive ones.
+responseSchema.statics.wilsonScore = function ({ positive = 0, negative = 0 } = {}) {
+  const total = positive + negative;
+  if (total === 0) return 0;
+
+  const z = 1.96;
+  const phat = positive / total;
+  const score = (phat + z * z / (2 * total) - z * Math.sqrt((phat * (1 - phat) + z * z / (4 * total)) / total)) /
+    (1 + z * z / total);
+
+  return Math.round(score * 10000) / 10000;
+};
+
+responseSchema.statics.MODERATION_STATUSES = MODERATION_STATUSES;
+
+module.exports = mongoose.model('Response', responseSchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
+
+// How often a subscriber is emailed: each new question as it is published, or a digest
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
 
 const subscriberSchema = new mongoose.Schema({
   email: {
@@ -9,9 +15,10 @@ const subscriberSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address']
   },
+  // Only confirmed subscribers are active (see services/subscriptionService.js)
   isActive: {
     type: Boolean,
-    default: true
+    default: false
   },
   subscribedAt: {
     type: Date,
@@ -21,6 +28,58 @@ const subscriberSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // When the subscriber was last deactivated: by their unsubscribe link, an admin or the
+  // suppression list (see services/bounceService.js). Cleared when they are active again.
+  unsubscribedAt: {
+    type: Date,
+    default: null
+  },
+  // Language emails are written in; taken from the visitor's language when subscribing
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
+  },
+  // Categories and tags the subscriber wants to hear about. With neither, every new question
+  // is sent; otherwise questions in one of the categories or with one of the tags.
+  categories: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'instant'
+  },
+  // When the last daily or weekly digest was sent (see services/digestService.js)
+  lastDigestAt: {
+    type: Date,
+    default: null
+  },
+  // Double opt-in evidence: when and from which IP the address was signed up and confirmed.
+  // No email except the confirmation request is sent before confirmedAt is set.
+  consent: {
+    requestedAt: { type: Date, default: null },
+    requestedIp: { type: String, default: null },
+    confirmedAt: { type: Date, default: null },
+    confirmedIp: { type: String, default: null }
+  },
+  // A new sign-up for an address that has confirmed before. The earlier consent, status and
+  // settings stay in place until this request's confirmation link is followed.
+  pendingConsent: {
+    requestedAt: { type: Date, default: null },
+    requestedIp: { type: String, default: null },
+    locale: { type: String, enum: SUPPORTED_LOCALES, default: undefined },
+    categories: { type: [String], default: undefined },
+    tags: { type: [String], default: undefined },
+    frequency: { type: String, enum: FREQUENCIES, default: undefined }
+  },
   unsubscribeToken: {
     type: String,
     unique: true,
@@ -28,6 +87,14 @@ const subscriberSchema = new mongoose.Schema({
   }
 });
 
+subscriberSchema.index({ categories: 1 });
+subscriberSchema.index({ tags: 1 });
+subscriberSchema.index({ 'consent.confirmedAt': 1, 'consent.requestedAt': 1 });
+subscriberSchema.index({ frequency: 1, isActive: 1 });
+
+// Deleted subscribers stay in the trash until purged (see services/trashService.js)
+subscriberSchema.plugin(softDelete);
+
 // Generate unsubscribe token before saving
 subscriberSchema.pre('save', function(next) {
   if (this.isNew && !this.unsubscribeToken) {
@@ -41,9 +108,64 @@ subscriberSchema.statics.findActive = function() {
   return this.find({ isActive: true });
 };
 
+// Query conditions for subscribers who haven't picked any categories or tags. Older documents
+// may lack the preference arrays entirely, so "none" is tested as "no first element".
+subscriberSchema.statics.followsEverything = function() {
+  return { 'categories.0': { $exists: false }, 'tags.0': { $exists: false } };
+};
+
+// Query conditions for subscribers interested in a question
+subscriberSchema.statics.interestedIn = function(question) {
+  const tags = question.tags || [];
+  return {
+    $or: [
+      this.followsEverything(),
+      { categories: question.category },
+      ...(tags.length > 0 ? [{ tags: { $in: tags } }] : [])
+    ]
+  };
+};
+
+subscriberSchema.statics.FREQUENCIES = FREQUENCIES;
+subscriberSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+// Query conditions for subscribers emailed at a frequency. Documents from before
+// frequencies existed have none and get every question as it is published.
+subscriberSchema.statics.withFrequency = function(frequency) {
+  return frequency === 'instant'
+    ? { frequency: { $nin: DIGEST_FREQUENCIES } }
+    : { frequency };
+};
+
+// Active, confirmed subscribers who should be emailed about a new question as soon as it is
+// published. Digest subscribers hear about it in their next digest instead.
+subscriberSchema.statics.findActiveForQuestion = function(question) {
+  return this.find({
+    isActive: true,
+    'consent.confirmedAt': { $ne: null },
+    ...this.withFrequency('instant'),
+    ...this.interestedIn(question)
+  });
+};
+
+// Active, confirmed subscribers due a daily or weekly digest
+subscriberSchema.statics.findActiveForDigest = function(frequency) {
+  return this.find({ isActive: true, 'consent.confirmedAt': { $ne: null }, ...this.withFrequency(frequency) });
+};
+
+// Query conditions for sign-ups still waiting for their confirmation link to be followed
+subscriberSchema.statics.pendingConfirmation = function() {
+  return { 'consent.requestedAt': { $ne: null }, 'consent.confirmedAt': null };
+};
+
+subscriberSchema.methods.isConfirmed = function() {
+  return Boolean(this.consent && this.consent.confirmedAt);
+};
+
 // Instance method to unsubscribe
 subscriberSchema.methods.unsubscribe = function() {
   this.isActive = false;
+  this.unsubscribedAt = new Date();
   return this.save();
 };
 
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const SUPPRESSION_REASONS = ['hard_bounce', 'soft_bounce', 'complaint', 'manual'];
+
+// An address nothing is emailed to: it bounced too often, its owner reported us as spam, or
+// an admin added it. Every send path and new subscriptions check this list.
+const suppressionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: SUPPRESSION_REASONS,
+    required: true
+  },
+  // What triggered it, e.g. the last bounce's diagnostic or an admin's note
+  details: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+suppressionSchema.index({ reason: 1, createdAt: -1 });
+
+suppressionSchema.statics.REASONS = SUPPRESSION_REASONS;
+
+suppressionSchema.statics.isSuppressed = async function(email) {
+  return Boolean(await this.exists({ email: String(email).toLowerCase() }));
+};
+
+// The given addresses (lowercased) that are suppressed
+suppressionSchema.statics.suppressedAmong = async function(emails) {
+  if (emails.length === 0) return new Set();
+
+  const suppressed = await this.find({ email: { $in: emails.map(email => String(email).toLowerCase()) } })
+    .distinct('email');
+  return new Set(suppressed);
+};
+
+// Add an address unless it is already listed. Resolves to { suppression, created }.
+suppressionSchema.statics.suppress = async function(email, reason, details = null) {
+  const result = await this.findOneAndUpdate(
+    { email: String(email).toLowerCase() },
+    { $setOnInsert: { reason, details, createdAt: new Date() } },
+    { upsert: true, new: true, rawResult: true }
+  );
+  return { suppression: result.value, created: !result.lastErrorObject.updatedExisting };
+};
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const viewSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  sessionId: {
+    type: String,
+    required: false
+  },
+  referrer: {
+    type: String,
+    required: false
+  }
+});
+
+// Indexes for per-question lookups and the retention cleanup
+viewSchema.index({ question: 1, timestamp: -1 });
+viewSchema.index({ timestamp: 1 });
+
+module.exports = mongoose.model('View', viewSchema);
@@ -0,0 +1,46 @@
+// Soft deletion for a schema. Documents with a deletedAt are in the trash: every query
+// and aggregation leaves them out unless it filters on deletedAt itself or opts in
+// with .withDeleted().
+
+const QUERY_OPERATIONS = [
+  'countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace',
+  'findOneAndDelete', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.query.withDeleted = function () {
+    this._withDeleted = true;
+    return this;
+  };
+
+  schema.pre(QUERY_OPERATIONS, { query: true, document: false }, function () {
+    if (this._withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  // Merged into a leading $match so $text and other first-stage-only operators keep working
+  schema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    if (first && first.$match) {
+      if (first.$match.deletedAt === undefined) {
+        pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.isDeleted = function () {
+    return Boolean(this.deletedAt);
+  };
+};
@@ -4,8 +4,17 @@ class AdminPanel {
         this.loginScreen = document.getElementById('login-screen');
         this.adminPanel = document.getElementById('admin-panel');
         this.currentTab = 'dashboard';
-        this.adminSecret = null;
+        this.accessToken = null;
+        this.currentUser = null;
         this.questionsPage = 1;
+        this.selectedQuestions = new Set();
+        this.editingQuestionType = null;
+        this.moderationStatus = 'pending';
+        this.moderationPage = 1;
+        this.selectedResponses = new Set();
+        this.reportsPage = 1;
+        this.categories = [];
+        this.translationsPage = 1;
         
         this.init();
     }
@@ -49,6 +58,18 @@ class AdminPanel {
             });
         }
 
+        // Category form
+        const categoryForm = document.getElementById('category-form');
+        if (categoryForm) {
+            categoryForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.saveCategory();
+            });
+            document.getElementById('category-cancel').addEventListener('click', () => {
+                this.resetCategoryForm();
+            });
+        }
+
         // Question type change handler
         const questionTypeSelect = document.getElementById('question-type');
         if (questionTypeSelect) {
@@ -65,6 +86,43 @@ class AdminPanel {
             });
         }
 
+        // Edit question form
+        const editForm = document.getElementById('edit-question-form');
+        if (editForm) {
+            editForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.updateQuestion();
+            });
+        }
+
+        const editAddChoiceButton = document.getElementById('edit-add-choice');
+        if (editAddChoiceButton) {
+            editAddChoiceButton.addEventListener('click', () => {
+                this.addEditChoiceInput();
+            });
+        }
+
+        const editCancelButton = document.getElementById('edit-cancel');
+        if (editCancelButton) {
+            editCancelButton.addEventListener('click', () => {
+                this.switchTab('questions');
+            });
+        }
+
+        // Revision history
+        const revisionList = document.getElementById('revision-list');
+        if (revisionList) {
+            revisionList.addEventListener('change', () => {
+                const selected = revisionList.querySelectorAll('input[type="checkbox"]:checked').length;
+                document.getElementById('revision-compare').disabled = selected !== 2;
+            });
+        }
+
+        const revisionCompareButton = document.getElementById('revision-compare');
+        if (revisionCompareButton) {
+            revisionCompareButton.addEventListener('click', () => this.compareRevisions());
+        }
+
         // Questions search
         const questionsSearch = document.getElementById('questions-search');
         if (questionsSearch) {
@@ -77,68 +135,265 @@ class AdminPanel {
             });
         }
 
-        // Question type filter
-        const questionTypeFilter = document.getElementById('question-type-filter');
-        if (questionTypeFilter) {
-            questionTypeFilter.addEventListener('change', () => {
-                this.filterQuestionsByType(questionTypeFilter.value);
+        // Question type and status filters
+        ['question-type-filter', 'question-status-filter'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', () => this.loadQuestions(1));
+            }
+        });
+
+        // Bulk question actions
+        const questionsSelectAll = document.getElementById('questions-select-all');
+        if (questionsSelectAll) {
+            questionsSelectAll.addEventListener('change', () => {
+                document.querySelectorAll('#questions-list input[type="checkbox"]').forEach(checkbox => {
+                    checkbox.checked = questionsSelectAll.checked;
+                    this.toggleQuestionSelection(checkbox.value, checkbox.checked);
+                });
+            });
+        }
+
+        const bulkAction = document.getElementById('question-bulk-action');
+        if (bulkAction) {
+            bulkAction.addEventListener('change', () => this.updateBulkQuestionInputs());
+            document.getElementById('question-bulk-selected').addEventListener('click', () => {
+                this.runBulkQuestionAction({ ids: [...this.selectedQuestions] });
+            });
+            document.getElementById('question-bulk-matching').addEventListener('click', () => {
+                this.runBulkQuestionAction({ filter: this.getQuestionFilters() });
+            });
+        }
+
+        // Publish time is only needed for scheduled questions
+        [['question-status', 'question-publish-at-group'], ['edit-question-status', 'edit-question-publish-at-group']]
+            .forEach(([selectId, groupId]) => {
+                const select = document.getElementById(selectId);
+                if (select) {
+                    select.addEventListener('change', () => {
+                        document.getElementById(groupId).style.display = select.value === 'scheduled' ? 'block' : 'none';
+                    });
+                }
+            });
+
+        // Moderation queue
+        document.querySelectorAll('#moderation-status-tabs .status-filter').forEach(button => {
+            button.addEventListener('click', () => {
+                this.moderationStatus = button.dataset.status;
+                document.querySelectorAll('#moderation-status-tabs .status-filter').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                this.loadModerationQueue();
+            });
+        });
+
+        const moderationTypeFilter = document.getElementById('moderation-type-filter');
+        if (moderationTypeFilter) {
+            moderationTypeFilter.addEventListener('change', () => {
+                this.loadModerationQueue();
+            });
+        }
+
+        const moderationMode = document.getElementById('moderation-mode');
+        if (moderationMode) {
+            moderationMode.addEventListener('change', () => {
+                this.updateModerationMode(moderationMode.value);
+            });
+        }
+
+        // Reader reports
+        ['reports-status-filter', 'reports-reason-filter'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', () => {
+                    this.loadReports();
+                });
+            }
+        });
+
+        // Translations
+        ['translation-locale-filter', 'translation-status-filter'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', () => {
+                    this.loadTranslations();
+                });
+            }
+        });
+
+        const translationForm = document.getElementById('translation-form');
+        if (translationForm) {
+            translationForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.saveTranslation();
+            });
+            document.getElementById('translation-delete').addEventListener('click', () => {
+                this.deleteTranslation();
+            });
+            document.getElementById('translation-cancel').addEventListener('click', () => {
+                this.closeTranslationEditor();
+            });
+        }
+
+        // Outbox
+        const outboxStatusFilter = document.getElementById('outbox-status-filter');
+        if (outboxStatusFilter) {
+            outboxStatusFilter.addEventListener('change', () => {
+                this.loadOutbox();
+            });
+            document.getElementById('outbox-requeue-dead').addEventListener('click', () => {
+                this.requeueDeadOutboxMessages();
+            });
+            document.getElementById('suppression-add').addEventListener('click', () => {
+                this.addSuppression();
+            });
+        }
+
+        // Trash
+        const trashTypeFilter = document.getElementById('trash-type-filter');
+        if (trashTypeFilter) {
+            trashTypeFilter.addEventListener('change', () => {
+                this.loadTrash();
             });
         }
+
+        const selectAll = document.getElementById('moderation-select-all');
+        if (selectAll) {
+            selectAll.addEventListener('change', () => {
+                document.querySelectorAll('#responses-list input[type="checkbox"]').forEach(checkbox => {
+                    checkbox.checked = selectAll.checked;
+                    this.toggleResponseSelection(checkbox.value, checkbox.checked);
+                });
+            });
+        }
+
+        document.querySelectorAll('[data-bulk-status]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.moderateResponses([...this.selectedResponses], button.dataset.bulkStatus);
+            });
+        });
     }
 
-    checkAuthStatus() {
-        const storedSecret = sessionStorage.getItem('adminSecret');
-        if (storedSecret) {
-            this.adminSecret = storedSecret;
+    async checkAuthStatus() {
+        // The refresh token lives in an httpOnly cookie, so a reload can resume the session
+        if (await this.refreshSession()) {
             this.showAdminPanel();
         }
     }
 
     async handleLogin() {
-        const secretInput = document.getElementById('admin-secret');
+        const emailInput = document.getElementById('admin-email');
+        const passwordInput = document.getElementById('admin-password');
         const loginError = document.getElementById('login-error');
-        const secret = secretInput.value.trim();
+        const email = emailInput.value.trim();
+        const password = passwordInput.value;
 
-        if (!secret) {
-            loginError.textContent = 'Please enter the admin secret';
+        if (!email || !password) {
+            loginError.textContent = 'Please enter your email and password';
             return;
         }
 
         try {
-            // Test the secret by making a request to the dashboard
-            const response = await fetch('/api/admin/dashboard', {
+            const response = await fetch('/api/admin/auth/login', {
+                method: 'POST',
                 headers: {
-                    'x-admin-secret': secret
-                }
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ email, password })
             });
 
-            if (response.ok) {
-                this.adminSecret = secret;
-                sessionStorage.setItem('adminSecret', secret);
+            const data = await response.json();
+
+            if (data.success) {
+                this.setSession(data.data);
                 this.showAdminPanel();
                 loginError.textContent = '';
             } else {
-                loginError.textContent = 'Invalid admin secret';
-                secretInput.value = '';
+                loginError.textContent = data.error || 'Invalid email or password';
             }
+            passwordInput.value = '';
         } catch (error) {
             console.error('Login error:', error);
             loginError.textContent = 'Connection error. Please try again.';
         }
     }
 
-    logout() {
-        this.adminSecret = null;
-        sessionStorage.removeItem('adminSecret');
+    setSession(session) {
+        this.accessToken = session.accessToken;
+        this.currentUser = session.user;
+
+        const adminUser = document.getElementById('admin-user');
+        if (adminUser) {
+            adminUser.textContent = `${session.user.name || session.user.email} (${session.user.role})`;
+        }
+    }
+
+    async refreshSession() {
+        try {
+            const response = await fetch('/api/admin/auth/refresh', {
+                method: 'POST',
+                credentials: 'same-origin'
+            });
+
+            if (!response.ok) {
+                return false;
+            }
+
+            const data = await response.json();
+            this.setSession(data.data);
+            return true;
+        } catch (error) {
+            console.error('Session refresh error:', error);
+            return false;
+        }
+    }
+
+    // fetch() with the access token attached, refreshing it once when it expires
+    async apiFetch(url, options = {}, retry = true) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this.accessToken}`
+            }
+        });
+
+        if (response.status === 401 && retry) {
+            if (await this.refreshSession()) {
+                return this.apiFetch(url, options, false);
+            }
+            this.showLoginScreen();
+        }
+
+        return response;
+    }
+
+    async logout() {
+        try {
+            await fetch('/api/admin/auth/logout', {
+                method: 'POST',
+                credentials: 'same-origin'
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        this.showLoginScreen();
+    }
+
+    showLoginScreen() {
+        this.accessToken = null;
+        this.currentUser = null;
         this.loginScreen.style.display = 'flex';
         this.adminPanel.style.display = 'none';
-        document.getElementById('admin-secret').value = '';
+        document.getElementById('admin-password').value = '';
     }
 
     showAdminPanel() {
         this.loginScreen.style.display = 'none';
         this.adminPanel.style.display = 'block';
         this.loadDashboard();
+        this.loadCategoryOptions();
     }
 
     switchTab(tabName) {
@@ -146,7 +401,11 @@ class AdminPanel {
         document.querySelectorAll('.tab-button').forEach(button => {
             button.classList.remove('active');
         });
-        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+        // The edit tab has no button of its own
+        const tabButton = document.querySelector(`[data-tab="${tabName}"]`);
+        if (tabButton) {
+            tabButton.classList.add('active');
+        }
 
         // Update tab content
         document.querySelectorAll('.tab-content').forEach(content => {
@@ -164,19 +423,35 @@ class AdminPanel {
             case 'questions':
                 this.loadQuestions();
                 break;
+            case 'categories':
+                this.loadCategories();
+                break;
+            case 'translations':
+                this.loadTranslations();
+                break;
             case 'subscribers':
                 this.loadSubscriberStats();
                 break;
+            case 'moderation':
+                this.loadModerationSettings();
+                this.loadModerationQueue();
+                break;
+            case 'reports':
+                this.loadReports();
+                break;
+            case 'outbox':
+                this.loadOutbox();
+                this.loadSuppressions();
+                break;
+            case 'trash':
+                this.loadTrash();
+                break;
         }
     }
 
     async loadDashboard() {
         try {
-            const response = await fetch('/api/admin/dashboard', {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
+            const response = await this.apiFetch('/api/admin/dashboard');
 
             const data = await response.json();
 
@@ -290,11 +565,9 @@ class AdminPanel {
 
     async loadQuestions(page = 1) {
         try {
-            const response = await fetch(`/api/admin/questions?page=${page}&limit=10`, {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
+            const params = new URLSearchParams({ page, limit: 10, ...this.getQuestionFilters() });
+
+            const response = await this.apiFetch(`/api/admin/questions?${params}`);
 
             const data = await response.json();
 
@@ -311,35 +584,41 @@ class AdminPanel {
         }
     }
 
-    async filterQuestionsByType(type) {
-        try {
-            let url = '/api/admin/questions?page=1&limit=10';
-            if (type) {
-                url += `&type=${type}`;
-            }
+    // The type and status filters chosen above the questions list
+    getQuestionFilters() {
+        const filters = {};
+        const type = document.getElementById('question-type-filter').value;
+        const status = document.getElementById('question-status-filter').value;
+        if (type) filters.type = type;
+        if (status) filters.status = status;
+        return filters;
+    }
 
-            const response = await fetch(url, {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
+    // Status badge for questions that are not live
+    renderStatusBadge(question) {
+        if (!question.status || question.status === 'published') {
+            return '';
+        }
 
-            const data = await response.json();
+        const label = question.status === 'scheduled' && question.publishAt
+            ? `Scheduled for ${new Date(question.publishAt).toLocaleString()}`
+            : question.status.charAt(0).toUpperCase() + question.status.slice(1);
+        return `<span class="status-badge status-${question.status}">${this.escapeHtml(label)}</span>`;
+    }
 
-            if (data.success) {
-                this.renderQuestions(data.data.questions);
-                this.renderPagination(data.data.pagination);
-                this.questionsPage = 1;
-            } else {
-                this.showNotification('Failed to filter questions', 'error');
-            }
-        } catch (error) {
-            console.error('Error filtering questions:', error);
-            this.showNotification('Error filtering questions', 'error');
-        }
+    // Local datetime-local value for a date, or '' when there is none
+    toDateTimeInput(date) {
+        if (!date) return '';
+        const value = new Date(date);
+        value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+        return value.toISOString().slice(0, 16);
     }
 
     renderQuestions(questions) {
+        this.selectedQuestions.clear();
+        document.getElementById('questions-select-all').checked = false;
+        this.updateBulkQuestionButtons();
+
         const questionsList = document.getElementById('questions-list');
         questionsList.innerHTML = '';
 
@@ -347,15 +626,23 @@ class AdminPanel {
             const questionItem = document.createElement('div');
             questionItem.className = 'question-item';
             const questionType = question.questionType === 'paragraph' ? 'Paragraph' : 'Multiple Choice';
+            // Search results carry highlights that the server has already HTML-escaped
+            const title = question.highlights ? question.highlights.title : this.escapeHtml(question.title);
+            const snippet = question.highlights && question.highlights.questionText
+                ? `<div class="question-item-snippet">${question.highlights.questionText}</div>`
+                : '';
             questionItem.innerHTML = `
+                <input type="checkbox" value="${question._id}">
                 <div class="question-info">
-                    <div class="question-item-title">${this.escapeHtml(question.title)}</div>
+                    <div class="question-item-title">${title}</div>
+                    ${snippet}
                     <div class="question-item-meta">
                         <span>${question.category}</span>
                         <span>${questionType}</span>
                         <span>${question.responseCount} responses</span>
                         <span>${this.formatDate(new Date(question.createdAt))}</span>
                         ${question.featured ? '<span class="featured-badge">Featured</span>' : ''}
+                        ${this.renderStatusBadge(question)}
                     </div>
                 </div>
                 <div class="question-actions">
@@ -363,6 +650,9 @@ class AdminPanel {
                             onclick="adminPanel.toggleFeatured('${question._id}', ${!question.featured})">
                         ${question.featured ? 'Unfeature' : 'Feature'}
                     </button>
+                    <button class="action-button" onclick="adminPanel.editQuestion('${question._id}')">
+                        Edit
+                    </button>
                     <button class="action-button" onclick="window.open('${question.url}', '_blank')">
                         View
                     </button>
@@ -371,10 +661,168 @@ class AdminPanel {
                     </button>
                 </div>
             `;
+            questionItem.querySelector('input[type="checkbox"]').addEventListener('change', (e) => {
+                this.toggleQuestionSelection(e.target.value, e.target.checked);
+            });
             questionsList.appendChild(questionItem);
         });
     }
 
+    toggleQuestionSelection(questionId, selected) {
+        if (selected) {
+            this.selectedQuestions.add(questionId);
+        } else {
+            this.selectedQuestions.delete(questionId);
+        }
+        this.updateBulkQuestionButtons();
+    }
+
+    updateBulkQuestionButtons() {
+        const count = this.selectedQuestions.size;
+        document.getElementById('questions-selected-count').textContent = `${count} selected`;
+        document.getElementById('question-bulk-selected').disabled = count === 0;
+    }
+
+    // Show the input the chosen bulk action needs
+    updateBulkQuestionInputs() {
+        const action = document.getElementById('question-bulk-action').value;
+        document.getElementById('question-bulk-tags').style.display =
+            action === 'add_tags' || action === 'remove_tags' ? '' : 'none';
+        document.getElementById('question-bulk-category').style.display = action === 'recategorize' ? '' : 'none';
+        document.getElementById('question-bulk-difficulty').style.display = action === 'set_difficulty' ? '' : 'none';
+    }
+
+    // Request body for the chosen bulk action, or null when something is missing
+    buildBulkQuestionRequest(selection) {
+        const choice = document.getElementById('question-bulk-action').value;
+        if (!choice) {
+            this.showNotification('Choose a bulk action first', 'error');
+            return null;
+        }
+
+        if (choice === 'add_tags' || choice === 'remove_tags') {
+            const tags = document.getElementById('question-bulk-tags').value
+                .split(',')
+                .map(tag => tag.trim().toLowerCase())
+                .filter(Boolean);
+            if (tags.length === 0) {
+                this.showNotification('Enter at least one tag', 'error');
+                return null;
+            }
+            return { ...selection, action: 'retag', [choice === 'add_tags' ? 'addTags' : 'removeTags']: tags };
+        }
+        if (choice === 'recategorize') {
+            const category = document.getElementById('question-bulk-category').value;
+            if (!category) {
+                this.showNotification('Choose a category', 'error');
+                return null;
+            }
+            return { ...selection, action: choice, category };
+        }
+        if (choice === 'set_difficulty') {
+            return { ...selection, action: choice, difficulty: document.getElementById('question-bulk-difficulty').value };
+        }
+        return { ...selection, action: choice };
+    }
+
+    async runBulkQuestionAction(selection) {
+        const body = this.buildBulkQuestionRequest(selection);
+        if (!body) return;
+
+        const target = body.ids
+            ? `${body.ids.length} selected question${body.ids.length === 1 ? '' : 's'}`
+            : 'every question matching the current filters';
+        const verb = document.getElementById('question-bulk-action').selectedOptions[0].textContent;
+        if (!confirm(`${verb}: apply to ${target}?`)) return;
+
+        try {
+            const response = await this.apiFetch('/api/admin/questions/bulk', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.error || 'Bulk action failed', 'error');
+                return;
+            }
+
+            if (response.status === 202) {
+                this.showNotification(data.message, 'info');
+                this.pollBulkJob(data.data.jobId);
+            } else {
+                this.showNotification(data.message, 'success');
+                this.renderBulkResults(data.data);
+                this.loadQuestions(this.questionsPage);
+            }
+        } catch (error) {
+            console.error('Error running bulk action:', error);
+            this.showNotification('Error running bulk action', 'error');
+        }
+    }
+
+    // Follow a background bulk job until it finishes
+    async pollBulkJob(jobId) {
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/bulk/${jobId}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.error || 'Failed to check bulk job', 'error');
+                return;
+            }
+
+            const job = data.data;
+            this.renderBulkResults(job);
+
+            if (job.status === 'queued' || job.status === 'running') {
+                setTimeout(() => this.pollBulkJob(jobId), 2000);
+                return;
+            }
+
+            if (job.status === 'completed') {
+                this.showNotification(`${job.succeeded} of ${job.total} questions updated`, 'success');
+            } else {
+                this.showNotification(job.error || 'Bulk job failed', 'error');
+            }
+            this.loadQuestions(this.questionsPage);
+        } catch (error) {
+            console.error('Error checking bulk job:', error);
+            this.showNotification('Error checking bulk job', 'error');
+        }
+    }
+
+    // Summary of a bulk action, listing the questions that were skipped or failed
+    renderBulkResults(result) {
+        const container = document.getElementById('question-bulk-results');
+        const processed = result.processed !== undefined ? result.processed : result.total;
+        const running = result.status === 'queued' || result.status === 'running';
+        const problems = (result.results || []).filter(item => item.status !== 'ok');
+
+        container.innerHTML = `
+            <div class="bulk-results-summary">
+                ${running ? `Working... ${processed} of ${result.total} done.` : `${processed} of ${result.total} done.`}
+                ${result.succeeded} updated, ${result.skipped} skipped, ${result.failed} failed.
+                <button class="page-button" onclick="document.getElementById('question-bulk-results').style.display = 'none'">Hide</button>
+            </div>
+            ${problems.length > 0 ? `
+                <ul class="bulk-results-list">
+                    ${problems.map(item => `
+                        <li class="bulk-result-${item.status}">
+                            <strong>${this.escapeHtml(item.label || item.id)}</strong>
+                            ${item.message ? `- ${this.escapeHtml(item.message)}` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+        container.style.display = 'block';
+    }
+
     renderPagination(pagination) {
         const paginationContainer = document.getElementById('questions-pagination');
         paginationContainer.innerHTML = '';
@@ -415,6 +863,8 @@ class AdminPanel {
         const questionType = document.getElementById('question-type').value;
         const questionText = document.getElementById('question-text').value.trim();
         const featured = document.getElementById('question-featured').checked;
+        const status = document.getElementById('question-status').value;
+        const publishAt = document.getElementById('question-publish-at').value;
 
         // Validation
         if (!title || !category || !questionType || !questionText) {
@@ -422,6 +872,11 @@ class AdminPanel {
             return;
         }
 
+        if (status === 'scheduled' && !publishAt) {
+            this.showNotification('Please choose when to publish the question', 'error');
+            return;
+        }
+
         // Prepare request data
         const requestData = {
             title,
@@ -429,9 +884,13 @@ class AdminPanel {
             questionType,
             questionText,
             featured,
-            adminSecret: this.adminSecret
+            status
         };
 
+        if (status === 'scheduled') {
+            requestData.publishAt = new Date(publishAt).toISOString();
+        }
+
         // Add choices only for multiple choice questions
         if (questionType === 'multiple_choice') {
             const choiceInputs = document.querySelectorAll('#choices-container input[type="text"]');
@@ -453,11 +912,10 @@ class AdminPanel {
         buttonLoading.style.display = 'flex';
 
         try {
-            const response = await fetch('/api/admin/questions', {
+            const response = await this.apiFetch('/api/admin/questions', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-admin-secret': this.adminSecret
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(requestData)
             });
@@ -465,10 +923,15 @@ class AdminPanel {
             const data = await response.json();
 
             if (data.success) {
-                this.showNotification('Question created successfully!', 'success');
+                const message = {
+                    scheduled: `Question scheduled for ${new Date(data.data.publishAt).toLocaleString()}`,
+                    draft: 'Draft saved'
+                }[data.data.status] || 'Question created successfully!';
+                this.showNotification(message, 'success');
                 form.reset();
                 this.resetChoices();
                 this.handleQuestionTypeChange(); // Reset form sections
+                document.getElementById('question-publish-at-group').style.display = 'none';
                 
                 // Switch to questions tab to see the new question
                 setTimeout(() => {
@@ -548,80 +1011,417 @@ class AdminPanel {
         });
     }
 
-    async toggleFeatured(questionId, featured) {
+    async editQuestion(questionId) {
         try {
-            const response = await fetch(`/api/admin/questions/${questionId}/featured`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-admin-secret': this.adminSecret
-                },
-                body: JSON.stringify({ featured })
-            });
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}`);
 
             const data = await response.json();
 
-            if (data.success) {
-                this.showNotification(`Question ${featured ? 'featured' : 'unfeatured'} successfully`, 'success');
-                this.loadQuestions(this.questionsPage);
+            if (!data.success) {
+                this.showNotification(data.error || 'Failed to load question', 'error');
+                return;
+            }
+
+            const question = data.data;
+
+            // Reuse the create form's category options, keeping the current one available
+            const categorySelect = document.getElementById('edit-question-category');
+            categorySelect.innerHTML = document.getElementById('question-category').innerHTML;
+            categorySelect.querySelector('option[value=""]')?.remove();
+            if (!categorySelect.querySelector(`option[value="${question.category}"]`)) {
+                const option = document.createElement('option');
+                option.value = question.category;
+                option.textContent = question.category.charAt(0).toUpperCase() + question.category.slice(1);
+                categorySelect.appendChild(option);
+            }
+
+            document.getElementById('edit-question-id').value = question._id;
+            document.getElementById('edit-question-title').value = question.title;
+            document.getElementById('edit-question-url').textContent = `Current URL: ${question.url}`;
+            categorySelect.value = question.category;
+            document.getElementById('edit-question-text').value = question.questionText;
+            document.getElementById('edit-question-tags').value = (question.tags || []).join(', ');
+            document.getElementById('edit-question-difficulty').value = question.difficulty || 'medium';
+            document.getElementById('edit-question-read-time').value = question.estimatedReadTime || 2;
+            document.getElementById('edit-question-featured').checked = !!question.featured;
+            document.getElementById('edit-question-status').value = question.status || 'published';
+            document.getElementById('edit-question-publish-at').value = this.toDateTimeInput(question.publishAt);
+            document.getElementById('edit-question-publish-at-group').style.display =
+                question.status === 'scheduled' ? 'block' : 'none';
+
+            const choicesSection = document.getElementById('edit-choices-section');
+            const choicesContainer = document.getElementById('edit-choices-container');
+            choicesContainer.innerHTML = '';
+
+            if (question.questionType === 'multiple_choice') {
+                choicesSection.style.display = 'block';
+                question.choices.forEach(choice => this.addEditChoiceInput(choice));
             } else {
-                this.showNotification(data.error || 'Failed to update question', 'error');
+                choicesSection.style.display = 'none';
             }
+
+            this.editingQuestionType = question.questionType;
+            this.switchTab('edit');
+            this.loadRevisions(question._id);
         } catch (error) {
-            console.error('Error toggling featured status:', error);
-            this.showNotification('Error updating question', 'error');
+            console.error('Error loading question:', error);
+            this.showNotification('Network error. Please try again.', 'error');
         }
     }
 
-    async deleteQuestion(questionId) {
-        if (!confirm('Are you sure you want to delete this question? This action cannot be undone.')) {
-            return;
-        }
+    async loadRevisions(questionId) {
+        const revisionList = document.getElementById('revision-list');
+        document.getElementById('revision-diff').style.display = 'none';
+        document.getElementById('revision-compare').disabled = true;
 
         try {
-            const response = await fetch(`/api/admin/questions/${questionId}`, {
-                method: 'DELETE',
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
-
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/revisions?limit=50`);
             const data = await response.json();
 
-            if (data.success) {
-                this.showNotification('Question deleted successfully', 'success');
-                this.loadQuestions(this.questionsPage);
-            } else {
-                this.showNotification(data.error || 'Failed to delete question', 'error');
+            if (!data.success) {
+                revisionList.innerHTML = '<div class="revision-item">Failed to load history.</div>';
+                return;
             }
+
+            this.renderRevisions(questionId, data.data.revisions);
         } catch (error) {
-            console.error('Error deleting question:', error);
-            this.showNotification('Error deleting question', 'error');
+            console.error('Error loading revisions:', error);
+            revisionList.innerHTML = '<div class="revision-item">Failed to load history.</div>';
         }
     }
 
-    async searchQuestions(searchTerm) {
-        if (!searchTerm.trim()) {
-            this.loadQuestions(1);
+    renderRevisions(questionId, revisions) {
+        const revisionList = document.getElementById('revision-list');
+        revisionList.dataset.questionId = questionId;
+
+        if (revisions.length === 0) {
+            revisionList.innerHTML = '<div class="revision-item">No changes recorded yet.</div>';
             return;
         }
 
-        try {
-            const response = await fetch(`/api/admin/questions/search?q=${encodeURIComponent(searchTerm)}`, {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
+        const latest = revisions[0].revision;
+        revisionList.innerHTML = revisions.map(revision => {
+            const author = revision.author.type === 'system'
+                ? 'System'
+                : this.escapeHtml(revision.author.name || revision.author.type);
+            const fields = revision.changes.map(change => this.escapeHtml(change.field)).join(', ');
+            const restored = revision.restoredFrom ? ` (restored #${revision.restoredFrom})` : '';
+
+            return `
+                <div class="revision-item">
+                    <label class="revision-select">
+                        <input type="checkbox" value="${revision.revision}">
+                        <strong>#${revision.revision}</strong>
+                    </label>
+                    <div class="revision-info">
+                        <div>${this.escapeHtml(revision.action)}${restored} by ${author}</div>
+                        <div class="question-item-meta">
+                            <span>${this.formatDate(new Date(revision.createdAt))}</span>
+                            ${fields ? `<span>${fields}</span>` : ''}
+                        </div>
+                    </div>
+                    ${revision.revision !== latest ? `
+                        <button type="button" class="action-button" onclick="adminPanel.rollbackRevision('${questionId}', ${revision.revision})">
+                            Restore
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
 
+    async compareRevisions() {
+        const revisionList = document.getElementById('revision-list');
+        const [from, to] = Array.from(revisionList.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => parseInt(input.value))
+            .sort((a, b) => a - b);
+
+        try {
+            const response = await this.apiFetch(
+                `/api/admin/questions/${revisionList.dataset.questionId}/revisions/diff?from=${from}&to=${to}`
+            );
             const data = await response.json();
 
             if (data.success) {
-                this.renderQuestions(data.data.questions);
-                // Hide pagination for search results
-                document.getElementById('questions-pagination').innerHTML = 
-                    `<span style="padding: 0.5rem; color: var(--text-secondary);">Found ${data.data.total} questions</span>`;
+                this.renderRevisionDiff(data.data);
             } else {
-                this.showNotification('Search failed', 'error');
+                this.showNotification(data.error || 'Failed to compare revisions', 'error');
+            }
+        } catch (error) {
+            console.error('Error comparing revisions:', error);
+            this.showNotification('Error comparing revisions', 'error');
+        }
+    }
+
+    // Readable form of a revision field value
+    formatRevisionValue(field, value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (field === 'choices') return value.map(choice => choice.text).join(' / ') || '—';
+        if (Array.isArray(value)) return value.join(', ') || '—';
+        if (field === 'publishAt') return new Date(value).toLocaleString();
+        return String(value);
+    }
+
+    renderRevisionDiff(comparison) {
+        const diffContainer = document.getElementById('revision-diff');
+        const rows = comparison.changes.map(change => `
+            <tr>
+                <th>${this.escapeHtml(change.field)}</th>
+                <td class="revision-from">${this.escapeHtml(this.formatRevisionValue(change.field, change.from))}</td>
+                <td class="revision-to">${this.escapeHtml(this.formatRevisionValue(change.field, change.to))}</td>
+            </tr>
+        `).join('');
+
+        diffContainer.innerHTML = `
+            <h4>Changes from #${comparison.from.revision} to #${comparison.to.revision}</h4>
+            ${rows
+                ? `<table class="revision-diff-table">
+                    <thead><tr><th>Field</th><th>#${comparison.from.revision}</th><th>#${comparison.to.revision}</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`
+                : '<p>No differences.</p>'}
+        `;
+        diffContainer.style.display = 'block';
+    }
+
+    async rollbackRevision(questionId, revision) {
+        if (!confirm(`Restore the question to revision #${revision}? This is recorded as a new revision.`)) return;
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/revisions/${revision}/rollback`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.editQuestion(questionId);
+            } else {
+                this.showNotification(data.error || 'Failed to restore revision', 'error');
+            }
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            this.showNotification('Error restoring revision', 'error');
+        }
+    }
+
+    addEditChoiceInput(choice = null) {
+        const choicesContainer = document.getElementById('edit-choices-container');
+        const choiceInputs = choicesContainer.querySelectorAll('.choice-input');
+
+        if (choiceInputs.length >= 6) {
+            this.showNotification('Maximum 6 choices allowed', 'warning');
+            return;
+        }
+
+        const votes = choice ? choice.votes : 0;
+        const choiceInput = document.createElement('div');
+        choiceInput.className = 'choice-input';
+        if (choice) {
+            choiceInput.dataset.choiceId = choice._id;
+        }
+        choiceInput.dataset.votes = votes;
+        choiceInput.innerHTML = `
+            <input type="text" placeholder="Choice ${choiceInputs.length + 1}" required maxlength="500">
+            <span class="choice-votes">${votes} votes</span>
+            <button type="button" class="remove-choice">×</button>
+        `;
+        choiceInput.querySelector('input').value = choice ? choice.text : '';
+
+        choiceInput.querySelector('.remove-choice').addEventListener('click', () => {
+            choiceInput.remove();
+            this.updateEditRemoveButtons();
+        });
+
+        choicesContainer.appendChild(choiceInput);
+        this.updateEditRemoveButtons();
+    }
+
+    updateEditRemoveButtons() {
+        const choiceInputs = document.querySelectorAll('#edit-choices-container .choice-input');
+        choiceInputs.forEach(input => {
+            const removeButton = input.querySelector('.remove-choice');
+            const hasVotes = parseInt(input.dataset.votes) > 0;
+            removeButton.style.display = choiceInputs.length > 2 && !hasVotes ? 'flex' : 'none';
+        });
+    }
+
+    async updateQuestion() {
+        const form = document.getElementById('edit-question-form');
+        const submitButton = form.querySelector('button[type="submit"]');
+        const buttonText = submitButton.querySelector('.button-text');
+        const buttonLoading = submitButton.querySelector('.button-loading');
+
+        const questionId = document.getElementById('edit-question-id').value;
+        const title = document.getElementById('edit-question-title').value.trim();
+        const category = document.getElementById('edit-question-category').value;
+        const questionText = document.getElementById('edit-question-text').value.trim();
+
+        const status = document.getElementById('edit-question-status').value;
+        const publishAt = document.getElementById('edit-question-publish-at').value;
+
+        if (!title || !category || !questionText) {
+            this.showNotification('Please fill in all required fields', 'error');
+            return;
+        }
+
+        if (status === 'scheduled' && !publishAt) {
+            this.showNotification('Please choose when to publish the question', 'error');
+            return;
+        }
+
+        const requestData = {
+            title,
+            category,
+            questionText,
+            tags: document.getElementById('edit-question-tags').value
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(tag => tag.length > 0),
+            difficulty: document.getElementById('edit-question-difficulty').value,
+            estimatedReadTime: parseInt(document.getElementById('edit-question-read-time').value) || 2,
+            featured: document.getElementById('edit-question-featured').checked,
+            status
+        };
+
+        if (status === 'scheduled') {
+            requestData.publishAt = new Date(publishAt).toISOString();
+        }
+
+        if (this.editingQuestionType === 'multiple_choice') {
+            const choices = Array.from(document.querySelectorAll('#edit-choices-container .choice-input'))
+                .map(input => {
+                    const choice = { text: input.querySelector('input').value.trim() };
+                    if (input.dataset.choiceId) {
+                        choice._id = input.dataset.choiceId;
+                    }
+                    return choice;
+                })
+                .filter(choice => choice.text.length > 0);
+
+            if (choices.length < 2) {
+                this.showNotification('Please provide at least 2 choices for multiple choice questions', 'error');
+                return;
+            }
+
+            requestData.choices = choices;
+        }
+
+        submitButton.disabled = true;
+        buttonText.style.display = 'none';
+        buttonLoading.style.display = 'flex';
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestData)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                const message = data.data.redirectFrom
+                    ? `Question updated. ${data.data.redirectFrom} now redirects to ${data.data.url}`
+                    : 'Question updated successfully!';
+                this.showNotification(message, 'success');
+
+                setTimeout(() => {
+                    this.switchTab('questions');
+                }, 1000);
+            } else {
+                this.showNotification(data.error || 'Failed to update question', 'error');
+            }
+        } catch (error) {
+            console.error('Error updating question:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            submitButton.disabled = false;
+            buttonText.style.display = 'inline';
+            buttonLoading.style.display = 'none';
+        }
+    }
+
+    async toggleFeatured(questionId, featured) {
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/featured`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ featured })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(`Question ${featured ? 'featured' : 'unfeatured'} successfully`, 'success');
+                this.loadQuestions(this.questionsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to update question', 'error');
+            }
+        } catch (error) {
+            console.error('Error toggling featured status:', error);
+            this.showNotification('Error updating question', 'error');
+        }
+    }
+
+    async deleteQuestion(questionId) {
+        if (!confirm('Move this question to the trash? It can be restored from the Trash tab until it is purged.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Question moved to the trash', 'success');
+                this.loadQuestions(this.questionsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to delete question', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting question:', error);
+            this.showNotification('Error deleting question', 'error');
+        }
+    }
+
+    async searchQuestions(searchTerm) {
+        if (!searchTerm.trim()) {
+            this.loadQuestions(1);
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/search?q=${encodeURIComponent(searchTerm)}`);
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderQuestions(data.data.questions);
+                // Hide pagination for search results
+                const paginationContainer = document.getElementById('questions-pagination');
+                paginationContainer.innerHTML = 
+                    `<span style="padding: 0.5rem; color: var(--text-secondary);">Found ${data.data.total} questions</span>`;
+
+                if (data.data.didYouMean) {
+                    const suggestion = document.createElement('button');
+                    suggestion.className = 'page-button';
+                    suggestion.textContent = `Did you mean "${data.data.didYouMean}"?`;
+                    suggestion.onclick = () => {
+                        document.getElementById('questions-search').value = data.data.didYouMean;
+                        this.searchQuestions(data.data.didYouMean);
+                    };
+                    paginationContainer.appendChild(suggestion);
+                }
+            } else {
+                this.showNotification('Search failed', 'error');
             }
         } catch (error) {
             console.error('Error searching questions:', error);
@@ -631,11 +1431,7 @@ class AdminPanel {
 
     async loadSubscriberStats() {
         try {
-            const response = await fetch('/api/admin/subscribers', {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
+            const response = await this.apiFetch('/api/admin/subscribers');
 
             const data = await response.json();
 
@@ -655,7 +1451,9 @@ class AdminPanel {
         document.getElementById('sub-total').textContent = data.stats.total;
         document.getElementById('sub-active').textContent = data.stats.active;
         document.getElementById('sub-inactive').textContent = data.stats.inactive;
+        document.getElementById('sub-pending').textContent = data.stats.pending || 0;
         document.getElementById('sub-recent').textContent = data.stats.recentSubscribers7;
+        this.renderSubscriberCategoryCounts(data.stats);
 
         // Render subscribers list
         const subscribersList = document.getElementById('subscribers-list');
@@ -669,12 +1467,19 @@ class AdminPanel {
                     <div class="subscriber-email">${this.escapeHtml(subscriber.email)}</div>
                     <div class="subscriber-meta">
                         Subscribed: ${this.formatDate(new Date(subscriber.subscribedAt))}
-                        ${subscriber.isActive ? '<span class="status-active">Active</span>' : '<span class="status-inactive">Inactive</span>'}
+                        ${!subscriber.isActive && subscriber.unsubscribedAt ? `Unsubscribed: ${this.formatDate(new Date(subscriber.unsubscribedAt))}` : ''}
+                        ${this.renderSubscriberStatus(subscriber)}
+                        ${this.describeSubscriberConsent(subscriber)}
                     </div>
+                    <div class="subscriber-interests">${this.describeSubscriberInterests(subscriber)}</div>
                 </div>
                 <div class="subscriber-actions">
+                    ${this.isSubscriberPending(subscriber) || subscriber.suppressed ? '' : `
                     <button class="action-button" onclick="adminPanel.toggleSubscriberStatus('${subscriber._id}', ${!subscriber.isActive})">
                         ${subscriber.isActive ? 'Deactivate' : 'Activate'}
+                    </button>`}
+                    <button class="action-button delete" onclick="adminPanel.deleteSubscriber('${subscriber._id}')">
+                        Delete
                     </button>
                 </div>
             `;
@@ -687,6 +1492,70 @@ class AdminPanel {
         }
     }
 
+    renderSubscriberCategoryCounts(stats) {
+        document.getElementById('sub-following-all').textContent = stats.followingAll || 0;
+        ['instant', 'daily', 'weekly'].forEach(frequency => {
+            document.getElementById(`sub-frequency-${frequency}`).textContent = (stats.byFrequency || {})[frequency] || 0;
+        });
+
+        const container = document.getElementById('subscriber-category-counts');
+        container.innerHTML = (stats.byCategory || []).map(category => `
+            <div class="subscriber-category-count ${category.isActive ? '' : 'inactive'}">
+                <span>${this.escapeHtml(category.displayName)}${category.isActive ? '' : ' (inactive)'}</span>
+                <strong>${category.subscribers}</strong>
+            </div>
+        `).join('');
+    }
+
+    isSubscriberPending(subscriber) {
+        const consent = subscriber.consent || {};
+        return Boolean(consent.requestedAt && !consent.confirmedAt);
+    }
+
+    renderSubscriberStatus(subscriber) {
+        if (subscriber.suppressed) {
+            return '<span class="status-inactive">Suppressed</span>';
+        }
+        if (this.isSubscriberPending(subscriber)) {
+            return '<span class="status-pending">Awaiting confirmation</span>';
+        }
+        return subscriber.isActive ? '<span class="status-active">Active</span>' : '<span class="status-inactive">Inactive</span>';
+    }
+
+    // Double opt-in evidence kept for each subscriber
+    describeSubscriberConsent(subscriber) {
+        const consent = subscriber.consent || {};
+        const pending = subscriber.pendingConsent || {};
+        if (consent.confirmedAt) {
+            const resubscribe = pending.requestedAt ? `; new sign-up awaiting confirmation since ${this.formatDate(new Date(pending.requestedAt))}` : '';
+            return `<span>Confirmed ${this.formatDate(new Date(consent.confirmedAt))}${consent.confirmedIp ? ` from ${this.escapeHtml(consent.confirmedIp)}` : ''}${resubscribe}</span>`;
+        }
+        if (consent.requestedAt) {
+            return `<span>Requested ${this.formatDate(new Date(consent.requestedAt))}${consent.requestedIp ? ` from ${this.escapeHtml(consent.requestedIp)}` : ''}</span>`;
+        }
+        return '';
+    }
+
+    describeSubscriberInterests(subscriber) {
+        const categories = subscriber.categories || [];
+        const tags = subscriber.tags || [];
+
+        const parts = [];
+        if (categories.length === 0 && tags.length === 0) parts.push('All questions');
+        if (categories.length > 0) parts.push(`Categories: ${this.escapeHtml(categories.join(', '))}`);
+        if (tags.length > 0) parts.push(`Tags: ${this.escapeHtml(tags.join(', '))}`);
+        parts.push(this.describeSubscriberFrequency(subscriber));
+        return parts.join(' · ');
+    }
+
+    describeSubscriberFrequency(subscriber) {
+        if (subscriber.frequency === 'daily' || subscriber.frequency === 'weekly') {
+            const label = subscriber.frequency === 'daily' ? 'Daily digest' : 'Weekly digest';
+            return subscriber.lastDigestAt ? `${label} (last sent ${this.formatDate(new Date(subscriber.lastDigestAt))})` : label;
+        }
+        return 'Email per question';
+    }
+
     renderSubscriberPagination(pagination) {
         const paginationContainer = document.getElementById('subscribers-pagination');
         if (!paginationContainer) return;
@@ -719,11 +1588,10 @@ class AdminPanel {
 
     async toggleSubscriberStatus(subscriberId, isActive) {
         try {
-            const response = await fetch(`/api/admin/subscribers/${subscriberId}/status`, {
+            const response = await this.apiFetch(`/api/admin/subscribers/${subscriberId}/status`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-admin-secret': this.adminSecret
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ isActive })
             });
@@ -742,6 +1610,1186 @@ class AdminPanel {
         }
     }
 
+    async deleteSubscriber(subscriberId) {
+        if (!confirm('Move this subscriber to the trash? They will get no more emails.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/subscribers/${subscriberId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Subscriber moved to the trash', 'success');
+                this.loadSubscriberStats();
+            } else {
+                this.showNotification(data.error || 'Failed to delete subscriber', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting subscriber:', error);
+            this.showNotification('Error deleting subscriber', 'error');
+        }
+    }
+
+    async loadModerationQueue(page = 1) {
+        try {
+            const params = new URLSearchParams({
+                status: this.moderationStatus,
+                page,
+                limit: 20
+            });
+            const type = document.getElementById('moderation-type-filter').value;
+            if (type === 'replies') {
+                params.set('kind', 'replies');
+            } else if (type) {
+                params.set('questionType', type);
+            }
+
+            const response = await this.apiFetch(`/api/admin/responses?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.moderationPage = page;
+                this.renderModerationQueue(data.data);
+            } else {
+                this.showNotification(data.error || 'Failed to load responses', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading moderation queue:', error);
+            this.showNotification('Error loading responses', 'error');
+        }
+    }
+
+    renderModerationQueue(data) {
+        Object.entries(data.counts).forEach(([status, count]) => {
+            const counter = document.getElementById(`mod-count-${status}`);
+            if (counter) {
+                counter.textContent = count;
+            }
+        });
+
+        this.selectedResponses.clear();
+        document.getElementById('moderation-select-all').checked = false;
+        this.updateBulkActions();
+
+        const responsesList = document.getElementById('responses-list');
+        responsesList.innerHTML = '';
+
+        if (data.responses.length === 0) {
+            responsesList.innerHTML = '<div class="response-item">Nothing to review here.</div>';
+        }
+
+        data.responses.forEach(response => {
+            const question = response.question || {};
+            const text = response.responseText || response.explanation || response.text || '';
+            const choice = response.choice
+                ? `<span>Chose: ${this.escapeHtml(response.choice)}</span>`
+                : '';
+            const replyDepth = response.depth
+                ? `<span>Reply, level ${response.depth}</span>`
+                : '';
+            const reviewed = response.moderatedAt
+                ? `<span>Reviewed ${this.formatDate(new Date(response.moderatedAt))}${response.moderatedBy ? ` by ${this.escapeHtml(response.moderatedBy.name || response.moderatedBy.email)}` : ''}</span>`
+                : '';
+            const screening = response.screening && response.screening.reasons.length > 0
+                ? `<ul class="screening-reasons">${response.screening.reasons.map(reason => `
+                        <li><strong>${this.escapeHtml(reason.rule)}</strong> +${reason.score}: ${this.escapeHtml(reason.detail)}</li>
+                    `).join('')}</ul>`
+                : '';
+
+            const responseItem = document.createElement('div');
+            responseItem.className = 'response-item';
+            responseItem.innerHTML = `
+                <input type="checkbox" value="${response._id}">
+                <div class="response-item-body">
+                    <div class="response-item-question">
+                        ${this.escapeHtml(question.title || 'Deleted question')}
+                    </div>
+                    <div class="response-item-text">${this.escapeHtml(text)}</div>
+                    ${screening}
+                    <div class="question-item-meta">
+                        <span class="moderation-badge ${response.moderationStatus}">${response.moderationStatus}</span>
+                        ${response.screening ? `<span class="screening-score">Screening score ${response.screening.score}</span>` : ''}
+                        ${choice}
+                        ${replyDepth}
+                        <span>${this.formatDate(new Date(response.timestamp))}</span>
+                        ${reviewed}
+                        ${response.moderationReason ? `<span>Reason: ${this.escapeHtml(response.moderationReason)}</span>` : ''}
+                    </div>
+                </div>
+                <div class="question-actions">
+                    ${response.moderationStatus !== 'approved' ? `
+                        <button class="action-button activate" onclick="adminPanel.moderateResponses(['${response._id}'], 'approved')">Approve</button>
+                    ` : ''}
+                    ${response.moderationStatus !== 'rejected' ? `
+                        <button class="action-button delete" onclick="adminPanel.moderateResponses(['${response._id}'], 'rejected')">Reject</button>
+                    ` : ''}
+                </div>
+            `;
+
+            responseItem.querySelector('input[type="checkbox"]').addEventListener('change', (e) => {
+                this.toggleResponseSelection(e.target.value, e.target.checked);
+            });
+            responsesList.appendChild(responseItem);
+        });
+
+        this.renderModerationPagination(data.pagination);
+    }
+
+    renderModerationPagination(pagination) {
+        const paginationContainer = document.getElementById('responses-pagination');
+        paginationContainer.innerHTML = '';
+
+        if (pagination.totalPages <= 1) return;
+
+        const prevButton = document.createElement('button');
+        prevButton.className = 'page-button';
+        prevButton.textContent = '← Previous';
+        prevButton.disabled = !pagination.hasPrev;
+        prevButton.onclick = () => this.loadModerationQueue(pagination.currentPage - 1);
+        paginationContainer.appendChild(prevButton);
+
+        const pageInfo = document.createElement('span');
+        pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
+        pageInfo.style.padding = '0.5rem 1rem';
+        pageInfo.style.color = 'var(--text-secondary)';
+        paginationContainer.appendChild(pageInfo);
+
+        const nextButton = document.createElement('button');
+        nextButton.className = 'page-button';
+        nextButton.textContent = 'Next →';
+        nextButton.disabled = !pagination.hasNext;
+        nextButton.onclick = () => this.loadModerationQueue(pagination.currentPage + 1);
+        paginationContainer.appendChild(nextButton);
+    }
+
+    toggleResponseSelection(responseId, selected) {
+        if (selected) {
+            this.selectedResponses.add(responseId);
+        } else {
+            this.selectedResponses.delete(responseId);
+        }
+        this.updateBulkActions();
+    }
+
+    updateBulkActions() {
+        const count = this.selectedResponses.size;
+        document.getElementById('moderation-selected-count').textContent = `${count} selected`;
+        document.querySelectorAll('[data-bulk-status]').forEach(button => {
+            button.disabled = count === 0;
+        });
+    }
+
+    async moderateResponses(ids, status) {
+        if (ids.length === 0) return;
+
+        let reason = '';
+        if (status === 'rejected') {
+            reason = prompt('Reason for rejecting (optional):');
+            if (reason === null) return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/admin/responses/moderate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ids,
+                    status,
+                    reason,
+                    kind: document.getElementById('moderation-type-filter').value === 'replies' ? 'replies' : 'responses'
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadModerationQueue(this.moderationPage);
+            } else {
+                this.showNotification(data.error || 'Failed to moderate responses', 'error');
+            }
+        } catch (error) {
+            console.error('Error moderating responses:', error);
+            this.showNotification('Error moderating responses', 'error');
+        }
+    }
+
+    async loadReports(page = 1) {
+        try {
+            this.reportsPage = page;
+            const params = new URLSearchParams({
+                page,
+                limit: 20,
+                status: document.getElementById('reports-status-filter').value
+            });
+            const reason = document.getElementById('reports-reason-filter').value;
+            if (reason) params.set('reason', reason);
+
+            const response = await this.apiFetch(`/api/admin/reports?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderReports(data.data);
+            } else {
+                this.showNotification(data.error || 'Failed to load reports', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading reports:', error);
+            this.showNotification('Error loading reports', 'error');
+        }
+    }
+
+    renderReports(data) {
+        const reportsList = document.getElementById('reports-list');
+        reportsList.innerHTML = '';
+
+        if (data.groups.length === 0) {
+            reportsList.innerHTML = '<div class="response-item">No reports here.</div>';
+        }
+
+        const isOpen = document.getElementById('reports-status-filter').value === 'open';
+
+        data.groups.forEach(group => {
+            const response = group.response || {};
+            const question = response.question || {};
+            const text = response.responseText || response.explanation || 'Deleted response';
+            const reasons = Object.entries(group.reasons)
+                .map(([reason, count]) => `<span class="report-reason">${this.escapeHtml(reason.replace('_', ' '))} × ${count}</span>`)
+                .join('');
+            const reports = group.reports.map(report => `
+                <li>
+                    <strong>${this.escapeHtml(report.reason.replace('_', ' '))}</strong>
+                    ${report.details ? `- ${this.escapeHtml(report.details)}` : ''}
+                    <span class="report-reporter">reporter ${this.escapeHtml(report.reporterId)} (weight ${report.weight})</span>
+                </li>
+            `).join('');
+
+            const reportItem = document.createElement('div');
+            reportItem.className = 'response-item';
+            reportItem.innerHTML = `
+                <div class="response-item-body">
+                    <div class="response-item-question">
+                        ${this.escapeHtml(question.title || 'Deleted question')}
+                    </div>
+                    <div class="response-item-text">${this.escapeHtml(text)}</div>
+                    <div class="report-reasons">${reasons}</div>
+                    <ul class="screening-reasons">${reports}</ul>
+                    <div class="question-item-meta">
+                        ${response.moderationStatus ? `<span class="moderation-badge ${response.moderationStatus}">${response.moderationStatus}</span>` : ''}
+                        <span>${group.reportCount} report${group.reportCount === 1 ? '' : 's'}, score ${group.score}</span>
+                        <span>Last reported ${this.formatDate(new Date(group.lastReportedAt))}</span>
+                        ${response.reportHiddenAt ? '<span>Hidden by reports</span>' : ''}
+                    </div>
+                </div>
+                ${isOpen && response._id ? `
+                    <div class="question-actions">
+                        <button class="action-button delete" onclick="adminPanel.resolveReports(['${response._id}'], 'uphold')">Uphold</button>
+                        <button class="action-button activate" onclick="adminPanel.resolveReports(['${response._id}'], 'dismiss')">Dismiss</button>
+                    </div>
+                ` : ''}
+            `;
+            reportsList.appendChild(reportItem);
+        });
+
+        this.renderReportsPagination(data.pagination);
+    }
+
+    renderReportsPagination(pagination) {
+        const paginationContainer = document.getElementById('reports-pagination');
+        paginationContainer.innerHTML = '';
+
+        if (pagination.totalPages <= 1) return;
+
+        const prevButton = document.createElement('button');
+        prevButton.className = 'page-button';
+        prevButton.textContent = '← Previous';
+        prevButton.disabled = !pagination.hasPrev;
+        prevButton.onclick = () => this.loadReports(pagination.currentPage - 1);
+        paginationContainer.appendChild(prevButton);
+
+        const pageInfo = document.createElement('span');
+        pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
+        pageInfo.style.padding = '0.5rem 1rem';
+        pageInfo.style.color = 'var(--text-secondary)';
+        paginationContainer.appendChild(pageInfo);
+
+        const nextButton = document.createElement('button');
+        nextButton.className = 'page-button';
+        nextButton.textContent = 'Next →';
+        nextButton.disabled = !pagination.hasNext;
+        nextButton.onclick = () => this.loadReports(pagination.currentPage + 1);
+        paginationContainer.appendChild(nextButton);
+    }
+
+    async resolveReports(responseIds, action) {
+        const confirmation = action === 'uphold'
+            ? 'Uphold these reports and reject the response?'
+            : 'Dismiss these reports? A response hidden by reports will be published again.';
+        if (!confirm(confirmation)) return;
+
+        try {
+            const response = await this.apiFetch('/api/admin/reports/resolve', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ responseIds, action })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadReports(this.reportsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to resolve reports', 'error');
+            }
+        } catch (error) {
+            console.error('Error resolving reports:', error);
+            this.showNotification('Error resolving reports', 'error');
+        }
+    }
+
+    // Active categories for the create, edit and bulk forms
+    async loadCategoryOptions() {
+        try {
+            const response = await this.apiFetch('/api/questions/categories');
+            const data = await response.json();
+            if (!data.success) return;
+
+            const options = data.data
+                .map(category => `<option value="${this.escapeHtml(category.slug)}">${this.escapeHtml(category.displayName)}</option>`)
+                .join('');
+            document.getElementById('question-category').innerHTML = `<option value="">Select a category</option>${options}`;
+            document.getElementById('question-bulk-category').innerHTML = options;
+        } catch (error) {
+            console.error('Error loading category options:', error);
+        }
+    }
+
+    async loadCategories() {
+        try {
+            const response = await this.apiFetch('/api/admin/categories');
+            const data = await response.json();
+
+            if (data.success) {
+                this.categories = data.data.categories;
+                this.renderCategories();
+            } else {
+                this.showNotification(data.error || 'Failed to load categories', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading categories:', error);
+            this.showNotification('Error loading categories', 'error');
+        }
+    }
+
+    renderCategories() {
+        const categoriesList = document.getElementById('categories-list');
+        categoriesList.innerHTML = '';
+
+        if (this.categories.length === 0) {
+            categoriesList.innerHTML = '<div class="response-item">No categories yet.</div>';
+        }
+
+        this.categories.forEach(category => {
+            const item = document.createElement('div');
+            item.className = 'response-item';
+            item.innerHTML = `
+                <div class="category-swatch" style="background: ${this.escapeHtml(category.color)}">
+                    <i class="${this.escapeHtml(category.icon)}"></i>
+                </div>
+                <div class="response-item-body">
+                    <div class="response-item-question">${this.escapeHtml(category.displayName)}</div>
+                    <div class="question-item-meta">
+                        <span>/category/${this.escapeHtml(category.slug)}</span>
+                        <span>${category.questionCount} question${category.questionCount === 1 ? '' : 's'}</span>
+                        <span>Order ${category.sortOrder}</span>
+                        <span class="${category.isActive ? 'status-active' : 'status-inactive'}">${category.isActive ? 'Active' : 'Inactive'}</span>
+                    </div>
+                    ${category.description ? `<p>${this.escapeHtml(category.description)}</p>` : ''}
+                </div>
+                <div class="question-actions">
+                    <button class="action-button" onclick="adminPanel.editCategory('${category.slug}')">Edit</button>
+                    <button class="action-button ${category.isActive ? 'deactivate' : 'activate'}"
+                        onclick="adminPanel.setCategoryActive('${category.slug}', ${!category.isActive})">
+                        ${category.isActive ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button class="action-button delete" onclick="adminPanel.deleteCategory('${category.slug}')"
+                        ${category.questionCount > 0 ? 'disabled title="Categories with questions can only be deactivated"' : ''}>Delete</button>
+                </div>
+            `;
+            categoriesList.appendChild(item);
+        });
+    }
+
+    editCategory(slug) {
+        const category = this.categories.find(item => item.slug === slug);
+        if (!category) return;
+
+        document.getElementById('category-editing').value = category.slug;
+        document.getElementById('category-slug').value = category.slug;
+        document.getElementById('category-slug').disabled = true;
+        document.getElementById('category-display-name').value = category.displayName;
+        document.getElementById('category-description').value = category.description || '';
+        document.getElementById('category-icon').value = category.icon || '';
+        document.getElementById('category-color').value = category.color;
+        document.getElementById('category-sort-order').value = category.sortOrder;
+        document.getElementById('category-active').checked = category.isActive;
+        document.getElementById('category-submit').textContent = 'Save Category';
+        document.getElementById('category-cancel').style.display = '';
+        document.getElementById('category-form').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    resetCategoryForm() {
+        document.getElementById('category-form').reset();
+        document.getElementById('category-editing').value = '';
+        document.getElementById('category-slug').disabled = false;
+        document.getElementById('category-submit').textContent = 'Create Category';
+        document.getElementById('category-cancel').style.display = 'none';
+    }
+
+    async saveCategory() {
+        const editing = document.getElementById('category-editing').value;
+        const requestData = {
+            displayName: document.getElementById('category-display-name').value.trim(),
+            description: document.getElementById('category-description').value.trim(),
+            color: document.getElementById('category-color').value,
+            sortOrder: parseInt(document.getElementById('category-sort-order').value) || 0,
+            isActive: document.getElementById('category-active').checked
+        };
+        const icon = document.getElementById('category-icon').value.trim();
+        if (icon) {
+            requestData.icon = icon;
+        }
+        if (!editing) {
+            requestData.slug = document.getElementById('category-slug').value.trim();
+        }
+
+        try {
+            const response = await this.apiFetch(editing ? `/api/admin/categories/${editing}` : '/api/admin/categories', {
+                method: editing ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestData)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.resetCategoryForm();
+                this.loadCategories();
+                this.loadCategoryOptions();
+            } else {
+                this.showNotification(data.error || 'Failed to save category', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving category:', error);
+            this.showNotification('Error saving category', 'error');
+        }
+    }
+
+    async setCategoryActive(slug, isActive) {
+        try {
+            const response = await this.apiFetch(`/api/admin/categories/${slug}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ isActive })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(isActive ? 'Category activated' : 'Category deactivated', 'success');
+                this.loadCategories();
+                this.loadCategoryOptions();
+            } else {
+                this.showNotification(data.error || 'Failed to update category', 'error');
+            }
+        } catch (error) {
+            console.error('Error updating category:', error);
+            this.showNotification('Error updating category', 'error');
+        }
+    }
+
+    async deleteCategory(slug) {
+        if (!confirm('Delete this category? This cannot be undone.')) return;
+
+        try {
+            const response = await this.apiFetch(`/api/admin/categories/${slug}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadCategories();
+                this.loadCategoryOptions();
+            } else {
+                this.showNotification(data.error || 'Failed to delete category', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            this.showNotification('Error deleting category', 'error');
+        }
+    }
+
+    async loadTranslations(page = 1) {
+        try {
+            this.translationsPage = page;
+            const localeFilter = document.getElementById('translation-locale-filter');
+            const status = document.getElementById('translation-status-filter').value;
+            const params = new URLSearchParams({ page, limit: 20 });
+            if (localeFilter.value) params.set('locale', localeFilter.value);
+            if (status) params.set('status', status);
+
+            const response = await this.apiFetch(`/api/admin/translations?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                // The first load fills in the languages, defaulting to the first one
+                if (localeFilter.options.length === 0) {
+                    localeFilter.innerHTML = data.data.locales.map(locale =>
+                        `<option value="${locale.code}">${this.escapeHtml(locale.name)}</option>`
+                    ).join('');
+                    if (data.data.locales.length > 0 && !params.has('locale')) {
+                        return this.loadTranslations(page);
+                    }
+                }
+                this.renderTranslationSummary(data.data);
+                this.renderTranslations(data.data, localeFilter.value);
+            } else {
+                this.showNotification(data.error || 'Failed to load translations', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading translations:', error);
+            this.showNotification('Error loading translations', 'error');
+        }
+    }
+
+    translationStatusBadge(status) {
+        const labels = { complete: 'Complete', outdated: 'Outdated', incomplete: 'Incomplete', missing: 'Missing' };
+        return `<span class="translation-status ${status}">${labels[status] || this.escapeHtml(status)}</span>`;
+    }
+
+    renderTranslationSummary(data) {
+        const summary = document.getElementById('translation-summary');
+        summary.innerHTML = data.locales.map(locale => {
+            const counts = data.summary[locale.code];
+            return `
+                <div class="stat-card">
+                    <h3>${this.escapeHtml(locale.name)}</h3>
+                    <div class="stat-number">${counts.complete}/${data.totalQuestions}</div>
+                    <p class="translation-counts">
+                        ${counts.outdated} outdated · ${counts.incomplete} incomplete · ${counts.missing} missing
+                    </p>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderTranslations(data, locale) {
+        const list = document.getElementById('translations-list');
+        list.innerHTML = '';
+
+        if (data.questions.length === 0) {
+            list.innerHTML = '<div class="response-item">No questions match these filters.</div>';
+        }
+
+        data.questions.forEach(question => {
+            const status = question.translations[locale];
+            const item = document.createElement('div');
+            item.className = 'response-item';
+            item.innerHTML = `
+                <div class="response-item-body">
+                    <div class="response-item-question">${this.escapeHtml(question.title)}</div>
+                    <div class="question-item-meta">
+                        <span>${this.escapeHtml(question.category)}</span>
+                        <span>${question.questionType === 'paragraph' ? 'Paragraph' : 'Multiple choice'}</span>
+                        ${this.renderStatusBadge(question)}
+                        ${this.translationStatusBadge(status)}
+                    </div>
+                </div>
+                <div class="question-actions">
+                    <button class="action-button" onclick="adminPanel.openTranslationEditor('${question._id}', '${locale}')">
+                        ${status === 'missing' ? 'Translate' : 'Edit'}
+                    </button>
+                </div>
+            `;
+            list.appendChild(item);
+        });
+
+        this.renderTranslationsPagination(data.pagination);
+    }
+
+    renderTranslationsPagination(pagination) {
+        const paginationContainer = document.getElementById('translations-pagination');
+        paginationContainer.innerHTML = '';
+
+        if (pagination.totalPages <= 1) return;
+
+        const prevButton = document.createElement('button');
+        prevButton.className = 'page-button';
+        prevButton.textContent = '← Previous';
+        prevButton.disabled = pagination.currentPage <= 1;
+        prevButton.onclick = () => this.loadTranslations(pagination.currentPage - 1);
+        paginationContainer.appendChild(prevButton);
+
+        const pageInfo = document.createElement('span');
+        pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
+        pageInfo.style.padding = '0.5rem 1rem';
+        pageInfo.style.color = 'var(--text-secondary)';
+        paginationContainer.appendChild(pageInfo);
+
+        const nextButton = document.createElement('button');
+        nextButton.className = 'page-button';
+        nextButton.textContent = 'Next →';
+        nextButton.disabled = pagination.currentPage >= pagination.totalPages;
+        nextButton.onclick = () => this.loadTranslations(pagination.currentPage + 1);
+        paginationContainer.appendChild(nextButton);
+    }
+
+    // Editor with the source text next to the translation fields
+    async openTranslationEditor(questionId, locale) {
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/translations`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.error || 'Failed to load translation', 'error');
+                return;
+            }
+
+            const { source } = data.data;
+            const translation = data.data.translations.find(item => item.locale === locale) || { locale };
+            const translatedChoices = new Map((translation.choices || []).map(choice => [choice.choiceId, choice.text]));
+            const row = (sourceText, field) => `
+                <div class="form-group translation-row">
+                    <div class="translation-source">${this.escapeHtml(sourceText)}</div>
+                    ${field}
+                </div>
+            `;
+
+            document.getElementById('translation-question-id').value = questionId;
+            document.getElementById('translation-locale').value = locale;
+            document.getElementById('translation-form-title').innerHTML =
+                `${this.escapeHtml(translation.name || locale)} ${translation.status ? this.translationStatusBadge(translation.status) : ''}`;
+            document.getElementById('translation-delete').style.display = translation.updatedAt ? '' : 'none';
+            document.getElementById('translation-fields').innerHTML = `
+                <label>Title</label>
+                ${row(source.title, '<input type="text" id="translation-title" maxlength="200">')}
+                <label>Question</label>
+                ${row(source.questionText, '<textarea id="translation-text" rows="5" maxlength="2000"></textarea>')}
+                ${source.choices.length > 0 ? '<label>Choices</label>' : ''}
+                ${source.choices.map(choice => row(choice.text,
+                    `<input type="text" class="translation-choice" data-choice-id="${choice._id}" maxlength="500">`
+                )).join('')}
+            `;
+            document.getElementById('translation-title').value = translation.title || '';
+            document.getElementById('translation-text').value = translation.questionText || '';
+            document.querySelectorAll('.translation-choice').forEach(input => {
+                input.value = translatedChoices.get(input.dataset.choiceId) || '';
+            });
+
+            const form = document.getElementById('translation-form');
+            form.style.display = '';
+            form.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Error loading translation:', error);
+            this.showNotification('Error loading translation', 'error');
+        }
+    }
+
+    closeTranslationEditor() {
+        document.getElementById('translation-form').style.display = 'none';
+        document.getElementById('translation-fields').innerHTML = '';
+    }
+
+    async saveTranslation() {
+        const questionId = document.getElementById('translation-question-id').value;
+        const locale = document.getElementById('translation-locale').value;
+        const requestData = {
+            title: document.getElementById('translation-title').value.trim(),
+            questionText: document.getElementById('translation-text').value.trim(),
+            choices: Array.from(document.querySelectorAll('.translation-choice'))
+                .filter(input => input.value.trim())
+                .map(input => ({ choiceId: input.dataset.choiceId, text: input.value.trim() }))
+        };
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/translations/${locale}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestData)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.closeTranslationEditor();
+                this.loadTranslations(this.translationsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to save translation', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving translation:', error);
+            this.showNotification('Error saving translation', 'error');
+        }
+    }
+
+    async deleteTranslation() {
+        if (!confirm('Delete this translation? Visitors will see the question in the source language.')) return;
+
+        const questionId = document.getElementById('translation-question-id').value;
+        const locale = document.getElementById('translation-locale').value;
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/translations/${locale}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.closeTranslationEditor();
+                this.loadTranslations(this.translationsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to delete translation', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting translation:', error);
+            this.showNotification('Error deleting translation', 'error');
+        }
+    }
+
+    async loadOutbox(page = 1) {
+        try {
+            this.outboxPage = page;
+            const status = document.getElementById('outbox-status-filter').value;
+            const params = new URLSearchParams({ page, limit: 20 });
+            if (status) params.set('status', status);
+
+            const response = await this.apiFetch(`/api/admin/outbox?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderOutbox(data.data);
+            } else {
+                this.showNotification(data.error || 'Failed to load outbox', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading outbox:', error);
+            this.showNotification('Error loading outbox', 'error');
+        }
+    }
+
+    renderOutbox(data) {
+        const { counts, settings } = data;
+        document.getElementById('outbox-summary').textContent =
+            `${counts.pending} waiting, ${counts.sending} sending, ${counts.sent} sent, ${counts.dead} dead-lettered, ${counts.cancelled} cancelled. ` +
+            `Sends up to ${settings.ratePerSecond} a second and gives up after ${settings.maxAttempts} attempts.`;
+        document.getElementById('outbox-requeue-dead').disabled = counts.dead === 0;
+
+        const outboxList = document.getElementById('outbox-list');
+        outboxList.innerHTML = '';
+
+        if (data.messages.length === 0) {
+            outboxList.innerHTML = '<div class="response-item">No messages.</div>';
+        }
+
+        data.messages.forEach(message => {
+            const when = message.sentAt
+                ? `Sent ${this.formatDate(new Date(message.sentAt))}`
+                : message.status === 'pending'
+                    ? `Next attempt ${this.formatDate(new Date(message.nextAttemptAt))}`
+                    : `Queued ${this.formatDate(new Date(message.createdAt))}`;
+            const canRequeue = ['pending', 'dead', 'cancelled'].includes(message.status);
+
+            const outboxItem = document.createElement('div');
+            outboxItem.className = 'response-item';
+            outboxItem.innerHTML = `
+                <div class="response-item-body">
+                    <div class="response-item-question">${this.escapeHtml(message.subject)}</div>
+                    <div class="question-item-meta">
+                        <span>${this.escapeHtml(message.to)}</span>
+                        <span>${message.kind === 'digest' ? 'Digest' : 'New question'}</span>
+                        <span class="outbox-status-${message.status}">${message.status}</span>
+                        <span>${message.attempts} attempt${message.attempts === 1 ? '' : 's'}</span>
+                        <span>${when}</span>
+                    </div>
+                    ${message.lastError ? `<div class="outbox-error">${this.escapeHtml(message.lastError)}</div>` : ''}
+                </div>
+                <div class="question-actions">
+                    ${canRequeue ? `<button class="action-button activate" onclick="adminPanel.requeueOutboxMessage('${message._id}')">${message.status === 'pending' ? 'Send now' : 'Requeue'}</button>` : ''}
+                </div>
+            `;
+            outboxList.appendChild(outboxItem);
+        });
+
+        this.renderOutboxPagination(data.pagination);
+    }
+
+    renderOutboxPagination(pagination) {
+        const paginationContainer = document.getElementById('outbox-pagination');
+        paginationContainer.innerHTML = '';
+
+        if (pagination.totalPages <= 1) return;
+
+        const prevButton = document.createElement('button');
+        prevButton.className = 'page-button';
+        prevButton.textContent = '← Previous';
+        prevButton.disabled = !pagination.hasPrev;
+        prevButton.onclick = () => this.loadOutbox(pagination.currentPage - 1);
+        paginationContainer.appendChild(prevButton);
+
+        const pageInfo = document.createElement('span');
+        pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
+        pageInfo.style.padding = '0.5rem 1rem';
+        pageInfo.style.color = 'var(--text-secondary)';
+        paginationContainer.appendChild(pageInfo);
+
+        const nextButton = document.createElement('button');
+        nextButton.className = 'page-button';
+        nextButton.textContent = 'Next →';
+        nextButton.disabled = !pagination.hasNext;
+        nextButton.onclick = () => this.loadOutbox(pagination.currentPage + 1);
+        paginationContainer.appendChild(nextButton);
+    }
+
+    async requeueOutboxMessage(id) {
+        try {
+            const response = await this.apiFetch(`/api/admin/outbox/${id}/requeue`, {
+                method: 'POST'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadOutbox(this.outboxPage);
+            } else {
+                this.showNotification(data.error || 'Failed to requeue message', 'error');
+            }
+        } catch (error) {
+            console.error('Error requeuing outbox message:', error);
+            this.showNotification('Error requeuing message', 'error');
+        }
+    }
+
+    async requeueDeadOutboxMessages() {
+        if (!confirm('Requeue every dead-lettered message? They will be sent again with a fresh set of attempts.')) return;
+
+        try {
+            const response = await this.apiFetch('/api/admin/outbox/requeue', {
+                method: 'POST'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadOutbox(this.outboxPage);
+            } else {
+                this.showNotification(data.error || 'Failed to requeue messages', 'error');
+            }
+        } catch (error) {
+            console.error('Error requeuing outbox messages:', error);
+            this.showNotification('Error requeuing messages', 'error');
+        }
+    }
+
+    async loadSuppressions() {
+        try {
+            const response = await this.apiFetch('/api/admin/suppressions?limit=50');
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderSuppressions(data.data);
+            } else {
+                this.showNotification(data.error || 'Failed to load suppression list', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading suppression list:', error);
+            this.showNotification('Error loading suppression list', 'error');
+        }
+    }
+
+    renderSuppressions(data) {
+        const { counts, pagination } = data;
+        document.getElementById('suppression-summary').textContent =
+            `${pagination.totalItems} suppressed: ${counts.hard_bounce} hard bounces, ${counts.soft_bounce} repeated soft bounces, ` +
+            `${counts.complaint} complaints, ${counts.manual} added by hand.` +
+            (pagination.hasNext ? ' Showing the 50 most recent.' : '');
+
+        const reasons = { hard_bounce: 'Hard bounce', soft_bounce: 'Soft bounces', complaint: 'Complaint', manual: 'Added by hand' };
+        const suppressionList = document.getElementById('suppression-list');
+        suppressionList.innerHTML = '';
+
+        if (data.suppressions.length === 0) {
+            suppressionList.innerHTML = '<div class="response-item">No suppressed addresses.</div>';
+        }
+
+        data.suppressions.forEach(suppression => {
+            const suppressionItem = document.createElement('div');
+            suppressionItem.className = 'response-item';
+            suppressionItem.innerHTML = `
+                <div class="response-item-body">
+                    <div class="response-item-question">${this.escapeHtml(suppression.email)}</div>
+                    <div class="question-item-meta">
+                        <span class="outbox-status-dead">${reasons[suppression.reason] || suppression.reason}</span>
+                        <span>Since ${this.formatDate(new Date(suppression.createdAt))}</span>
+                    </div>
+                    ${suppression.details ? `<div class="outbox-error">${this.escapeHtml(suppression.details)}</div>` : ''}
+                </div>
+                <div class="question-actions">
+                    <button class="action-button" onclick="adminPanel.removeSuppression('${suppression._id}')">Remove</button>
+                </div>
+            `;
+            suppressionList.appendChild(suppressionItem);
+        });
+    }
+
+    async addSuppression() {
+        const input = document.getElementById('suppression-email');
+        const email = input.value.trim();
+        if (!email) return;
+
+        try {
+            const response = await this.apiFetch('/api/admin/suppressions', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                input.value = '';
+                this.showNotification(data.message, 'success');
+                this.loadSuppressions();
+            } else {
+                this.showNotification(data.error || 'Failed to suppress address', 'error');
+            }
+        } catch (error) {
+            console.error('Error suppressing address:', error);
+            this.showNotification('Error suppressing address', 'error');
+        }
+    }
+
+    async removeSuppression(id) {
+        if (!confirm('Remove this address from the suppression list? Its owner will be able to subscribe again.')) return;
+
+        try {
+            const response = await this.apiFetch(`/api/admin/suppressions/${id}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadSuppressions();
+            } else {
+                this.showNotification(data.error || 'Failed to remove address', 'error');
+            }
+        } catch (error) {
+            console.error('Error removing suppression:', error);
+            this.showNotification('Error removing address', 'error');
+        }
+    }
+
+    async loadTrash(page = 1) {
+        try {
+            this.trashPage = page;
+            const type = document.getElementById('trash-type-filter').value;
+            const params = new URLSearchParams({ page, limit: 20 });
+
+            const response = await this.apiFetch(`/api/admin/trash/${type}?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderTrash(type, data.data);
+            } else {
+                this.showNotification(data.error || 'Failed to load trash', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.showNotification('Error loading trash', 'error');
+        }
+    }
+
+    renderTrash(type, data) {
+        const trashList = document.getElementById('trash-list');
+        trashList.innerHTML = '';
+
+        document.getElementById('trash-retention').textContent =
+            `Deleted items are removed for good ${data.retentionDays} day${data.retentionDays === 1 ? '' : 's'} after they were deleted.`;
+
+        const items = data[type];
+        if (items.length === 0) {
+            trashList.innerHTML = '<div class="response-item">The trash is empty.</div>';
+        }
+
+        items.forEach(item => {
+            const title = type === 'questions' ? item.title : item.email;
+            const details = type === 'questions'
+                ? `<span>${this.escapeHtml(item.category)}</span>
+                   <span>${item.questionType === 'paragraph' ? 'Paragraph' : 'Multiple choice'}</span>
+                   <span>${item.responseCount || 0} responses</span>`
+                : `<span>Subscribed ${this.formatDate(new Date(item.subscribedAt))}</span>`;
+
+            const trashItem = document.createElement('div');
+            trashItem.className = 'response-item';
+            trashItem.innerHTML = `
+                <div class="response-item-body">
+                    <div class="response-item-question">${this.escapeHtml(title)}</div>
+                    <div class="question-item-meta">
+                        ${details}
+                        <span>Deleted ${this.formatDate(new Date(item.deletedAt))}</span>
+                        <span class="trash-purge-at">Purged ${this.formatDate(new Date(item.purgeAt))}</span>
+                    </div>
+                </div>
+                <div class="question-actions">
+                    <button class="action-button activate" onclick="adminPanel.restoreFromTrash('${type}', '${item._id}')">Restore</button>
+                    <button class="action-button delete" onclick="adminPanel.purgeFromTrash('${type}', '${item._id}')">Delete forever</button>
+                </div>
+            `;
+            trashList.appendChild(trashItem);
+        });
+
+        this.renderTrashPagination(data.pagination);
+    }
+
+    renderTrashPagination(pagination) {
+        const paginationContainer = document.getElementById('trash-pagination');
+        paginationContainer.innerHTML = '';
+
+        if (pagination.totalPages <= 1) return;
+
+        const prevButton = document.createElement('button');
+        prevButton.className = 'page-button';
+        prevButton.textContent = '← Previous';
+        prevButton.disabled = !pagination.hasPrev;
+        prevButton.onclick = () => this.loadTrash(pagination.currentPage - 1);
+        paginationContainer.appendChild(prevButton);
+
+        const pageInfo = document.createElement('span');
+        pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
+        pageInfo.style.padding = '0.5rem 1rem';
+        pageInfo.style.color = 'var(--text-secondary)';
+        paginationContainer.appendChild(pageInfo);
+
+        const nextButton = document.createElement('button');
+        nextButton.className = 'page-button';
+        nextButton.textContent = 'Next →';
+        nextButton.disabled = !pagination.hasNext;
+        nextButton.onclick = () => this.loadTrash(pagination.currentPage + 1);
+        paginationContainer.appendChild(nextButton);
+    }
+
+    async restoreFromTrash(type, id) {
+        try {
+            const response = await this.apiFetch(`/api/admin/${type}/${id}/restore`, {
+                method: 'POST'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadTrash(this.trashPage);
+            } else {
+                this.showNotification(data.error || 'Failed to restore', 'error');
+            }
+        } catch (error) {
+            console.error('Error restoring from trash:', error);
+            this.showNotification('Error restoring from trash', 'error');
+        }
+    }
+
+    async purgeFromTrash(type, id) {
+        const confirmation = type === 'questions'
+            ? 'Delete this question forever? Its responses and views are deleted too. This cannot be undone.'
+            : 'Delete this subscriber forever? This cannot be undone.';
+        if (!confirm(confirmation)) return;
+
+        try {
+            const response = await this.apiFetch(`/api/admin/trash/${type}/${id}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadTrash(this.trashPage);
+            } else {
+                this.showNotification(data.error || 'Failed to delete', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting from trash:', error);
+            this.showNotification('Error deleting from trash', 'error');
+        }
+    }
+
+    async loadModerationSettings() {
+        try {
+            const response = await this.apiFetch('/api/admin/moderation/settings');
+            const data = await response.json();
+
+            if (data.success) {
+                document.getElementById('moderation-mode').value = data.data.mode;
+            }
+        } catch (error) {
+            console.error('Error loading moderation settings:', error);
+        }
+    }
+
+    async updateModerationMode(mode) {
+        try {
+            const response = await this.apiFetch('/api/admin/moderation/settings', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ mode })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(
+                    mode === 'pre_moderation' ? 'New responses will be held for review' : 'New responses will be published immediately',
+                    'success'
+                );
+            } else {
+                this.showNotification(data.error || 'Failed to update moderation settings', 'error');
+                this.loadModerationSettings();
+            }
+        } catch (error) {
+            console.error('Error updating moderation settings:', error);
+            this.showNotification('Error updating moderation settings', 'error');
+            this.loadModerationSettings();
+        }
+    }
+
     showNotification(message, type = 'info') {
         // Remove existing notifications
         const existingNotifications = document.querySelectorAll('.notification');
@@ -11,11 +11,13 @@ class Homepage {
 
     async init() {
         try {
+            // The API answers in the language i18n settles on
+            await window.i18n.ready;
             await this.loadFeaturedQuestions();
             this.setupNewsletterForm();
         } catch (error) {
             console.error('Error initializing homepage:', error);
-            this.showError('Failed to load content. Please refresh the page.');
+            this.showError(window.i18n.t('home.loadFailed'));
         } finally {
             this.hideLoadingScreen();
         }
@@ -95,7 +97,7 @@ class Homepage {
         const email = emailInput.value.trim();
 
         if (!this.isValidEmail(email)) {
-            this.showNewsletterMessage('Please enter a valid email address.', 'error');
+            this.showNewsletterMessage(window.i18n.t('home.invalidEmail'), 'error');
             return;
         }
 
@@ -118,14 +120,14 @@ class Homepage {
             const data = await response.json();
 
             if (data.success) {
-                this.showNewsletterMessage('🎉 Successfully subscribed! Check your email for a welcome message.', 'success');
+                this.showNewsletterMessage(window.i18n.t('home.subscribed'), 'success');
                 emailInput.value = '';
             } else {
-                this.showNewsletterMessage(data.error || 'Failed to subscribe. Please try again.', 'error');
+                this.showNewsletterMessage(data.error || window.i18n.t('home.subscribeFailed'), 'error');
             }
         } catch (error) {
             console.error('Newsletter subscription error:', error);
-            this.showNewsletterMessage('Network error. Please check your connection and try again.', 'error');
+            this.showNewsletterMessage(window.i18n.t('common.networkError'), 'error');
         } finally {
             // Hide loading state
             submitButton.disabled = false;
@@ -182,18 +184,14 @@ class Homepage {
         const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
         if (diffDays === 1) {
-            return 'Yesterday';
+            return window.i18n.t('common.yesterday');
         } else if (diffDays < 7) {
-            return `${diffDays} days ago`;
+            return window.i18n.t('common.daysAgo', { count: diffDays });
         } else if (diffDays < 30) {
             const weeks = Math.floor(diffDays / 7);
-            return weeks === 1 ? '1 week ago' : `${weeks} weeks ago`;
+            return weeks === 1 ? window.i18n.t('common.weekAgo') : window.i18n.t('common.weeksAgo', { count: weeks });
         } else {
-            return date.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric'
-            });
+            return window.i18n.formatDate(date);
         }
     }
 
@@ -0,0 +1,93 @@
+// Interface translations shared by the public pages.
+// Loads the visitor's language and UI strings from /api/locales, then fills in elements
+// marked with data-i18n (text) or data-i18n-placeholder, and any language picker
+// (select[data-language-picker]). Page scripts wait for i18n.ready before rendering.
+class I18n {
+    constructor() {
+        this.locale = document.documentElement.lang || 'en';
+        this.strings = {};
+        this.supported = [];
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            // Pass an explicit ?lang= on so the server remembers the choice for later requests
+            const lang = new URLSearchParams(window.location.search).get('lang');
+            const response = await fetch(lang ? `/api/locales?lang=${encodeURIComponent(lang)}` : '/api/locales');
+            const data = await response.json();
+
+            if (data.success) {
+                this.locale = data.data.locale;
+                this.strings = data.data.strings;
+                this.supported = data.data.supported;
+                document.documentElement.lang = this.locale;
+            }
+        } catch (error) {
+            console.error('Error loading translations:', error);
+        }
+
+        if (document.readyState === 'loading') {
+            await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+        }
+
+        this.apply();
+        this.setupLanguagePickers();
+        return this;
+    }
+
+    lookup(key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), this.strings);
+    }
+
+    // t('common.votes', { count: 3 }) - the key itself is returned when there is no string for it
+    t(key, params = {}) {
+        const value = this.lookup(key);
+        if (typeof value !== 'string') return key;
+        return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    }
+
+    // Elements keep their original text when a key is missing
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const value = this.lookup(element.dataset.i18n);
+            if (typeof value === 'string') element.textContent = value;
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            const value = this.lookup(element.dataset.i18nPlaceholder);
+            if (typeof value === 'string') element.placeholder = value;
+        });
+    }
+
+    // Switching language reloads the page with ?lang=, which the server then remembers
+    setupLanguagePickers() {
+        document.querySelectorAll('select[data-language-picker]').forEach(picker => {
+            if (this.supported.length < 2) {
+                picker.style.display = 'none';
+                return;
+            }
+
+            picker.setAttribute('aria-label', this.t('nav.language'));
+            picker.innerHTML = '';
+            this.supported.forEach(({ code, name }) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = name;
+                option.selected = code === this.locale;
+                picker.appendChild(option);
+            });
+
+            picker.addEventListener('change', () => {
+                const url = new URL(window.location.href);
+                url.searchParams.set('lang', picker.value);
+                window.location.href = url.toString();
+            });
+        });
+    }
+
+    formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        return new Date(date).toLocaleDateString(this.locale, options);
+    }
+}
+
+window.i18n = new I18n();
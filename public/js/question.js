@@ -1,4 +1,8 @@
 // Question page functionality
+
+// Reactions readers can leave on a response (labels come from the locale strings)
+const REACTION_TYPES = ['insightful', 'agree', 'disagree'];
+
 class QuestionPage {
     constructor() {
         this.loadingScreen = document.getElementById('loading-screen');
@@ -18,8 +22,12 @@ class QuestionPage {
         this.thankYouSection = document.getElementById('thank-you-section');
         
         this.currentQuestion = null;
+        this.viewerResponse = null;
         this.selectedChoice = null;
+        this.selectedChoiceId = null;
         this.responsePage = 1;
+        this.responseSort = 'newest';
+        this.replyMaxDepth = 3;
         this.userResponseKey = '';
         
         this.init();
@@ -27,6 +35,8 @@ class QuestionPage {
 
     async init() {
         try {
+            await window.i18n.ready;
+
             const pathParts = window.location.pathname.split('/');
             if (pathParts.length !== 3) {
                 throw new Error('Invalid URL format');
@@ -56,6 +66,7 @@ class QuestionPage {
             }
 
             this.currentQuestion = data.data;
+            this.viewerResponse = data.viewerResponse || null;
             this.renderQuestion();
             this.checkUserResponse();
             await this.loadRelatedQuestions(category);
@@ -77,7 +88,7 @@ class QuestionPage {
         // Show question type
         const questionTypeTag = document.getElementById('question-type');
         const questionType = this.currentQuestion.questionType || 'multiple_choice';
-        questionTypeTag.textContent = questionType === 'multiple_choice' ? 'Multiple Choice' : 'Open Response';
+        questionTypeTag.textContent = this.questionTypeLabel(questionType);
         questionTypeTag.className = `question-type-tag type-${questionType}`;
         
         document.getElementById('question-date').textContent = this.formatDate(new Date(this.currentQuestion.createdAt));
@@ -85,7 +96,7 @@ class QuestionPage {
         document.getElementById('question-text').textContent = this.currentQuestion.questionText;
 
         // Update sidebar stats
-        document.getElementById('sidebar-question-type').textContent = questionType === 'multiple_choice' ? 'Multiple Choice' : 'Open Response';
+        document.getElementById('sidebar-question-type').textContent = this.questionTypeLabel(questionType);
         document.getElementById('sidebar-response-count').textContent = this.currentQuestion.responseCount || this.currentQuestion.responses?.length || 0;
         document.getElementById('sidebar-question-date').textContent = this.formatDate(new Date(this.currentQuestion.createdAt));
 
@@ -121,7 +132,7 @@ class QuestionPage {
         // Update responses title for paragraph questions
         const responsesTitle = document.getElementById('responses-title');
         if (responsesTitle) {
-            responsesTitle.textContent = 'Community Responses';
+            responsesTitle.textContent = window.i18n.t('question.communityResponses');
         }
     }
 
@@ -129,11 +140,12 @@ class QuestionPage {
         const choiceDiv = document.createElement('div');
         choiceDiv.className = 'choice-option';
         choiceDiv.dataset.choiceText = choice.text;
+        choiceDiv.dataset.choiceId = choice._id || '';
 
         choiceDiv.innerHTML = `
             <input type="radio" name="choice" id="choice-${index}" value="${this.escapeHtml(choice.text)}">
             <div class="choice-text">${this.escapeHtml(choice.text)}</div>
-            <div class="choice-votes">${choice.votes} ${choice.votes === 1 ? 'vote' : 'votes'}</div>
+            <div class="choice-votes">${this.formatVotes(choice.votes)}</div>
         `;
 
         choiceDiv.addEventListener('click', () => {
@@ -153,6 +165,8 @@ class QuestionPage {
         choiceElement.classList.add('selected');
         choiceElement.querySelector('input').checked = true;
         this.selectedChoice = choiceText;
+        // The id keeps the vote on the same choice whatever language the text is in
+        this.selectedChoiceId = choiceElement.dataset.choiceId || null;
 
         // Show response section
         this.mcResponseSection.style.display = 'block';
@@ -160,7 +174,10 @@ class QuestionPage {
     }
 
     checkUserResponse() {
-        const userResponse = this.getUserResponse();
+        // The server remembers multiple choice votes; localStorage covers everything else
+        const userResponse = this.currentQuestion.questionType === 'multiple_choice' && this.viewerResponse
+            ? this.viewerResponse
+            : this.getUserResponse();
         if (userResponse) {
             if (this.currentQuestion.questionType === 'multiple_choice') {
                 this.showMultipleChoiceResults(userResponse);
@@ -175,16 +192,39 @@ class QuestionPage {
         // Hide interaction elements
         document.querySelectorAll('.choice-option').forEach(el => {
             el.style.pointerEvents = 'none';
-            if (el.dataset.choiceText === userResponse.choice) {
-                el.classList.add('user-selected');
-            }
+            el.classList.remove('selected');
+            el.classList.toggle('user-selected', el.dataset.choiceText === userResponse.choice);
         });
         
+        document.getElementById('mc-your-choice-text').textContent = userResponse.choice;
+        document.getElementById('mc-your-choice').style.display = 'flex';
+        
         this.mcResponseSection.style.display = 'none';
         this.showResults();
         this.showThankYou();
     }
 
+    // Re-open the choices so the visitor can vote again; the server replaces the old vote
+    enableVoteChange() {
+        const previousChoice = (this.viewerResponse || this.getUserResponse() || {}).choice;
+        const explanationInput = document.getElementById('mc-explanation-input');
+        if (this.viewerResponse && this.viewerResponse.explanation) {
+            explanationInput.value = this.viewerResponse.explanation;
+            document.getElementById('mc-char-count').textContent = explanationInput.value.length;
+        }
+
+        document.querySelectorAll('.choice-option').forEach(el => {
+            el.style.pointerEvents = '';
+            el.classList.remove('user-selected');
+            if (el.dataset.choiceText === previousChoice) {
+                this.selectChoice(el, previousChoice);
+            }
+        });
+
+        document.getElementById('mc-your-choice').style.display = 'none';
+        this.thankYouSection.style.display = 'none';
+    }
+
     showParagraphSubmitted(userResponse) {
         // Hide the response form
         this.paragraphSection.querySelector('.response-form').style.display = 'none';
@@ -193,9 +233,9 @@ class QuestionPage {
         const userResponseDiv = document.createElement('div');
         userResponseDiv.className = 'user-response-display';
         userResponseDiv.innerHTML = `
-            <h4>Your Response:</h4>
+            <h4>${window.i18n.t('question.yourResponse')}</h4>
             <div class="user-response-text">${this.escapeHtml(userResponse.responseText || userResponse.explanation)}</div>
-            <div class="user-response-date">Submitted: ${this.formatDate(new Date(userResponse.timestamp))}</div>
+            <div class="user-response-date">${window.i18n.t('question.submitted', { date: this.formatDate(new Date(userResponse.timestamp)) })}</div>
         `;
         
         this.paragraphSection.appendChild(userResponseDiv);
@@ -216,6 +256,13 @@ class QuestionPage {
             });
         }
 
+        const changeVoteButton = document.getElementById('change-vote-button');
+        if (changeVoteButton) {
+            changeVoteButton.addEventListener('click', () => {
+                this.enableVoteChange();
+            });
+        }
+
         // Paragraph response form
         const paragraphResponseForm = document.getElementById('paragraph-response-form');
         if (paragraphResponseForm) {
@@ -299,7 +346,7 @@ class QuestionPage {
 
     async submitMultipleChoiceResponse() {
         if (!this.selectedChoice) {
-            this.showNotification('Please select a choice first.', 'error');
+            this.showNotification(window.i18n.t('question.selectChoice'), 'error');
             return;
         }
 
@@ -307,7 +354,7 @@ class QuestionPage {
         const explanation = explanationInput.value.trim();
 
         if (explanation.length < 10) {
-            this.showNotification('Please provide at least 10 characters for your explanation.', 'error');
+            this.showNotification(window.i18n.t('question.explanationTooShort'), 'error');
             return;
         }
 
@@ -332,6 +379,7 @@ class QuestionPage {
                 },
                 body: JSON.stringify({
                     choice: this.selectedChoice,
+                    choiceId: this.selectedChoiceId || undefined,
                     explanation: explanation
                 })
             });
@@ -339,30 +387,36 @@ class QuestionPage {
             const data = await response.json();
 
             if (data.success) {
-                // Save user response to localStorage
-                this.saveUserResponse({
-                    choice: this.selectedChoice,
+                const userResponse = {
+                    choice: data.data.yourChoice || this.selectedChoice,
                     explanation: explanation,
                     timestamp: new Date().toISOString(),
                     questionType: 'multiple_choice'
-                });
+                };
 
-                this.showNotification('Thank you for sharing your perspective!', 'success');
+                // Save user response to localStorage
+                this.saveUserResponse(userResponse);
+                this.viewerResponse = userResponse;
+
+                let message = data.data.changed ? 'Your vote has been updated.' : 'Thank you for sharing your perspective!';
+                if (data.data.moderationStatus === 'pending') {
+                    message += ' Your explanation will appear once a moderator has reviewed it.';
+                }
+                this.showNotification(message, 'success');
                 
                 // Update vote counts
+                this.currentQuestion.choices = data.data.choices;
                 this.updateVoteCounts(data.data.choices);
                 
                 // Hide response form and show results
-                this.mcResponseSection.style.display = 'none';
-                this.showResults();
-                this.showThankYou();
+                this.showMultipleChoiceResults(userResponse);
                 await this.loadResponses();
             } else {
                 this.showNotification(data.error || 'Failed to submit response.', 'error');
             }
         } catch (error) {
             console.error('Error submitting response:', error);
-            this.showNotification('Network error. Please try again.', 'error');
+            this.showNotification(window.i18n.t('common.networkError'), 'error');
         } finally {
             // Hide loading state
             submitButton.disabled = false;
@@ -376,7 +430,7 @@ class QuestionPage {
         const responseText = responseInput.value.trim();
 
         if (responseText.length < 20) {
-            this.showNotification('Please provide at least 20 characters for your response.', 'error');
+            this.showNotification(window.i18n.t('question.responseTooShort'), 'error');
             return;
         }
 
@@ -415,7 +469,12 @@ class QuestionPage {
                     questionType: 'paragraph'
                 });
 
-                this.showNotification('Thank you for sharing your response!', 'success');
+                this.showNotification(
+                    data.data.moderationStatus === 'pending'
+                        ? 'Thank you! Your response will appear once a moderator has reviewed it.'
+                        : 'Thank you for sharing your response!',
+                    'success'
+                );
                 
                 // Hide form and show user's response
                 this.showParagraphSubmitted({
@@ -429,7 +488,7 @@ class QuestionPage {
             }
         } catch (error) {
             console.error('Error submitting response:', error);
-            this.showNotification('Network error. Please try again.', 'error');
+            this.showNotification(window.i18n.t('common.networkError'), 'error');
         } finally {
             // Hide loading state
             submitButton.disabled = false;
@@ -461,7 +520,7 @@ class QuestionPage {
             const choiceElement = document.querySelector(`[data-choice-text="${choice.text}"]`);
             if (choiceElement) {
                 const votesElement = choiceElement.querySelector('.choice-votes');
-                votesElement.textContent = `${choice.votes} ${choice.votes === 1 ? 'vote' : 'votes'}`;
+                votesElement.textContent = this.formatVotes(choice.votes);
             }
         });
     }
@@ -498,18 +557,18 @@ class QuestionPage {
             const category = pathParts[1];
             const slug = pathParts[2];
 
-            const response = await fetch(`/api/questions/${category}/${slug}/responses?page=1&limit=10`);
+            this.responsePage = 1;
+            const response = await fetch(`/api/questions/${category}/${slug}/responses?page=1&limit=10&sortBy=${this.responseSort}`);
             const data = await response.json();
 
             if (data.success && data.data.responses.length > 0) {
+                this.replyMaxDepth = data.data.replyMaxDepth || this.replyMaxDepth;
                 this.renderResponses(data.data.responses);
                 this.responsesSection.style.display = 'block';
                 
                 // Show load more button if there are more responses
                 const loadMoreButton = document.getElementById('load-more-responses');
-                if (data.data.totalPages > 1) {
-                    loadMoreButton.style.display = 'block';
-                }
+                loadMoreButton.style.display = data.data.pagination.hasNextPage ? 'block' : 'none';
             }
         } catch (error) {
             console.error('Error loading responses:', error);
@@ -524,14 +583,14 @@ class QuestionPage {
             const category = pathParts[1];
             const slug = pathParts[2];
 
-            const response = await fetch(`/api/questions/${category}/${slug}/responses?page=${this.responsePage}&limit=10`);
+            const response = await fetch(`/api/questions/${category}/${slug}/responses?page=${this.responsePage}&limit=10&sortBy=${this.responseSort}`);
             const data = await response.json();
 
             if (data.success && data.data.responses.length > 0) {
                 this.renderResponses(data.data.responses, true);
                 
                 // Hide load more button if no more pages
-                if (this.responsePage >= data.data.totalPages) {
+                if (!data.data.pagination.hasNextPage) {
                     document.getElementById('load-more-responses').style.display = 'none';
                 }
             }
@@ -579,10 +638,357 @@ class QuestionPage {
             `;
         }
 
+        if (response._id) {
+            responseContent += `
+                <div class="response-actions">
+                    <div class="response-reactions">
+                        ${REACTION_TYPES.map(type => `
+                            <button type="button" class="reaction-button" data-reaction="${type}" title="${window.i18n.t(`question.${type}`)}">
+                                ${window.i18n.t(`question.${type}`)} <span class="reaction-count">0</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                    <button type="button" class="report-button">${window.i18n.t('question.report')}</button>
+                </div>
+            `;
+        }
+
         responseDiv.innerHTML = responseContent;
+
+        if (response._id) {
+            this.updateReactionButtons(responseDiv, response.reactions, response.viewerReactions);
+            responseDiv.querySelectorAll('.reaction-button').forEach(button => {
+                button.addEventListener('click', () => this.toggleReaction(responseDiv, response._id, button.dataset.reaction));
+            });
+            this.attachThread(responseDiv, {
+                responseId: response._id,
+                parentId: null,
+                depth: 0,
+                replyCount: response.replyCount || 0
+            });
+        }
+
+        const reportButton = responseDiv.querySelector('.report-button');
+        if (reportButton) {
+            reportButton.addEventListener('click', () => this.openReportForm(responseDiv, response._id));
+        }
+
         return responseDiv;
     }
 
+    // Reply controls and a collapsed list of replies under a response or reply.
+    // depth is the depth of the item itself (0 for a response).
+    attachThread(item, { responseId, parentId, depth, replyCount }) {
+        const thread = { responseId, parentId, depth, replyCount, page: 0, loaded: false };
+
+        const controls = document.createElement('div');
+        controls.className = 'thread-controls';
+        controls.innerHTML = `
+            <button type="button" class="thread-toggle" aria-expanded="false"></button>
+            ${depth < this.replyMaxDepth ? `<button type="button" class="reply-button">${window.i18n.t('question.reply')}</button>` : ''}
+        `;
+
+        const container = document.createElement('div');
+        container.className = 'reply-thread';
+        container.hidden = true;
+        container.innerHTML = `
+            <div class="reply-list"></div>
+            <button type="button" class="load-more-replies" hidden>Show more replies</button>
+        `;
+
+        thread.toggle = controls.querySelector('.thread-toggle');
+        thread.container = container;
+        thread.list = container.querySelector('.reply-list');
+        thread.loadMore = container.querySelector('.load-more-replies');
+
+        thread.toggle.addEventListener('click', () => this.toggleThread(thread));
+        thread.loadMore.addEventListener('click', () => this.loadReplies(thread));
+        const replyButton = controls.querySelector('.reply-button');
+        if (replyButton) {
+            replyButton.addEventListener('click', () => this.openReplyForm(item, thread));
+        }
+
+        this.updateThreadToggle(thread);
+        item.appendChild(controls);
+        item.appendChild(container);
+    }
+
+    updateThreadToggle(thread) {
+        const expanded = !thread.container.hidden;
+        thread.toggle.hidden = thread.replyCount === 0;
+        thread.toggle.setAttribute('aria-expanded', expanded);
+        thread.toggle.textContent = expanded
+            ? window.i18n.t('question.hideReplies')
+            : window.i18n.t(thread.replyCount === 1 ? 'question.showReply' : 'question.showReplies', { count: thread.replyCount });
+    }
+
+    async toggleThread(thread) {
+        if (thread.container.hidden && !thread.loaded) {
+            await this.loadReplies(thread);
+        }
+        thread.container.hidden = !thread.container.hidden;
+        this.updateThreadToggle(thread);
+    }
+
+    async loadReplies(thread) {
+        try {
+            const pathParts = window.location.pathname.split('/');
+            const category = pathParts[1];
+            const slug = pathParts[2];
+            const params = new URLSearchParams({ page: thread.page + 1, limit: 5 });
+            if (thread.parentId) {
+                params.set('parentId', thread.parentId);
+            }
+
+            const response = await fetch(`/api/questions/${category}/${slug}/responses/${thread.responseId}/replies?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                thread.page += 1;
+                thread.loaded = true;
+                thread.replyCount = data.data.pagination.totalReplies;
+                data.data.replies.forEach(reply => {
+                    thread.list.appendChild(this.createReplyElement(reply, thread.responseId));
+                });
+                thread.loadMore.hidden = !data.data.pagination.hasNextPage;
+            } else {
+                this.showNotification(data.error || 'Failed to load replies.', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading replies:', error);
+            this.showNotification(window.i18n.t('common.networkError'), 'error');
+        }
+    }
+
+    createReplyElement(reply, responseId) {
+        const replyDiv = document.createElement('div');
+        replyDiv.className = 'reply-item';
+        replyDiv.innerHTML = `
+            <div class="response-date">${this.formatDate(new Date(reply.timestamp))}</div>
+            <div class="response-text">${this.escapeHtml(reply.text)}</div>
+        `;
+
+        this.attachThread(replyDiv, {
+            responseId,
+            parentId: reply._id,
+            depth: reply.depth,
+            replyCount: reply.replyCount || 0
+        });
+
+        return replyDiv;
+    }
+
+    openReplyForm(item, thread) {
+        const existing = item.querySelector(':scope > .reply-form');
+        if (existing) {
+            existing.querySelector('textarea').focus();
+            return;
+        }
+
+        const form = document.createElement('form');
+        form.className = 'reply-form';
+        form.innerHTML = `
+            <textarea name="text" minlength="10" maxlength="1000" rows="3" placeholder="Write a reply (at least 10 characters)" required></textarea>
+            <div class="report-form-actions">
+                <button type="submit" class="report-submit">Post reply</button>
+                <button type="button" class="report-cancel">Cancel</button>
+            </div>
+        `;
+
+        form.querySelector('.report-cancel').addEventListener('click', () => form.remove());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitReply(form, thread);
+        });
+
+        // Keep the form above the thread it adds to
+        item.insertBefore(form, thread.container);
+        form.querySelector('textarea').focus();
+    }
+
+    async submitReply(form, thread) {
+        const text = form.elements.text.value.trim();
+        if (text.length < 10) {
+            this.showNotification('Please write at least 10 characters.', 'error');
+            return;
+        }
+
+        const submitButton = form.querySelector('.report-submit');
+        submitButton.disabled = true;
+
+        try {
+            const pathParts = window.location.pathname.split('/');
+            const category = pathParts[1];
+            const slug = pathParts[2];
+
+            const response = await fetch(`/api/questions/${category}/${slug}/responses/${thread.responseId}/replies`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    text,
+                    ...(thread.parentId && { parentId: thread.parentId })
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                form.remove();
+
+                if (data.data.moderationStatus === 'approved') {
+                    // Load what is already there first so the new reply is not listed twice
+                    if (!thread.loaded) {
+                        await this.loadReplies(thread);
+                    } else {
+                        thread.list.appendChild(this.createReplyElement(data.data.reply, thread.responseId));
+                        thread.replyCount += 1;
+                    }
+                    thread.container.hidden = false;
+                    this.updateThreadToggle(thread);
+                    this.showNotification('Reply posted.', 'success');
+                } else {
+                    this.showNotification('Thank you! Your reply will appear once a moderator has reviewed it.', 'success');
+                }
+            } else {
+                this.showNotification(data.error || data.message || 'Failed to post reply.', 'error');
+                submitButton.disabled = false;
+            }
+        } catch (error) {
+            console.error('Error posting reply:', error);
+            this.showNotification(window.i18n.t('common.networkError'), 'error');
+            submitButton.disabled = false;
+        }
+    }
+
+    updateReactionButtons(responseDiv, reactions = {}, viewerReactions = []) {
+        responseDiv.querySelectorAll('.reaction-button').forEach(button => {
+            const type = button.dataset.reaction;
+            const active = viewerReactions.includes(type);
+            button.querySelector('.reaction-count').textContent = reactions[type] || 0;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+    }
+
+    async toggleReaction(responseDiv, responseId, type) {
+        const button = responseDiv.querySelector(`.reaction-button[data-reaction="${type}"]`);
+        const active = button.classList.contains('active');
+        const buttons = responseDiv.querySelectorAll('.reaction-button');
+        buttons.forEach(other => { other.disabled = true; });
+
+        try {
+            const pathParts = window.location.pathname.split('/');
+            const category = pathParts[1];
+            const slug = pathParts[2];
+            const url = `/api/questions/${category}/${slug}/responses/${responseId}/reactions`;
+
+            const response = active
+                ? await fetch(`${url}/${type}`, { method: 'DELETE' })
+                : await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ type })
+                });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.updateReactionButtons(responseDiv, data.data.reactions, data.data.viewerReactions);
+            } else {
+                this.showNotification(data.error || data.message || 'Failed to save reaction.', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving reaction:', error);
+            this.showNotification(window.i18n.t('common.networkError'), 'error');
+        } finally {
+            buttons.forEach(other => { other.disabled = false; });
+        }
+    }
+
+    openReportForm(responseDiv, responseId) {
+        if (responseDiv.querySelector('.report-form')) return;
+
+        const form = document.createElement('form');
+        form.className = 'report-form';
+        form.innerHTML = `
+            <label>
+                Why are you reporting this response?
+                <select name="reason" required>
+                    <option value="">Choose a reason</option>
+                    <option value="spam">Spam or advertising</option>
+                    <option value="harassment">Harassment or personal attack</option>
+                    <option value="hate_speech">Hate speech</option>
+                    <option value="misinformation">Misinformation</option>
+                    <option value="off_topic">Off topic</option>
+                    <option value="other">Something else</option>
+                </select>
+            </label>
+            <textarea name="details" maxlength="500" rows="2" placeholder="Anything a moderator should know (optional)"></textarea>
+            <div class="report-form-actions">
+                <button type="submit" class="report-submit">Send report</button>
+                <button type="button" class="report-cancel">Cancel</button>
+            </div>
+        `;
+
+        form.querySelector('.report-cancel').addEventListener('click', () => form.remove());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitReport(responseDiv, responseId, form);
+        });
+
+        responseDiv.appendChild(form);
+    }
+
+    async submitReport(responseDiv, responseId, form) {
+        const reason = form.elements.reason.value;
+        if (!reason) {
+            this.showNotification('Please choose a reason.', 'error');
+            return;
+        }
+
+        const submitButton = form.querySelector('.report-submit');
+        submitButton.disabled = true;
+
+        try {
+            const pathParts = window.location.pathname.split('/');
+            const category = pathParts[1];
+            const slug = pathParts[2];
+
+            const response = await fetch(`/api/questions/${category}/${slug}/responses/${responseId}/report`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    reason,
+                    details: form.elements.details.value.trim()
+                })
+            });
+
+            const data = await response.json();
+
+            // 409: this visitor already reported it
+            if (data.success || response.status === 409) {
+                this.showNotification(data.message || data.error, data.success ? 'success' : 'info');
+                form.remove();
+                const reportButton = responseDiv.querySelector('.report-button');
+                reportButton.textContent = 'Reported';
+                reportButton.disabled = true;
+            } else {
+                this.showNotification(data.error || data.message || 'Failed to send report.', 'error');
+                submitButton.disabled = false;
+            }
+        } catch (error) {
+            console.error('Error reporting response:', error);
+            this.showNotification(window.i18n.t('common.networkError'), 'error');
+            submitButton.disabled = false;
+        }
+    }
+
     filterResponses(choiceFilter) {
         const responses = document.querySelectorAll('.response-item');
         responses.forEach(response => {
@@ -594,18 +1000,10 @@ class QuestionPage {
         });
     }
 
+    // Sorting happens on the server so it covers every page, not just the loaded ones
     sortResponses(sortOrder) {
-        const responsesContainer = document.getElementById('responses-container');
-        const responses = Array.from(responsesContainer.querySelectorAll('.response-item'));
-        
-        responses.sort((a, b) => {
-            const dateA = new Date(a.querySelector('.response-date').textContent);
-            const dateB = new Date(b.querySelector('.response-date').textContent);
-            
-            return sortOrder === 'newest' ? dateB - dateA : dateA - dateB;
-        });
-        
-        responses.forEach(response => responsesContainer.appendChild(response));
+        this.responseSort = sortOrder;
+        this.loadResponses();
     }
 
     async loadRelatedQuestions(category) {
@@ -679,17 +1077,17 @@ class QuestionPage {
             const data = await response.json();
 
             if (data.success) {
-                this.showNotification('Successfully subscribed!', 'success');
+                this.showNotification(window.i18n.t('home.subscribed'), 'success');
                 emailInput.value = '';
             } else {
                 this.showNotification(data.error || 'Failed to subscribe.', 'error');
             }
         } catch (error) {
             console.error('Newsletter subscription error:', error);
-            this.showNotification('Network error. Please try again.', 'error');
+            this.showNotification(window.i18n.t('common.networkError'), 'error');
         } finally {
             submitButton.disabled = false;
-            submitButton.textContent = 'Subscribe';
+            submitButton.textContent = window.i18n.t('common.subscribe');
         }
     }
 
@@ -749,11 +1147,15 @@ class QuestionPage {
     }
 
     formatDate(date) {
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
+        return window.i18n.formatDate(date);
+    }
+
+    formatVotes(votes) {
+        return window.i18n.t(votes === 1 ? 'common.vote' : 'common.votes', { count: votes });
+    }
+
+    questionTypeLabel(questionType) {
+        return window.i18n.t(questionType === 'multiple_choice' ? 'common.multipleChoice' : 'common.openResponse');
     }
 }
 
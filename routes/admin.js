@@ -1,80 +1,475 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Question = require('../models/Question');
 const Subscriber = require('../models/Subscriber');
-const emailService = require('../services/emailService');
+const Response = require('../models/Response');
+const searchService = require('../services/searchService');
+const moderationService = require('../services/moderationService');
+const reportService = require('../services/reportService');
+const publishingService = require('../services/publishingService');
+const revisionService = require('../services/revisionService');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
+const importService = require('../services/importService');
+const bulkJobService = require('../services/bulkJobService');
+const outboxService = require('../services/outboxService');
+const bounceService = require('../services/bounceService');
+const OutboxMessage = require('../models/OutboxMessage');
+const EmailEvent = require('../models/EmailEvent');
+const Suppression = require('../models/Suppression');
+const AuditEvent = require('../models/AuditEvent');
+const ModerationSettings = require('../models/ModerationSettings');
+const Report = require('../models/Report');
+const Reply = require('../models/Reply');
 const slugify = require('slugify');
 const Joi = require('joi');
+const AdminUser = require('../models/AdminUser');
+const ApiKey = require('../models/ApiKey');
+const Category = require('../models/Category');
+const categoryService = require('../services/categoryService');
+const translationService = require('../services/translationService');
+const { requireScope } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { questionSchema, knownCategory, validate } = require('../utils/questionValidation');
+const { SOURCE_LOCALE, getLocales } = require('../utils/i18n');
 
-// Middleware to verify admin access
-const verifyAdmin = (req, res, next) => {
-  const adminSecret = req.headers['x-admin-secret'] || req.body.adminSecret;
+// Validation schema for edits - same rules as creation, every field optional.
+// Existing choices are identified by _id so their votes can be kept.
+const questionUpdateSchema = Joi.object({
+  title: questionSchema.extract('title').optional(),
+  category: questionSchema.extract('category').optional(),
+  questionText: questionSchema.extract('questionText').optional(),
+  choices: Joi.array().items(
+    Joi.object({
+      _id: Joi.string().hex().length(24),
+      text: Joi.string().trim().min(1).max(500).required()
+    })
+  ).min(2).max(6),
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(20),
+  difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+  estimatedReadTime: Joi.number().integer().min(1).max(60),
+  featured: Joi.boolean(),
+  status: Joi.string().valid(...Question.STATUSES),
+  // Without a status, publishAt reschedules a question that is already scheduled
+  publishAt: Joi.when('status', {
+    is: 'scheduled',
+    then: Joi.date().iso().greater('now').required(),
+    otherwise: Joi.when('status', {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.date().iso().greater('now')
+    })
+  })
+}).min(1);
 
-  if (!adminSecret || adminSecret !== process.env.ADMIN_SECRET) {
-    return res.status(401).json({
-      success: false,
-      error: 'Unauthorized: Invalid admin credentials'
-    });
-  }
+// Validation schema for bulk import options (query string)
+const importOptionsSchema = Joi.object({
+  format: Joi.string().valid('json', 'csv'),
+  onConflict: Joi.string().valid(...importService.CONFLICT_MODES).default('skip'),
+  dryRun: Joi.boolean().default(false),
+  transactional: Joi.boolean().default(false)
+});
 
-  next();
-};
+// Largest selection one bulk action accepts (explicit ids or a filter)
+const MAX_BULK_IDS = 1000;
+const MAX_BULK_FILTER_MATCHES = 10000;
+
+const BULK_ACTIONS = ['feature', 'unfeature', 'delete', 'retag', 'recategorize', 'set_difficulty'];
 
-// Validation schema for new questions - supports both multiple choice and paragraph types
-const questionSchema = Joi.object({
-  title: Joi.string().min(5).max(200).required(),
-  category: Joi.string().valid(
-    'love',
-    'justice',
-    'survival',
-    'family',
-    'freedom',
-    'sacrifice',
-    'truth',
-    'loyalty',
-    'revenge',
-    'power',
-    'empathy',
-    'morality',
-    'desire',
-    'regret',
-    'identity',
-    'betrayal',
-    'hope',
-    'fear',
-    'faith',
-    'control',
-    'loss',
-    'trust',
-    'responsibility',
-    'choice',
-    'pain',
-    'greed',
-    'envy',
-    'honor',
-    'duty',
-    'self'
-  ).required(),
-  questionText: Joi.string().min(10).max(2000).required(),
-  questionType: Joi.string().valid('multiple_choice', 'paragraph').default('multiple_choice'),
-  choices: Joi.when('questionType', {
-    is: 'multiple_choice',
-    then: Joi.array().items(
-      Joi.object({
-        text: Joi.string().min(1).max(500).required()
-      })
-    ).min(2).max(6).required(),
+const bulkTagsSchema = Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).min(1).max(20);
+
+// Validation schema for bulk actions on questions - either ids or a filter selects them
+const bulkActionSchema = Joi.object({
+  action: Joi.string().valid(...BULK_ACTIONS).required(),
+  ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(MAX_BULK_IDS).unique(),
+  filter: Joi.object({
+    type: Joi.string().valid('multiple_choice', 'paragraph'),
+    status: Joi.string().valid(...Question.STATUSES),
+    category: knownCategory,
+    featured: Joi.boolean()
+  }),
+  // retag needs at least one of addTags and removeTags
+  addTags: Joi.when('action', { is: 'retag', then: bulkTagsSchema, otherwise: Joi.forbidden() }),
+  removeTags: Joi.when('action', {
+    is: 'retag',
+    then: Joi.when('addTags', {
+      is: Joi.exist(),
+      then: bulkTagsSchema,
+      otherwise: bulkTagsSchema.required().messages({ 'any.required': 'retag needs addTags or removeTags' })
+    }),
     otherwise: Joi.forbidden()
   }),
-  featured: Joi.boolean().default(false),
-  adminSecret: Joi.string().required()
+  category: Joi.when('action', {
+    is: 'recategorize',
+    then: questionSchema.extract('category').required(),
+    otherwise: Joi.forbidden()
+  }),
+  difficulty: Joi.when('action', {
+    is: 'set_difficulty',
+    then: Joi.string().valid('easy', 'medium', 'hard').required(),
+    otherwise: Joi.forbidden()
+  })
+}).xor('ids', 'filter').messages({
+  'object.xor': 'Send either ids or filter, not both',
+  'object.missing': 'Send ids or filter to choose the questions'
+});
+
+// Validation schemas for categories. Slugs are fixed once created.
+const categoryFields = {
+  displayName: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  icon: Joi.string().trim().max(100).pattern(/^[a-z0-9 -]+$/)
+    .messages({ 'string.pattern.base': '"icon" must be Font Awesome classes, e.g. "fas fa-heart"' }),
+  color: Joi.string().trim().lowercase().pattern(/^#[0-9a-f]{6}$/)
+    .messages({ 'string.pattern.base': '"color" must be a hex colour like #4ecdc4' }),
+  sortOrder: Joi.number().integer().min(0).max(10000),
+  isActive: Joi.boolean()
+};
+
+const categorySchema = Joi.object({
+  slug: Joi.string().trim().lowercase().max(50).pattern(Category.SLUG_PATTERN)
+    .invalid(...Category.RESERVED_SLUGS)
+    .required()
+    .messages({
+      'string.pattern.base': '"slug" may only contain lowercase letters, numbers and hyphens',
+      'any.invalid': '"slug" is reserved for a site page'
+    }),
+  ...categoryFields,
+  displayName: categoryFields.displayName.required()
+});
+
+const categoryUpdateSchema = Joi.object(categoryFields).min(1);
+
+// Validation schema for comparing two revisions of a question
+const revisionDiffSchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1).required()
+});
+
+// Validation schemas for question translations. Fields may be left empty while a
+// translation is in progress; the question then shows as incomplete.
+const translationLocale = Joi.string().valid(...translationService.getTargetLocales());
+
+const translationSchema = Joi.object({
+  title: Joi.string().trim().max(200).allow('').default(''),
+  questionText: Joi.string().trim().max(2000).allow('').default(''),
+  choices: Joi.array().items(Joi.object({
+    choiceId: Joi.string().hex().length(24).required(),
+    text: Joi.string().trim().min(1).max(500).required()
+  })).max(6).unique('choiceId').default([])
+});
+
+const translationReportSchema = Joi.object({
+  locale: translationLocale,
+  status: Joi.string().valid(...Question.TRANSLATION_STATUSES),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validation schema for audit log queries
+const auditQuerySchema = Joi.object({
+  action: Joi.string().trim().max(100).pattern(/^[a-z_]+(\.[a-z_]+)?(\.\*)?$/),
+  actorType: Joi.string().valid(...AuditEvent.ACTOR_TYPES),
+  actorId: Joi.string().hex().length(24),
+  targetType: Joi.string().trim().max(50),
+  targetId: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+// Validation schemas for admin accounts
+const adminUserSchema = Joi.object({
+  email: Joi.string().email().required(),
+  name: Joi.string().trim().max(100).allow(''),
+  password: Joi.string().min(12).max(200).required(),
+  role: Joi.string().valid(...AdminUser.ROLES).required()
+});
+
+const adminUserUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow(''),
+  password: Joi.string().min(12).max(200),
+  role: Joi.string().valid(...AdminUser.ROLES),
+  isActive: Joi.boolean()
+}).min(1);
+
+// Validation schema for API keys used by machine clients
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+  expiresInDays: Joi.number().integer().min(1).max(3650)
+});
+
+// Validation schemas for the response moderation queue
+const moderationActionSchema = Joi.object({
+  ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(200).unique().required(),
+  status: Joi.string().valid(...Response.MODERATION_STATUSES).required(),
+  reason: Joi.string().trim().max(500).allow('').optional(),
+  kind: Joi.string().valid('responses', 'replies').default('responses')
+});
+
+const ruleWeight = Joi.number().min(0).max(100);
+const ruleList = Joi.array().items(Joi.string().trim().lowercase().min(1).max(100)).max(1000).unique();
+
+const screeningRulesSchema = Joi.object({
+  enabled: Joi.boolean(),
+  flagThreshold: ruleWeight,
+  rejectThreshold: ruleWeight,
+  profanity: Joi.object({ enabled: Joi.boolean(), weight: ruleWeight, words: ruleList }),
+  links: Joi.object({ enabled: Joi.boolean(), weight: ruleWeight, allowedDomains: ruleList }),
+  spam: Joi.object({ enabled: Joi.boolean(), weight: ruleWeight, phrases: ruleList }),
+  repetition: Joi.object({
+    enabled: Joi.boolean(),
+    weight: ruleWeight,
+    windowHours: Joi.number().integer().min(1).max(24 * 30),
+    maxRepeats: Joi.number().integer().min(1).max(100)
+  }),
+  quality: Joi.object({
+    enabled: Joi.boolean(),
+    weight: ruleWeight,
+    minEntropy: Joi.number().min(0).max(8),
+    minUniqueWordRatio: Joi.number().min(0).max(1)
+  })
+});
+
+const moderationSettingsSchema = Joi.object({
+  mode: Joi.string().valid(...ModerationSettings.MODES),
+  reportThreshold: Joi.number().min(1).max(1000),
+  screening: screeningRulesSchema
+}).min(1);
+
+// Validation schema for closing reader reports
+const reportResolutionSchema = Joi.object({
+  responseIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(200).unique().required(),
+  action: Joi.string().valid('uphold', 'dismiss').required(),
+  reason: Joi.string().trim().max(500).allow('').optional()
+});
+
+const screeningTestSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(5000).required()
+});
+
+const formatModerationSettings = (settings) => ({
+  mode: settings.mode,
+  modes: ModerationSettings.MODES,
+  reportThreshold: settings.reportThreshold,
+  screening: settings.screening,
+  updatedAt: settings.updatedAt
 });
 
+// Generate a slug for the title that is unique within the category
+const generateUniqueSlug = async (title, category, excludeId = null) => {
+  const baseSlug = slugify(title, { lower: true, strict: true });
+  let slug = baseSlug;
+  let counter = 1;
+
+  const filter = { category, slug };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  // Trashed questions keep their slugs so they can be restored
+  while (await Question.findOne(filter).withDeleted()) {
+    slug = `${baseSlug}-${counter}`;
+    filter.slug = slug;
+    counter++;
+  }
+
+  return slug;
+};
+
+// Replace a multiple choice question's choices. Choices are matched by _id so their
+// votes are kept, and choices with votes cannot be removed. With restoreIds, unknown
+// ids are recreated (rollbacks restore deleted choices). Returns { renamedChoices }
+// or { error: { status, message, data } }.
+const applyChoiceChanges = (question, choices, { restoreIds = false } = {}) => {
+  if (question.questionType !== 'multiple_choice') {
+    return { error: { status: 400, message: 'Paragraph questions do not have choices' } };
+  }
+
+  const texts = choices.map(choice => choice.text.toLowerCase());
+  if (new Set(texts).size !== texts.length) {
+    return { error: { status: 400, message: 'Choice texts must be unique' } };
+  }
+
+  const existingChoices = new Map(question.choices.map(choice => [choice._id.toString(), choice]));
+  const unknownChoice = choices.find(choice => choice._id && !existingChoices.has(choice._id));
+  if (unknownChoice && !restoreIds) {
+    return { error: { status: 400, message: `Unknown choice id: ${unknownChoice._id}` } };
+  }
+
+  // Responses reference choices, so voted choices must survive the edit
+  const keptIds = new Set(choices.filter(choice => choice._id).map(choice => choice._id));
+  const votedRemovals = question.choices.filter(choice =>
+    choice.votes > 0 && !keptIds.has(choice._id.toString())
+  );
+  if (votedRemovals.length > 0) {
+    return {
+      error: {
+        status: 409,
+        message: 'Cannot remove choices that already have votes',
+        data: {
+          choices: votedRemovals.map(choice => ({
+            _id: choice._id,
+            text: choice.text,
+            votes: choice.votes
+          }))
+        }
+      }
+    };
+  }
+
+  const renamedChoices = [];
+  question.choices = choices.map(choice => {
+    if (!choice._id) {
+      return { text: choice.text, votes: 0 };
+    }
+
+    const existing = existingChoices.get(choice._id);
+    if (!existing) {
+      return { _id: choice._id, text: choice.text, votes: 0 };
+    }
+    if (existing.text !== choice.text) {
+      renamedChoices.push({ from: existing.text, to: choice.text });
+    }
+    return { _id: existing._id, text: choice.text, votes: existing.votes };
+  });
+
+  return { renamedChoices };
+};
+
+// Regenerate the slug when the title or category changes and keep the old URL as a redirect
+const updateSlug = async (question, previousCategory, previousSlug) => {
+  if (!question.isModified('title') && !question.isModified('category')) {
+    return;
+  }
+
+  const slug = await generateUniqueSlug(question.title, question.category, question._id);
+
+  if (slug !== previousSlug || question.category !== previousCategory) {
+    question.slug = slug;
+    question.slugHistory = question.slugHistory.filter(entry =>
+      !(entry.category === question.category && entry.slug === slug)
+    );
+    question.slugHistory.push({
+      category: previousCategory,
+      slug: previousSlug,
+      changedAt: new Date()
+    });
+  }
+};
+
+// Keep stored responses pointing at renamed choices (single pass so swapped texts stay correct)
+const renameResponseChoices = async (question, renamedChoices) => {
+  if (renamedChoices.length === 0) {
+    return;
+  }
+
+  await Response.updateMany(
+    { question: question._id, choice: { $in: renamedChoices.map(rename => rename.from) } },
+    [{
+      $set: {
+        choice: {
+          $switch: {
+            branches: renamedChoices.map(rename => ({
+              case: { $eq: ['$choice', rename.from] },
+              then: rename.to
+            })),
+            default: '$choice'
+          }
+        }
+      }
+    }]
+  );
+};
+
+const questionTarget = (question) => ({ type: 'question', id: question._id, label: question.title });
+const subscriberTarget = (subscriber) => ({ type: 'subscriber', id: subscriber._id, label: subscriber.email });
+const CATEGORY_AUDIT_FIELDS = ['slug', 'displayName', 'description', 'icon', 'color', 'sortOrder', 'isActive'];
+const categoryTarget = (category) => ({ type: 'category', id: category.slug, label: category.displayName });
+const translationSnapshot = (translation) => (translation ? {
+  title: translation.title,
+  questionText: translation.questionText,
+  choices: translation.choices.map(choice => ({ choiceId: String(choice.choiceId), text: choice.text }))
+} : null);
+
+// Record a revision without failing the request that made the change
+const recordRevision = async (question, options) => {
+  try {
+    await revisionService.record(question, options);
+  } catch (error) {
+    console.error('Failed to record question revision:', error);
+  }
+};
+
+// Apply one bulk action to a question. Resolves to { status, label, message } for the
+// job results; each change gets its own revision and audit event.
+const applyBulkAction = async (questionId, options, req, jobId = null) => {
+  const { action, addTags = [], removeTags = [], category, difficulty } = options;
+  const metadata = { bulk: true, jobId: jobId ? String(jobId) : null };
+
+  const question = await Question.findById(questionId);
+  if (!question) {
+    return { status: 'error', message: 'Question not found' };
+  }
+  const label = question.title;
+
+  if (action === 'delete') {
+    const trashed = await trashService.trash('questions', question._id);
+    if (!trashed) {
+      return { status: 'skipped', label, message: 'Already in the trash' };
+    }
+    await auditService.record(req, {
+      action: 'question.trash',
+      target: questionTarget(trashed),
+      before: { deletedAt: null },
+      after: { deletedAt: trashed.deletedAt.toISOString() },
+      metadata
+    });
+    return { status: 'ok', label };
+  }
+
+  const previous = revisionService.snapshot(question);
+  const previousCategory = question.category;
+  const previousSlug = question.slug;
+
+  if (action === 'feature' || action === 'unfeature') {
+    question.featured = action === 'feature';
+  } else if (action === 'retag') {
+    const removed = new Set(removeTags);
+    question.tags = [...new Set([...question.tags.filter(tag => !removed.has(tag)), ...addTags])];
+  } else if (action === 'recategorize') {
+    question.category = category;
+  } else if (action === 'set_difficulty') {
+    question.difficulty = difficulty;
+  }
+
+  if (revisionService.diff(previous, revisionService.snapshot(question)).length === 0) {
+    return { status: 'skipped', label, message: 'Already up to date' };
+  }
+
+  await updateSlug(question, previousCategory, previousSlug);
+  await question.save();
+  await recordRevision(question, { action: 'update', author: revisionService.authorFromRequest(req), previous });
+  await auditService.record(req, {
+    action: action === 'feature' || action === 'unfeature' ? 'question.feature' : 'question.update',
+    target: questionTarget(question),
+    ...auditService.diff(previous, revisionService.snapshot(question)),
+    metadata
+  });
+
+  const moved = question.slug !== previousSlug || question.category !== previousCategory;
+  return { status: 'ok', label, message: moved ? `Now at /${question.category}/${question.slug}` : null };
+};
+
 // POST /api/admin/questions - Create new question (supports both types)
-router.post('/questions', verifyAdmin, async (req, res) => {
+router.post('/questions', requireScope('questions:write'), async (req, res) => {
   try {
     // Validate request body
-    const { error, value } = questionSchema.validate(req.body);
+    const { error, value } = await validate(questionSchema, req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -82,18 +477,10 @@ router.post('/questions', verifyAdmin, async (req, res) => {
       });
     }
 
-    const { title, category, questionText, questionType, choices, featured } = value;
+    const { title, category, questionText, questionType, choices, featured, status, publishAt } = value;
 
-    // Generate slug
-    let baseSlug = slugify(title, { lower: true, strict: true });
-    let slug = baseSlug;
-    let counter = 1;
-
-    // Ensure slug is unique within category
-    while (await Question.findOne({ category, slug })) {
-      slug = `${baseSlug}-${counter}`;
-      counter++;
-    }
+    // Generate slug, unique within category
+    const slug = await generateUniqueSlug(title, category);
 
     // Create question object based on type
     const questionData = {
@@ -102,7 +489,9 @@ router.post('/questions', verifyAdmin, async (req, res) => {
       category,
       questionText,
       questionType: questionType || 'multiple_choice',
-      featured: featured || false
+      featured: featured || false,
+      status,
+      publishAt: status === 'scheduled' ? publishAt : null
     };
 
     // Add choices only for multiple choice questions
@@ -114,14 +503,26 @@ router.post('/questions', verifyAdmin, async (req, res) => {
     }
 
     const question = new Question(questionData);
+    if (status === 'published') {
+      publishingService.publish(question);
+    }
     await question.save();
+    searchService.invalidate();
+    await recordRevision(question, { action: 'create', author: revisionService.authorFromRequest(req) });
+    await auditService.record(req, {
+      action: 'question.create',
+      target: questionTarget(question),
+      after: revisionService.snapshot(question)
+    });
 
-    // Send notification emails to subscribers
-    try {
-      await emailService.notifySubscribers(question);
-    } catch (emailError) {
-      console.error('Failed to send notification emails:', emailError);
-      // Don't fail the request if email fails
+    // Send notification emails to subscribers; scheduled questions notify when the cron job publishes them
+    if (question.status === 'published') {
+      try {
+        await publishingService.notifyOnce(question);
+      } catch (emailError) {
+        console.error('Failed to send notification emails:', emailError);
+        // Don't fail the request if email fails
+      }
     }
 
     res.status(201).json({
@@ -132,6 +533,8 @@ router.post('/questions', verifyAdmin, async (req, res) => {
         slug: question.slug,
         category: question.category,
         questionType: question.questionType,
+        status: question.status,
+        publishAt: question.publishAt,
         url: `/${question.category}/${question.slug}`
       }
     });
@@ -144,24 +547,192 @@ router.post('/questions', verifyAdmin, async (req, res) => {
   }
 });
 
+// POST /api/admin/questions/import - Import questions from a JSON or CSV request body.
+// The format comes from ?format= or the Content-Type.
+router.post('/questions/import', requireScope('questions:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+  try {
+    const { error, value } = importOptionsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const format = value.format || (req.is('application/json') ? 'json' : 'csv');
+    const { rows, error: parseError } = importService.parse(req.body, format);
+    if (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: parseError
+      });
+    }
+
+    const report = await importService.run(rows, { ...value, source: format, req });
+    if (report.error) {
+      return res.status(report.transactionsUnsupported ? 409 : 422).json({
+        success: false,
+        error: report.error,
+        data: report
+      });
+    }
+
+    const { create, rename, update } = report.summary;
+    res.json({
+      success: true,
+      message: value.dryRun
+        ? 'Dry run complete - nothing was imported'
+        : `Imported ${create + rename} new and ${update} updated question${create + rename + update === 1 ? '' : 's'}`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error importing questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import questions'
+    });
+  }
+});
+
+// POST /api/admin/questions/bulk - Feature, unfeature, delete, retag, recategorize or set the
+// difficulty of the questions in ids, or of every question matching filter. Large selections
+// run as a background job (202) that GET /api/admin/questions/bulk/:jobId reports on.
+router.post('/questions/bulk', requireScope('questions:write'), async (req, res) => {
+  try {
+    const { error, value } = await validate(bulkActionSchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    let ids = value.ids;
+    if (value.filter) {
+      const { type, ...filter } = value.filter;
+      if (type) filter.questionType = type;
+
+      const matches = await Question.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(MAX_BULK_FILTER_MATCHES + 1)
+        .select('_id')
+        .lean();
+      if (matches.length > MAX_BULK_FILTER_MATCHES) {
+        return res.status(400).json({
+          success: false,
+          error: `The filter matches more than ${MAX_BULK_FILTER_MATCHES} questions; narrow it down`
+        });
+      }
+      ids = matches.map(match => match._id);
+    }
+
+    if (ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No questions match the selection'
+      });
+    }
+
+    const { action, filter, addTags, removeTags, category, difficulty } = value;
+    const handler = (id, jobId) => applyBulkAction(id, value, req, jobId);
+    const finish = (results) => {
+      if (results.some(result => result.status === 'ok')) {
+        searchService.invalidate();
+      }
+    };
+
+    if (bulkJobService.runsInBackground(ids.length)) {
+      const job = await bulkJobService.start({
+        target: 'questions',
+        action,
+        params: { addTags, removeTags, category, difficulty, filter },
+        ids,
+        createdBy: revisionService.authorFromRequest(req)
+      }, handler, finish);
+
+      return res.status(202).json({
+        success: true,
+        message: `Bulk ${action} of ${ids.length} questions started`,
+        data: {
+          jobId: job._id,
+          status: job.status,
+          total: job.total,
+          url: `/api/admin/questions/bulk/${job._id}`
+        }
+      });
+    }
+
+    const results = await bulkJobService.processAll(ids, handler);
+    finish(results);
+
+    const summary = bulkJobService.summarize(results);
+    res.json({
+      success: true,
+      message: `${summary.succeeded} of ${summary.total} questions updated`,
+      data: { action, ...summary, results }
+    });
+  } catch (error) {
+    console.error('Error running bulk question action:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run bulk action'
+    });
+  }
+});
+
+// GET /api/admin/questions/bulk/:jobId - Progress and per-item results of a bulk job
+router.get('/questions/bulk/:jobId', requireScope('questions:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bulk job not found'
+      });
+    }
+
+    const job = await bulkJobService.get(req.params.jobId, 'questions');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bulk job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching bulk job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bulk job'
+    });
+  }
+});
+
 // GET /api/admin/questions - Get all questions with admin details
-router.get('/questions', verifyAdmin, async (req, res) => {
+router.get('/questions', requireScope('questions:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
     const questionType = req.query.type; // Filter by question type if provided
+    const status = req.query.status; // Filter by publication status if provided
 
     let filter = {};
     if (questionType && ['multiple_choice', 'paragraph'].includes(questionType)) {
       filter.questionType = questionType;
     }
+    if (status && Question.STATUSES.includes(status)) {
+      filter.status = status;
+    }
 
     const questions = await Question.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('title slug category questionType featured createdAt responses');
+      .select('title slug category questionType featured status publishAt publishedAt createdAt responseCount');
 
     const total = await Question.countDocuments(filter);
 
@@ -172,8 +743,11 @@ router.get('/questions', verifyAdmin, async (req, res) => {
       category: q.category,
       questionType: q.questionType || 'multiple_choice',
       featured: q.featured,
+      status: q.status,
+      publishAt: q.publishAt,
+      publishedAt: q.publishedAt,
       createdAt: q.createdAt,
-      responseCount: q.responses.length,
+      responseCount: q.responseCount || 0,
       url: `/${q.category}/${q.slug}`
     }));
 
@@ -200,7 +774,7 @@ router.get('/questions', verifyAdmin, async (req, res) => {
 });
 
 // PUT /api/admin/questions/:id/featured - Toggle featured status
-router.put('/questions/:id/featured', verifyAdmin, async (req, res) => {
+router.put('/questions/:id/featured', requireScope('questions:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { featured } = req.body;
@@ -213,8 +787,16 @@ router.put('/questions/:id/featured', verifyAdmin, async (req, res) => {
       });
     }
 
+    const previous = revisionService.snapshot(question);
     question.featured = featured;
     await question.save();
+    await recordRevision(question, { action: 'update', author: revisionService.authorFromRequest(req), previous });
+    await auditService.record(req, {
+      action: 'question.feature',
+      target: questionTarget(question),
+      before: { featured: previous.featured },
+      after: { featured: question.featured }
+    });
 
     res.json({
       success: true,
@@ -230,12 +812,18 @@ router.put('/questions/:id/featured', verifyAdmin, async (req, res) => {
   }
 });
 
-// DELETE /api/admin/questions/:id - Delete question
-router.delete('/questions/:id', verifyAdmin, async (req, res) => {
+// PUT /api/admin/questions/:id - Edit an existing question
+router.put('/questions/:id', requireScope('questions:write'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { error, value } = await validate(questionUpdateSchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
 
-    const question = await Question.findByIdAndDelete(id);
+    const question = await Question.findById(req.params.id);
     if (!question) {
       return res.status(404).json({
         success: false,
@@ -243,39 +831,525 @@ router.delete('/questions/:id', verifyAdmin, async (req, res) => {
       });
     }
 
+    const { title, category, questionText, choices, tags, difficulty, estimatedReadTime, featured, status, publishAt } = value;
+    let renamedChoices = [];
+
+    if (publishAt && !status && question.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only scheduled questions can be rescheduled'
+      });
+    }
+
+    const previous = revisionService.snapshot(question);
+
+    if (choices) {
+      const result = applyChoiceChanges(question, choices);
+      if (result.error) {
+        return res.status(result.error.status).json({
+          success: false,
+          error: result.error.message,
+          ...(result.error.data && { data: result.error.data })
+        });
+      }
+      renamedChoices = result.renamedChoices;
+    }
+
+    const previousCategory = question.category;
+    const previousSlug = question.slug;
+
+    if (title !== undefined) question.title = title;
+    if (category !== undefined) question.category = category;
+    if (questionText !== undefined) question.questionText = questionText;
+    if (tags !== undefined) question.tags = tags;
+    if (difficulty !== undefined) question.difficulty = difficulty;
+    if (estimatedReadTime !== undefined) question.estimatedReadTime = estimatedReadTime;
+    if (featured !== undefined) question.featured = featured;
+
+    const wasPublished = question.status === 'published';
+    if (status === 'published' && !wasPublished) {
+      publishingService.publish(question);
+    } else if (status !== undefined) {
+      question.status = status;
+      question.publishAt = status === 'scheduled' ? publishAt : null;
+    } else if (publishAt) {
+      question.publishAt = publishAt;
+    }
+
+    await updateSlug(question, previousCategory, previousSlug);
+
+    await question.saveKeepingVotes();
+    searchService.invalidate();
+    await recordRevision(question, { action: 'update', author: revisionService.authorFromRequest(req), previous });
+    await auditService.record(req, {
+      action: 'question.update',
+      target: questionTarget(question),
+      ...auditService.diff(previous, revisionService.snapshot(question))
+    });
+
+    // Subscribers hear about a question the first time it goes live
+    if (question.status === 'published' && !wasPublished) {
+      try {
+        await publishingService.notifyOnce(question);
+      } catch (emailError) {
+        console.error('Failed to send notification emails:', emailError);
+      }
+    }
+
+    await renameResponseChoices(question, renamedChoices);
+
+    const url = `/${question.category}/${question.slug}`;
+    const previousUrl = `/${previousCategory}/${previousSlug}`;
+
     res.json({
       success: true,
-      message: 'Question deleted successfully'
+      message: 'Question updated successfully',
+      data: {
+        id: question._id,
+        slug: question.slug,
+        category: question.category,
+        questionType: question.questionType,
+        status: question.status,
+        publishAt: question.publishAt,
+        url,
+        redirectFrom: previousUrl !== url ? previousUrl : null
+      }
     });
   } catch (error) {
-    console.error('Error deleting question:', error);
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        error: 'The question changed while it was being saved. Reload it and try again.'
+      });
+    }
+    console.error('Error updating question:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete question'
+      error: 'Failed to update question'
     });
   }
 });
 
-// GET /api/admin/dashboard - Get dashboard statistics
-router.get('/dashboard', verifyAdmin, async (req, res) => {
+// GET /api/admin/questions/:id/revisions - Revision history, newest first
+router.get('/questions/:id/revisions', requireScope('questions:read'), async (req, res) => {
   try {
-    const totalQuestions = await Question.countDocuments();
-    const featuredQuestions = await Question.countDocuments({ featured: true });
-    const multipleChoiceQuestions = await Question.countDocuments({ questionType: 'multiple_choice' });
-    const paragraphQuestions = await Question.countDocuments({ questionType: 'paragraph' });
-    const totalSubscribers = await Subscriber.countDocuments({ isActive: true });
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
-    // Get questions by category
-    const categoryStats = await Question.aggregate([
-      {
-        $group: {
-          _id: '$category',
-          count: { $sum: 1 },
-          totalResponses: { $sum: { $size: '$responses' } }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]);
+    const question = await Question.findById(req.params.id).select('_id');
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const { revisions, total } = await revisionService.list(question._id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRevisions: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching question revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revisions'
+    });
+  }
+});
+
+// GET /api/admin/questions/:id/revisions/diff?from=&to= - Field-level diff between two revisions
+router.get('/questions/:id/revisions/diff', requireScope('questions:read'), async (req, res) => {
+  try {
+    const { error, value } = revisionDiffSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const comparison = await revisionService.compare(req.params.id, value.from, value.to);
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    console.error('Error comparing question revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare revisions'
+    });
+  }
+});
+
+// GET /api/admin/questions/:id/revisions/:revision - One revision with its full snapshot
+router.get('/questions/:id/revisions/:revision', requireScope('questions:read'), async (req, res) => {
+  try {
+    const number = parseInt(req.params.revision);
+    if (!(number >= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid revision number'
+      });
+    }
+
+    const revision = await revisionService.get(req.params.id, number);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error fetching question revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revision'
+    });
+  }
+});
+
+// POST /api/admin/questions/:id/revisions/:revision/rollback - Restore a question's content
+// from an earlier revision. Publication status is left alone; the rollback is itself a revision.
+router.post('/questions/:id/revisions/:revision/rollback', requireScope('questions:write'), async (req, res) => {
+  try {
+    const number = parseInt(req.params.revision);
+    if (!(number >= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid revision number'
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const revision = await revisionService.get(question._id, number);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    const previous = revisionService.snapshot(question);
+    const { choices, ...values } = revisionService.restorableValues(revision);
+    let renamedChoices = [];
+
+    if (question.questionType === 'multiple_choice' && choices && choices.length > 0) {
+      const result = applyChoiceChanges(question, choices, { restoreIds: true });
+      if (result.error) {
+        return res.status(result.error.status).json({
+          success: false,
+          error: result.error.message,
+          ...(result.error.data && { data: result.error.data })
+        });
+      }
+      renamedChoices = result.renamedChoices;
+    }
+
+    const previousCategory = question.category;
+    const previousSlug = question.slug;
+
+    Object.entries(values).forEach(([field, fieldValue]) => {
+      question[field] = fieldValue;
+    });
+
+    await updateSlug(question, previousCategory, previousSlug);
+
+    await question.saveKeepingVotes();
+    searchService.invalidate();
+    await renameResponseChoices(question, renamedChoices);
+
+    const restored = await revisionService.record(question, {
+      action: 'rollback',
+      author: revisionService.authorFromRequest(req),
+      previous,
+      restoredFrom: number
+    });
+    await auditService.record(req, {
+      action: 'question.rollback',
+      target: questionTarget(question),
+      ...auditService.diff(previous, revisionService.snapshot(question)),
+      metadata: { revision: number, newRevision: restored ? restored.revision : null }
+    });
+
+    res.json({
+      success: true,
+      message: restored ? `Question restored to revision ${number}` : 'Question already matches that revision',
+      data: {
+        id: question._id,
+        slug: question.slug,
+        category: question.category,
+        url: `/${question.category}/${question.slug}`,
+        revision: restored ? restored.revision : null,
+        changes: restored ? restored.changes : []
+      }
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        error: 'The question changed while it was being saved. Reload it and try again.'
+      });
+    }
+    console.error('Error rolling back question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back question'
+    });
+  }
+});
+
+// DELETE /api/admin/questions/:id - Move a question to the trash. Its responses and views
+// are kept until the trash is purged.
+router.delete('/questions/:id', requireScope('questions:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const question = await trashService.trash('questions', id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+    searchService.invalidate();
+
+    await auditService.record(req, {
+      action: 'question.trash',
+      target: questionTarget(question),
+      before: { deletedAt: null },
+      after: { deletedAt: question.deletedAt.toISOString() }
+    });
+
+    res.json({
+      success: true,
+      message: 'Question moved to the trash',
+      data: {
+        deletedAt: question.deletedAt,
+        purgeAt: trashService.getPurgeAt(question.deletedAt)
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete question'
+    });
+  }
+});
+
+// GET /api/admin/categories - Every category, active or not, with how many questions use it
+router.get('/categories', requireScope('questions:read'), async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({}).sort({ sortOrder: 1, displayName: 1 }).lean(),
+      Question.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+    const countsBySlug = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      data: {
+        categories: categories.map(category => ({
+          ...category,
+          questionCount: countsBySlug.get(category.slug) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch categories'
+    });
+  }
+});
+
+// POST /api/admin/categories - Create a category
+router.post('/categories', requireScope('categories:write'), async (req, res) => {
+  try {
+    const { error, value } = categorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (await Category.exists({ slug: value.slug })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A category with this slug already exists'
+      });
+    }
+
+    const category = await Category.create(value);
+    categoryService.invalidate();
+
+    await auditService.record(req, {
+      action: 'category.create',
+      target: categoryTarget(category),
+      after: auditService.snapshot(category, CATEGORY_AUDIT_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create category'
+    });
+  }
+});
+
+// PUT /api/admin/categories/:slug - Rename, describe, restyle, reorder or (de)activate a category
+router.put('/categories/:slug', requireScope('categories:write'), async (req, res) => {
+  try {
+    const { error, value } = categoryUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    const before = auditService.snapshot(category, CATEGORY_AUDIT_FIELDS);
+    category.set(value);
+    await category.save();
+    categoryService.invalidate();
+
+    const changes = auditService.diff(before, auditService.snapshot(category, CATEGORY_AUDIT_FIELDS));
+    if (Object.keys(changes.after).length > 0) {
+      await auditService.record(req, {
+        action: 'category.update',
+        target: categoryTarget(category),
+        ...changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update category'
+    });
+  }
+});
+
+// DELETE /api/admin/categories/:slug - Delete a category no question uses (trashed ones
+// included). Categories with questions can only be deactivated.
+router.delete('/categories/:slug', requireScope('categories:write'), async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    const questionCount = await Question.countDocuments({ category: category.slug }).withDeleted();
+    if (questionCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${questionCount} question${questionCount === 1 ? ' uses' : 's use'} this category; deactivate it or move the questions first`
+      });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+    categoryService.invalidate();
+    // Nothing can be published in it any more, so stop subscribers following it
+    await Subscriber.updateMany(
+      { categories: category.slug },
+      { $pull: { categories: category.slug } }
+    ).withDeleted();
+
+    await auditService.record(req, {
+      action: 'category.delete',
+      target: categoryTarget(category),
+      before: auditService.snapshot(category, CATEGORY_AUDIT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete category'
+    });
+  }
+});
+
+// GET /api/admin/dashboard - Get dashboard statistics
+router.get('/dashboard', requireScope('dashboard:read'), async (req, res) => {
+  try {
+    const totalQuestions = await Question.countDocuments();
+    const featuredQuestions = await Question.countDocuments({ featured: true });
+    const multipleChoiceQuestions = await Question.countDocuments({ questionType: 'multiple_choice' });
+    const paragraphQuestions = await Question.countDocuments({ questionType: 'paragraph' });
+    const totalSubscribers = await Subscriber.countDocuments({ isActive: true });
+
+    // Get questions by category
+    const categoryStats = await Question.aggregate([
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          totalResponses: { $sum: { $ifNull: ['$responseCount', 0] } }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
 
     // Get question type stats
     const questionTypeStats = await Question.aggregate([
@@ -283,7 +1357,7 @@ router.get('/dashboard', verifyAdmin, async (req, res) => {
         $group: {
           _id: '$questionType',
           count: { $sum: 1 },
-          totalResponses: { $sum: { $size: '$responses' } }
+          totalResponses: { $sum: { $ifNull: ['$responseCount', 0] } }
         }
       }
     ]);
@@ -292,7 +1366,7 @@ router.get('/dashboard', verifyAdmin, async (req, res) => {
     const recentQuestions = await Question.find()
       .sort({ createdAt: -1 })
       .limit(5)
-      .select('title category questionType createdAt responses');
+      .select('title category questionType createdAt responseCount');
 
     const recentSubscribers = await Subscriber.countDocuments({
       subscribedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
@@ -317,7 +1391,7 @@ router.get('/dashboard', verifyAdmin, async (req, res) => {
           category: q.category,
           questionType: q.questionType || 'multiple_choice',
           createdAt: q.createdAt,
-          responseCount: q.responses.length
+          responseCount: q.responseCount || 0
         }))
       }
     });
@@ -330,10 +1404,10 @@ router.get('/dashboard', verifyAdmin, async (req, res) => {
   }
 });
 
-// GET /api/admin/questions/search - Search questions
-router.get('/questions/search', verifyAdmin, async (req, res) => {
+// GET /api/admin/questions/search - Search questions (same engine as the public search)
+router.get('/questions/search', requireScope('questions:read'), async (req, res) => {
   try {
-    const { q, type } = req.query;
+    const { q, type, category } = req.query;
 
     if (!q || q.trim().length === 0) {
       return res.status(400).json({
@@ -342,24 +1416,24 @@ router.get('/questions/search', verifyAdmin, async (req, res) => {
       });
     }
 
-    const searchRegex = new RegExp(q.trim(), 'i');
-    let filter = {
-      $or: [
-        { title: searchRegex },
-        { questionText: searchRegex },
-        { category: searchRegex }
-      ]
-    };
+    const filter = {};
 
     // Add question type filter if provided
     if (type && ['multiple_choice', 'paragraph'].includes(type)) {
       filter.questionType = type;
     }
 
-    const questions = await Question.find(filter)
-      .sort({ createdAt: -1 })
-      .limit(50)
-      .select('title slug category questionType featured createdAt responses');
+    if (category) {
+      filter.category = category.toLowerCase();
+    }
+
+    const { questions, totalResults, didYouMean } = await searchService.search(q, {
+      filter,
+      sortBy: 'relevance',
+      limit: 50,
+      includeUnpublished: true,
+      select: 'title slug category questionText questionType featured status publishAt createdAt responseCount tags'
+    });
 
     const questionsWithStats = questions.map(q => ({
       _id: q._id,
@@ -368,162 +1442,1292 @@ router.get('/questions/search', verifyAdmin, async (req, res) => {
       category: q.category,
       questionType: q.questionType || 'multiple_choice',
       featured: q.featured,
+      status: q.status,
+      publishAt: q.publishAt,
       createdAt: q.createdAt,
-      responseCount: q.responses.length,
+      responseCount: q.responseCount || 0,
+      relevanceScore: q.relevanceScore,
+      highlights: q.highlights,
       url: `/${q.category}/${q.slug}`
     }));
 
     res.json({
       success: true,
       data: {
-        questions: questionsWithStats,
-        total: questionsWithStats.length
+        questions: questionsWithStats,
+        total: totalResults,
+        didYouMean
+      }
+    });
+  } catch (error) {
+    console.error('Error searching questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search questions'
+    });
+  }
+});
+
+// GET /api/admin/questions/:id - Get a single question for editing
+router.get('/questions/:id', requireScope('questions:read'), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id)
+      .select('title slug slugHistory category questionText questionType choices tags difficulty estimatedReadTime featured status publishAt publishedAt createdAt updatedAt responseCount viewCount');
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: question._id,
+        title: question.title,
+        slug: question.slug,
+        slugHistory: question.slugHistory,
+        category: question.category,
+        questionText: question.questionText,
+        questionType: question.questionType || 'multiple_choice',
+        choices: question.choices.map(choice => ({
+          _id: choice._id,
+          text: choice.text,
+          votes: choice.votes || 0
+        })),
+        tags: question.tags,
+        difficulty: question.difficulty,
+        estimatedReadTime: question.estimatedReadTime,
+        featured: question.featured,
+        status: question.status,
+        publishAt: question.publishAt,
+        publishedAt: question.publishedAt,
+        createdAt: question.createdAt,
+        updatedAt: question.updatedAt,
+        responseCount: question.responseCount || 0,
+        viewCount: question.viewCount || 0,
+        url: `/${question.category}/${question.slug}`
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch question'
+    });
+  }
+});
+
+// GET /api/admin/translations - Translation status per locale, and the questions that
+// match ?locale= and ?status=
+router.get('/translations', requireScope('questions:read'), async (req, res) => {
+  try {
+    const { error, value } = translationReportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const report = await translationService.getReport(value);
+    const names = new Map(getLocales().map(locale => [locale.code, locale.name]));
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        sourceLocale: SOURCE_LOCALE,
+        locales: report.locales.map(code => ({ code, name: names.get(code) }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching translation report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch translation report'
+    });
+  }
+});
+
+// GET /api/admin/questions/:id/translations - Source content and every locale's translation
+router.get('/questions/:id/translations', requireScope('questions:read'), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id)
+      .select('title questionText questionType choices translations');
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sourceLocale: SOURCE_LOCALE,
+        source: {
+          title: question.title,
+          questionText: question.questionText,
+          questionType: question.questionType,
+          choices: question.choices.map(choice => ({ _id: choice._id, text: choice.text }))
+        },
+        translations: getLocales()
+          .filter(locale => locale.code !== SOURCE_LOCALE)
+          .map(locale => {
+            const translation = translationService.findTranslation(question, locale.code);
+            return {
+              locale: locale.code,
+              name: locale.name,
+              status: translationService.getStatus(question, locale.code),
+              ...translationSnapshot(translation),
+              updatedAt: translation ? translation.updatedAt : null
+            };
+          })
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching question translations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch translations'
+    });
+  }
+});
+
+// PUT /api/admin/questions/:id/translations/:locale - Add or replace a translation. It is
+// recorded against the current source text, so later source edits mark it outdated.
+router.put('/questions/:id/translations/:locale', requireScope('questions:write'), async (req, res) => {
+  try {
+    const { error: localeError } = translationLocale.required().validate(req.params.locale);
+    if (localeError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported translation locale'
+      });
+    }
+
+    const { error, value } = translationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    if (question.questionType !== 'multiple_choice' && value.choices.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Paragraph questions do not have choices'
+      });
+    }
+
+    const choiceIds = new Set(question.choices.map(choice => String(choice._id)));
+    const unknownChoice = value.choices.find(choice => !choiceIds.has(choice.choiceId));
+    if (unknownChoice) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown choice id: ${unknownChoice.choiceId}`
+      });
+    }
+
+    const { locale } = req.params;
+    const before = translationSnapshot(translationService.findTranslation(question, locale));
+    const translation = translationService.setTranslation(question, locale, value);
+    await question.save();
+
+    const changes = auditService.diff(before, translationSnapshot(translation));
+    if (Object.keys(changes.after).length > 0) {
+      await auditService.record(req, {
+        action: 'question.translate',
+        target: questionTarget(question),
+        ...changes,
+        metadata: { locale }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Translation saved successfully',
+      data: {
+        locale,
+        status: translationService.getStatus(question, locale),
+        ...translationSnapshot(translation),
+        updatedAt: translation.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error saving translation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save translation'
+    });
+  }
+});
+
+// DELETE /api/admin/questions/:id/translations/:locale - Remove a translation; the question
+// is shown in the source language to visitors using that locale
+router.delete('/questions/:id/translations/:locale', requireScope('questions:write'), async (req, res) => {
+  try {
+    const { id, locale } = req.params;
+
+    const question = await Question.findById(id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const removed = translationService.removeTranslation(question, locale);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Translation not found'
+      });
+    }
+    await question.save();
+
+    await auditService.record(req, {
+      action: 'question.translation_delete',
+      target: questionTarget(question),
+      before: translationSnapshot(removed),
+      after: null,
+      metadata: { locale }
+    });
+
+    res.json({
+      success: true,
+      message: 'Translation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting translation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete translation'
+    });
+  }
+});
+
+// GET /api/admin/responses - Moderation queue (status defaults to pending).
+// kind=replies lists replies to responses instead.
+router.get('/responses', requireScope('responses:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const status = req.query.status || 'pending';
+    const { questionType, questionId } = req.query;
+    const replies = req.query.kind === 'replies';
+
+    if (status !== 'all' && !Response.MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: all, ${Response.MODERATION_STATUSES.join(', ')}`
+      });
+    }
+
+    // Votes without any text have nothing to review
+    const match = replies ? {} : {
+      $or: [
+        { responseText: { $exists: true, $ne: '' } },
+        { explanation: { $exists: true, $ne: '' } }
+      ]
+    };
+    if (questionType && !replies) {
+      match.questionType = questionType;
+    }
+    if (questionId) {
+      if (!mongoose.Types.ObjectId.isValid(questionId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid question id'
+        });
+      }
+      match.question = new mongoose.Types.ObjectId(questionId);
+    }
+
+    const filter = status === 'all' ? match : { ...match, moderationStatus: status };
+    // Oldest first so the queue is worked through in order
+    const sortOrder = status === 'pending' || status === 'flagged' ? 1 : -1;
+
+    const Model = replies ? Reply : Response;
+    const fields = replies
+      ? 'question response depth text timestamp moderationStatus moderatedBy moderatedAt moderationReason screening'
+      : 'question questionType choice explanation responseText timestamp moderationStatus moderatedBy moderatedAt moderationReason screening';
+
+    const [responses, total, counts] = await Promise.all([
+      Model.find(filter)
+        .sort({ timestamp: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(fields)
+        .populate('question', 'title category slug')
+        .populate('moderatedBy', 'email name')
+        .lean(),
+      Model.countDocuments(filter),
+      moderationService.getStatusCounts(match, Model)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        responses,
+        counts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalResponses: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch responses'
+    });
+  }
+});
+
+// POST /api/admin/responses/moderate - Approve, reject or flag several responses (or replies, with kind)
+router.post('/responses/moderate', requireScope('responses:moderate'), async (req, res) => {
+  try {
+    const { error, value } = moderationActionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const model = value.kind === 'replies' ? Reply : Response;
+    const previous = await model.find({ _id: { $in: value.ids } }).select('moderationStatus').lean();
+
+    const result = await moderationService.moderate(value.ids, value.status, {
+      adminId: req.admin ? req.admin._id : null,
+      reason: value.reason,
+      model
+    });
+
+    await auditService.record(req, {
+      action: value.kind === 'replies' ? 'reply.moderate' : 'response.moderate',
+      target: { type: value.kind === 'replies' ? 'reply' : 'response', ids: value.ids },
+      before: {
+        moderationStatus: previous.reduce((statuses, item) => {
+          statuses[item._id] = item.moderationStatus;
+          return statuses;
+        }, {})
+      },
+      after: { moderationStatus: value.status, moderationReason: value.reason || null },
+      metadata: { modified: result.modified }
+    });
+
+    res.json({
+      success: true,
+      message: value.kind === 'replies'
+        ? `${result.modified} ${result.modified === 1 ? 'reply' : 'replies'} marked as ${value.status}`
+        : `${result.modified} response(s) marked as ${value.status}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error moderating responses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to moderate responses'
+    });
+  }
+});
+
+// GET /api/admin/moderation/settings - Current moderation mode and screening rules
+router.get('/moderation/settings', requireScope('responses:read'), async (req, res) => {
+  try {
+    const settings = await moderationService.getSettings();
+
+    res.json({
+      success: true,
+      data: formatModerationSettings(settings)
+    });
+  } catch (error) {
+    console.error('Error fetching moderation settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch moderation settings'
+    });
+  }
+});
+
+// PUT /api/admin/moderation/settings - Switch moderation mode and tune screening rules.
+// Screening changes are partial: omitted rules and fields keep their current values.
+router.put('/moderation/settings', requireScope('moderation:configure'), async (req, res) => {
+  try {
+    const { error, value } = moderationSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const previous = formatModerationSettings(await moderationService.getSettings());
+
+    if (value.screening) {
+      const current = previous.screening;
+      const { flagThreshold = current.flagThreshold, rejectThreshold = current.rejectThreshold } = value.screening;
+
+      if (flagThreshold > rejectThreshold) {
+        return res.status(400).json({
+          success: false,
+          error: 'flagThreshold must not be greater than rejectThreshold'
+        });
+      }
+    }
+
+    const settings = await moderationService.updateSettings(value, req.admin ? req.admin._id : null);
+
+    const auditFields = ['mode', 'reportThreshold', 'screening'];
+    await auditService.record(req, {
+      action: 'moderation_settings.update',
+      target: { type: 'moderation_settings', label: 'global' },
+      ...auditService.diff(
+        auditService.snapshot(previous, auditFields),
+        auditService.snapshot(formatModerationSettings(settings), auditFields)
+      )
+    });
+
+    res.json({
+      success: true,
+      message: 'Moderation settings updated successfully',
+      data: formatModerationSettings(settings)
+    });
+  } catch (error) {
+    console.error('Error updating moderation settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update moderation settings'
+    });
+  }
+});
+
+// POST /api/admin/moderation/screen - Dry run of the screening rules against some text
+router.post('/moderation/screen', requireScope('responses:read'), async (req, res) => {
+  try {
+    const { error, value } = screeningTestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const moderation = await moderationService.screenSubmission(value.text);
+
+    res.json({
+      success: true,
+      data: {
+        moderationStatus: moderation.moderationStatus,
+        screening: moderation.screening || null
+      }
+    });
+  } catch (error) {
+    console.error('Error screening text:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to screen text'
+    });
+  }
+});
+
+// GET /api/admin/reports - Open reader reports grouped by response, highest score first
+router.get('/reports', requireScope('responses:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const status = req.query.status || 'open';
+    const reason = req.query.reason || null;
+
+    if (!Report.STATUSES.includes(status) || (reason && !Report.REASONS.includes(reason))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status or reason filter'
+      });
+    }
+
+    const { groups, total } = await reportService.getSummary({ status, reason, page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        groups,
+        reasons: Report.REASONS,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalResponses: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reports'
+    });
+  }
+});
+
+// POST /api/admin/reports/resolve - Uphold (reject the responses) or dismiss their open reports
+router.post('/reports/resolve', requireScope('responses:moderate'), async (req, res) => {
+  try {
+    const { error, value } = reportResolutionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await reportService.resolveReports(value.responseIds, value.action, {
+      adminId: req.admin ? req.admin._id : null,
+      reason: value.reason
+    });
+
+    await auditService.record(req, {
+      action: value.action === 'uphold' ? 'report.uphold' : 'report.dismiss',
+      target: { type: 'response', ids: value.responseIds },
+      metadata: { reason: value.reason || null, ...result }
+    });
+
+    res.json({
+      success: true,
+      message: value.action === 'uphold' ? 'Reports upheld' : 'Reports dismissed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error resolving reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve reports'
+    });
+  }
+});
+
+// GET /api/admin/subscribers - Get subscriber statistics and list
+router.get('/subscribers', requireScope('subscribers:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const subscribers = await Subscriber.find()
+      .sort({ subscribedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('email subscribedAt isActive lastNotificationSent categories tags frequency lastDigestAt unsubscribedAt consent pendingConsent.requestedAt');
+    const suppressed = await Suppression.suppressedAmong(subscribers.map(subscriber => subscriber.email));
+
+    const total = await Subscriber.countDocuments();
+    const activeCount = await Subscriber.countDocuments({ isActive: true });
+    const inactiveCount = await Subscriber.countDocuments({ isActive: false });
+    // Sign-ups that haven't followed their confirmation link yet (counted as inactive too)
+    const pendingCount = await Subscriber.countDocuments(Subscriber.pendingConfirmation());
+
+    // Get recent subscriber growth
+    const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const last7Days = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const recentSubscribers30 = await Subscriber.countDocuments({
+      subscribedAt: { $gte: last30Days },
+      isActive: true
+    });
+
+    const recentSubscribers7 = await Subscriber.countDocuments({
+      subscribedAt: { $gte: last7Days },
+      isActive: true
+    });
+
+    // Active subscribers following each category, and those who get every question
+    const [categories, categoryCounts, followingAll] = await Promise.all([
+      categoryService.getAll(),
+      Subscriber.aggregate([
+        { $match: { isActive: true } },
+        { $unwind: '$categories' },
+        { $group: { _id: '$categories', count: { $sum: 1 } } }
+      ]),
+      Subscriber.countDocuments({ isActive: true, ...Subscriber.followsEverything() })
+    ]);
+    const followersBySlug = new Map(categoryCounts.map(({ _id, count }) => [_id, count]));
+
+    // Active subscribers emailed per question and those on daily or weekly digests
+    const frequencyCounts = await Promise.all(
+      Subscriber.FREQUENCIES.map(frequency =>
+        Subscriber.countDocuments({ isActive: true, ...Subscriber.withFrequency(frequency) })
+      )
+    );
+
+    res.json({
+      success: true,
+      data: {
+        subscribers: subscribers.map(subscriber => ({
+          ...subscriber.toJSON(),
+          suppressed: suppressed.has(subscriber.email)
+        })),
+        stats: {
+          total,
+          active: activeCount,
+          inactive: inactiveCount - pendingCount,
+          pending: pendingCount,
+          recentSubscribers30,
+          recentSubscribers7,
+          followingAll,
+          byFrequency: Object.fromEntries(
+            Subscriber.FREQUENCIES.map((frequency, index) => [frequency, frequencyCounts[index]])
+          ),
+          byCategory: categories.map(category => ({
+            slug: category.slug,
+            displayName: category.displayName,
+            isActive: category.isActive,
+            subscribers: followersBySlug.get(category.slug) || 0
+          }))
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalSubscribers: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching subscribers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch subscribers'
+    });
+  }
+});
+
+// PUT /api/admin/subscribers/:id/status - Toggle subscriber status
+router.put('/subscribers/:id/status', requireScope('subscribers:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be a boolean value'
+      });
+    }
+
+    const subscriber = await Subscriber.findById(id);
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+
+    // Admins can't subscribe an address on its owner's behalf
+    if (isActive && !subscriber.isConfirmed()) {
+      return res.status(409).json({
+        success: false,
+        error: 'This subscriber has not confirmed their address yet'
+      });
+    }
+
+    if (isActive && await Suppression.isSuppressed(subscriber.email)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This address is on the suppression list'
+      });
+    }
+
+    const before = auditService.snapshot(subscriber, ['isActive', 'unsubscribedAt']);
+
+    subscriber.isActive = isActive;
+    if (!isActive) {
+      subscriber.unsubscribedAt = new Date();
+    } else {
+      subscriber.unsubscribedAt = null;
+    }
+
+    await subscriber.save();
+
+    await auditService.record(req, {
+      action: isActive ? 'subscriber.activate' : 'subscriber.deactivate',
+      target: subscriberTarget(subscriber),
+      before,
+      after: auditService.snapshot(subscriber, ['isActive', 'unsubscribedAt'])
+    });
+
+    res.json({
+      success: true,
+      message: `Subscriber ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: {
+        isActive: subscriber.isActive,
+        unsubscribedAt: subscriber.unsubscribedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error updating subscriber status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update subscriber status'
+    });
+  }
+});
+
+// DELETE /api/admin/subscribers/:id - Move a subscriber to the trash (no more emails)
+router.delete('/subscribers/:id', requireScope('subscribers:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const subscriber = await trashService.trash('subscribers', id);
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'subscriber.trash',
+      target: subscriberTarget(subscriber),
+      before: { deletedAt: null },
+      after: { deletedAt: subscriber.deletedAt.toISOString() }
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscriber moved to the trash',
+      data: {
+        deletedAt: subscriber.deletedAt,
+        purgeAt: trashService.getPurgeAt(subscriber.deletedAt)
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting subscriber:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete subscriber'
+    });
+  }
+});
+
+// Trash handlers shared by questions and subscribers
+const TRASH_LABELS = {
+  questions: { noun: 'Question', target: (question) => questionTarget(question), action: 'question' },
+  subscribers: { noun: 'Subscriber', target: (subscriber) => subscriberTarget(subscriber), action: 'subscriber' }
+};
+
+const listTrash = (type) => async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { items, total } = await trashService.list(type, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        [type]: items,
+        retentionDays: trashService.getRetentionDays(),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error(`Error fetching trashed ${type}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+};
+
+const restoreFromTrash = (type) => async (req, res) => {
+  const { noun, target, action } = TRASH_LABELS[type];
+
+  try {
+    const restored = await trashService.restore(type, req.params.id);
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: `${noun} not found in the trash`
+      });
+    }
+    if (type === 'questions') {
+      searchService.invalidate();
+    }
+
+    await auditService.record(req, {
+      action: `${action}.restore`,
+      target: target(restored),
+      after: { deletedAt: null }
+    });
+
+    res.json({
+      success: true,
+      message: `${noun} restored`,
+      data: restored
+    });
+  } catch (error) {
+    console.error(`Error restoring ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to restore ${action}`
+    });
+  }
+};
+
+const purgeFromTrash = (type) => async (req, res) => {
+  const { noun, target, action } = TRASH_LABELS[type];
+
+  try {
+    const result = await trashService.purge(type, req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `${noun} not found in the trash`
+      });
+    }
+
+    await auditService.record(req, {
+      action: `${action}.purge`,
+      target: target(result.document),
+      before: type === 'questions'
+        ? { ...revisionService.snapshot(result.document), slug: result.document.slug }
+        : auditService.snapshot(result.document, ['email', 'isActive', 'subscribedAt', 'lastNotified']),
+      metadata: { deletedRelated: result.related }
+    });
+
+    res.json({
+      success: true,
+      message: `${noun} deleted permanently`
+    });
+  } catch (error) {
+    console.error(`Error purging ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to delete ${action}`
+    });
+  }
+};
+
+// GET /api/admin/trash/questions - Questions in the trash, most recently deleted first
+router.get('/trash/questions', requireScope('questions:read'), listTrash('questions'));
+
+// POST /api/admin/questions/:id/restore - Take a question out of the trash
+router.post('/questions/:id/restore', requireScope('questions:write'), restoreFromTrash('questions'));
+
+// DELETE /api/admin/trash/questions/:id - Permanently delete a trashed question with its responses and views
+router.delete('/trash/questions/:id', requireScope('questions:write'), purgeFromTrash('questions'));
+
+// GET /api/admin/trash/subscribers - Subscribers in the trash, most recently deleted first
+router.get('/trash/subscribers', requireScope('subscribers:read'), listTrash('subscribers'));
+
+// POST /api/admin/subscribers/:id/restore - Take a subscriber out of the trash
+router.post('/subscribers/:id/restore', requireScope('subscribers:delete'), restoreFromTrash('subscribers'));
+
+// DELETE /api/admin/trash/subscribers/:id - Permanently delete a trashed subscriber
+router.delete('/trash/subscribers/:id', requireScope('subscribers:delete'), purgeFromTrash('subscribers'));
+
+const outboxTarget = (message) => ({ type: 'outbox_message', id: message._id, label: `${message.kind} to ${message.to}` });
+
+// GET /api/admin/outbox - Queued, sent and dead-lettered emails (without their bodies), newest
+// first, with the number in each status. Filter with ?status= and ?kind=
+router.get('/outbox', requireScope('subscribers:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const status = OutboxMessage.STATUSES.includes(req.query.status) ? req.query.status : undefined;
+    const kind = OutboxMessage.KINDS.includes(req.query.kind) ? req.query.kind : undefined;
+
+    const [{ messages, total }, counts] = await Promise.all([
+      outboxService.list({ status, kind, page, limit }),
+      outboxService.countByStatus()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        messages,
+        counts,
+        settings: {
+          ratePerSecond: outboxService.getRatePerSecond(),
+          maxAttempts: outboxService.getMaxAttempts(),
+          retryBaseSeconds: outboxService.getRetryBaseSeconds()
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch outbox'
+    });
+  }
+});
+
+// GET /api/admin/outbox/:id - One outbox message, including its HTML and text bodies
+router.get('/outbox/:id', requireScope('subscribers:read'), async (req, res) => {
+  try {
+    const message = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await OutboxMessage.findById(req.params.id).lean()
+      : null;
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error('Error fetching outbox message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch message'
+    });
+  }
+});
+
+// POST /api/admin/outbox/requeue - Requeue every dead-lettered message: { "kind": "digest" } (optional)
+router.post('/outbox/requeue', requireScope('subscribers:write'), async (req, res) => {
+  try {
+    const kind = req.body && req.body.kind;
+    if (kind !== undefined && !OutboxMessage.KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `kind must be one of: ${OutboxMessage.KINDS.join(', ')}`
+      });
+    }
+
+    const requeued = await outboxService.requeueDead({ kind });
+    if (requeued > 0) {
+      outboxService.wake();
+    }
+
+    await auditService.record(req, {
+      action: 'outbox.requeue_dead',
+      target: { type: 'outbox_message', label: kind ? `dead ${kind} messages` : 'dead messages' },
+      metadata: { kind: kind || null, requeued }
+    });
+
+    res.json({
+      success: true,
+      message: `${requeued} message${requeued === 1 ? '' : 's'} requeued`,
+      data: { requeued }
+    });
+  } catch (error) {
+    console.error('Error requeuing outbox messages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to requeue messages'
+    });
+  }
+});
+
+// POST /api/admin/outbox/:id/requeue - Send a dead-lettered, cancelled or waiting message now
+// with a fresh set of attempts. Sent messages can't be requeued.
+router.post('/outbox/:id/requeue', requireScope('subscribers:write'), async (req, res) => {
+  try {
+    const current = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await OutboxMessage.findById(req.params.id).select('-html -text')
+      : null;
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    const message = outboxService.canRequeue(current) ? await outboxService.requeue(current._id) : null;
+    if (!message) {
+      return res.status(409).json({
+        success: false,
+        error: current.status === 'sent'
+          ? 'This message has already been sent'
+          : 'This message is being sent'
+      });
+    }
+    outboxService.wake();
+
+    await auditService.record(req, {
+      action: 'outbox.requeue',
+      target: outboxTarget(message),
+      before: auditService.snapshot(current, ['status', 'attempts', 'lastError']),
+      after: auditService.snapshot(message, ['status', 'attempts'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Message requeued',
+      data: message
+    });
+  } catch (error) {
+    console.error('Error requeuing outbox message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to requeue message'
+    });
+  }
+});
+
+const suppressionTarget = (suppression) => ({ type: 'suppression', id: suppression._id, label: suppression.email });
+
+const suppressionSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  details: Joi.string().trim().max(500).allow('')
+});
+
+// POST /api/admin/email-events - Bounce and complaint notifications from the mail provider, as
+// JSON ({ "type": "bounce", "email": "...", "status": "5.1.1" }, an array of them or
+// { "events": [...] }) or as a raw delivery status notification or abuse report
+// (multipart/report, message/*). Addresses that reach their limit are suppressed.
+router.post('/email-events', requireScope('email-events:report'), express.text({ type: ['multipart/report', 'message/*', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const parsed = typeof req.body === 'string'
+      ? bounceService.parseDsn(req.body)
+      : bounceService.parseJson(req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const summary = await bounceService.recordAll(parsed);
+
+    for (const outcome of summary.results.filter(result => result.created)) {
+      await auditService.record(req, {
+        action: 'suppression.create',
+        target: suppressionTarget(outcome.suppression),
+        after: auditService.snapshot(outcome.suppression, ['email', 'reason', 'details']),
+        metadata: { source: 'email_event', deactivated: outcome.deactivated }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recorded: summary.recorded,
+        duplicates: summary.duplicates,
+        unmatched: summary.unmatched,
+        ignored: summary.ignored,
+        results: summary.results.map(({ email, type, result, suppression, deactivated }) => ({
+          email,
+          type,
+          result,
+          suppressed: Boolean(suppression),
+          deactivated
+        }))
       }
     });
   } catch (error) {
-    console.error('Error searching questions:', error);
+    console.error('Error processing email events:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to search questions'
+      error: 'Failed to process email events'
     });
   }
 });
 
-// GET /api/admin/subscribers - Get subscriber statistics and list
-router.get('/subscribers', verifyAdmin, async (req, res) => {
+// GET /api/admin/email-events - Bounces and complaints received, newest first, with the
+// suppression limits. Filter with ?email= and ?type=
+router.get('/email-events', requireScope('subscribers:read'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
-
-    const subscribers = await Subscriber.find()
-      .sort({ subscribedAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('email subscribedAt isActive lastNotificationSent');
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const type = EmailEvent.TYPES.includes(req.query.type) ? req.query.type : undefined;
+    const email = typeof req.query.email === 'string' && req.query.email.trim() ? req.query.email.trim() : undefined;
 
-    const total = await Subscriber.countDocuments();
-    const activeCount = await Subscriber.countDocuments({ isActive: true });
-    const inactiveCount = await Subscriber.countDocuments({ isActive: false });
-
-    // Get recent subscriber growth
-    const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const last7Days = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const { events, total } = await bounceService.listEvents({ email, type, page, limit });
 
-    const recentSubscribers30 = await Subscriber.countDocuments({
-      subscribedAt: { $gte: last30Days },
-      isActive: true
+    res.json({
+      success: true,
+      data: {
+        events,
+        settings: {
+          hardBounceLimit: bounceService.getHardBounceLimit(),
+          softBounceLimit: bounceService.getSoftBounceLimit(),
+          softBounceWindowDays: bounceService.getSoftBounceWindowDays()
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
     });
-
-    const recentSubscribers7 = await Subscriber.countDocuments({
-      subscribedAt: { $gte: last7Days },
-      isActive: true
+  } catch (error) {
+    console.error('Error fetching email events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch email events'
     });
+  }
+});
+
+// GET /api/admin/suppressions - Addresses nothing is emailed to, newest first, with the number
+// per reason. Filter with ?email= and ?reason=
+router.get('/suppressions', requireScope('subscribers:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = {};
+    if (Suppression.REASONS.includes(req.query.reason)) filter.reason = req.query.reason;
+    if (typeof req.query.email === 'string' && req.query.email.trim()) filter.email = req.query.email.trim().toLowerCase();
+
+    const [suppressions, total, counts] = await Promise.all([
+      Suppression.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Suppression.countDocuments(filter),
+      Suppression.aggregate([
+        { $group: { _id: '$reason', count: { $sum: 1 } } }
+      ])
+    ]);
+    const byReason = new Map(counts.map(({ _id, count }) => [_id, count]));
 
     res.json({
       success: true,
       data: {
-        subscribers,
-        stats: {
-          total,
-          active: activeCount,
-          inactive: inactiveCount,
-          recentSubscribers30,
-          recentSubscribers7
-        },
+        suppressions,
+        counts: Object.fromEntries(Suppression.REASONS.map(reason => [reason, byReason.get(reason) || 0])),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
-          totalSubscribers: total,
+          totalItems: total,
           hasNext: page < Math.ceil(total / limit),
           hasPrev: page > 1
         }
       }
     });
   } catch (error) {
-    console.error('Error fetching subscribers:', error);
+    console.error('Error fetching suppressions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch subscribers'
+      error: 'Failed to fetch suppressions'
     });
   }
 });
 
-// PUT /api/admin/subscribers/:id/status - Toggle subscriber status
-router.put('/subscribers/:id/status', verifyAdmin, async (req, res) => {
+// POST /api/admin/suppressions - Stop emailing an address: { "email": "...", "details": "..." }.
+// Its subscriber is deactivated and anything queued for it is cancelled.
+router.post('/suppressions', requireScope('subscribers:write'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { isActive } = req.body;
-
-    if (typeof isActive !== 'boolean') {
+    const { error, value } = suppressionSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'isActive must be a boolean value'
+        error: error.details[0].message
       });
     }
 
-    const subscriber = await Subscriber.findById(id);
-    if (!subscriber) {
-      return res.status(404).json({
+    if (await Suppression.isSuppressed(value.email)) {
+      return res.status(409).json({
         success: false,
-        error: 'Subscriber not found'
+        error: 'This address is already suppressed'
       });
     }
 
-    subscriber.isActive = isActive;
-    if (!isActive) {
-      subscriber.unsubscribedAt = new Date();
-    } else {
-      subscriber.unsubscribedAt = undefined;
-    }
+    const { suppression, deactivated } = await bounceService.suppress(value.email, 'manual', value.details || null);
 
-    await subscriber.save();
+    await auditService.record(req, {
+      action: 'suppression.create',
+      target: suppressionTarget(suppression),
+      after: auditService.snapshot(suppression, ['email', 'reason', 'details']),
+      metadata: { source: 'admin', deactivated }
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: `Subscriber ${isActive ? 'activated' : 'deactivated'} successfully`,
-      data: {
-        isActive: subscriber.isActive,
-        unsubscribedAt: subscriber.unsubscribedAt
-      }
+      message: 'Address suppressed',
+      data: { suppression, deactivated }
     });
   } catch (error) {
-    console.error('Error updating subscriber status:', error);
+    console.error('Error suppressing address:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update subscriber status'
+      error: 'Failed to suppress address'
     });
   }
 });
 
-// DELETE /api/admin/subscribers/:id - Delete subscriber
-router.delete('/subscribers/:id', verifyAdmin, async (req, res) => {
+// DELETE /api/admin/suppressions/:id - Take an address off the suppression list. Its subscriber
+// stays inactive; the owner can subscribe again.
+router.delete('/suppressions/:id', requireScope('subscribers:write'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const suppression = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Suppression.findByIdAndDelete(req.params.id)
+      : null;
 
-    const subscriber = await Subscriber.findByIdAndDelete(id);
-    if (!subscriber) {
+    if (!suppression) {
       return res.status(404).json({
         success: false,
-        error: 'Subscriber not found'
+        error: 'Suppression not found'
       });
     }
 
+    await auditService.record(req, {
+      action: 'suppression.delete',
+      target: suppressionTarget(suppression),
+      before: auditService.snapshot(suppression, ['email', 'reason', 'details'])
+    });
+
     res.json({
       success: true,
-      message: 'Subscriber deleted successfully'
+      message: 'Address removed from the suppression list'
     });
   } catch (error) {
-    console.error('Error deleting subscriber:', error);
+    console.error('Error removing suppression:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete subscriber'
+      error: 'Failed to remove suppression'
     });
   }
 });
 
 // GET /api/admin/analytics - Get detailed analytics
-router.get('/analytics', verifyAdmin, async (req, res) => {
+router.get('/analytics', requireScope('analytics:read'), async (req, res) => {
   try {
     const { timeframe = '30d' } = req.query;
 
@@ -557,24 +2761,21 @@ router.get('/analytics', verifyAdmin, async (req, res) => {
             questionType: "$questionType"
           },
           count: { $sum: 1 },
-          totalResponses: { $sum: { $size: "$responses" } }
+          totalResponses: { $sum: { $ifNull: ["$responseCount", 0] } }
         }
       },
       { $sort: { "_id.date": 1 } }
     ]);
 
     // Response analytics
-    const responseAnalytics = await Question.aggregate([
-      {
-        $unwind: "$responses"
-      },
+    const responseAnalytics = await Response.aggregate([
       {
-        $match: { "responses.timestamp": dateFilter }
+        $match: { timestamp: dateFilter }
       },
       {
         $group: {
           _id: {
-            date: { $dateToString: { format: "%Y-%m-%d", date: "$responses.timestamp" } }
+            date: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } }
           },
           count: { $sum: 1 }
         }
@@ -584,9 +2785,9 @@ router.get('/analytics', verifyAdmin, async (req, res) => {
 
     // Popular questions
     const popularQuestions = await Question.find()
-      .sort({ 'responses.length': -1 })
+      .sort({ responseCount: -1 })
       .limit(10)
-      .select('title category questionType responses slug');
+      .select('title category questionType responseCount slug');
 
     res.json({
       success: true,
@@ -599,7 +2800,7 @@ router.get('/analytics', verifyAdmin, async (req, res) => {
           category: q.category,
           questionType: q.questionType || 'multiple_choice',
           slug: q.slug,
-          responseCount: q.responses.length,
+          responseCount: q.responseCount || 0,
           url: `/${q.category}/${q.slug}`
         }))
       }
@@ -613,4 +2814,288 @@ router.get('/analytics', verifyAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/users - List admin accounts
+router.get('/users', requireScope('users:manage'), async (req, res) => {
+  try {
+    const users = await AdminUser.find({}).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { users }
+    });
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch admin users'
+    });
+  }
+});
+
+// POST /api/admin/users - Create an admin account
+router.post('/users', requireScope('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = adminUserSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (await AdminUser.findByEmail(value.email)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An admin account with this email already exists'
+      });
+    }
+
+    const user = new AdminUser({
+      email: value.email,
+      name: value.name,
+      role: value.role
+    });
+    await user.setPassword(value.password);
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'admin_user.create',
+      target: { type: 'admin_user', id: user._id, label: user.email },
+      after: auditService.snapshot(user.toJSON(), ['email', 'name', 'role', 'isActive'])
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin account created successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create admin user'
+    });
+  }
+});
+
+// PUT /api/admin/users/:id - Update role, status, name or password
+router.put('/users/:id', requireScope('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = adminUserUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin user not found'
+      });
+    }
+
+    // Never leave the platform without an active owner
+    const losesOwner = user.role === 'owner' && user.isActive &&
+      ((value.role && value.role !== 'owner') || value.isActive === false);
+    if (losesOwner) {
+      const activeOwners = await AdminUser.countDocuments({ role: 'owner', isActive: true });
+      if (activeOwners <= 1) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot demote or deactivate the last active owner'
+        });
+      }
+    }
+
+    const before = auditService.snapshot(user.toJSON(), ['name', 'role', 'isActive']);
+
+    if (value.name !== undefined) user.name = value.name;
+    if (value.role !== undefined) user.role = value.role;
+    if (value.isActive !== undefined) user.isActive = value.isActive;
+
+    // Password changes and deactivation end existing sessions
+    if (value.password) {
+      await user.setPassword(value.password);
+      user.sessions = [];
+    }
+    if (value.isActive === false) {
+      user.sessions = [];
+    }
+
+    await user.save();
+
+    // Password values are never recorded, only that one was set
+    await auditService.record(req, {
+      action: 'admin_user.update',
+      target: { type: 'admin_user', id: user._id, label: user.email },
+      ...auditService.diff(before, auditService.snapshot(user.toJSON(), ['name', 'role', 'isActive'])),
+      metadata: { passwordChanged: Boolean(value.password) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin account updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update admin user'
+    });
+  }
+});
+
+// GET /api/admin/api-keys - List API keys
+router.get('/api-keys', requireScope('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({})
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'email name');
+
+    res.json({
+      success: true,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+// POST /api/admin/api-keys - Create an API key (the key is only returned here)
+router.post('/api-keys', requireScope('api-keys:manage'), async (req, res) => {
+  try {
+    const { error, value } = apiKeySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const expiresAt = value.expiresInDays
+      ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { apiKey, key } = await ApiKey.generate({
+      name: value.name,
+      scopes: value.scopes,
+      expiresAt,
+      createdBy: req.admin._id
+    });
+
+    await auditService.record(req, {
+      action: 'api_key.create',
+      target: { type: 'api_key', id: apiKey._id, label: apiKey.name },
+      after: auditService.snapshot(apiKey.toJSON(), ['name', 'prefix', 'scopes', 'expiresAt'])
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now - it will not be shown again.',
+      data: {
+        key,
+        apiKey
+      }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// DELETE /api/admin/api-keys/:id - Revoke an API key
+router.delete('/api-keys/:id', requireScope('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      await auditService.record(req, {
+        action: 'api_key.revoke',
+        target: { type: 'api_key', id: apiKey._id, label: apiKey.name },
+        before: { revokedAt: null },
+        after: { revokedAt: apiKey.revokedAt.toISOString() }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+// GET /api/admin/audit - Audit log of privileged actions, newest first.
+// Filters: action (a trailing ".*" matches a prefix), actorType, actorId, targetType,
+// targetId, from, to. format=csv downloads every matching event instead of a page.
+router.get('/audit', requireScope('audit:read'), async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { page, limit, format, ...filters } = value;
+
+    if (format === 'csv') {
+      const csv = await auditService.exportCsv(filters);
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${Date.now()}.csv"`);
+      return res.send(csv);
+    }
+
+    const { events, total } = await auditService.list(filters, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEvents: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
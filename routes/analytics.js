@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const Question = require('../models/Question');
+const View = require('../models/View');
+const Response = require('../models/Response');
+const { requireScope } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 
 // GET /api/analytics/dashboard - Get dashboard analytics
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requireScope('analytics:read'), async (req, res) => {
   try {
     const timeRange = req.query.range || '7d'; // '24h', '7d', '30d', 'all'
     const category = req.query.category;
@@ -194,11 +198,11 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // GET /api/analytics/question/:category/:slug - Get detailed question analytics
-router.get('/question/:category/:slug', async (req, res) => {
+router.get('/question/:category/:slug', requireScope('analytics:read'), async (req, res) => {
   try {
     const { category, slug } = req.params;
     
-    const question = await Question.findByCategoryAndSlug(category, slug);
+    const question = await Question.findByCategoryAndSlug(category, slug, { includeUnpublished: true });
     
     if (!question) {
       return res.status(404).json({
@@ -207,11 +211,6 @@ router.get('/question/:category/:slug', async (req, res) => {
       });
     }
     
-    // Analyze views over time - handle null/undefined views array
-    const views = question.views || [];
-    const responses = question.responses || [];
-    
-    const viewsAnalysis = {};
     const now = new Date();
     const periods = {
       '24h': 24 * 60 * 60 * 1000,
@@ -219,25 +218,45 @@ router.get('/question/:category/:slug', async (req, res) => {
       '30d': 30 * 24 * 60 * 60 * 1000
     };
     
-    Object.keys(periods).forEach(period => {
+    // Count views and responses per period in a single pass over each collection
+    const buildPeriodCounts = () => Object.keys(periods).reduce((fields, period) => {
       const cutoff = new Date(now.getTime() - periods[period]);
-      viewsAnalysis[period] = views.filter(view => 
-        new Date(view.timestamp) >= cutoff
-      ).length;
-    });
+      fields[period] = { $sum: { $cond: [{ $gte: ['$timestamp', cutoff] }, 1, 0] } };
+      return fields;
+    }, {});
+    
+    // Viewers are told apart by IP, responders by visitor identity where one was recorded
+    const activityPipeline = (identity) => [
+      { $match: { question: question._id } },
+      {
+        $group: {
+          _id: null,
+          identities: { $addToSet: identity },
+          ...buildPeriodCounts()
+        }
+      },
+      { $addFields: { unique: { $size: '$identities' } } },
+      { $project: { identities: 0 } }
+    ];
     
-    // Analyze responses over time
+    const [[viewStats = {}], [responseStats = {}]] = await Promise.all([
+      View.aggregate(activityPipeline('$ipAddress')),
+      Response.aggregate(activityPipeline({ $ifNull: ['$visitorId', '$ipAddress'] }))
+    ]);
+    
+    const viewsAnalysis = {};
     const responsesAnalysis = {};
     Object.keys(periods).forEach(period => {
-      const cutoff = new Date(now.getTime() - periods[period]);
-      responsesAnalysis[period] = responses.filter(response => 
-        new Date(response.timestamp) >= cutoff
-      ).length;
+      viewsAnalysis[period] = viewStats[period] || 0;
+      responsesAnalysis[period] = responseStats[period] || 0;
     });
     
+    const totalViews = question.viewCount || 0;
+    const totalResponses = question.responseCount || 0;
+    
     // Get unique viewers and responders
-    const uniqueViewers = new Set(views.map(view => view.ipAddress)).size;
-    const uniqueResponders = new Set(responses.map(response => response.ipAddress)).size;
+    const uniqueViewers = viewStats.unique || 0;
+    const uniqueResponders = responseStats.unique || 0;
     
     // Analyze response patterns for multiple choice questions
     let choiceAnalysis = null;
@@ -258,25 +277,25 @@ router.get('/question/:category/:slug', async (req, res) => {
     // Get hourly view distribution (last 24 hours)
     const hourlyViews = Array(24).fill(0);
     const last24h = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const recentViews = await View.find({ question: question._id, timestamp: { $gte: last24h } })
+      .select('timestamp')
+      .lean();
     
-    views.forEach(view => {
-      const viewDate = new Date(view.timestamp);
-      if (viewDate >= last24h) {
-        const hour = viewDate.getHours();
-        hourlyViews[hour]++;
-      }
+    recentViews.forEach(view => {
+      const hour = new Date(view.timestamp).getHours();
+      hourlyViews[hour]++;
     });
     
     // Calculate engagement metrics
     const engagementMetrics = {
-      viewToResponseRate: views.length > 0 ? 
-        Math.round((responses.length / views.length) * 100) : 0,
+      viewToResponseRate: totalViews > 0 ? 
+        Math.round((totalResponses / totalViews) * 100) : 0,
       uniqueEngagementRate: uniqueViewers > 0 ? 
         Math.round((uniqueResponders / uniqueViewers) * 100) : 0,
-      avgResponsesPerDay: responses.length > 0 ? 
-        Math.round((responses.length / Math.max(1, (now - question.createdAt) / (24 * 60 * 60 * 1000))) * 100) / 100 : 0,
-      avgViewsPerDay: views.length > 0 ? 
-        Math.round((views.length / Math.max(1, (now - question.createdAt) / (24 * 60 * 60 * 1000))) * 100) / 100 : 0
+      avgResponsesPerDay: totalResponses > 0 ? 
+        Math.round((totalResponses / Math.max(1, (now - question.createdAt) / (24 * 60 * 60 * 1000))) * 100) / 100 : 0,
+      avgViewsPerDay: totalViews > 0 ? 
+        Math.round((totalViews / Math.max(1, (now - question.createdAt) / (24 * 60 * 60 * 1000))) * 100) / 100 : 0
     };
     
     const analytics = {
@@ -295,8 +314,8 @@ router.get('/question/:category/:slug', async (req, res) => {
       uniqueMetrics: {
         uniqueViewers,
         uniqueResponders,
-        totalViews: views.length,
-        totalResponses: responses.length
+        totalViews,
+        totalResponses
       },
       choiceAnalysis,
       hourlyViewPattern: hourlyViews.map((views, hour) => ({
@@ -321,7 +340,7 @@ router.get('/question/:category/:slug', async (req, res) => {
 });
 
 // GET /api/analytics/category/:category - Get category-specific analytics
-router.get('/category/:category', async (req, res) => {
+router.get('/category/:category', requireScope('analytics:read'), async (req, res) => {
   try {
     const { category } = req.params;
     const timeRange = req.query.range || '30d';
@@ -460,7 +479,7 @@ router.get('/category/:category', async (req, res) => {
 });
 
 // GET /api/analytics/trends - Get trending analysis (FIXED)
-router.get('/trends', async (req, res) => {
+router.get('/trends', requireScope('analytics:read'), async (req, res) => {
   try {
     const timeRange = req.query.range || '7d';
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
@@ -485,35 +504,49 @@ router.get('/trends', async (req, res) => {
     
     const trendingAnalysis = await Question.aggregate([
       {
-        $addFields: {
-          recentViews: {
-            $cond: {
-              if: { $isArray: '$views' },
-              then: {
-                $size: {
-                  $filter: {
-                    input: '$views',
-                    cond: { $gte: ['$$this.timestamp', cutoffDate] }
-                  }
+        $lookup: {
+          from: View.collection.name,
+          let: { questionId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$question', '$$questionId'] },
+                    { $gte: ['$timestamp', cutoffDate] }
+                  ]
                 }
-              },
-              else: 0
-            }
-          },
-          recentResponses: {
-            $cond: {
-              if: { $isArray: '$responses' },
-              then: {
-                $size: {
-                  $filter: {
-                    input: '$responses',
-                    cond: { $gte: ['$$this.timestamp', cutoffDate] }
-                  }
+              }
+            },
+            { $count: 'count' }
+          ],
+          as: 'recentViewStats'
+        }
+      },
+      {
+        $lookup: {
+          from: Response.collection.name,
+          let: { questionId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$question', '$$questionId'] },
+                    { $gte: ['$timestamp', cutoffDate] }
+                  ]
                 }
-              },
-              else: 0
-            }
-          },
+              }
+            },
+            { $count: 'count' }
+          ],
+          as: 'recentResponseStats'
+        }
+      },
+      {
+        $addFields: {
+          recentViews: { $ifNull: [{ $arrayElemAt: ['$recentViewStats.count', 0] }, 0] },
+          recentResponses: { $ifNull: [{ $arrayElemAt: ['$recentResponseStats.count', 0] }, 0] },
           trendScore: {
             $add: [
               { $multiply: [{ $ifNull: ['$popularityMetrics.viewsLast24h', 0] }, 2] },
@@ -609,7 +642,7 @@ router.get('/trends', async (req, res) => {
 });
 
 // POST /api/analytics/recalculate - Recalculate all popularity metrics
-router.post('/recalculate', async (req, res) => {
+router.post('/recalculate', requireScope('metrics:recalculate'), async (req, res) => {
   try {
     const category = req.query.category;
     const batchSize = parseInt(req.query.batchSize) || 50;
@@ -647,6 +680,12 @@ router.post('/recalculate', async (req, res) => {
     
     await Promise.all(batchPromises);
     
+    await auditService.record(req, {
+      action: 'metrics.recalculate',
+      target: { type: 'question', label: category ? category.toLowerCase() : 'all' },
+      metadata: { category: category || null, totalQuestions, processedQuestions: processed }
+    });
+    
     res.json({
       success: true,
       message: `Recalculated popularity metrics for ${processed} questions`,
@@ -664,7 +703,7 @@ router.post('/recalculate', async (req, res) => {
 });
 
 // GET /api/analytics/export - Export analytics data
-router.get('/export', async (req, res) => {
+router.get('/export', requireScope('analytics:export'), async (req, res) => {
   try {
     const format = req.query.format || 'json'; // 'json' or 'csv'
     const category = req.query.category;
@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const AdminUser = require('../models/AdminUser');
+const {
+  authenticateAdmin,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  isAuthConfigured
+} = require('../middleware/auth');
+const { readCookie } = require('../utils/cookies');
+
+const REFRESH_COOKIE = 'admin_refresh';
+const REFRESH_COOKIE_PATH = '/api/admin/auth';
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().min(1).max(200).required()
+});
+
+const setRefreshCookie = (res, token, expiresAt) => {
+  res.cookie(REFRESH_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH,
+    expires: expiresAt
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+};
+
+// Issue a new access/refresh pair and record the refresh session
+const issueTokens = async (user, req, res) => {
+  const refresh = signRefreshToken(user);
+  user.addSession(refresh.tokenId, refresh.expiresAt, req.ip, req.headers['user-agent'] || '');
+  await user.save();
+
+  setRefreshCookie(res, refresh.token, refresh.expiresAt);
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: refresh.token,
+    refreshExpiresAt: refresh.expiresAt,
+    user
+  };
+};
+
+// Refresh tokens come from the httpOnly cookie (browser) or the body (scripts)
+const getRefreshToken = (req) => readCookie(req, REFRESH_COOKIE) || (req.body && req.body.refreshToken);
+
+// POST /api/admin/auth/login - Exchange email and password for tokens
+router.post('/login', async (req, res) => {
+  try {
+    if (!isAuthConfigured()) {
+      console.error('JWT_SECRET is not set - admin login is unavailable');
+      return res.status(500).json({
+        success: false,
+        error: 'Admin authentication is not configured'
+      });
+    }
+
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await AdminUser.findByEmail(value.email);
+    const passwordMatches = user ? await user.comparePassword(value.password) : false;
+
+    if (!user || !passwordMatches || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    const tokens = await issueTokens(user, req, res);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error logging in admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+});
+
+// POST /api/admin/auth/refresh - Rotate the refresh token and issue a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const token = getRefreshToken(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Missing refresh token'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(token);
+    } catch (tokenError) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Invalid refresh token'
+      });
+    }
+
+    const user = await AdminUser.findById(payload.sub);
+    if (!user || !user.isActive) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Account is not active'
+      });
+    }
+
+    // A valid token without a session was already rotated or revoked - end every session
+    if (!user.hasSession(payload.jti)) {
+      user.sessions = [];
+      await user.save();
+      clearRefreshCookie(res);
+      console.warn(`Refresh token reuse detected for admin ${user.email}; all sessions revoked`);
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Session has been revoked'
+      });
+    }
+
+    user.removeSession(payload.jti);
+    const tokens = await issueTokens(user, req, res);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error refreshing admin session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session'
+    });
+  }
+});
+
+// POST /api/admin/auth/logout - Revoke the current refresh session
+router.post('/logout', async (req, res) => {
+  try {
+    const token = getRefreshToken(req);
+    clearRefreshCookie(res);
+
+    if (token) {
+      try {
+        const payload = verifyRefreshToken(token);
+        const user = await AdminUser.findById(payload.sub);
+        if (user) {
+          user.removeSession(payload.jti);
+          await user.save();
+        }
+      } catch (tokenError) {
+        // Expired or invalid tokens have nothing left to revoke
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out'
+    });
+  }
+});
+
+// GET /api/admin/auth/me - Current admin account
+router.get('/me', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: req.admin
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { getLocales, getStrings } = require('../utils/i18n');
+
+// GET /api/locales - The visitor's language, the languages on offer and the UI strings
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      locale: req.locale,
+      supported: getLocales(),
+      strings: getStrings(req.locale)
+    }
+  });
+});
+
+module.exports = router;
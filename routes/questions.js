@@ -1,36 +1,103 @@
 const express = require('express');
 const router = express.Router();
 const Question = require('../models/Question');
+const Response = require('../models/Response');
+const Report = require('../models/Report');
+const Reaction = require('../models/Reaction');
+const Reply = require('../models/Reply');
 const Joi = require('joi');
+const { requireScope } = require('../middleware/auth');
+const searchService = require('../services/searchService');
+const moderationService = require('../services/moderationService');
+const reportService = require('../services/reportService');
+const reactionService = require('../services/reactionService');
+const auditService = require('../services/auditService');
+const categoryService = require('../services/categoryService');
+const translationService = require('../services/translationService');
+const { identifyVisitor } = require('../middleware/visitor');
+const { activeCategory, validate } = require('../utils/questionValidation');
 
 // Validation schemas
+// The choice is identified by its _id or by its text in any of the question's languages
 const multipleChoiceResponseSchema = Joi.object({
-  choice: Joi.string().required(),
+  choice: Joi.string(),
+  choiceId: Joi.string().hex().length(24),
   explanation: Joi.string().min(10).max(1000).required()
-});
+}).or('choice', 'choiceId');
 
 const paragraphResponseSchema = Joi.object({
   responseText: Joi.string().min(20).max(2000).required(),
   explanation: Joi.string().max(1000).allow('').optional()
 });
 
+const reportSchema = Joi.object({
+  reason: Joi.string().valid(...Report.REASONS).required(),
+  details: Joi.string().trim().max(500).allow('').optional()
+});
+
+const replySchema = Joi.object({
+  text: Joi.string().trim().min(10).max(1000).required(),
+  parentId: Joi.string().hex().length(24).optional()
+});
+
+const reactionSchema = Joi.object({
+  type: Joi.string().valid(...Reaction.TYPES).required()
+});
+
 const categoryParamSchema = Joi.object({
-  category: Joi.string().valid(
-    'love', 'justice', 'survival', 'family', 'freedom', 'sacrifice',
-    'truth', 'loyalty', 'revenge', 'power', 'empathy', 'morality',
-    'desire', 'regret', 'identity', 'betrayal', 'hope', 'fear',
-    'faith', 'control', 'loss', 'trust', 'responsibility', 'choice',
-    'pain', 'greed', 'envy', 'honor', 'duty', 'self'
-  ).required()
+  category: activeCategory.required()
+});
+
+// Query string filters shared by the list, category and search endpoints.
+// List values may be comma separated (?tags=a,b) or repeated (?tags=a&tags=b).
+const listFilterSchema = Joi.object({
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(20),
+  allTags: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(20),
+  difficulty: Joi.array().items(Joi.string().valid('easy', 'medium', 'hard')),
+  minReadTime: Joi.number().min(0).max(120),
+  maxReadTime: Joi.number().min(0).max(120).when('minReadTime', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('minReadTime'))
+  }),
+  createdAfter: Joi.date().iso(),
+  createdBefore: Joi.date().iso().when('createdAfter', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('createdAfter'))
+  })
 });
 
-// Helper function to get client IP
+const LIST_FILTER_PARAMS = ['tags', 'allTags', 'difficulty'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseListFilters = (query) => {
+  const input = {};
+
+  for (const key of Object.keys(listFilterSchema.describe().keys)) {
+    const value = query[key];
+    if (value === undefined || value === '') continue;
+
+    input[key] = LIST_FILTER_PARAMS.includes(key)
+      ? [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean)
+      : value;
+  }
+
+  const { error, value: filters } = listFilterSchema.validate(input);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  // A bare date as the upper bound includes that whole day
+  if (filters.createdBefore && DATE_ONLY.test(input.createdBefore)) {
+    filters.createdBefore = new Date(filters.createdBefore.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  return { filters };
+};
+
+// Helper function to get client IP. req.ip only trusts X-Forwarded-For as far as the
+// 'trust proxy' setting allows, so clients can't send their own.
 const getClientIP = (req) => {
-  return req.headers['x-forwarded-for'] || 
-         req.connection.remoteAddress || 
-         req.socket.remoteAddress ||
-         (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
-         '127.0.0.1';
+  return req.ip || req.socket.remoteAddress || '127.0.0.1';
 };
 
 // GET /api/questions - Get latest questions (for homepage)
@@ -39,32 +106,49 @@ router.get('/', async (req, res) => {
     const limit = parseInt(req.query.limit) || 12;
     const featured = req.query.featured === 'true';
     const sortBy = req.query.sortBy || 'newest'; // 'newest', 'popular', 'trending'
+    const includeFacets = req.query.includeFacets === 'true';
     
+    const { error: filterError, filters } = parseListFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+    
+    const query = Question.applyFilters({}, filters);
     let questions;
     
     if (featured) {
-      questions = await Question.getFeatured(limit);
+      questions = await Question.getFeatured(limit, query);
     } else {
       switch (sortBy) {
         case 'popular':
-          questions = await Question.getMostPopular(limit);
+          questions = await Question.getMostPopular(limit, query);
           break;
         case 'trending':
-          questions = await Question.getTrending(limit);
+          questions = await Question.getTrending(limit, query);
           break;
         case 'newest':
         default:
-          questions = await Question.getLatest(limit);
+          questions = await Question.getLatest(limit, query);
           break;
       }
     }
     
-    res.json({
+    const response = {
       success: true,
-      data: questions,
+      data: translationService.localizeAll(questions, req.locale),
       count: questions.length,
-      sortBy
-    });
+      sortBy,
+      filters
+    };
+    
+    if (includeFacets) {
+      response.facets = await Question.getFacets(featured ? { featured: true } : {}, filters);
+    }
+    
+    res.json(response);
   } catch (error) {
     console.error('Error fetching questions:', error);
     res.status(500).json({
@@ -79,7 +163,8 @@ router.get('/categories', async (req, res) => {
   try {
     const includeStats = req.query.includeStats === 'true';
     
-    const categories = await Question.aggregate([
+    const counts = await Question.aggregate([
+      { $match: Question.published() },
       {
         $group: {
           _id: '$category',
@@ -95,17 +180,23 @@ router.get('/categories', async (req, res) => {
             $sum: { $cond: [{ $eq: ['$questionType', 'paragraph'] }, 1, 0] }
           }
         }
-      },
-      {
-        $sort: { avgPopularity: -1, count: -1 }
       }
     ]);
     
-    const formattedCategories = categories.map(cat => {
+    // Every active category is listed, in the admin's order, including empty ones
+    const countsBySlug = new Map(counts.map(cat => [cat._id, cat]));
+    const formattedCategories = (await categoryService.getActive()).map(category => {
+      const cat = countsBySlug.get(category.slug) || {};
       const result = {
-        name: cat._id,
-        count: cat.count,
-        latestQuestion: cat.latestQuestion
+        name: category.slug,
+        slug: category.slug,
+        displayName: category.displayName,
+        description: category.description,
+        icon: category.icon,
+        color: category.color,
+        sortOrder: category.sortOrder,
+        count: cat.count || 0,
+        latestQuestion: cat.latestQuestion || null
       };
       
       if (includeStats) {
@@ -139,7 +230,7 @@ router.get('/categories', async (req, res) => {
 router.get('/category/:category', async (req, res) => {
   try {
     // Validate category parameter
-    const { error: paramError } = categoryParamSchema.validate(req.params);
+    const { error: paramError } = await validate(categoryParamSchema, req.params);
     if (paramError) {
       return res.status(400).json({
         success: false,
@@ -154,34 +245,47 @@ router.get('/category/:category', async (req, res) => {
     const questionType = req.query.type || 'all'; // 'all', 'multiple_choice', 'paragraph'
     const featured = req.query.featured === 'true';
 
+    const { error: filterError, filters } = parseListFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
     // Get questions with filtering and sorting
     const questions = await Question.getByCategory(category, {
       sortBy,
       questionType,
       limit,
       page,
-      featured
+      featured,
+      filters
     });
 
     // Get total count for pagination
-    let countQuery = { category: category.toLowerCase() };
+    const baseQuery = {};
     if (questionType !== 'all') {
-      countQuery.questionType = questionType;
+      baseQuery.questionType = questionType;
     }
     if (featured) {
-      countQuery.featured = true;
+      baseQuery.featured = true;
     }
     
+    const countQuery = Question.applyFilters(Question.published({ ...baseQuery, category: category.toLowerCase() }), filters);
     const totalQuestions = await Question.countDocuments(countQuery);
     const totalPages = Math.ceil(totalQuestions / limit);
 
-    // Get category statistics
-    const categoryStats = await Question.getCategoryStats(category);
+    // Get category statistics and filter counts (the category facet spans all categories)
+    const [categoryStats, facets] = await Promise.all([
+      Question.getCategoryStats(category),
+      Question.getFacets(baseQuery, { ...filters, category })
+    ]);
 
     res.json({
       success: true,
       data: {
-        questions,
+        questions: translationService.localizeAll(questions, req.locale),
         pagination: {
           currentPage: page,
           totalPages,
@@ -194,8 +298,10 @@ router.get('/category/:category', async (req, res) => {
           category,
           sortBy,
           questionType,
-          featured
+          featured,
+          ...filters
         },
+        facets,
         categoryStats
       }
     });
@@ -209,15 +315,23 @@ router.get('/category/:category', async (req, res) => {
 });
 
 // GET /api/questions/:category/:slug - Get specific question with view tracking
-router.get('/:category/:slug', async (req, res) => {
+router.get('/:category/:slug', identifyVisitor, async (req, res) => {
   try {
     const { category, slug } = req.params;
     const trackView = req.query.trackView !== 'false'; // Default to true
-    
+
     // FIXED: Use findByCategoryAndSlug method
     const question = await Question.findByCategoryAndSlug(category, slug);
-    
+
     if (!question) {
+      // Old URL of a renamed question - point the client at the current one
+      const moved = await Question.findBySlugHistory(category, slug).select('category slug');
+      if (moved) {
+        const queryIndex = req.originalUrl.indexOf('?');
+        const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+        return res.redirect(301, `${req.baseUrl}/${moved.category}/${moved.slug}${query}`);
+      }
+
       return res.status(404).json({
         success: false,
         error: 'Question not found'
@@ -242,10 +356,26 @@ router.get('/:category/:slug', async (req, res) => {
         // Continue with response even if view tracking fails
       }
     }
+
+    // Let the page show "you chose X" to returning voters
+    let viewerResponse = null;
+    if (question.questionType === 'multiple_choice') {
+      const previous = await question.findVisitorResponse(req.visitor);
+      if (previous) {
+        viewerResponse = {
+          choice: translationService.choiceText(question, previous.choice, req.locale),
+          explanation: previous.explanation,
+          respondedAt: previous.timestamp,
+          changedAt: previous.changedAt,
+          moderationStatus: previous.moderationStatus
+        };
+      }
+    }
     
     res.json({
       success: true,
-      data: question
+      data: translationService.localize(question, req.locale),
+      viewerResponse
     });
   } catch (error) {
     console.error('Error fetching question:', error);
@@ -257,7 +387,7 @@ router.get('/:category/:slug', async (req, res) => {
 });
 
 // POST /api/questions/:category/:slug/respond - Add response to question
-router.post('/:category/:slug/respond', async (req, res) => {
+router.post('/:category/:slug/respond', identifyVisitor, async (req, res) => {
   try {
     const { category, slug } = req.params;
     
@@ -286,10 +416,10 @@ router.post('/:category/:slug/respond', async (req, res) => {
         });
       }
       
-      const { choice, explanation } = validationResult.value;
+      const { explanation } = validationResult.value;
       
-      // Verify choice exists
-      const validChoice = question.choices.find(c => c.text === choice);
+      // Votes are recorded against the source choice, whatever language it was picked in
+      const validChoice = translationService.resolveChoice(question, validationResult.value);
       if (!validChoice) {
         return res.status(400).json({
           success: false,
@@ -297,7 +427,14 @@ router.post('/:category/:slug/respond', async (req, res) => {
         });
       }
       
-      await question.addMultipleChoiceResponse(choice, explanation, clientIP, userAgent);
+      const moderation = await moderationService.screenSubmission(explanation, {
+        questionId: question._id,
+        visitor: req.visitor
+      });
+      const choice = validChoice.text;
+      const { response, previousChoice } = await question.addMultipleChoiceResponse(
+        choice, explanation, clientIP, userAgent, { visitor: req.visitor, moderation }
+      );
       
       // Update popularity metrics asynchronously
       question.calculatePopularityMetrics().catch(err => 
@@ -306,11 +443,16 @@ router.post('/:category/:slug/respond', async (req, res) => {
       
       res.json({
         success: true,
-        message: 'Response added successfully',
+        message: previousChoice ? 'Response updated successfully' : 'Response added successfully',
         data: {
           totalVotes: question.totalVotes,
-          choices: question.choices,
-          responseCount: question.responseCount
+          choices: translationService.localize(question, req.locale).choices,
+          responseCount: question.responseCount,
+          yourChoice: translationService.choiceText(question, choice, req.locale),
+          yourChoiceId: validChoice._id,
+          previousChoice: translationService.choiceText(question, previousChoice, req.locale),
+          changed: Boolean(previousChoice) && previousChoice !== choice,
+          moderationStatus: response.moderationStatus
         }
       });
       
@@ -326,7 +468,13 @@ router.post('/:category/:slug/respond', async (req, res) => {
       
       const { responseText, explanation } = validationResult.value;
       
-      await question.addParagraphResponse(responseText, explanation || '', clientIP, userAgent);
+      const moderation = await moderationService.screenSubmission(
+        [responseText, explanation].filter(Boolean).join('\n'),
+        { questionId: question._id, visitor: req.visitor }
+      );
+      const response = await question.addParagraphResponse(
+        responseText, explanation || '', clientIP, userAgent, { visitor: req.visitor, moderation }
+      );
       
       // Update popularity metrics asynchronously
       question.calculatePopularityMetrics().catch(err => 
@@ -337,7 +485,8 @@ router.post('/:category/:slug/respond', async (req, res) => {
         success: true,
         message: 'Response added successfully',
         data: {
-          responseCount: question.responseCount
+          responseCount: question.responseCount,
+          moderationStatus: response.moderationStatus
         }
       });
       
@@ -357,13 +506,20 @@ router.post('/:category/:slug/respond', async (req, res) => {
   }
 });
 
+// Orderings for the public response list. 'top' ranks by the Wilson score of reactions.
+const RESPONSE_SORTS = {
+  newest: { timestamp: -1 },
+  oldest: { timestamp: 1 },
+  top: { helpfulScore: -1, timestamp: -1 }
+};
+
 // GET /api/questions/:category/:slug/responses - Get responses for a question
-router.get('/:category/:slug/responses', async (req, res) => {
+router.get('/:category/:slug/responses', identifyVisitor, async (req, res) => {
   try {
     const { category, slug } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-    const sortBy = req.query.sortBy || 'newest'; // 'newest', 'oldest'
+    const sortBy = RESPONSE_SORTS[req.query.sortBy] ? req.query.sortBy : 'newest';
     const skip = (page - 1) * limit;
     
     // FIXED: Use findByCategoryAndSlug method
@@ -376,24 +532,41 @@ router.get('/:category/:slug/responses', async (req, res) => {
       });
     }
     
-    // Sort responses
-    let sortedResponses = [...question.responses];
-    if (sortBy === 'oldest') {
-      sortedResponses.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    } else {
-      sortedResponses.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    }
-    
-    // Apply pagination
-    const responses = sortedResponses.slice(skip, skip + limit);
+    // Sort and paginate responses - only approved ones are public
+    const responseFilter = { question: question._id, moderationStatus: 'approved' };
+
+    const [responses, totalResponses] = await Promise.all([
+      Response.find(responseFilter)
+        .sort(RESPONSE_SORTS[sortBy])
+        .skip(skip)
+        .limit(limit)
+        .select('choice explanation responseText timestamp createdAt reactions')
+        .lean(),
+      Response.countDocuments(responseFilter)
+    ]);
+    const totalPages = Math.ceil(totalResponses / limit);
+    const responseIds = responses.map(response => response._id);
+    const [viewerReactions, replyCounts] = await Promise.all([
+      reactionService.getViewerReactions(responseIds, req.visitor),
+      Reply.countChildren('response', responseIds)
+    ]);
     
     // Remove sensitive data
     const sanitizedResponses = responses.map(response => ({
-      choice: response.choice,
+      _id: response._id,
+      choice: translationService.choiceText(question, response.choice, req.locale),
       explanation: response.explanation,
       responseText: response.responseText,
       timestamp: response.timestamp,
-      createdAt: response.createdAt
+      createdAt: response.createdAt,
+      reactions: {
+        insightful: 0,
+        agree: 0,
+        disagree: 0,
+        ...response.reactions
+      },
+      viewerReactions: viewerReactions[String(response._id)] || [],
+      replyCount: replyCounts[String(response._id)] || 0
     }));
     
     res.json({
@@ -401,14 +574,15 @@ router.get('/:category/:slug/responses', async (req, res) => {
       data: {
         responses: sanitizedResponses,
         pagination: {
-          totalResponses: question.responses.length,
+          totalResponses,
           currentPage: page,
-          totalPages: Math.ceil(question.responses.length / limit),
+          totalPages,
           responsesPerPage: limit,
-          hasNextPage: page < Math.ceil(question.responses.length / limit),
+          hasNextPage: page < totalPages,
           hasPrevPage: page > 1
         },
-        sortBy
+        sortBy,
+        replyMaxDepth: Reply.MAX_DEPTH
       }
     });
   } catch (error) {
@@ -420,6 +594,313 @@ router.get('/:category/:slug/responses', async (req, res) => {
   }
 });
 
+// A response listed publicly under the question, or null
+const findPublicResponse = async (category, slug, responseId) => {
+  if (!/^[a-f\d]{24}$/i.test(responseId)) return null;
+
+  const question = await Question.findByCategoryAndSlug(category, slug);
+  if (!question) return null;
+
+  return Response.findOne({ _id: responseId, question: question._id, moderationStatus: 'approved' });
+};
+
+// GET /api/questions/:category/:slug/responses/:responseId/replies - One level of a reply
+// thread, oldest first: replies to the response, or to the reply given as parentId
+router.get('/:category/:slug/responses/:responseId/replies', async (req, res) => {
+  try {
+    const { category, slug, responseId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 5, 50);
+    const parentId = req.query.parentId || null;
+
+    if (parentId && !/^[a-f\d]{24}$/i.test(parentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parent id'
+      });
+    }
+
+    const response = await findPublicResponse(category, slug, responseId);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response not found'
+      });
+    }
+
+    const replyFilter = { response: response._id, parent: parentId, moderationStatus: 'approved' };
+
+    const [replies, totalReplies] = await Promise.all([
+      Reply.find(replyFilter)
+        .sort({ timestamp: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('parent depth text timestamp')
+        .lean(),
+      Reply.countDocuments(replyFilter)
+    ]);
+    const childCounts = await Reply.countChildren('parent', replies.map(reply => reply._id));
+    const totalPages = Math.ceil(totalReplies / limit);
+
+    res.json({
+      success: true,
+      data: {
+        replies: replies.map(reply => ({
+          _id: reply._id,
+          parent: reply.parent,
+          depth: reply.depth,
+          text: reply.text,
+          timestamp: reply.timestamp,
+          replyCount: childCounts[String(reply._id)] || 0
+        })),
+        pagination: {
+          totalReplies,
+          currentPage: page,
+          totalPages,
+          repliesPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        },
+        maxDepth: Reply.MAX_DEPTH
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching replies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch replies'
+    });
+  }
+});
+
+// POST /api/questions/:category/:slug/responses/:responseId/replies - Reply to a response,
+// or to one of its replies with parentId, up to Reply.MAX_DEPTH levels deep
+router.post('/:category/:slug/responses/:responseId/replies', identifyVisitor, async (req, res) => {
+  try {
+    const { category, slug, responseId } = req.params;
+
+    const { error, value } = replySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const response = await findPublicResponse(category, slug, responseId);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response not found'
+      });
+    }
+
+    let depth = 1;
+    if (value.parentId) {
+      const parent = await Reply.findOne({
+        _id: value.parentId,
+        response: response._id,
+        moderationStatus: 'approved'
+      }).select('depth').lean();
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reply not found'
+        });
+      }
+
+      depth = parent.depth + 1;
+      if (depth > Reply.MAX_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Replies can only be nested ${Reply.MAX_DEPTH} levels deep`
+        });
+      }
+    }
+
+    const moderation = await moderationService.screenSubmission(value.text, {
+      questionId: response.question,
+      visitor: req.visitor
+    });
+
+    const reply = await Reply.create({
+      question: response.question,
+      response: response._id,
+      parent: value.parentId || null,
+      depth,
+      text: value.text,
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent'] || '',
+      visitorId: req.visitor.id,
+      fingerprint: req.visitor.fingerprint,
+      ...moderation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply added successfully',
+      data: {
+        reply: {
+          _id: reply._id,
+          parent: reply.parent,
+          depth: reply.depth,
+          text: reply.text,
+          timestamp: reply.timestamp,
+          replyCount: 0
+        },
+        moderationStatus: reply.moderationStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error adding reply:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add reply'
+    });
+  }
+});
+
+// POST /api/questions/:category/:slug/responses/:responseId/reactions - Mark a response
+// insightful, agree or disagree. Reacting again has no effect; agree and disagree replace each other.
+router.post('/:category/:slug/responses/:responseId/reactions', identifyVisitor, async (req, res) => {
+  try {
+    const { category, slug, responseId } = req.params;
+
+    const { error, value } = reactionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const response = await findPublicResponse(category, slug, responseId);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response not found'
+      });
+    }
+
+    if (response.visitorId && response.visitorId === req.visitor.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot react to your own response'
+      });
+    }
+
+    const result = await reactionService.react(response, req.visitor, value.type);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error adding reaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add reaction'
+    });
+  }
+});
+
+// DELETE /api/questions/:category/:slug/responses/:responseId/reactions/:type - Take a reaction back
+router.delete('/:category/:slug/responses/:responseId/reactions/:type', identifyVisitor, async (req, res) => {
+  try {
+    const { category, slug, responseId, type } = req.params;
+
+    const { error } = reactionSchema.validate({ type });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const response = await findPublicResponse(category, slug, responseId);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response not found'
+      });
+    }
+
+    const result = await reactionService.unreact(response, req.visitor, type);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove reaction'
+    });
+  }
+});
+
+// POST /api/questions/:category/:slug/responses/:responseId/report - Report an abusive response
+router.post('/:category/:slug/responses/:responseId/report', identifyVisitor, async (req, res) => {
+  try {
+    const { category, slug, responseId } = req.params;
+
+    const { error, value } = reportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    // Only publicly listed responses can be reported
+    const response = await findPublicResponse(category, slug, responseId);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response not found'
+      });
+    }
+
+    if (response.visitorId && response.visitorId === req.visitor.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot report your own response'
+      });
+    }
+
+    const result = await reportService.submitReport(response, {
+      visitor: req.visitor,
+      ipAddress: getClientIP(req),
+      reason: value.reason,
+      details: value.details || ''
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'You have already reported this response'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you - a moderator will review this response',
+      data: {
+        reason: result.report.reason,
+        hidden: result.hidden
+      }
+    });
+  } catch (error) {
+    console.error('Error reporting response:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report response'
+    });
+  }
+});
+
 // GET /api/questions/trending - Get trending questions
 router.get('/trending', async (req, res) => {
   try {
@@ -430,7 +911,7 @@ router.get('/trending', async (req, res) => {
     
     if (category) {
       // Validate category if provided
-      const { error: paramError } = categoryParamSchema.validate({ category });
+      const { error: paramError } = await validate(categoryParamSchema, { category });
       if (paramError) {
         return res.status(400).json({
           success: false,
@@ -448,7 +929,7 @@ router.get('/trending', async (req, res) => {
     
     res.json({
       success: true,
-      data: questions,
+      data: translationService.localizeAll(questions, req.locale),
       count: questions.length,
       category: category || 'all'
     });
@@ -471,7 +952,7 @@ router.get('/popular', async (req, res) => {
     
     if (category) {
       // Validate category if provided
-      const { error: paramError } = categoryParamSchema.validate({ category });
+      const { error: paramError } = await validate(categoryParamSchema, { category });
       if (paramError) {
         return res.status(400).json({
           success: false,
@@ -489,7 +970,7 @@ router.get('/popular', async (req, res) => {
     
     res.json({
       success: true,
-      data: questions,
+      data: translationService.localizeAll(questions, req.locale),
       count: questions.length,
       category: category || 'all'
     });
@@ -505,13 +986,14 @@ router.get('/popular', async (req, res) => {
 // GET /api/questions/stats - Get overall statistics
 router.get('/stats', async (req, res) => {
   try {
-    const totalQuestions = await Question.countDocuments({});
-    const totalMultipleChoice = await Question.countDocuments({ questionType: 'multiple_choice' });
-    const totalParagraph = await Question.countDocuments({ questionType: 'paragraph' });
-    const totalFeatured = await Question.countDocuments({ featured: true });
+    const totalQuestions = await Question.countDocuments(Question.published());
+    const totalMultipleChoice = await Question.countDocuments(Question.published({ questionType: 'multiple_choice' }));
+    const totalParagraph = await Question.countDocuments(Question.published({ questionType: 'paragraph' }));
+    const totalFeatured = await Question.countDocuments(Question.published({ featured: true }));
     
     // Get aggregated statistics
     const aggregatedStats = await Question.aggregate([
+      { $match: Question.published() },
       {
         $group: {
           _id: null,
@@ -536,6 +1018,7 @@ router.get('/stats', async (req, res) => {
     
     // Get top categories by popularity
     const topCategories = await Question.aggregate([
+      { $match: Question.published() },
       {
         $group: {
           _id: '$category',
@@ -587,7 +1070,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // POST /api/questions/update-metrics - Manually trigger popularity metrics update
-router.post('/update-metrics', async (req, res) => {
+router.post('/update-metrics', requireScope('metrics:recalculate'), async (req, res) => {
   try {
     const category = req.query.category;
     const questionId = req.query.questionId;
@@ -603,6 +1086,10 @@ router.post('/update-metrics', async (req, res) => {
       }
       
       await question.calculatePopularityMetrics();
+      await auditService.record(req, {
+        action: 'metrics.recalculate',
+        target: { type: 'question', id: question._id, label: question.title }
+      });
       
       res.json({
         success: true,
@@ -611,7 +1098,7 @@ router.post('/update-metrics', async (req, res) => {
       });
     } else if (category) {
       // Update all questions in category
-      const { error: paramError } = categoryParamSchema.validate({ category });
+      const { error: paramError } = await validate(categoryParamSchema, { category });
       if (paramError) {
         return res.status(400).json({
           success: false,
@@ -622,6 +1109,11 @@ router.post('/update-metrics', async (req, res) => {
       const questions = await Question.find({ category: category.toLowerCase() });
       const promises = questions.map(question => question.calculatePopularityMetrics());
       await Promise.all(promises);
+      await auditService.record(req, {
+        action: 'metrics.recalculate',
+        target: { type: 'question', label: category.toLowerCase() },
+        metadata: { category, processedQuestions: questions.length }
+      });
       
       res.json({
         success: true,
@@ -633,6 +1125,11 @@ router.post('/update-metrics', async (req, res) => {
       await Question.updateAllPopularityMetrics();
       
       const totalQuestions = await Question.countDocuments({});
+      await auditService.record(req, {
+        action: 'metrics.recalculate',
+        target: { type: 'question', label: 'all' },
+        metadata: { processedQuestions: totalQuestions }
+      });
       
       res.json({
         success: true,
@@ -655,10 +1152,9 @@ router.get('/search', async (req, res) => {
     const query = req.query.q;
     const category = req.query.category;
     const questionType = req.query.type || 'all';
-    const sortBy = req.query.sortBy || 'popularity';
+    const sortBy = req.query.sortBy || 'relevance'; // 'relevance', 'popularity', 'trending', 'newest', 'most_responses'
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-    const skip = (page - 1) * limit;
     
     if (!query || query.trim().length < 2) {
       return res.status(400).json({
@@ -667,62 +1163,49 @@ router.get('/search', async (req, res) => {
       });
     }
     
-    // Build search criteria
-    let searchCriteria = {
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { questionText: { $regex: query, $options: 'i' } },
-        { tags: { $in: [new RegExp(query, 'i')] } }
-      ]
-    };
+    const { error: filterError, filters } = parseListFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+    
+    // Build filters applied alongside the text search
+    const filter = {};
     
     if (category) {
-      const { error: paramError } = categoryParamSchema.validate({ category });
+      const { error: paramError } = await validate(categoryParamSchema, { category });
       if (paramError) {
         return res.status(400).json({
           success: false,
           error: 'Invalid category'
         });
       }
-      searchCriteria.category = category.toLowerCase();
+      filters.category = category.toLowerCase();
     }
     
     if (questionType !== 'all') {
-      searchCriteria.questionType = questionType;
-    }
-    
-    // Determine sort options
-    let sortOptions = {};
-    switch (sortBy) {
-      case 'trending':
-        sortOptions = { 'popularityMetrics.trendingScore': -1, createdAt: -1 };
-        break;
-      case 'newest':
-        sortOptions = { createdAt: -1 };
-        break;
-      case 'most_responses':
-        sortOptions = { 'popularityMetrics.totalResponses': -1, createdAt: -1 };
-        break;
-      case 'popularity':
-      default:
-        sortOptions = { 'popularityMetrics.popularityScore': -1, createdAt: -1 };
-        break;
-    }
-    
-    // Execute search
-    const questions = await Question.find(searchCriteria)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limit)
-      .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime');
-    
-    const totalResults = await Question.countDocuments(searchCriteria);
+      filter.questionType = questionType;
+    }
+    
+    // Search runs over the source text, so results and highlights stay in the source language
+    const { questions, totalResults, didYouMean, facets } = await searchService.search(query, {
+      filter,
+      filters,
+      facets: true,
+      sortBy,
+      page,
+      limit
+    });
     const totalPages = Math.ceil(totalResults / limit);
     
     res.json({
       success: true,
       data: {
         questions,
+        didYouMean,
+        facets,
         pagination: {
           currentPage: page,
           totalPages,
@@ -735,7 +1218,8 @@ router.get('/search', async (req, res) => {
           query,
           category: category || 'all',
           questionType,
-          sortBy
+          sortBy,
+          ...filters
         }
       }
     });
@@ -1,19 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const Subscriber = require('../models/Subscriber');
+const Suppression = require('../models/Suppression');
 const EmailService = require('../services/emailService');
+const subscriptionService = require('../services/subscriptionService');
 const Joi = require('joi');
+const { activeCategory, validate } = require('../utils/questionValidation');
 
-// Validation schema
+// Categories and tags to hear about; leaving both empty subscribes to every new question
+const categoryList = Joi.array().items(activeCategory).max(20).unique();
+const tagList = Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(20).unique();
+// Every new question as it is published, or a daily or weekly digest
+const frequency = Joi.string().valid(...Subscriber.FREQUENCIES);
+
+// Validation schemas
 const subscribeSchema = Joi.object({
-  email: Joi.string().email().required()
+  email: Joi.string().email().required(),
+  categories: categoryList,
+  tags: tagList,
+  frequency
+});
+
+const preferencesSchema = Joi.object({
+  categories: categoryList,
+  tags: tagList,
+  frequency
+}).or('categories', 'tags', 'frequency');
+
+const preferencesView = (subscriber) => ({
+  email: subscriber.email,
+  categories: subscriber.categories || [],
+  tags: subscriber.tags || [],
+  frequency: subscriber.frequency
 });
 
 // POST /api/subscribers - Subscribe to newsletter
 router.post('/', async (req, res) => {
   try {
-    // Validate request body
-    const { error, value } = subscribeSchema.validate(req.body);
+    // Validate request body (category names are checked against the database)
+    const { error, value } = await validate(subscribeSchema, req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -21,54 +46,47 @@ router.post('/', async (req, res) => {
       });
     }
     
-    const { email } = value;
-    
-    // Check if email already exists
-    const existingSubscriber = await Subscriber.findOne({ email });
-    
-    if (existingSubscriber) {
-      if (existingSubscriber.isActive) {
-        return res.status(409).json({
-          success: false,
-          error: 'Email is already subscribed'
-        });
-      } else {
-        // Reactivate subscription
-        existingSubscriber.isActive = true;
-        existingSubscriber.subscribedAt = new Date();
-        await existingSubscriber.save();
-        
-        // Send welcome email for reactivated subscription
-        try {
-          await EmailService.sendWelcomeEmail(email);
-        } catch (emailError) {
-          console.error('Failed to send welcome email:', emailError);
-          // Don't fail the request if email fails, just log it
-        }
-        
-        return res.json({
-          success: true,
-          message: 'Subscription reactivated successfully'
-        });
-      }
+    const { email, categories = [], tags = [], frequency = 'instant' } = value;
+    
+    // Addresses that bounced or reported us as spam are never emailed again
+    if (await Suppression.isSuppressed(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'We are unable to send emails to this address'
+      });
     }
     
-    // Create new subscriber
-    const subscriber = new Subscriber({ email });
+    // Check if email already exists (a trashed subscriber still holds the address)
+    const existingSubscriber = await Subscriber.findOne({ email }).withDeleted();
+    
+    if (existingSubscriber && existingSubscriber.isActive && !existingSubscriber.isDeleted()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email is already subscribed'
+      });
+    }
+    
+    // New, pending, unsubscribed and trashed addresses all have to confirm (again) before
+    // anything but the confirmation request is sent to them. Until then an address that
+    // confirmed before keeps its earlier consent and settings.
+    const subscriber = existingSubscriber || new Subscriber({ email });
+    subscriptionService.requestConfirmation(subscriber, req.ip, { locale: req.locale, categories, tags, frequency });
     await subscriber.save();
     
-    // Send welcome email to new subscriber
     try {
-      await EmailService.sendWelcomeEmail(email);
+      await EmailService.sendConfirmationEmail(
+        { email: subscriber.email, locale: req.locale },
+        subscriptionService.getConfirmUrl(subscriber),
+        subscriptionService.getConfirmHours()
+      );
     } catch (emailError) {
-      console.error('Failed to send welcome email:', emailError);
-      // Don't fail the request if email fails, just log it
-      // The subscription is still successful even if email fails
+      console.error('Failed to send confirmation email:', emailError);
+      // Signing up again sends a fresh link
     }
     
-    res.status(201).json({
+    res.status(existingSubscriber ? 200 : 201).json({
       success: true,
-      message: 'Successfully subscribed to newsletter'
+      message: 'Please check your email to confirm your subscription'
     });
   } catch (error) {
     console.error('Error subscribing:', error);
@@ -79,6 +97,52 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET /api/subscribers/confirm/:token - Confirm a subscription from the emailed link
+router.get('/confirm/:token', async (req, res) => {
+  try {
+    const { status, subscriber } = await subscriptionService.confirm(req.params.token, req.ip);
+    
+    if (status === 'invalid') {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid confirmation token'
+      });
+    }
+    
+    if (status === 'expired') {
+      return res.status(410).json({
+        success: false,
+        error: 'This confirmation link has expired. Please subscribe again.'
+      });
+    }
+    
+    if (status === 'already_confirmed') {
+      return res.json({
+        success: true,
+        message: 'Subscription already confirmed'
+      });
+    }
+    
+    try {
+      await EmailService.sendWelcomeEmail(subscriber.email);
+    } catch (emailError) {
+      console.error('Failed to send welcome email:', emailError);
+      // The subscription is confirmed even if the welcome email fails
+    }
+    
+    res.json({
+      success: true,
+      message: 'Subscription confirmed successfully'
+    });
+  } catch (error) {
+    console.error('Error confirming subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm subscription'
+    });
+  }
+});
+
 // GET /api/subscribers/unsubscribe/:token - Unsubscribe from newsletter
 router.get('/unsubscribe/:token', async (req, res) => {
   try {
@@ -108,11 +172,78 @@ router.get('/unsubscribe/:token', async (req, res) => {
   }
 });
 
+// GET /api/subscribers/preferences/:token - The categories and tags a subscriber follows.
+// The token is the one in the unsubscribe link of every email.
+router.get('/preferences/:token', async (req, res) => {
+  try {
+    const subscriber = await Subscriber.findOne({ unsubscribeToken: req.params.token, isActive: true });
+
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid subscription token'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preferencesView(subscriber)
+    });
+  } catch (error) {
+    console.error('Error fetching subscription preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch preferences'
+    });
+  }
+});
+
+// PUT /api/subscribers/preferences/:token - Change the categories, tags and/or email frequency
+// of a subscription
+router.put('/preferences/:token', async (req, res) => {
+  try {
+    const { error, value } = await validate(preferencesSchema, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const subscriber = await Subscriber.findOne({ unsubscribeToken: req.params.token, isActive: true });
+
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid subscription token'
+      });
+    }
+
+    if (value.categories) subscriber.categories = value.categories;
+    if (value.tags) subscriber.tags = value.tags;
+    if (value.frequency) subscriber.frequency = value.frequency;
+    await subscriber.save();
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: preferencesView(subscriber)
+    });
+  } catch (error) {
+    console.error('Error updating subscription preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update preferences'
+    });
+  }
+});
+
 // GET /api/subscribers/stats - Get subscriber statistics (admin only)
 router.get('/stats', async (req, res) => {
   try {
     const totalSubscribers = await Subscriber.countDocuments();
     const activeSubscribers = await Subscriber.countDocuments({ isActive: true });
+    const pendingSubscribers = await Subscriber.countDocuments(Subscriber.pendingConfirmation());
     const recentSubscribers = await Subscriber.countDocuments({
       subscribedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
       isActive: true
@@ -123,7 +254,8 @@ router.get('/stats', async (req, res) => {
       data: {
         total: totalSubscribers,
         active: activeSubscribers,
-        inactive: totalSubscribers - activeSubscribers,
+        inactive: totalSubscribers - activeSubscribers - pendingSubscribers,
+        pending: pendingSubscribers,
         recentWeek: recentSubscribers
       }
     });
@@ -124,6 +124,7 @@ class DatabaseBackup {
           subscribers: subscribers.map(sub => ({
             email: sub.email,
             categories: sub.categories,
+            tags: sub.tags,
             subscribedAt: sub.subscribedAt,
             isActive: sub.isActive
           })) // Remove sensitive data
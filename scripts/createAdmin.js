@@ -0,0 +1,134 @@
+// scripts/createAdmin.js
+// Bootstrap the first owner account (or add another admin) from the command line.
+//
+// Usage:
+//   node scripts/createAdmin.js --email you@example.com [--name "Your Name"] [--role owner]
+//   node scripts/createAdmin.js --email you@example.com --reset-password
+//
+// The password is read from ADMIN_PASSWORD or prompted for interactively.
+const mongoose = require('mongoose');
+const readline = require('readline');
+const AdminUser = require('../models/AdminUser');
+require('dotenv').config();
+
+const MIN_PASSWORD_LENGTH = 12;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[key] = next;
+      i++;
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+// Prompt without echoing the typed password
+function promptPassword(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function getPassword() {
+  if (process.env.ADMIN_PASSWORD) {
+    return process.env.ADMIN_PASSWORD;
+  }
+
+  const password = await promptPassword('Password: ');
+  const confirmation = await promptPassword('Confirm password: ');
+  if (password !== confirmation) {
+    throw new Error('Passwords do not match');
+  }
+  return password;
+}
+
+async function createAdmin(options = {}) {
+  const email = options.email;
+  const role = options.role || 'owner';
+
+  if (!email || email === true) {
+    throw new Error('--email is required');
+  }
+  if (!AdminUser.ROLES.includes(role)) {
+    throw new Error(`--role must be one of: ${AdminUser.ROLES.join(', ')}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/moral-dilemma-db');
+  console.log('Connected to MongoDB...');
+
+  try {
+    const existing = await AdminUser.findByEmail(email);
+
+    if (options['reset-password']) {
+      if (!existing) {
+        throw new Error(`No admin account found for ${email}`);
+      }
+      const password = await getPassword();
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      await existing.setPassword(password);
+      existing.sessions = [];
+      await existing.save();
+      console.log(`Password reset for ${existing.email}; existing sessions were revoked`);
+      return existing;
+    }
+
+    if (existing) {
+      throw new Error(`An admin account for ${email} already exists (use --reset-password to change it)`);
+    }
+
+    // Only the very first account can be created without an existing owner signing in
+    const adminCount = await AdminUser.countDocuments({});
+    if (adminCount > 0 && !options.force) {
+      throw new Error('Admin accounts already exist. Create new ones from the admin panel, or pass --force');
+    }
+
+    const password = await getPassword();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const user = new AdminUser({
+      email,
+      name: typeof options.name === 'string' ? options.name : undefined,
+      role
+    });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`Created ${role} account for ${user.email}`);
+    return user;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  createAdmin(parseArgs(process.argv.slice(2)))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error creating admin account:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { createAdmin };
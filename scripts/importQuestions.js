@@ -0,0 +1,101 @@
+// scripts/importQuestions.js
+// Import questions from a JSON or CSV file with the same rules as the admin import endpoint.
+//
+// Usage:
+//   node scripts/importQuestions.js --file questions.csv [--format csv|json]
+//     [--on-conflict skip|rename|update] [--dry-run] [--transactional]
+//
+// The format defaults to the file extension. CSV files need a header row naming the
+// question fields (title, category, questionText, questionType, featured, status,
+// publishAt, slug) with choices in choice1 ... choice6.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const importService = require('../services/importService');
+require('dotenv').config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[key] = next;
+      i++;
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+function printReport(report) {
+  report.rows.forEach(({ row, title, slug, action, reason, errors }) => {
+    const label = title ? `${title} (${slug || 'no slug'})` : '';
+    console.log(`  row ${row}: ${action.padEnd(6)} ${label}`);
+    if (reason) console.log(`      ${reason}`);
+    (errors || []).forEach(message => console.log(`      - ${message}`));
+  });
+
+  const { total, create, rename, update, skip, error } = report.summary;
+  console.log(`\n${total} rows: ${create} new, ${rename} renamed, ${update} updated, ${skip} skipped, ${error} with errors`);
+}
+
+async function importQuestions(options = {}) {
+  const file = options.file;
+  const onConflict = options['on-conflict'] || 'skip';
+
+  if (!file || file === true) {
+    throw new Error('--file is required');
+  }
+  if (!importService.CONFLICT_MODES.includes(onConflict)) {
+    throw new Error(`--on-conflict must be one of: ${importService.CONFLICT_MODES.join(', ')}`);
+  }
+
+  const format = options.format || (path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv');
+  if (!['json', 'csv'].includes(format)) {
+    throw new Error('--format must be json or csv');
+  }
+
+  const { rows, error } = importService.parse(fs.readFileSync(file, 'utf8'), format);
+  if (error) {
+    throw new Error(error);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/moral-dilemma-db');
+  console.log('Connected to MongoDB...');
+
+  try {
+    const report = await importService.run(rows, {
+      onConflict,
+      dryRun: Boolean(options['dry-run']),
+      transactional: Boolean(options.transactional),
+      source: format
+    });
+
+    printReport(report);
+
+    if (report.error) {
+      throw new Error(report.error);
+    }
+    console.log(report.dryRun ? 'Dry run complete - nothing was imported' : 'Import completed');
+    return report;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  importQuestions(parseArgs(process.argv.slice(2)))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error importing questions:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importQuestions };
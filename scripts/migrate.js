@@ -1,8 +1,28 @@
 // scripts/migrate.js
 const mongoose = require('mongoose');
 const Question = require('../models/Question');
+const View = require('../models/View');
+const Response = require('../models/Response');
+const Category = require('../models/Category');
+const Subscriber = require('../models/Subscriber');
+const categoryService = require('../services/categoryService');
+const { fingerprintFor } = require('../middleware/visitor');
 require('dotenv').config();
 
+async function insertIgnoringDuplicates(Model, docs) {
+  if (docs.length === 0) return;
+
+  try {
+    await Model.insertMany(docs, { ordered: false, lean: true });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    const onlyDuplicates = writeErrors.length > 0 && writeErrors.every(e => e.code === 11000);
+    if (!onlyDuplicates) {
+      throw error;
+    }
+  }
+}
+
 async function runMigrations() {
   try {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/moral-dilemma-db');
@@ -67,6 +87,161 @@ async function runMigrations() {
     }
     console.log('Migration 3 completed');
 
+    // Migration 4: Move embedded views and responses into their own collections
+    console.log('Running Migration 4: Moving embedded views and responses...');
+    const legacyQuestions = Question.collection.find(
+      {
+        $or: [
+          { views: { $exists: true } },
+          { responses: { $exists: true } }
+        ]
+      },
+      { projection: { questionType: 1, views: 1, responses: 1 } }
+    );
+
+    let migratedQuestions = 0;
+    let migratedViews = 0;
+    let migratedResponses = 0;
+
+    for await (const legacy of legacyQuestions) {
+      const views = (legacy.views || []).map(view => ({
+        _id: view._id,
+        question: legacy._id,
+        timestamp: view.timestamp,
+        ipAddress: view.ipAddress || 'unknown',
+        userAgent: view.userAgent,
+        sessionId: view.sessionId,
+        referrer: view.referrer
+      }));
+
+      const responses = (legacy.responses || []).map(response => ({
+        _id: response._id,
+        question: legacy._id,
+        questionType: legacy.questionType || 'multiple_choice',
+        choice: response.choice,
+        explanation: response.explanation,
+        responseText: response.responseText,
+        timestamp: response.timestamp,
+        createdAt: response.createdAt || response.timestamp,
+        ipAddress: response.ipAddress,
+        userAgent: response.userAgent
+      }));
+
+      // Embedded ids are kept, so a re-run after a partial failure skips duplicates
+      await insertIgnoringDuplicates(View, views);
+      await insertIgnoringDuplicates(Response, responses);
+
+      await Question.collection.updateOne(
+        { _id: legacy._id },
+        {
+          $set: { viewCount: views.length, responseCount: responses.length },
+          $unset: { views: '', responses: '' }
+        }
+      );
+
+      const question = await Question.findById(legacy._id);
+      if (question) {
+        await question.calculatePopularityMetrics();
+      }
+
+      migratedQuestions++;
+      migratedViews += views.length;
+      migratedResponses += responses.length;
+    }
+
+    console.log(`Moved ${migratedViews} views and ${migratedResponses} responses from ${migratedQuestions} questions`);
+    console.log('Migration 4 completed');
+
+    // Migration 5: Build the full-text search index
+    console.log('Running Migration 5: Building text search index...');
+    await Question.createIndexes();
+    console.log('Migration 5 completed');
+
+    // Migration 6: Fingerprint existing responses so earlier voters are recognised
+    console.log('Running Migration 6: Fingerprinting existing responses...');
+    await Response.createIndexes();
+    let fingerprinted = 0;
+    let updates = [];
+    const unfingerprinted = Response.find({ fingerprint: { $exists: false } })
+      .select('ipAddress userAgent')
+      .lean()
+      .cursor();
+
+    for await (const response of unfingerprinted) {
+      updates.push({
+        updateOne: {
+          filter: { _id: response._id },
+          update: { $set: { fingerprint: fingerprintFor(response.ipAddress, response.userAgent) } }
+        }
+      });
+
+      if (updates.length === 500) {
+        await Response.bulkWrite(updates, { ordered: false });
+        fingerprinted += updates.length;
+        updates = [];
+      }
+    }
+
+    if (updates.length > 0) {
+      await Response.bulkWrite(updates, { ordered: false });
+      fingerprinted += updates.length;
+    }
+
+    console.log(`Fingerprinted ${fingerprinted} responses`);
+    console.log('Migration 6 completed');
+
+    // Migration 7: Responses published before moderation existed stay public
+    console.log('Running Migration 7: Approving existing responses...');
+    const approved = await Response.updateMany(
+      { moderationStatus: { $exists: false } },
+      { $set: { moderationStatus: 'approved' } }
+    );
+    console.log(`Approved ${approved.modifiedCount} existing responses`);
+    console.log('Migration 7 completed');
+
+    // Migration 8: Reaction counters so existing responses can be sorted by helpfulness
+    console.log('Running Migration 8: Adding reaction counters to responses...');
+    await Response.createIndexes();
+    const withCounters = await Response.updateMany(
+      { reactions: { $exists: false } },
+      { $set: { reactions: { insightful: 0, agree: 0, disagree: 0 }, helpfulScore: 0 } }
+    );
+    console.log(`Added reaction counters to ${withCounters.modifiedCount} responses`);
+    console.log('Migration 8 completed');
+
+    // Migration 9: Existing questions are live and their subscribers were already notified
+    console.log('Running Migration 9: Publishing existing questions...');
+    await Question.createIndexes();
+    const publishedQuestions = await Question.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'published', publishAt: null, publishedAt: '$createdAt', notifiedAt: '$createdAt' } }]
+    );
+    console.log(`Published ${publishedQuestions.modifiedCount} existing questions`);
+    console.log('Migration 9 completed');
+
+    // Migration 10: Categories move from hard-coded lists into their own collection
+    console.log('Running Migration 10: Creating categories...');
+    await Category.createIndexes();
+    const createdDefaults = await categoryService.ensureDefaults();
+    const usedCategories = await Question.distinct('category').withDeleted();
+    const knownSlugs = await Category.distinct('slug');
+    const missingCategories = usedCategories
+      .filter(slug => !knownSlugs.includes(slug))
+      .map(slug => ({ slug, displayName: slug.charAt(0).toUpperCase() + slug.slice(1), sortOrder: knownSlugs.length }));
+    await insertIgnoringDuplicates(Category, missingCategories);
+    console.log(`Created ${createdDefaults} default and ${missingCategories.length} other categories`);
+    console.log('Migration 10 completed');
+
+    // Migration 11: Subscribers from before double opt-in count as confirmed when they subscribed
+    console.log('Running Migration 11: Recording consent for existing subscribers...');
+    await Subscriber.createIndexes();
+    const consented = await Subscriber.updateMany(
+      { 'consent.confirmedAt': null, 'consent.requestedAt': null },
+      [{ $set: { consent: { requestedAt: '$subscribedAt', requestedIp: null, confirmedAt: '$subscribedAt', confirmedIp: null } } }]
+    ).withDeleted();
+    console.log(`Recorded consent for ${consented.modifiedCount} existing subscribers`);
+    console.log('Migration 11 completed');
+
     console.log('All migrations completed successfully!');
 
   } catch (error) {
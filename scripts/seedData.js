@@ -1,6 +1,7 @@
 // scripts/seedData.js
 const mongoose = require('mongoose');
 const Question = require('../models/Question');
+const categoryService = require('../services/categoryService');
 require('dotenv').config();
 
 const sampleQuestions = [
@@ -157,8 +158,12 @@ async function seedDatabase() {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/moral-dilemma-db');
     console.log('Connected to MongoDB for seeding...');
 
+    // Questions can only use categories that exist
+    const createdCategories = await categoryService.ensureDefaults();
+    console.log(`Created ${createdCategories} missing categories`);
+
     // Clear existing questions (optional - remove this line if you want to keep existing data)
-    await Question.deleteMany({});
+    await Question.deleteMany({}).withDeleted();
     console.log('Cleared existing questions');
 
     // Insert sample questions
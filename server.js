@@ -48,10 +48,23 @@ if (process.env.SENTRY_DSN && process.env.NODE_ENV === 'production') {
 const questionRoutes = require('./routes/questions');
 const subscriberRoutes = require('./routes/subscribers');
 const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const { requireScope } = require('./middleware/auth');
 const analyticsRoutes = require('./routes/analytics');
+const localeRoutes = require('./routes/locales');
+const { detectLocale } = require('./middleware/locale');
+const { SUPPORTED_LOCALES } = require('./utils/i18n');
 
 // Import models for cron jobs
 const Question = require('./models/Question');
+const View = require('./models/View');
+const publishingService = require('./services/publishingService');
+const trashService = require('./services/trashService');
+const subscriptionService = require('./services/subscriptionService');
+const digestService = require('./services/digestService');
+const outboxService = require('./services/outboxService');
+const auditService = require('./services/auditService');
+const categoryService = require('./services/categoryService');
 
 const app = express();
 let server;
@@ -663,6 +676,24 @@ const responseLimiter = createRateLimiter(
   }
 );
 
+const reportLimiter = createRateLimiter(
+  60 * 60 * 1000,
+  parseInt(process.env.REPORT_RATE_LIMIT_MAX) || 20,
+  {
+    error: 'Too many reports from this IP, please try again later.',
+    retryAfter: 60 * 60
+  }
+);
+
+const loginLimiter = createRateLimiter(
+  15 * 60 * 1000,
+  parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  {
+    error: 'Too many login attempts from this IP, please try again later.',
+    retryAfter: 15 * 60
+  }
+);
+
 // Apply general rate limiting
 app.use(generalLimiter);
 
@@ -688,7 +719,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID', 'X-Requested-With', 'X-Visitor-Token'],
+  exposedHeaders: ['X-Visitor-Token'],
   maxAge: 86400 // Cache preflight requests for 24 hours
 };
 
@@ -1057,7 +1089,7 @@ app.get('/health', async (req, res) => {
 });
 
 // Logs viewing endpoint - FIXED VERSION
-app.get('/api/logs', async (req, res) => {
+app.get('/api/logs', requireScope('system:logs'), async (req, res) => {
   if (!logger) {
     return res.status(503).json({ error: 'Logging not available' });
   }
@@ -1197,7 +1229,7 @@ app.get('/api/logs', async (req, res) => {
 });
 
 // Metrics endpoint - FIXED VERSION
-app.get('/api/metrics', async (req, res) => {
+app.get('/api/metrics', requireScope('system:metrics'), async (req, res) => {
   if (!redisClient || !redisClient.isReady) {
     return res.status(503).json({ error: 'Metrics not available - Redis required' });
   }
@@ -1396,20 +1428,29 @@ app.get('/api/docs', (req, res) => {
         'GET /api/questions/popular': 'Get most popular questions',
         'GET /api/questions/stats': 'Get overall statistics',
         'GET /api/questions/search': 'Search questions',
-        'POST /api/questions/update-metrics': 'Update popularity metrics'
+        'POST /api/questions/update-metrics': 'Update popularity metrics (scope: metrics:recalculate)'
+      },
+      locales: {
+        'GET /api/locales': 'Current language, supported languages and UI strings (?lang= to switch)'
       },
       analytics: {
-        'GET /api/analytics/dashboard': 'Get dashboard analytics',
-        'GET /api/analytics/question/:category/:slug': 'Get detailed question analytics',
-        'GET /api/analytics/category/:category': 'Get category-specific analytics',
-        'GET /api/analytics/trends': 'Get trending analysis',
-        'POST /api/analytics/recalculate': 'Recalculate all popularity metrics',
-        'GET /api/analytics/export': 'Export analytics data'
+        'GET /api/analytics/dashboard': 'Get dashboard analytics (scope: analytics:read)',
+        'GET /api/analytics/question/:category/:slug': 'Get detailed question analytics (scope: analytics:read)',
+        'GET /api/analytics/category/:category': 'Get category-specific analytics (scope: analytics:read)',
+        'GET /api/analytics/trends': 'Get trending analysis (scope: analytics:read)',
+        'POST /api/analytics/recalculate': 'Recalculate all popularity metrics (scope: metrics:recalculate)',
+        'GET /api/analytics/export': 'Export analytics data (scope: analytics:export)'
+      },
+      auth: {
+        'POST /api/admin/auth/login': 'Admin login with email and password',
+        'POST /api/admin/auth/refresh': 'Rotate the refresh token and issue a new access token',
+        'POST /api/admin/auth/logout': 'Revoke the current admin session',
+        'GET /api/admin/auth/me': 'Current admin account'
       },
       system: {
         'GET /health': 'System health check with detailed status',
-        'GET /api/logs': 'View system logs (supports ?level=error&limit=100&format=json)',
-        'GET /api/metrics': 'View system metrics (supports ?days=7&format=json)',
+        'GET /api/logs': 'View system logs (supports ?level=error&limit=100&format=json; scope: system:logs)',
+        'GET /api/metrics': 'View system metrics (supports ?days=7&format=json; scope: system:metrics)',
         'GET /api/docs': 'This API documentation'
       }
     },
@@ -1418,7 +1459,8 @@ app.get('/api/docs', (req, res) => {
       questionType: ['all', 'multiple_choice', 'paragraph'],
       timeRange: ['24h', '7d', '30d', 'all'],
       format: ['json', 'csv', 'html'],
-      logLevel: ['all', 'error', 'warn', 'info', 'debug']
+      logLevel: ['all', 'error', 'warn', 'info', 'debug'],
+      lang: SUPPORTED_LOCALES
     },
     rateLimits: {
       general: `${process.env.RATE_LIMIT_MAX_REQUESTS || 100} requests per 15 minutes`,
@@ -1743,14 +1785,21 @@ app.get('/admin/analytics', (req, res) => {
 });
 
 // API Routes with specific rate limiting
-app.use('/api/questions', apiLimiter, questionRoutes);
-app.use('/api/subscribers', apiLimiter, subscriberRoutes);
+// Responses, replies and reports are limited before the question routes handle them;
+// replies share the response allowance
+app.use('/api/questions/:category/:slug/respond', responseLimiter);
+app.use('/api/questions/:category/:slug/responses/:responseId/replies', (req, res, next) => (
+  req.method === 'POST' ? responseLimiter(req, res, next) : next()
+));
+app.use('/api/questions/:category/:slug/responses/:responseId/report', reportLimiter);
+app.use('/api/questions', apiLimiter, detectLocale, questionRoutes);
+app.use('/api/subscribers', apiLimiter, detectLocale, subscriberRoutes);
+app.use('/api/locales', apiLimiter, detectLocale, localeRoutes);
+app.use('/api/admin/auth/login', loginLimiter);
+app.use('/api/admin/auth', authRoutes);
 app.use('/api/admin', adminRoutes); // Admin routes should have their own auth-based limiting
 app.use('/api/analytics', apiLimiter, analyticsRoutes);
 
-// Apply response rate limiting to response endpoints
-app.use('/api/questions/:category/:slug/respond', responseLimiter);
-
 // STATIC PAGE ROUTES - BEFORE DYNAMIC ROUTES
 
 // Homepage route
@@ -1775,36 +1824,36 @@ app.get('/about', (req, res) => {
 
 // DYNAMIC ROUTES - MUST BE AFTER STATIC ROUTES
 
+// Shown when a page can't be served, e.g. the category lookup fails
+const PAGE_ERROR = 'Something went wrong. Please try again later.';
+
 // Category page route - Shows questions in a specific category
 app.get('/category/:category', async (req, res) => {
   const { category } = req.params;
   
-  // Validate category
-  const validCategories = [
-    'love', 'justice', 'survival', 'family', 'freedom', 'sacrifice',
-    'truth', 'loyalty', 'revenge', 'power', 'empathy', 'morality',
-    'desire', 'regret', 'identity', 'betrayal', 'hope', 'fear',
-    'faith', 'control', 'loss', 'trust', 'responsibility', 'choice',
-    'pain', 'greed', 'envy', 'honor', 'duty', 'self'
-  ];
-  
-  if (!validCategories.includes(category.toLowerCase())) {
+  try {
+    // Only active categories have a page
+    if (!(await categoryService.isActive(category))) {
+      if (logger) {
+        await logger.warn('Invalid category access attempt', { 
+          category, 
+          ip: req.ip, 
+          userAgent: req.get('User-Agent') 
+        });
+      }
+      return res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
+    }
+    
+    // Log valid category access
     if (logger) {
-      await logger.warn('Invalid category access attempt', { 
+      await logger.info('Category page accessed', { 
         category, 
-        ip: req.ip, 
-        userAgent: req.get('User-Agent') 
+        ip: req.ip 
       });
     }
-    return res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
-  }
-  
-  // Log valid category access
-  if (logger) {
-    await logger.info('Category page accessed', { 
-      category, 
-      ip: req.ip 
-    });
+  } catch (error) {
+    console.error('Error loading category page:', error);
+    return res.status(500).send(PAGE_ERROR);
   }
   
   // Serve the category HTML file - the frontend will fetch data via API
@@ -1815,34 +1864,46 @@ app.get('/category/:category', async (req, res) => {
 app.get('/:category/:slug', async (req, res) => {
   const { category } = req.params;
   
-  // Validate category to prevent matching non-category routes
-  const validCategories = [
-    'love', 'justice', 'survival', 'family', 'freedom', 'sacrifice',
-    'truth', 'loyalty', 'revenge', 'power', 'empathy', 'morality',
-    'desire', 'regret', 'identity', 'betrayal', 'hope', 'fear',
-    'faith', 'control', 'loss', 'trust', 'responsibility', 'choice',
-    'pain', 'greed', 'envy', 'honor', 'duty', 'self'
-  ];
-  
-  if (!validCategories.includes(category.toLowerCase())) {
+  try {
+    // Validate category to prevent matching non-category routes. Questions in inactive
+    // categories keep their pages so existing links still work.
+    if (!(await categoryService.exists(category))) {
+      if (logger) {
+        await logger.warn('Invalid question route access attempt', { 
+          category, 
+          slug: req.params.slug,
+          ip: req.ip, 
+          userAgent: req.get('User-Agent') 
+        });
+      }
+      return res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
+    }
+    
+    // Log valid question access
     if (logger) {
-      await logger.warn('Invalid question route access attempt', { 
+      await logger.info('Question page accessed', { 
         category, 
         slug: req.params.slug,
-        ip: req.ip, 
-        userAgent: req.get('User-Agent') 
+        ip: req.ip 
       });
     }
-    return res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
+  } catch (error) {
+    console.error('Error loading question page:', error);
+    return res.status(500).send(PAGE_ERROR);
   }
-  
-  // Log valid question access
-  if (logger) {
-    await logger.info('Question page accessed', { 
-      category, 
-      slug: req.params.slug,
-      ip: req.ip 
-    });
+
+  // Send renamed questions to their current URL
+  try {
+    const { slug } = req.params;
+    const exists = await Question.exists({ category: category.toLowerCase(), slug: slug.toLowerCase() });
+    if (!exists) {
+      const moved = await Question.findBySlugHistory(category, slug).select('category slug');
+      if (moved) {
+        return res.redirect(301, `/${moved.category}/${moved.slug}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error resolving question redirect:', error);
   }
   
   res.sendFile(path.join(__dirname, 'public', 'question.html'));
@@ -2197,9 +2258,139 @@ process.on('unhandledRejection', async (reason, promise) => {
 });
 
 // Enhanced cron jobs for automated tasks with logging - FIXED VERSION
+// Jobs that publish questions, send email or handle sign-ups run in every environment so
+// they behave the same in development; the housekeeping jobs only run in production.
 const setupCronJobs = () => {
+  // Publish scheduled questions and queue emails a publisher didn't finish, every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const published = await publishingService.publishDue();
+      
+      if (published.length > 0) {
+        console.log(`Published ${published.length} scheduled question(s)`);
+        
+        if (logger) {
+          await logger.info('Scheduled questions published', {
+            count: published.length,
+            questions: published.map(question => `${question.category}/${question.slug}`)
+          });
+        }
+      }
+      
+      const notified = await publishingService.notifyPending();
+      
+      if (notified > 0) {
+        console.log(`Queued unfinished subscriber emails for ${notified} question(s)`);
+        
+        if (logger) {
+          await logger.info('Unfinished question notifications queued', { count: notified });
+        }
+      }
+    } catch (error) {
+      console.error('Error publishing scheduled questions:', error);
+      
+      if (logger) {
+        await logger.error('Error publishing scheduled questions', { error: error.message });
+      }
+      
+      if (Sentry) {
+        Sentry.captureException(error, {
+          tags: { component: 'cron_scheduled_publishing' }
+        });
+      }
+    }
+  });
+
+  // Send queued emails and due retries from the outbox, every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const summary = await outboxService.drain();
+      
+      if (summary.dead > 0 || summary.interrupted > 0) {
+        console.warn(`Outbox: ${summary.dead} message(s) failed too often and ${summary.interrupted} were interrupted; see the admin outbox`);
+        
+        if (logger) {
+          await logger.warn('Outbox messages dead-lettered', summary);
+        }
+      }
+    } catch (error) {
+      console.error('Error sending outbox messages:', error);
+      
+      if (logger) {
+        await logger.error('Error sending outbox messages', { error: error.message });
+      }
+      
+      if (Sentry) {
+        Sentry.captureException(error, {
+          tags: { component: 'cron_email_outbox' }
+        });
+      }
+    }
+  });
+
+  // Delete sign-ups whose confirmation link expired unused, every hour
+  cron.schedule('30 * * * *', async () => {
+    try {
+      const removed = await subscriptionService.purgeUnconfirmed();
+      
+      if (removed > 0) {
+        console.log(`Removed ${removed} unconfirmed subscriber(s)`);
+        
+        if (logger) {
+          await logger.info('Unconfirmed subscribers removed', {
+            count: removed,
+            confirmHours: subscriptionService.getConfirmHours()
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error removing unconfirmed subscribers:', error);
+      
+      if (logger) {
+        await logger.error('Error removing unconfirmed subscribers', { error: error.message });
+      }
+      
+      if (Sentry) {
+        Sentry.captureException(error, {
+          tags: { component: 'cron_unconfirmed_subscribers' }
+        });
+      }
+    }
+  });
+
+  // Queue daily digests at 8 AM and weekly ones on Mondays at 8 AM
+  const sendDigests = async (frequency) => {
+    console.log(`Sending ${frequency} digests...`);
+    
+    try {
+      const summary = await digestService.sendDigests(frequency);
+      
+      console.log(`${frequency} digests complete: ${summary.queued} queued, ${summary.skipped} with nothing new, ${summary.failed} failed`);
+      
+      if (logger) {
+        await logger.info('Digests queued', { frequency, ...summary });
+      }
+      
+      outboxService.wake();
+    } catch (error) {
+      console.error(`Error sending ${frequency} digests:`, error);
+      
+      if (logger) {
+        await logger.error('Error sending digests', { frequency, error: error.message });
+      }
+      
+      if (Sentry) {
+        Sentry.captureException(error, {
+          tags: { component: 'cron_digests', frequency }
+        });
+      }
+    }
+  };
+  cron.schedule('0 8 * * *', () => sendDigests('daily'));
+  cron.schedule('0 8 * * 1', () => sendDigests('weekly'));
+
   if (process.env.NODE_ENV !== 'production') {
-    console.log('Skipping cron jobs in development mode');
+    console.log('Skipping housekeeping cron jobs in development mode');
     return;
   }
 
@@ -2224,7 +2415,7 @@ const setupCronJobs = () => {
       // Cache popular questions if Redis is available
       if (redisClient && redisClient.isReady) {
         try {
-          const popularQuestions = await Question.find({})
+          const popularQuestions = await Question.find(Question.published())
             .sort({ popularityScore: -1 })
             .limit(10)
             .lean();
@@ -2271,20 +2462,13 @@ const setupCronJobs = () => {
     try {
       const cutoffDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000); // 90 days ago
       
-      const result = await Question.updateMany(
-        {},
-        {
-          $pull: {
-            views: { timestamp: { $lt: cutoffDate } }
-          }
-        }
-      );
+      const result = await View.deleteMany({ timestamp: { $lt: cutoffDate } });
       
-      console.log(`Cleaned up old view records. Modified ${result.modifiedCount} questions`);
+      console.log(`Cleaned up old view records. Deleted ${result.deletedCount} views`);
       
       if (logger) {
         await logger.info('Cleaned up old view records', { 
-          modifiedCount: result.modifiedCount,
+          deletedCount: result.deletedCount,
           cutoffDate: cutoffDate.toISOString()
         });
       }
@@ -2425,6 +2609,53 @@ const setupCronJobs = () => {
     }
   });
 
+  // Permanently delete questions and subscribers that have outlived the trash
+  // retention period (TRASH_RETENTION_DAYS) - runs daily at 4 AM
+  cron.schedule('0 4 * * *', async () => {
+    console.log('Running scheduled trash purge...');
+    
+    try {
+      const purged = await trashService.purgeExpired();
+      
+      for (const { document, related } of purged.questions) {
+        await auditService.record(null, {
+          action: 'question.purge',
+          target: { type: 'question', id: document._id, label: document.title },
+          metadata: { deletedRelated: related, reason: 'retention' }
+        });
+      }
+      for (const { document } of purged.subscribers) {
+        await auditService.record(null, {
+          action: 'subscriber.purge',
+          target: { type: 'subscriber', id: document._id, label: document.email },
+          metadata: { reason: 'retention' }
+        });
+      }
+      
+      console.log(`Trash purge completed. Removed ${purged.questions.length} questions and ${purged.subscribers.length} subscribers`);
+      
+      if (logger) {
+        await logger.info('Trash purge completed', {
+          questionsPurged: purged.questions.length,
+          subscribersPurged: purged.subscribers.length,
+          retentionDays: trashService.getRetentionDays()
+        });
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+      
+      if (logger) {
+        await logger.error('Error purging trash', { error: error.message });
+      }
+      
+      if (Sentry) {
+        Sentry.captureException(error, {
+          tags: { component: 'cron_trash_purge' }
+        });
+      }
+    }
+  });
+
   console.log('Cron jobs set up successfully');
   
   if (logger) {
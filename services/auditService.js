@@ -0,0 +1,132 @@
+const AuditEvent = require('../models/AuditEvent');
+const { getActor } = require('../middleware/auth');
+
+// Largest CSV export in one request
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  ['Time', event => event.createdAt && new Date(event.createdAt).toISOString()],
+  ['Action', event => event.action],
+  ['Actor Type', event => event.actor.type],
+  ['Actor', event => event.actor.name],
+  ['Actor Id', event => event.actor.id],
+  ['Target Type', event => event.target.type],
+  ['Target Ids', event => event.target.ids.join(' ')],
+  ['Target', event => event.target.label],
+  ['Before', event => event.before && JSON.stringify(event.before)],
+  ['After', event => event.after && JSON.stringify(event.after)],
+  ['Metadata', event => event.metadata && JSON.stringify(event.metadata)],
+  ['IP Address', event => event.ipAddress],
+  ['Request Id', event => event.requestId]
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Quote everything that could break the row, and defuse spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) || safe !== text ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class AuditService {
+  // Plain JSON copy of some fields of a document (ObjectIds and dates become strings)
+  snapshot(doc, fields) {
+    if (!doc) return null;
+    const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    const picked = fields.reduce((result, field) => {
+      if (source[field] !== undefined) result[field] = source[field];
+      return result;
+    }, {});
+    return JSON.parse(JSON.stringify(picked));
+  }
+
+  // The fields that differ between two snapshots, as { before, after }
+  diff(before, after) {
+    const changed = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+      .filter(key => JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key]));
+
+    const pick = (source) => changed.reduce((result, key) => {
+      result[key] = source && source[key] !== undefined ? source[key] : null;
+      return result;
+    }, {});
+
+    return { before: pick(before), after: pick(after) };
+  }
+
+  // Record a privileged action taken in a request. Failures are logged but never
+  // fail the action itself, which has already happened.
+  async record(req, { action, target, before = null, after = null, metadata = null }) {
+    try {
+      const ids = [].concat(target.ids || target.id || []).map(String);
+
+      return await AuditEvent.create({
+        actor: getActor(req),
+        action,
+        target: { type: target.type, ids, label: target.label || null },
+        before,
+        after,
+        metadata,
+        ipAddress: req ? req.ip : null,
+        userAgent: req && typeof req.get === 'function' ? req.get('User-Agent') || null : null,
+        requestId: req ? req.requestId || null : null
+      });
+    } catch (error) {
+      console.error(`Failed to record audit event ${action}:`, error);
+      return null;
+    }
+  }
+
+  // Mongo filter from the audit endpoint's query. action ending in ".*" matches a prefix.
+  buildFilter({ action, actorType, actorId, targetType, targetId, from, to } = {}) {
+    const filter = {};
+
+    if (action) {
+      filter.action = action.endsWith('.*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+        : action;
+    }
+    if (actorType) filter['actor.type'] = actorType;
+    if (actorId) filter['actor.id'] = actorId;
+    if (targetType) filter['target.type'] = targetType;
+    if (targetId) filter['target.ids'] = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    return filter;
+  }
+
+  async list(filters, { page = 1, limit = 50 } = {}) {
+    const filter = this.buildFilter(filters);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    return { events, total };
+  }
+
+  // CSV of the matching events, newest first
+  async exportCsv(filters) {
+    const events = await AuditEvent.find(this.buildFilter(filters))
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const header = CSV_COLUMNS.map(([name]) => name).join(',');
+    const rows = events.map(event => CSV_COLUMNS.map(([, value]) => csvCell(value(event))).join(','));
+
+    return [header, ...rows].join('\n');
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,306 @@
+const Joi = require('joi');
+const EmailEvent = require('../models/EmailEvent');
+const Suppression = require('../models/Suppression');
+const Subscriber = require('../models/Subscriber');
+const OutboxMessage = require('../models/OutboxMessage');
+
+const DEFAULT_HARD_BOUNCE_LIMIT = 1;
+const DEFAULT_SOFT_BOUNCE_LIMIT = 5;
+const DEFAULT_SOFT_BOUNCE_WINDOW_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Most events accepted in one JSON request
+const MAX_EVENTS = 100;
+
+// Permanent failures that say nothing about whether the mailbox exists (mailbox full, message
+// too big, rejected by policy), so they count as soft bounces
+const SOFT_PERMANENT_STATUSES = [/^5\.2\.[23]$/, /^5\.3\.4$/, /^5\.7\.\d{1,3}$/];
+
+// Message-ID the outbox gives each message (see emailService.sendMessage)
+const OUTBOX_MESSAGE_ID = /outbox\.([a-f0-9]{24})@/i;
+
+const jsonEventSchema = Joi.object({
+  // The provider's id for the event, so a redelivered notification is only counted once
+  id: Joi.string().trim().max(200),
+  type: Joi.string().valid('bounce', 'complaint').required(),
+  email: Joi.string().trim().lowercase().email(),
+  bounceType: Joi.string().valid('hard', 'soft'),
+  status: Joi.string().trim().pattern(/^[245]\.\d{1,3}\.\d{1,3}$/),
+  diagnostic: Joi.string().trim().max(1000).allow(''),
+  messageId: Joi.string().trim().max(500),
+  timestamp: Joi.date().iso()
+}).or('email', 'messageId');
+
+const jsonEventsSchema = Joi.array().items(jsonEventSchema).min(1).max(MAX_EVENTS);
+
+const positiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// Header-style fields of one block of a report, unfolded, names lowercased; the first
+// occurrence of a field wins
+const parseFields = (block) => {
+  const fields = {};
+  block.replace(/\n[ \t]+/g, ' ').split('\n').forEach(line => {
+    const match = line.match(/^([A-Za-z][A-Za-z0-9-]*):[ \t]*(.*)$/);
+    if (match && !(match[1].toLowerCase() in fields)) {
+      fields[match[1].toLowerCase()] = match[2].trim();
+    }
+  });
+  return fields;
+};
+
+// "rfc822; <Someone@Example.com>" -> "someone@example.com"
+const addressOf = (value) => {
+  if (!value) return null;
+  const address = value.replace(/^[^;@]*;/, '').trim().replace(/^<|>$/g, '').toLowerCase();
+  return /^[^\s@]+@[^\s@]+$/.test(address) ? address : null;
+};
+
+// "smtp; 550 5.1.1 User unknown" -> "550 5.1.1 User unknown"
+const diagnosticOf = (value) => value ? value.replace(/^[a-z-]+;\s*/i, '').slice(0, 1000) : null;
+
+const dateOf = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : new Date();
+};
+
+// Bounce and complaint notifications, posted by the mail provider as JSON or forwarded as raw
+// delivery status notifications. Every event is stored as an EmailEvent. An address is put on
+// the suppression list, and its subscriber deactivated, after its first complaint, after
+// BOUNCE_HARD_LIMIT hard bounces, or after BOUNCE_SOFT_LIMIT soft bounces within
+// BOUNCE_SOFT_WINDOW_DAYS. Nothing is emailed to a suppressed address again.
+class BounceService {
+  getHardBounceLimit() {
+    return positiveInt(process.env.BOUNCE_HARD_LIMIT, DEFAULT_HARD_BOUNCE_LIMIT);
+  }
+
+  getSoftBounceLimit() {
+    return positiveInt(process.env.BOUNCE_SOFT_LIMIT, DEFAULT_SOFT_BOUNCE_LIMIT);
+  }
+
+  getSoftBounceWindowDays() {
+    return positiveInt(process.env.BOUNCE_SOFT_WINDOW_DAYS, DEFAULT_SOFT_BOUNCE_WINDOW_DAYS);
+  }
+
+  // 'hard_bounce' or 'soft_bounce' for an enhanced status code such as 5.1.1, or null for a
+  // success code. Without a code nothing says the address is gone, so it counts as soft.
+  classify(status) {
+    const match = /\b([245])\.\d{1,3}\.\d{1,3}\b/.exec(status || '');
+    if (!match) return 'soft_bounce';
+
+    const [code, statusClass] = match;
+    if (statusClass === '2') return null;
+    if (statusClass === '4' || SOFT_PERMANENT_STATUSES.some(pattern => pattern.test(code))) {
+      return 'soft_bounce';
+    }
+    return 'hard_bounce';
+  }
+
+  // Events from a JSON body: one event, an array of them, or { events: [...] }.
+  // Resolves to { events, ignored } or { error }.
+  parseJson(body) {
+    const list = Array.isArray(body) ? body : (body && Array.isArray(body.events) ? body.events : [body]);
+    const { error, value } = jsonEventsSchema.validate(list);
+    if (error) {
+      return { error: error.details[0].message };
+    }
+
+    const events = [];
+    let ignored = 0;
+    for (const event of value) {
+      const type = event.type === 'complaint'
+        ? 'complaint'
+        : (event.bounceType ? `${event.bounceType}_bounce` : this.classify(event.status));
+      if (!type) {
+        ignored++;
+        continue;
+      }
+
+      events.push({
+        type,
+        email: event.email || null,
+        status: event.status || null,
+        diagnostic: event.diagnostic || null,
+        messageId: event.messageId || null,
+        eventId: event.id ? `json:${event.id}` : null,
+        occurredAt: event.timestamp || new Date(),
+        source: 'json'
+      });
+    }
+
+    return { events, ignored };
+  }
+
+  // Events from a raw delivery status notification (RFC 3464) or abuse report (RFC 5965).
+  // Only the header-style parts are read, wherever they sit in the MIME structure; encoded
+  // parts are not decoded. Recipients that were delayed or delivered are ignored.
+  // Resolves to { events, ignored } or { error }.
+  parseDsn(raw) {
+    const blocks = String(raw || '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).map(parseFields);
+    const reportId = blocks[0]['message-id'] || null;
+
+    // The original message's Message-ID, preferably one the outbox gave it
+    const messageIds = blocks.slice(1).map(fields => fields['message-id']).filter(Boolean);
+    const messageId = messageIds.find(id => OUTBOX_MESSAGE_ID.test(id)) || messageIds[0] || null;
+
+    const events = [];
+    let ignored = 0;
+    for (const fields of blocks) {
+      if (fields['feedback-type']) {
+        const email = addressOf(fields['original-rcpt-to']);
+        events.push({
+          type: 'complaint',
+          email,
+          status: null,
+          diagnostic: `Feedback-Type: ${fields['feedback-type']}`,
+          messageId,
+          eventId: reportId ? `arf:${reportId}:${email || messageId}` : null,
+          occurredAt: dateOf(fields['arrival-date']),
+          source: 'arf'
+        });
+        continue;
+      }
+
+      const recipient = fields['final-recipient'] || fields['original-recipient'];
+      if (!recipient || !fields.action) continue;
+
+      const type = fields.action.toLowerCase() === 'failed' ? this.classify(fields.status) : null;
+      if (!type) {
+        ignored++;
+        continue;
+      }
+
+      const email = addressOf(recipient);
+      events.push({
+        type,
+        email,
+        status: fields.status ? fields.status.split(/\s/)[0] : null,
+        diagnostic: diagnosticOf(fields['diagnostic-code']),
+        messageId,
+        eventId: reportId ? `dsn:${reportId}:${email || messageId}` : null,
+        occurredAt: dateOf(fields['last-attempt-date']),
+        source: 'dsn'
+      });
+    }
+
+    if (events.length === 0 && ignored === 0) {
+      return { error: 'No delivery status or feedback report found' };
+    }
+    return { events, ignored };
+  }
+
+  // The suppression reason once an address has reached its limit for this kind of event,
+  // otherwise null
+  async getSuppressionReason(email, type, now = new Date()) {
+    if (type === 'complaint') return 'complaint';
+
+    if (type === 'hard_bounce') {
+      const hardBounces = await EmailEvent.countDocuments({ email, type });
+      return hardBounces >= this.getHardBounceLimit() ? 'hard_bounce' : null;
+    }
+
+    const softBounces = await EmailEvent.countDocuments({
+      email,
+      type,
+      occurredAt: { $gte: new Date(now.getTime() - this.getSoftBounceWindowDays() * DAY) }
+    });
+    return softBounces >= this.getSoftBounceLimit() ? 'soft_bounce' : null;
+  }
+
+  // Put an address on the suppression list, deactivate its subscriber and cancel anything still
+  // queued for it. Resolves to { suppression, created, deactivated }.
+  async suppress(email, reason, details = null) {
+    const { suppression, created } = await Suppression.suppress(email, reason, details);
+
+    const [subscribers] = await Promise.all([
+      Subscriber.updateMany(
+        { email: suppression.email, isActive: true },
+        { $set: { isActive: false, unsubscribedAt: new Date() } }
+      ).withDeleted(),
+      OutboxMessage.updateMany(
+        { to: suppression.email, status: 'pending' },
+        { $set: { status: 'cancelled', lastError: 'Address is on the suppression list' } }
+      )
+    ]);
+
+    return { suppression, created, deactivated: subscribers.modifiedCount };
+  }
+
+  // Store one parsed event and suppress its address once it reaches a limit. Resolves to
+  // { email, type, result, suppression, created, deactivated }, where result is 'recorded',
+  // 'duplicate' or 'unmatched' (no address in the event and no outbox message to take it from).
+  async record(event) {
+    const outboxMatch = event.messageId && OUTBOX_MESSAGE_ID.exec(event.messageId);
+    const message = outboxMatch
+      ? await OutboxMessage.findById(outboxMatch[1]).select('to subscriber')
+      : null;
+    const email = event.email || (message ? message.to.toLowerCase() : null);
+    const outcome = { email, type: event.type, result: 'unmatched', suppression: null, created: false, deactivated: 0 };
+    if (!email) return outcome;
+
+    const sameMessage = message && message.to.toLowerCase() === email;
+    const subscriber = sameMessage && message.subscriber
+      ? { _id: message.subscriber }
+      : await Subscriber.findOne({ email }).withDeleted().select('_id');
+
+    try {
+      await EmailEvent.create({
+        email,
+        subscriber: subscriber ? subscriber._id : null,
+        outboxMessage: sameMessage ? message._id : null,
+        type: event.type,
+        status: event.status,
+        diagnostic: event.diagnostic,
+        source: event.source,
+        eventId: event.eventId,
+        occurredAt: event.occurredAt
+      });
+    } catch (error) {
+      // Already reported in an earlier notification
+      if (error.code !== 11000) throw error;
+      return { ...outcome, result: 'duplicate' };
+    }
+
+    const reason = await this.getSuppressionReason(email, event.type);
+    if (!reason) return { ...outcome, result: 'recorded' };
+
+    return { ...outcome, result: 'recorded', ...(await this.suppress(email, reason, event.diagnostic || event.status)) };
+  }
+
+  // Record parsed events one after another, so limits see the earlier ones.
+  // Resolves to { recorded, duplicates, unmatched, ignored, results }.
+  async recordAll({ events, ignored = 0 }) {
+    const summary = { recorded: 0, duplicates: 0, unmatched: 0, ignored, results: [] };
+    for (const event of events) {
+      const outcome = await this.record(event);
+      if (outcome.result === 'recorded') summary.recorded++;
+      if (outcome.result === 'duplicate') summary.duplicates++;
+      if (outcome.result === 'unmatched') summary.unmatched++;
+      summary.results.push(outcome);
+    }
+    return summary;
+  }
+
+  // Events newest first, optionally for one address or of one type, and the number matching
+  async listEvents({ email, type, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (email) filter.email = email.toLowerCase();
+    if (type) filter.type = type;
+
+    const [events, total] = await Promise.all([
+      EmailEvent.find(filter)
+        .sort({ occurredAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EmailEvent.countDocuments(filter)
+    ]);
+
+    return { events, total };
+  }
+}
+
+module.exports = new BounceService();
@@ -0,0 +1,122 @@
+const BulkJob = require('../models/BulkJob');
+
+// Selections larger than this run as a background job
+const BACKGROUND_THRESHOLD = 50;
+
+// Background jobs write their progress after this many items
+const FLUSH_EVERY = 20;
+
+// A queued or running job that has not reported progress for this long was lost,
+// usually to a restart
+const STALE_AFTER = 5 * 60 * 1000;
+
+const countResults = (results) => results.reduce((counts, result) => {
+  if (result.status === 'ok') counts.succeeded++;
+  else if (result.status === 'skipped') counts.skipped++;
+  else counts.failed++;
+  return counts;
+}, { succeeded: 0, skipped: 0, failed: 0 });
+
+class BulkJobService {
+  runsInBackground(count) {
+    return count > BACKGROUND_THRESHOLD;
+  }
+
+  // Run handler(id, jobId) over each id in turn. The handler resolves to
+  // { status: ok|skipped|error, label, message }; a thrown error fails only that item.
+  // onProgress receives batches of results as they are produced.
+  async processAll(ids, handler, { jobId = null, onProgress = null } = {}) {
+    const results = [];
+    let batch = [];
+
+    for (const id of ids) {
+      let result;
+      try {
+        result = { id: String(id), ...(await handler(id, jobId)) };
+      } catch (error) {
+        console.error(`Bulk action failed for ${id}:`, error);
+        result = { id: String(id), status: 'error', message: error.message };
+      }
+
+      results.push(result);
+      batch.push(result);
+      if (onProgress && batch.length >= FLUSH_EVERY) {
+        await onProgress(batch);
+        batch = [];
+      }
+    }
+
+    if (onProgress && batch.length > 0) {
+      await onProgress(batch);
+    }
+    return results;
+  }
+
+  summarize(results) {
+    return { total: results.length, ...countResults(results) };
+  }
+
+  // Record a job and process it after the response has gone out. onComplete runs with
+  // all results once every item is done. Resolves to the queued job.
+  async start({ target, action, params, ids, createdBy }, handler, onComplete = null) {
+    const job = await BulkJob.create({ target, action, params, total: ids.length, createdBy });
+
+    setImmediate(() => this.process(job._id, ids, handler, onComplete));
+    return job;
+  }
+
+  async process(jobId, ids, handler, onComplete) {
+    try {
+      await BulkJob.updateOne(
+        { _id: jobId },
+        { $set: { status: 'running', startedAt: new Date(), updatedAt: new Date() } }
+      );
+
+      const results = await this.processAll(ids, handler, {
+        jobId,
+        onProgress: (batch) => BulkJob.updateOne(
+          { _id: jobId },
+          {
+            $push: { results: { $each: batch } },
+            $inc: { processed: batch.length, ...countResults(batch) },
+            $set: { updatedAt: new Date() }
+          }
+        )
+      });
+
+      if (onComplete) {
+        await onComplete(results);
+      }
+
+      await BulkJob.updateOne(
+        { _id: jobId },
+        { $set: { status: 'completed', finishedAt: new Date(), updatedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error(`Bulk job ${jobId} failed:`, error);
+      await BulkJob.updateOne(
+        { _id: jobId },
+        { $set: { status: 'failed', error: error.message, finishedAt: new Date(), updatedAt: new Date() } }
+      ).catch(updateError => console.error(`Failed to mark bulk job ${jobId} as failed:`, updateError));
+    }
+  }
+
+  // The job with its results, or null. Jobs that stopped reporting are marked failed.
+  async get(jobId, target) {
+    const job = await BulkJob.findOne({ _id: jobId, target }).lean();
+    if (!job) return null;
+
+    if (['queued', 'running'].includes(job.status) && Date.now() - new Date(job.updatedAt).getTime() > STALE_AFTER) {
+      const lost = await BulkJob.findOneAndUpdate(
+        { _id: job._id, status: job.status, updatedAt: job.updatedAt },
+        { $set: { status: 'failed', error: 'The job stopped before finishing (the server may have restarted)', finishedAt: new Date() } },
+        { new: true }
+      ).lean();
+      return lost || BulkJob.findById(job._id).lean();
+    }
+
+    return job;
+  }
+}
+
+module.exports = new BulkJobService();
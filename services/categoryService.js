@@ -0,0 +1,69 @@
+const Category = require('../models/Category');
+const { DEFAULT_CATEGORIES } = require('../config/categories');
+
+const CATEGORIES_TTL = 60 * 1000; // 1 minute
+
+const bySortOrder = (a, b) => (a.sortOrder - b.sortOrder) || a.displayName.localeCompare(b.displayName);
+
+class CategoryService {
+  constructor() {
+    this.categories = null;
+    this.categoriesLoadedAt = 0;
+  }
+
+  // Every question save and category page checks the list, so keep a short-lived copy.
+  // Other processes see admin changes once their copy expires.
+  async getAll() {
+    if (this.categories && Date.now() - this.categoriesLoadedAt < CATEGORIES_TTL) {
+      return this.categories;
+    }
+
+    const categories = await Category.find().lean();
+    this.categories = categories.sort(bySortOrder);
+    this.categoriesLoadedAt = Date.now();
+    return this.categories;
+  }
+
+  async getActive() {
+    const categories = await this.getAll();
+    return categories.filter(category => category.isActive);
+  }
+
+  async findBySlug(slug) {
+    if (typeof slug !== 'string') return null;
+    const categories = await this.getAll();
+    return categories.find(category => category.slug === slug.toLowerCase()) || null;
+  }
+
+  // New and edited questions may only use active categories
+  async isActive(slug) {
+    const category = await this.findBySlug(slug);
+    return Boolean(category && category.isActive);
+  }
+
+  // Existing questions (and filters over them) may still point at inactive categories
+  async exists(slug) {
+    return Boolean(await this.findBySlug(slug));
+  }
+
+  invalidate() {
+    this.categories = null;
+    this.categoriesLoadedAt = 0;
+  }
+
+  // Create any of the default categories that are missing. Existing ones, including those an
+  // admin edited or deactivated, are left alone. Resolves to the number created.
+  async ensureDefaults() {
+    const result = await Category.bulkWrite(DEFAULT_CATEGORIES.map(category => ({
+      updateOne: {
+        filter: { slug: category.slug },
+        update: { $setOnInsert: { ...category, isActive: true, createdAt: new Date(), updatedAt: new Date() } },
+        upsert: true
+      }
+    })));
+    this.invalidate();
+    return result.upsertedCount;
+  }
+}
+
+module.exports = new CategoryService();
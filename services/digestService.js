@@ -0,0 +1,134 @@
+const Question = require('../models/Question');
+const Subscriber = require('../models/Subscriber');
+const Delivery = require('../models/Delivery');
+const OutboxMessage = require('../models/OutboxMessage');
+const Suppression = require('../models/Suppression');
+const emailService = require('./emailService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PERIODS = { daily: DAY, weekly: 7 * DAY };
+
+// Most new questions in one digest, trending questions after them, and how many of the
+// top trending questions are considered for each subscriber
+const MAX_NEW_QUESTIONS = 10;
+const TRENDING_QUESTIONS = 3;
+const TRENDING_POOL = 30;
+
+const DIGEST_FIELDS = 'title slug category questionText questionType tags choices responseCount publishedAt popularityMetrics translations';
+
+// Daily and weekly digests for subscribers who don't want an email per question. Each digest
+// lists the questions published since the subscriber's last one, then the top trending
+// questions with their current vote split. Digests are queued in the outbox (see
+// services/outboxService.js), which records every question in a sent one as a Delivery.
+// Questions already delivered or still on their way are left out, so nobody receives a
+// question twice, whether in a digest or on its own.
+class DigestService {
+  // Same rule as Subscriber.interestedIn, for questions already loaded
+  isInterested(subscriber, question) {
+    const categories = subscriber.categories || [];
+    const tags = subscriber.tags || [];
+    if (categories.length === 0 && tags.length === 0) return true;
+
+    return categories.includes(question.category) ||
+      (question.tags || []).some(tag => tags.includes(tag));
+  }
+
+  // Questions are new to a subscriber if published after their last digest, or after they
+  // confirmed. Looking back at most two periods covers a missed run without resending a backlog.
+  getSince(subscriber, frequency, now) {
+    const earliest = now.getTime() - 2 * PERIODS[frequency];
+    const last = subscriber.lastDigestAt ||
+      (subscriber.consent && subscriber.consent.confirmedAt) ||
+      subscriber.subscribedAt;
+    return new Date(Math.max(last ? new Date(last).getTime() : earliest, earliest));
+  }
+
+  // Resolves to { newQuestions, trendingQuestions } for one subscriber, leaving out anything
+  // they have already received or that is queued for them
+  async buildDigest(subscriber, frequency, { recent, trending }, now) {
+    const since = this.getSince(subscriber, frequency, now);
+    const candidates = recent.filter(question => question.publishedAt > since && this.isInterested(subscriber, question));
+    const trendingCandidates = trending.filter(question => this.isInterested(subscriber, question));
+
+    const questionIds = [...candidates, ...trendingCandidates].map(question => question._id);
+    const [delivered, queued] = await Promise.all([
+      Delivery.receivedBy(subscriber._id, questionIds),
+      OutboxMessage.queuedFor(subscriber._id, questionIds)
+    ]);
+    const received = new Set([...delivered, ...queued]);
+
+    const newQuestions = candidates
+      .filter(question => !received.has(question._id.toString()))
+      .slice(0, MAX_NEW_QUESTIONS);
+    const included = new Set(newQuestions.map(question => question._id.toString()));
+    const trendingQuestions = trendingCandidates
+      .filter(question => !received.has(question._id.toString()) && !included.has(question._id.toString()))
+      .slice(0, TRENDING_QUESTIONS);
+
+    return { newQuestions, trendingQuestions };
+  }
+
+  // Queue a digest for every active, confirmed subscriber on this frequency.
+  // Resolves to { subscribers, queued, skipped, failed }.
+  async sendDigests(frequency, now = new Date()) {
+    if (!PERIODS[frequency]) {
+      throw new Error(`Unknown digest frequency: ${frequency}`);
+    }
+    if (!emailService.transporter) {
+      console.warn('Email transporter not configured. Skipping digests.');
+      return { subscribers: 0, queued: 0, skipped: 0, failed: 0 };
+    }
+
+    const windowStart = new Date(now.getTime() - 2 * PERIODS[frequency]);
+    const [recent, trending, subscribers] = await Promise.all([
+      Question.find(Question.published({ publishedAt: { $gt: windowStart, $lte: now } }))
+        .sort({ publishedAt: -1 })
+        .select(DIGEST_FIELDS),
+      Question.find(Question.published())
+        .sort({ 'popularityMetrics.trendingScore': -1 })
+        .limit(TRENDING_POOL)
+        .select(DIGEST_FIELDS),
+      Subscriber.findActiveForDigest(frequency)
+    ]);
+    const suppressed = await Suppression.suppressedAmong(subscribers.map(subscriber => subscriber.email));
+
+    const summary = { subscribers: subscribers.length, queued: 0, skipped: 0, failed: 0 };
+    // One digest per subscriber and day, however often this runs
+    const day = now.toISOString().slice(0, 10);
+
+    for (const subscriber of subscribers) {
+      if (suppressed.has(subscriber.email)) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const digest = await this.buildDigest(subscriber, frequency, { recent, trending }, now);
+        const questions = [...digest.newQuestions, ...digest.trendingQuestions];
+
+        if (questions.length === 0) {
+          summary.skipped++;
+        } else {
+          const template = emailService.generateDigestEmail({ frequency, ...digest }, subscriber.locale);
+          await OutboxMessage.enqueueOne({
+            key: `digest:${frequency}:${subscriber._id}:${day}`,
+            kind: 'digest',
+            subscriber: subscriber._id,
+            questions: questions.map(question => question._id),
+            ...emailService.personalize(template, subscriber)
+          });
+          summary.queued++;
+        }
+
+        await Subscriber.updateOne({ _id: subscriber._id }, { $set: { lastDigestAt: now } });
+      } catch (error) {
+        console.error(`Failed to queue ${frequency} digest for ${subscriber.email}:`, error);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new DigestService();
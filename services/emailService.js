@@ -1,5 +1,13 @@
 const nodemailer = require('nodemailer');
 const Subscriber = require('../models/Subscriber');
+const Delivery = require('../models/Delivery');
+const OutboxMessage = require('../models/OutboxMessage');
+const Suppression = require('../models/Suppression');
+const translationService = require('./translationService');
+const { DEFAULT_LOCALE, t } = require('../utils/i18n');
+
+// Notification emails are queued in the outbox this many at a time
+const ENQUEUE_BATCH_SIZE = 500;
 
 class EmailService {
   constructor() {
@@ -207,7 +215,11 @@ class EmailService {
     `;
   }
 
-  generateNewQuestionEmail(question) {
+  // The new question email in a subscriber's language. Template strings come from
+  // locales/<locale>.json and the question from its translation, where there is one.
+  generateNewQuestionEmail(question, locale = DEFAULT_LOCALE) {
+    const text = (key, params) => t(locale, `email.newQuestion.${key}`, params);
+    const localized = translationService.localize(question, locale);
     const questionUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/${question.category}/${question.slug}`;
     const isMultipleChoice = question.questionType === 'multiple_choice';
     
@@ -215,91 +227,210 @@ class EmailService {
     let choicesHtml = '';
     let choicesText = '';
     
-    if (isMultipleChoice && question.choices) {
-      choicesHtml = question.choices.map((choice, index) => 
+    if (isMultipleChoice && localized.choices) {
+      choicesHtml = localized.choices.map((choice, index) => 
         `<div class="choice">${String.fromCharCode(65 + index)}. ${choice.text}</div>`
       ).join('');
       
-      choicesText = question.choices.map((choice, index) => 
+      choicesText = localized.choices.map((choice, index) => 
         `${String.fromCharCode(65 + index)}. ${choice.text}`
       ).join('\n');
     }
 
-    const questionTypeText = isMultipleChoice ? 'Multiple Choice' : 'Open Response';
+    const questionTypeText = isMultipleChoice ? text('multipleChoice') : text('openResponse');
+    const categoryName = question.category.charAt(0).toUpperCase() + question.category.slice(1);
 
     return {
-      subject: `New Moral Dilemma: ${question.title}`,
+      subject: text('subject', { title: localized.title }),
       html: `
         <!DOCTYPE html>
-        <html lang="en">
+        <html lang="${locale}">
         <head>
           <meta charset="utf-8">
           <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>New Moral Dilemma</title>
+          <title>${text('heading')}</title>
           ${this.getBaseEmailStyles()}
         </head>
         <body>
           <div class="email-container">
             <div class="header">
-              <h1>🤔 New Moral Dilemma</h1>
-              <p>A thought-provoking question awaits your consideration</p>
+              <h1>🤔 ${text('heading')}</h1>
+              <p>${text('subheading')}</p>
             </div>
             
             <div class="content">
-              <div class="category-tag">${question.category.charAt(0).toUpperCase() + question.category.slice(1)} · ${questionTypeText}</div>
+              <div class="category-tag">${categoryName} · ${questionTypeText}</div>
               
-              <h2>${question.title}</h2>
+              <h2>${localized.title}</h2>
               
               <div class="question-card">
-                <div class="question-text">${question.questionText}</div>
+                <div class="question-text">${localized.questionText}</div>
               </div>
               
               ${isMultipleChoice ? `
-                <h3>Your options:</h3>
+                <h3>${text('options')}</h3>
                 <div class="choices">${choicesHtml}</div>
               ` : `
-                <p><strong>This is an open response question.</strong> Share your thoughts, reasoning, and what you would do in this situation.</p>
+                <p><strong>${text('openQuestion')}</strong> ${text('openQuestionHint')}</p>
               `}
               
               <div class="cta-container">
                 <a href="${questionUrl}" class="cta-button" style="background: #4f46e5 !important; color: #ffffff !important; text-decoration: none !important; display: inline-block;">
-                  ${isMultipleChoice ? 'Make Your Choice' : 'Share Your Response'} →
+                  ${isMultipleChoice ? text('makeChoice') : text('shareResponse')} →
                 </a>
               </div>
               
-              <p>Join the discussion and see how others approach this moral dilemma. Every perspective adds value to our understanding of ethics and human nature.</p>
+              <p>${text('closing')}</p>
             </div>
             
             <div class="footer">
-              <p>You're receiving this because you subscribed to Moral Dilemmas.</p>
-              <p><a href="{{unsubscribe_url}}" class="unsubscribe">Unsubscribe</a> | View in browser</p>
+              <p>${text('reason')}</p>
+              <p><a href="{{unsubscribe_url}}" class="unsubscribe">${text('unsubscribe')}</a> | ${text('viewInBrowser')}</p>
             </div>
           </div>
         </body>
         </html>
       `,
       text: `
-🤔 NEW MORAL DILEMMA
+🤔 ${text('heading').toUpperCase()}
 
-${question.title}
-Category: ${question.category.charAt(0).toUpperCase() + question.category.slice(1)} (${questionTypeText})
+${localized.title}
+${text('category')}: ${categoryName} (${questionTypeText})
 
-${question.questionText}
+${localized.questionText}
 
 ${isMultipleChoice && choicesText ? `
-Your options:
+${text('options')}
 ${choicesText}
-` : 'This is an open response question. Share your complete thoughts and reasoning.'}
+` : text('openQuestionText')}
 
-What would you choose? Visit ${questionUrl} to share your perspective and see how others approach this dilemma.
+${text('closingText', { url: questionUrl })}
 
 ---
-You're receiving this because you subscribed to Moral Dilemmas.
-To unsubscribe, visit: {{unsubscribe_url}}
+${text('reason')}
+${text('unsubscribeText', { url: '{{unsubscribe_url}}' })}
       `
     };
   }
 
+  // A daily or weekly digest in a subscriber's language: questions published since their last
+  // digest, then the trending ones with how the votes are currently split.
+  generateDigestEmail({ frequency, newQuestions = [], trendingQuestions = [] }, locale = DEFAULT_LOCALE) {
+    const text = (key, params) => t(locale, `email.digest.${key}`, params);
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const period = frequency === 'weekly' ? 'Weekly' : 'Daily';
+
+    const entries = (questions, withSplit) => questions.map(question => {
+      const localized = translationService.localize(question, locale);
+      const isMultipleChoice = question.questionType === 'multiple_choice';
+      const choices = isMultipleChoice ? localized.choices || [] : [];
+      const totalVotes = choices.reduce((total, choice) => total + (choice.votes || 0), 0);
+      const categoryName = question.category.charAt(0).toUpperCase() + question.category.slice(1);
+      const excerpt = localized.questionText.length > 200
+        ? `${localized.questionText.slice(0, 200).trim()}…`
+        : localized.questionText;
+
+      let split = [];
+      let summary = '';
+      if (withSplit && isMultipleChoice) {
+        split = choices.map((choice, index) => ({
+          label: `${String.fromCharCode(65 + index)}. ${choice.text}`,
+          percent: totalVotes > 0 ? Math.round(((choice.votes || 0) / totalVotes) * 100) : 0
+        }));
+        summary = totalVotes > 0 ? text('votes', { count: totalVotes }) : text('noVotes');
+      } else if (withSplit) {
+        summary = text('responses', { count: question.responseCount || 0 });
+      }
+
+      return {
+        url: `${baseUrl}/${question.category}/${question.slug}`,
+        title: localized.title,
+        tag: `${categoryName} · ${isMultipleChoice ? text('multipleChoice') : text('openResponse')}`,
+        excerpt,
+        split,
+        summary
+      };
+    });
+
+    const sections = [
+      { heading: text('newQuestions'), items: entries(newQuestions, false) },
+      { heading: text('trending'), items: entries(trendingQuestions, true) }
+    ].filter(section => section.items.length > 0);
+
+    const sectionsHtml = sections.map(section => `
+              <h3>${section.heading}</h3>
+              ${section.items.map(item => `
+                <div class="question-card">
+                  <div class="category-tag">${item.tag}</div>
+                  <h3 style="margin-top: 0;"><a href="${item.url}" style="color: #1f2937;">${item.title}</a></h3>
+                  ${item.split.length > 0
+                    ? `<div class="choices">${item.split.map(choice => `<div class="choice"><strong>${choice.percent}%</strong> ${choice.label}</div>`).join('')}</div>`
+                    : `<div class="question-text">${item.excerpt}</div>`}
+                  ${item.summary ? `<p style="margin: 12px 0 0 0; font-size: 14px;">${item.summary}</p>` : ''}
+                </div>
+              `).join('')}
+    `).join('');
+
+    const sectionsText = sections.map(section => `${section.heading.toUpperCase()}
+
+${section.items.map(item => `• ${item.title}
+${item.split.length > 0 ? item.split.map(choice => `  ${choice.percent}% ${choice.label}`).join('\n') : `  ${item.excerpt}`}
+${item.summary ? `  ${item.summary}\n` : ''}  ${item.url}`).join('\n\n')}`).join('\n\n');
+
+    return {
+      subject: text(`subject${period}`),
+      html: `
+        <!DOCTYPE html>
+        <html lang="${locale}">
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${text(`heading${period}`)}</title>
+          ${this.getBaseEmailStyles()}
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <h1>🤔 ${text(`heading${period}`)}</h1>
+              <p>${text('subheading')}</p>
+            </div>
+            
+            <div class="content">
+              ${sectionsHtml}
+              
+              <div class="cta-container">
+                <a href="${baseUrl}" class="cta-button" style="background: #4f46e5 !important; color: #ffffff !important; text-decoration: none !important; display: inline-block;">
+                  ${text('explore')} →
+                </a>
+              </div>
+            </div>
+            
+            <div class="footer">
+              <p>${text(`reason${period}`)}</p>
+              <p><a href="{{unsubscribe_url}}" class="unsubscribe">${text('unsubscribe')}</a></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+🤔 ${text(`heading${period}`).toUpperCase()}
+
+${sectionsText}
+
+---
+${text(`reason${period}`)}
+${text('unsubscribeText', { url: '{{unsubscribe_url}}' })}
+      `
+    };
+  }
+
+  // Queue the new question email for every subscriber who gets questions as they are
+  // published; the outbox worker sends them and records the deliveries (see
+  // services/outboxService.js). Subscribers who already received the question are skipped,
+  // and so is a message queued before, so running this again after a restart only queues
+  // what is missing. Resolves to
+  // { total, queued, skipped }, or undefined when email isn't configured and nothing ran.
   async notifySubscribers(question) {
     if (!this.transporter) {
       console.warn('Email transporter not configured. Skipping notification.');
@@ -307,77 +438,181 @@ To unsubscribe, visit: {{unsubscribe_url}}
     }
 
     try {
-      const subscribers = await Subscriber.findActive();
+      // Only subscribers following the question's category or one of its tags (or everything)
+      const subscribers = await Subscriber.findActiveForQuestion(question);
       
       if (subscribers.length === 0) {
         console.log('No active subscribers to notify');
-        return;
+        return { total: 0, queued: 0, skipped: 0 };
       }
 
-      const emailTemplate = this.generateNewQuestionEmail(question);
-      const results = [];
-
-      // Send emails in batches to avoid overwhelming the email service
-      const batchSize = 50;
-      for (let i = 0; i < subscribers.length; i += batchSize) {
-        const batch = subscribers.slice(i, i + batchSize);
-        
-        const batchPromises = batch.map(async (subscriber) => {
-          try {
-            const unsubscribeUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/api/subscribers/unsubscribe/${subscriber.unsubscribeToken}`;
-            
-            const personalizedHtml = emailTemplate.html.replace('{{unsubscribe_url}}', unsubscribeUrl);
-            const personalizedText = emailTemplate.text.replace('{{unsubscribe_url}}', unsubscribeUrl);
-
-            await this.transporter.sendMail({
-              from: `"Moral Dilemmas" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-              to: subscriber.email,
-              subject: emailTemplate.subject,
-              html: personalizedHtml,
-              text: personalizedText
-            });
-
-            // Update last notified timestamp
-            await subscriber.updateLastNotified();
-            
-            return { email: subscriber.email, status: 'sent' };
-          } catch (error) {
-            console.error(`Failed to send email to ${subscriber.email}:`, error);
-            return { email: subscriber.email, status: 'failed', error: error.message };
-          }
-        });
-
-        const batchResults = await Promise.allSettled(batchPromises);
-        results.push(...batchResults.map(result => result.value || result.reason));
-
-        // Add delay between batches to respect rate limits
-        if (i + batchSize < subscribers.length) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
+      const [received, suppressed] = await Promise.all([
+        Delivery.recipientsOf(question._id, subscribers.map(subscriber => subscriber._id)),
+        Suppression.suppressedAmong(subscribers.map(subscriber => subscriber.email))
+      ]);
+      const recipients = subscribers.filter(subscriber =>
+        !received.has(subscriber._id.toString()) && !suppressed.has(subscriber.email)
+      );
+
+      // One template per language, built the first time a subscriber needs it
+      const templates = new Map();
+      const templateFor = (locale) => {
+        if (!templates.has(locale)) {
+          templates.set(locale, this.generateNewQuestionEmail(question, locale));
         }
-      }
+        return templates.get(locale);
+      };
 
-      const successful = results.filter(r => r.status === 'sent').length;
-      const failed = results.filter(r => r.status === 'failed').length;
+      let queued = 0;
+      for (let i = 0; i < recipients.length; i += ENQUEUE_BATCH_SIZE) {
+        const batch = recipients.slice(i, i + ENQUEUE_BATCH_SIZE);
+
+        queued += await OutboxMessage.enqueue(batch.map(subscriber => {
+          const locale = subscriber.locale || DEFAULT_LOCALE;
+          return {
+            key: `question:${question._id}:${subscriber._id}`,
+            kind: 'question',
+            subscriber: subscriber._id,
+            questions: [question._id],
+            ...this.personalize(templateFor(locale), subscriber)
+          };
+        }));
+      }
 
-      console.log(`Email notification complete: ${successful} sent, ${failed} failed`);
+      console.log(`Queued ${queued} notification email(s), ${subscribers.length - queued} already received, queued or suppressed`);
       
       return {
         total: subscribers.length,
-        successful,
-        failed,
-        results
+        queued,
+        skipped: subscribers.length - queued
       };
     } catch (error) {
-      console.error('Error sending notification emails:', error);
+      console.error('Error queuing notification emails:', error);
+      throw error;
+    }
+  }
+
+  // Addressed copy of a generated template for one subscriber, ready for the outbox
+  personalize(template, subscriber) {
+    const locale = subscriber.locale || DEFAULT_LOCALE;
+    const unsubscribeUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/api/subscribers/unsubscribe/${subscriber.unsubscribeToken}`;
+
+    return {
+      to: subscriber.email,
+      from: `"${t(locale, 'email.from')}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      subject: template.subject,
+      html: template.html.replace('{{unsubscribe_url}}', unsubscribeUrl),
+      text: template.text.replace('{{unsubscribe_url}}', unsubscribeUrl)
+    };
+  }
+
+  // Sends a message from the outbox. The Message-ID is derived from the outbox entry, so a
+  // bounce can be matched to it later (see services/bounceService.js). Throws when sending
+  // fails or the address is suppressed.
+  async sendMessage(message) {
+    if (!this.transporter) {
+      throw new Error('Email transporter not configured');
+    }
+    if (await Suppression.isSuppressed(message.to)) {
+      throw new Error(`${message.to} is on the suppression list`);
+    }
+
+    const sender = (process.env.EMAIL_FROM || process.env.EMAIL_USER || '').match(/@([^\s>]+)/);
+    const domain = sender ? sender[1] : 'localhost';
+    return this.transporter.sendMail({
+      messageId: `<outbox.${message._id}@${domain}>`,
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+  }
+
+  // Double opt-in request; nothing else is sent until the link in it is followed
+  async sendConfirmationEmail(subscriber, confirmUrl, expiresInHours) {
+    if (!this.transporter) {
+      console.warn('Email transporter not configured. Skipping confirmation email.');
+      return;
+    }
+    if (await Suppression.isSuppressed(subscriber.email)) {
+      console.warn(`${subscriber.email} is on the suppression list. Skipping confirmation email.`);
+      return;
+    }
+
+    const locale = subscriber.locale || DEFAULT_LOCALE;
+    const text = (key, params) => t(locale, `email.confirm.${key}`, params);
+
+    try {
+      await this.transporter.sendMail({
+        from: `"${t(locale, 'email.from')}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+        to: subscriber.email,
+        subject: text('subject'),
+        html: `
+          <!DOCTYPE html>
+          <html lang="${locale}">
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${text('heading')}</title>
+            ${this.getBaseEmailStyles()}
+          </head>
+          <body>
+            <div class="email-container">
+              <div class="header">
+                <h1>🎭 ${text('heading')}</h1>
+              </div>
+              
+              <div class="content">
+                <p>${text('intro')}</p>
+                
+                <div class="cta-container">
+                  <a href="${confirmUrl}" class="cta-button" style="background: #4f46e5 !important; color: #ffffff !important; text-decoration: none !important; display: inline-block;">
+                    ${text('button')}
+                  </a>
+                </div>
+                
+                <p>${text('expires', { hours: expiresInHours })}</p>
+              </div>
+              
+              <div class="footer">
+                <p>${text('ignore')}</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        text: `
+🎭 ${text('heading').toUpperCase()}
+
+${text('intro')}
+
+${text('linkText', { url: confirmUrl })}
+
+${text('expires', { hours: expiresInHours })}
+
+---
+${text('ignore')}
+        `
+      });
+
+      console.log(`Confirmation email sent to ${subscriber.email}`);
+    } catch (error) {
+      console.error(`Failed to send confirmation email to ${subscriber.email}:`, error);
       throw error;
     }
   }
 
+  // Welcome email in the language the subscriber signed up in
   async sendWelcomeEmail(subscriberEmail) {
     if (!this.transporter) {
       console.warn('Email transporter not configured. Skipping welcome email.');
       return;
     }
+    if (await Suppression.isSuppressed(subscriberEmail)) {
+      console.warn(`${subscriberEmail} is on the suppression list. Skipping welcome email.`);
+      return;
+    }
 
     try {
       const subscriber = await Subscriber.findOne({ email: subscriberEmail });
@@ -385,82 +620,84 @@ To unsubscribe, visit: {{unsubscribe_url}}
         throw new Error('Subscriber not found');
       }
 
+      const locale = subscriber.locale || DEFAULT_LOCALE;
+      const text = (key, params) => t(locale, `email.welcome.${key}`, params);
       const unsubscribeUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/api/subscribers/unsubscribe/${subscriber.unsubscribeToken}`;
       const exploreUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}`;
 
       await this.transporter.sendMail({
-        from: `"Moral Dilemmas" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+        from: `"${t(locale, 'email.from')}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
         to: subscriberEmail,
-        subject: 'Welcome to Moral Dilemmas – Explore the Gray Areas',
+        subject: text('subject'),
         html: `
           <!DOCTYPE html>
-          <html lang="en">
+          <html lang="${locale}">
           <head>
             <meta charset="utf-8">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Welcome to Moral Dilemmas</title>
+            <title>${text('heading')}</title>
             ${this.getBaseEmailStyles()}
           </head>
           <body>
             <div class="email-container">
               <div class="header">
-                <h1>🎭 Welcome to Moral Dilemmas</h1>
-                <p>Where ethics meet curiosity</p>
+                <h1>🎭 ${text('heading')}</h1>
+                <p>${text('subheading')}</p>
               </div>
               
               <div class="content">
-                <h2>Thank you for joining our community!</h2>
-                <p>You've joined a thoughtful community that explores life's most challenging ethical questions. Here, there are no right or wrong answers—only honest reflection and meaningful dialogue.</p>
+                <h2>${text('thanks')}</h2>
+                <p>${text('intro')}</p>
                 
-                <h3>What to expect:</h3>
+                <h3>${text('expect')}</h3>
                 <ul class="feature-list">
-                  <li><span class="feature-icon">📧</span> Weekly moral dilemmas delivered to your inbox</li>
-                  <li><span class="feature-icon">🤝</span> Community insights from diverse perspectives</li>
-                  <li><span class="feature-icon">🧠</span> Thought-provoking scenarios across love, justice, family, and more</li>
-                  <li><span class="feature-icon">💭</span> A safe space to explore complex questions</li>
-                  <li><span class="feature-icon">📊</span> Both multiple choice and open response formats</li>
+                  <li><span class="feature-icon">📧</span> ${text('featureWeekly')}</li>
+                  <li><span class="feature-icon">🤝</span> ${text('featureInsights')}</li>
+                  <li><span class="feature-icon">🧠</span> ${text('featureScenarios')}</li>
+                  <li><span class="feature-icon">💭</span> ${text('featureSafe')}</li>
+                  <li><span class="feature-icon">📊</span> ${text('featureFormats')}</li>
                 </ul>
                 
-                <p>Every dilemma is carefully crafted to challenge your thinking and help you understand different perspectives. Our community values respectful discourse and genuine curiosity about human nature.</p>
+                <p>${text('craft')}</p>
                 
                 <div class="cta-container">
                   <a href="${exploreUrl}" class="cta-button" style="background: #4f46e5 !important; color: #ffffff !important; text-decoration: none !important; display: inline-block;">
-                    Explore Current Dilemmas →
+                    ${text('explore')} →
                   </a>
                 </div>
                 
-                <p>Ready to dive into your first moral challenge? Visit our website to see what questions are sparking conversations right now.</p>
+                <p>${text('ready')}</p>
               </div>
               
               <div class="footer">
-                <p>Welcome to the community! We're glad you're here.</p>
-                <p><a href="${unsubscribeUrl}" class="unsubscribe">Unsubscribe</a> | Questions? Reply to this email</p>
+                <p>${text('glad')}</p>
+                <p><a href="${unsubscribeUrl}" class="unsubscribe">${text('unsubscribe')}</a> | ${text('questions')}</p>
               </div>
             </div>
           </body>
           </html>
         `,
         text: `
-🎭 WELCOME TO MORAL DILEMMAS
+🎭 ${text('heading').toUpperCase()}
 
-Thank you for joining our community!
+${text('thanks')}
 
-You've joined a thoughtful community that explores life's most challenging ethical questions. Here, there are no right or wrong answers—only honest reflection and meaningful dialogue.
+${text('intro')}
 
-What to expect:
-• Weekly moral dilemmas delivered to your inbox
-• Community insights from diverse perspectives  
-• Thought-provoking scenarios across love, justice, family, and more
-• A safe space to explore complex questions
-• Both multiple choice and open response formats
+${text('expect')}
+• ${text('featureWeekly')}
+• ${text('featureInsights')}
+• ${text('featureScenarios')}
+• ${text('featureSafe')}
+• ${text('featureFormats')}
 
-Every dilemma is carefully crafted to challenge your thinking and help you understand different perspectives. Our community values respectful discourse and genuine curiosity about human nature.
+${text('craft')}
 
-Ready to dive into your first moral challenge? Visit ${exploreUrl} to see what questions are sparking conversations right now.
+${text('readyText', { url: exploreUrl })}
 
 ---
-Welcome to the community! We're glad you're here.
-To unsubscribe, visit: ${unsubscribeUrl}
+${text('glad')}
+${text('unsubscribeText', { url: unsubscribeUrl })}
         `
       });
 
@@ -471,10 +708,13 @@ To unsubscribe, visit: ${unsubscribeUrl}
     }
   }
 
-  async sendTestEmail(testEmail) {
+  async sendTestEmail(testEmail, locale = DEFAULT_LOCALE) {
     if (!this.transporter) {
       throw new Error('Email transporter not configured');
     }
+    if (await Suppression.isSuppressed(testEmail)) {
+      throw new Error(`${testEmail} is on the suppression list`);
+    }
 
     try {
       // Create a sample question for testing
@@ -491,7 +731,7 @@ To unsubscribe, visit: ${unsubscribeUrl}
         ]
       };
 
-      const emailTemplate = this.generateNewQuestionEmail(sampleQuestion);
+      const emailTemplate = this.generateNewQuestionEmail(sampleQuestion, locale);
       const testUnsubscribeUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/api/subscribers/unsubscribe/test-token`;
       
       const personalizedHtml = emailTemplate.html.replace('{{unsubscribe_url}}', testUnsubscribeUrl);
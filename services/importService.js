@@ -0,0 +1,427 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Joi = require('joi');
+const Question = require('../models/Question');
+const publishingService = require('./publishingService');
+const revisionService = require('./revisionService');
+const searchService = require('./searchService');
+const auditService = require('./auditService');
+const { questionSchema, validate } = require('../utils/questionValidation');
+
+// Largest file one import accepts
+const MAX_IMPORT_ROWS = 500;
+
+// What happens to a row whose category/slug is already taken
+const CONFLICT_MODES = ['skip', 'rename', 'update'];
+
+// CSV rows list their choices in these columns
+const CHOICE_COLUMNS = ['choice1', 'choice2', 'choice3', 'choice4', 'choice5', 'choice6'];
+
+// Rows are validated like POST /api/admin/questions and may bring their own slug and the
+// metadata the edit form sets
+const importRowSchema = questionSchema.keys({
+  slug: Joi.string().trim().lowercase().max(200).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .messages({ 'string.pattern.base': '"slug" may only contain lowercase letters, numbers and hyphens' }),
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(20),
+  difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+  estimatedReadTime: Joi.number().integer().min(1).max(60)
+});
+
+// Fields an update row only changes when it sets them
+const OPTIONAL_UPDATE_FIELDS = ['tags', 'difficulty', 'estimatedReadTime', 'featured'];
+
+const WRITE_ACTIONS = ['create', 'rename', 'update'];
+
+// A standalone server refuses transactions; they need a replica set or a sharded cluster
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+// What a row reports when its write fails outside a transaction
+const writeError = (error) => {
+  if (error.code === 11000) return 'The slug was taken while importing';
+  if (error.name === 'VersionError') return 'The question was changed while importing';
+  return error.message;
+};
+
+// RFC 4180 records: quoted cells may contain commas, doubled quotes and line breaks
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    return null;
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records;
+};
+
+// A CSV record as a question object. Empty cells are left out so Joi defaults apply.
+const csvRowToQuestion = (header, cells) => {
+  const question = {};
+  const choices = [];
+
+  header.forEach((column, index) => {
+    const cell = (cells[index] || '').trim();
+    if (!column || cell === '') return;
+
+    if (CHOICE_COLUMNS.includes(column)) {
+      choices.push({ text: cell });
+    } else if (column === 'tags') {
+      // "ethics, privacy" -> ['ethics', 'privacy']
+      question.tags = cell.split(',').map(tag => tag.trim()).filter(Boolean);
+    } else {
+      question[column] = cell;
+    }
+  });
+
+  if (choices.length > 0) {
+    question.choices = choices;
+  }
+  return question;
+};
+
+const slugKey = (category, slug) => `${category}/${slug}`;
+
+class ImportService {
+  constructor() {
+    this.CONFLICT_MODES = CONFLICT_MODES;
+  }
+
+  // Rows of { row, data } from a JSON array (or { questions: [...] }) or a CSV file with a
+  // header row. CSV rows are numbered like the spreadsheet, so the first question is row 2.
+  // Returns { rows } or { error }.
+  parse(content, format) {
+    let rows;
+
+    if (format === 'json') {
+      let parsed = content;
+      if (typeof content === 'string') {
+        try {
+          parsed = JSON.parse(content);
+        } catch (error) {
+          return { error: `Invalid JSON: ${error.message}` };
+        }
+      }
+      const questions = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+      if (!Array.isArray(questions)) {
+        return { error: 'JSON imports must be an array of questions or { "questions": [...] }' };
+      }
+      rows = questions.map((data, index) => ({
+        row: index + 1,
+        data: data && typeof data === 'object' && !Array.isArray(data) ? data : { value: data }
+      }));
+    } else {
+      if (typeof content !== 'string') {
+        return { error: 'Send the CSV file as the request body with Content-Type: text/csv' };
+      }
+      const records = parseCsvRecords(content.replace(/^\uFEFF/, ''));
+      if (!records) {
+        return { error: 'Invalid CSV: a quoted cell is never closed' };
+      }
+
+      const [header = [], ...body] = records;
+      const columns = header.map(column => column.trim());
+      rows = body
+        .map((cells, index) => ({ row: index + 2, cells }))
+        .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+        .map(({ row, cells }) => ({ row, data: csvRowToQuestion(columns, cells) }));
+    }
+
+    if (rows.length === 0) {
+      return { error: 'The file has no questions' };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return { error: `Imports are limited to ${MAX_IMPORT_ROWS} questions per file` };
+    }
+    return { rows };
+  }
+
+  // The first free slug for the category, ignoring slugs claimed by earlier rows
+  async uniqueSlug(category, baseSlug, claimed) {
+    let slug = baseSlug;
+    let counter = 1;
+
+    while (claimed.has(slugKey(category, slug)) ||
+      await Question.findOne({ category, slug }).withDeleted()) {
+      slug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+    return slug;
+  }
+
+  // Errors that stop a row from updating an existing question
+  checkUpdate(existing, value) {
+    const errors = [];
+
+    if (existing.isDeleted()) {
+      errors.push('A question with this slug is in the trash; restore or purge it first');
+      return errors;
+    }
+    if (existing.questionType !== value.questionType && existing.responseCount > 0) {
+      errors.push('The existing question has responses, so its type cannot change');
+    }
+    if (value.questionType === 'multiple_choice' && existing.questionType === 'multiple_choice') {
+      const texts = value.choices.map(choice => choice.text.toLowerCase());
+      const removed = existing.choices
+        .filter(choice => choice.votes > 0 && !texts.includes(choice.text.toLowerCase()))
+        .map(choice => `"${choice.text}"`);
+      if (removed.length > 0) {
+        errors.push(`Choices with votes cannot be removed: ${removed.join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
+  // Validate every row and decide what happens to it, without writing anything
+  async plan(rows, { onConflict = 'skip' } = {}) {
+    const claimed = new Set();
+    const results = [];
+
+    for (const { row, data } of rows) {
+      const { error, value } = await validate(importRowSchema, data, { abortEarly: false });
+      if (error) {
+        results.push({
+          row,
+          title: typeof data.title === 'string' ? data.title : null,
+          action: 'error',
+          errors: error.details.map(detail => detail.message)
+        });
+        continue;
+      }
+
+      const { category } = value;
+      const baseSlug = value.slug || slugify(value.title, { lower: true, strict: true });
+      const result = { row, title: value.title, category, slug: baseSlug, action: 'create', value, data };
+
+      const claimedByRow = claimed.has(slugKey(category, baseSlug));
+      const existing = claimedByRow ? null : await Question.findOne({ category, slug: baseSlug }).withDeleted();
+
+      if (claimedByRow || existing) {
+        if (onConflict === 'skip') {
+          result.action = 'skip';
+          result.reason = claimedByRow ? 'An earlier row uses the same slug' : 'A question with this slug already exists';
+        } else if (onConflict === 'rename') {
+          result.action = 'rename';
+          result.slug = await this.uniqueSlug(category, baseSlug, claimed);
+        } else if (claimedByRow) {
+          result.action = 'error';
+          result.errors = ['An earlier row updates the same question'];
+        } else {
+          const errors = this.checkUpdate(existing, value);
+          result.action = errors.length > 0 ? 'error' : 'update';
+          result.errors = errors.length > 0 ? errors : undefined;
+          result.existing = existing;
+        }
+      }
+
+      claimed.add(slugKey(category, result.slug));
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  // New question for a create or rename row. Imported questions don't email subscribers;
+  // import them as scheduled to announce them when they go live.
+  buildQuestion({ value, slug }) {
+    const question = new Question({
+      title: value.title,
+      slug,
+      category: value.category,
+      questionText: value.questionText,
+      questionType: value.questionType,
+      tags: value.tags,
+      difficulty: value.difficulty,
+      estimatedReadTime: value.estimatedReadTime,
+      featured: value.featured,
+      status: value.status,
+      publishAt: value.status === 'scheduled' ? value.publishAt : null,
+      choices: value.questionType === 'multiple_choice'
+        ? value.choices.map(choice => ({ text: choice.text, votes: 0 }))
+        : []
+    });
+
+    if (value.status === 'published') {
+      publishingService.publish(question);
+      question.notifiedAt = new Date();
+    }
+    return question;
+  }
+
+  // Apply an update row to the existing question. The row's category and slug are what
+  // matched it, so neither changes. Choices are matched by text so their votes are kept;
+  // tags, difficulty, read time, featured and status only change when the row sets them.
+  applyUpdate({ existing: question, value, data }) {
+    question.title = value.title;
+    question.questionText = value.questionText;
+    question.questionType = value.questionType;
+
+    if (value.questionType === 'multiple_choice') {
+      question.choices = value.choices.map(({ text }) => {
+        const current = question.choices.find(choice => choice.text.toLowerCase() === text.toLowerCase());
+        return current ? { _id: current._id, text, votes: current.votes } : { text, votes: 0 };
+      });
+    } else {
+      question.choices = [];
+    }
+
+    OPTIONAL_UPDATE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) question[field] = value[field];
+    });
+    if (data.status !== undefined) {
+      if (value.status === 'published') {
+        if (question.status !== 'published') {
+          publishingService.publish(question);
+          if (!question.notifiedAt) question.notifiedAt = new Date();
+        }
+      } else {
+        question.status = value.status;
+        question.publishAt = value.status === 'scheduled' ? value.publishAt : null;
+      }
+    }
+    return question;
+  }
+
+  async writeRow(result, session = null) {
+    if (result.action === 'update') {
+      result.previous = revisionService.snapshot(result.existing);
+      result.question = this.applyUpdate(result);
+    } else {
+      result.question = this.buildQuestion(result);
+    }
+    await result.question.saveKeepingVotes({ session });
+  }
+
+  // Validate, plan and - unless it is a dry run - write an import. In transactional mode a
+  // single bad row (or failed write) leaves the database untouched; otherwise the valid rows
+  // are written and the rest reported. req is the admin request, or null for the CLI.
+  async run(rows, { onConflict = 'skip', dryRun = false, transactional = false, source = 'json', req = null } = {}) {
+    const results = await this.plan(rows, { onConflict });
+    const report = { dryRun, transactional, onConflict, imported: false };
+    const failed = results.filter(result => result.action === 'error').length;
+
+    if (transactional && failed > 0) {
+      report.error = `${failed} row${failed === 1 ? ' has' : 's have'} errors, so nothing was imported`;
+    } else if (!dryRun) {
+      const writable = results.filter(result => WRITE_ACTIONS.includes(result.action));
+
+      if (transactional) {
+        try {
+          await mongoose.connection.transaction(async (session) => {
+            for (const result of writable) {
+              await this.writeRow(result, session);
+            }
+          });
+        } catch (error) {
+          if (!isTransactionUnsupported(error)) throw error;
+          writable.forEach(result => { result.question = null; });
+          report.error = 'This database does not support transactions, so nothing was imported. Import without transactional mode instead.';
+          report.transactionsUnsupported = true;
+        }
+      } else {
+        for (const result of writable) {
+          try {
+            await this.writeRow(result);
+          } catch (error) {
+            result.action = 'error';
+            result.errors = [writeError(error)];
+            result.question = null;
+          }
+        }
+      }
+
+      await this.recordWrites(results, { req, source, onConflict, transactional });
+      report.imported = results.some(result => result.question);
+    }
+
+    report.summary = results.reduce((summary, result) => {
+      summary[result.action]++;
+      return summary;
+    }, { total: results.length, create: 0, rename: 0, update: 0, skip: 0, error: 0 });
+
+    report.rows = results.map(({ row, title, category, slug, action, reason, errors, question }) => ({
+      row,
+      title,
+      category,
+      slug,
+      action,
+      id: question ? question._id : undefined,
+      reason,
+      errors
+    }));
+
+    return report;
+  }
+
+  // Revisions for every written question and one audit event for the whole import
+  async recordWrites(results, { req, source, onConflict, transactional }) {
+    const written = results.filter(result => result.question);
+    if (written.length === 0) return;
+
+    searchService.invalidate();
+    const author = revisionService.authorFromRequest(req);
+
+    for (const result of written) {
+      try {
+        await revisionService.record(result.question, {
+          action: result.action === 'update' ? 'update' : 'create',
+          author,
+          previous: result.previous || null
+        });
+      } catch (error) {
+        console.error(`Failed to record revision for imported question ${result.question._id}:`, error);
+      }
+    }
+
+    await auditService.record(req, {
+      action: 'question.import',
+      target: {
+        type: 'question',
+        ids: written.map(result => result.question._id),
+        label: `${written.length} imported question${written.length === 1 ? '' : 's'}`
+      },
+      metadata: {
+        source,
+        onConflict,
+        transactional,
+        created: written.filter(result => result.action !== 'update').length,
+        updated: written.filter(result => result.action === 'update').length
+      }
+    });
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,112 @@
+const Response = require('../models/Response');
+const ModerationSettings = require('../models/ModerationSettings');
+const screeningService = require('./screeningService');
+
+const SETTINGS_TTL = 60 * 1000; // 1 minute
+
+// { screening: { spam: { weight: 10 } } } -> { 'screening.spam.weight': 10 }, so a partial
+// update leaves the other rules alone. Arrays (word lists) are replaced whole.
+const toDotPaths = (changes, prefix = '') => Object.entries(changes).reduce((paths, [key, value]) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    return { ...paths, ...toDotPaths(value, `${prefix}${key}.`) };
+  }
+  return { ...paths, [`${prefix}${key}`]: value };
+}, {});
+
+class ModerationService {
+  constructor() {
+    this.settings = null;
+    this.settingsLoadedAt = 0;
+  }
+
+  // Settings are read on every response, so keep a short-lived copy
+  async getSettings() {
+    if (this.settings && Date.now() - this.settingsLoadedAt < SETTINGS_TTL) {
+      return this.settings;
+    }
+
+    this.settings = await ModerationSettings.getCurrent();
+    this.settingsLoadedAt = Date.now();
+    return this.settings;
+  }
+
+  async updateSettings(changes, adminId) {
+    this.settings = await ModerationSettings.findOneAndUpdate(
+      { key: 'default' },
+      { $set: { ...toDotPaths(changes), updatedBy: adminId, updatedAt: new Date() } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    this.settingsLoadedAt = Date.now();
+    return this.settings;
+  }
+
+  // Screen submitted text and decide its initial moderation state. Resolves to the
+  // moderation fields to store on the response. context: { questionId, visitor }
+  async screenSubmission(text, context = {}) {
+    const settings = await this.getSettings();
+    const rules = settings.screening;
+    // Status for text that passes screening under the current mode
+    const initialStatus = settings.mode === 'pre_moderation' ? 'pending' : 'approved';
+
+    if (!text || !text.trim() || !rules || !rules.enabled) {
+      return { moderationStatus: initialStatus };
+    }
+
+    const result = await screeningService.screen(text, rules, context);
+    const screening = { ...result, screenedAt: new Date() };
+
+    let moderationStatus = initialStatus;
+    if (result.score >= rules.rejectThreshold) {
+      moderationStatus = 'rejected';
+    } else if (result.score >= rules.flagThreshold) {
+      moderationStatus = 'flagged';
+    }
+
+    if (moderationStatus === initialStatus) {
+      return { moderationStatus, screening };
+    }
+
+    return {
+      moderationStatus,
+      moderatedAt: screening.screenedAt,
+      moderationReason: `Automatic screening (score ${result.score}): ${result.reasons.map(reason => reason.rule).join(', ')}`,
+      screening
+    };
+  }
+
+  // Set the status of several responses (or, with model: Reply, replies) at once
+  async moderate(ids, status, { adminId = null, reason = null, model = Response } = {}) {
+    const result = await model.updateMany(
+      { _id: { $in: ids } },
+      {
+        $set: {
+          moderationStatus: status,
+          moderatedBy: adminId,
+          moderatedAt: new Date(),
+          moderationReason: reason || null
+        }
+      }
+    );
+
+    return {
+      matched: result.matchedCount,
+      modified: result.modifiedCount
+    };
+  }
+
+  // Number of responses (or replies) in each status, optionally for a single question
+  async getStatusCounts(match = {}, model = Response) {
+    const counts = await model.aggregate([
+      { $match: match },
+      { $group: { _id: '$moderationStatus', count: { $sum: 1 } } }
+    ]);
+
+    return Response.MODERATION_STATUSES.reduce((result, status) => {
+      const entry = counts.find(item => item._id === status);
+      result[status] = entry ? entry.count : 0;
+      return result;
+    }, {});
+  }
+}
+
+module.exports = new ModerationService();
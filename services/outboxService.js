@@ -0,0 +1,237 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const Delivery = require('../models/Delivery');
+const Subscriber = require('../models/Subscriber');
+const Suppression = require('../models/Suppression');
+const emailService = require('./emailService');
+
+const DEFAULT_RATE_PER_SECOND = 5;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+
+// Longest wait between two attempts at a message
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+
+// A message still marked as sending after this long was interrupted, usually by a restart
+const STALE_AFTER = 5 * 60 * 1000;
+
+// A drain stops after this long and leaves the rest to the next one
+const DRAIN_BUDGET = 50 * 1000;
+
+const STALE_ERROR = 'Interrupted while sending. Not retried automatically because it may have been delivered';
+
+const positiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Digest keys are digest:<frequency>:<subscriber id>:<day>
+const channelOf = (message) => message.kind === 'digest' ? message.key.split(':')[1] : 'instant';
+
+// Sends queued emails from the outbox collection. Each message is claimed atomically before
+// it is sent, so concurrent workers never send one twice. Failed sends are retried with
+// exponential backoff (OUTBOX_RETRY_BASE_SECONDS, doubling each time) until
+// OUTBOX_MAX_ATTEMPTS is reached, when the message is dead-lettered for an admin to look at.
+// A message interrupted mid-send may already have been delivered, so it is dead-lettered
+// rather than retried.
+class OutboxService {
+  constructor() {
+    this.draining = null;
+  }
+
+  getRatePerSecond() {
+    return positiveInt(process.env.OUTBOX_RATE_PER_SECOND, DEFAULT_RATE_PER_SECOND);
+  }
+
+  getMaxAttempts() {
+    return positiveInt(process.env.OUTBOX_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS);
+  }
+
+  getRetryBaseSeconds() {
+    return positiveInt(process.env.OUTBOX_RETRY_BASE_SECONDS, DEFAULT_RETRY_BASE_SECONDS);
+  }
+
+  // Wait before the next attempt after a message has failed this many times
+  getRetryDelay(attempts) {
+    return Math.min(this.getRetryBaseSeconds() * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  }
+
+  // The next due message, now marked as sending, or null when none is due
+  claimNext(now = new Date()) {
+    return OutboxMessage.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  // Send a claimed message. Resolves to 'sent', 'retried', 'dead' or 'cancelled'.
+  async deliver(message) {
+    // Subscribers who left after the message was queued don't get it, nor do addresses
+    // suppressed since (see services/bounceService.js)
+    if (message.subscriber && !(await Subscriber.exists({ _id: message.subscriber, isActive: true }))) {
+      return this.cancel(message, 'Subscriber is no longer active');
+    }
+    if (await Suppression.isSuppressed(message.to)) {
+      return this.cancel(message, 'Address is on the suppression list');
+    }
+
+    try {
+      await emailService.sendMessage(message);
+    } catch (error) {
+      return this.fail(message, error);
+    }
+
+    // Outside the try: once sent, a failure to record it must not lead to a second send
+    const now = new Date();
+    await OutboxMessage.updateOne(
+      { _id: message._id, status: 'sending' },
+      { $set: { status: 'sent', sentAt: now, lockedAt: null, lastError: null } }
+    );
+    if (message.subscriber) {
+      await Delivery.record(message.questions.map(question => ({
+        subscriber: message.subscriber,
+        question,
+        channel: channelOf(message),
+        sentAt: now
+      })));
+      await Subscriber.updateOne({ _id: message.subscriber }, { $set: { lastNotified: now } });
+    }
+    return 'sent';
+  }
+
+  async cancel(message, reason) {
+    await OutboxMessage.updateOne(
+      { _id: message._id, status: 'sending' },
+      { $set: { status: 'cancelled', lockedAt: null, lastError: reason } }
+    );
+    return 'cancelled';
+  }
+
+  async fail(message, error) {
+    console.error(`Failed to send outbox message ${message._id} to ${message.to} (attempt ${message.attempts}):`, error);
+
+    const now = new Date();
+    const dead = message.attempts >= this.getMaxAttempts();
+    await OutboxMessage.updateOne(
+      { _id: message._id, status: 'sending' },
+      {
+        $set: dead
+          ? { status: 'dead', deadAt: now, lockedAt: null, lastError: error.message }
+          : {
+            status: 'pending',
+            nextAttemptAt: new Date(now.getTime() + this.getRetryDelay(message.attempts)),
+            lockedAt: null,
+            lastError: error.message
+          }
+      }
+    );
+    return dead ? 'dead' : 'retried';
+  }
+
+  // Dead-letter messages a stopped worker left marked as sending. Resolves to how many.
+  async recoverStale(now = new Date()) {
+    const result = await OutboxMessage.updateMany(
+      { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_AFTER) } },
+      { $set: { status: 'dead', deadAt: now, lockedAt: null, lastError: STALE_ERROR } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Send due messages, no more than OUTBOX_RATE_PER_SECOND, until none are left or the time
+  // budget is used up. A drain already running in this process is joined rather than doubled.
+  // Resolves to { sent, retried, dead, cancelled, interrupted }.
+  drain() {
+    if (!this.draining) {
+      this.draining = this.runDrain().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async runDrain(budget = DRAIN_BUDGET) {
+    const summary = { sent: 0, retried: 0, dead: 0, cancelled: 0, interrupted: 0 };
+    if (!emailService.transporter) {
+      return summary;
+    }
+
+    const startedAt = Date.now();
+    const interval = 1000 / this.getRatePerSecond();
+    summary.interrupted = await this.recoverStale();
+
+    while (Date.now() - startedAt < budget) {
+      const message = await this.claimNext();
+      if (!message) break;
+
+      const sendStartedAt = Date.now();
+      summary[await this.deliver(message)]++;
+
+      const wait = interval - (Date.now() - sendStartedAt);
+      if (wait > 0) await sleep(wait);
+    }
+
+    return summary;
+  }
+
+  // Start sending in the background, e.g. straight after queuing messages
+  wake() {
+    this.drain().catch(error => console.error('Error sending outbox messages:', error));
+  }
+
+  // Messages without their bodies, newest first, and the number matching
+  async list({ status, kind, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+
+    const [messages, total] = await Promise.all([
+      OutboxMessage.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-html -text')
+        .lean(),
+      OutboxMessage.countDocuments(filter)
+    ]);
+
+    return { messages, total };
+  }
+
+  // Number of messages in each status
+  async countByStatus() {
+    const counts = await OutboxMessage.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const byStatus = new Map(counts.map(({ _id, count }) => [_id, count]));
+    return Object.fromEntries(OutboxMessage.STATUSES.map(status => [status, byStatus.get(status) || 0]));
+  }
+
+  // Whether a message may be put back in the queue. Sent messages, and ones being sent,
+  // can't be: that could deliver them twice.
+  canRequeue(message) {
+    return ['pending', 'dead', 'cancelled'].includes(message.status);
+  }
+
+  // Queue a message to be sent now with a fresh set of attempts. Resolves to the message,
+  // or null when it is not in a state that can be requeued.
+  requeue(id) {
+    return OutboxMessage.findOneAndUpdate(
+      { _id: id, status: { $in: ['pending', 'dead', 'cancelled'] } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), deadAt: null, lockedAt: null } },
+      { new: true }
+    ).select('-html -text');
+  }
+
+  // Requeue every dead-lettered message, optionally of one kind. Resolves to how many.
+  async requeueDead({ kind } = {}) {
+    const result = await OutboxMessage.updateMany(
+      { status: 'dead', ...(kind ? { kind } : {}) },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), deadAt: null, lockedAt: null } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new OutboxService();
@@ -0,0 +1,127 @@
+const Question = require('../models/Question');
+const emailService = require('./emailService');
+const outboxService = require('./outboxService');
+const searchService = require('./searchService');
+const revisionService = require('./revisionService');
+
+// A claim on a question's notification older than this was left by a publisher that
+// stopped (a crash or restart), so the emails are queued again
+const NOTIFY_CLAIM_TIMEOUT = 10 * 60 * 1000;
+
+// Questions published longer ago than this are no longer news, so subscribers who were never
+// told about them aren't emailed late
+const NOTIFY_RETRY_WINDOW = 24 * 60 * 60 * 1000;
+
+// Query conditions for published questions nobody is queuing emails for yet
+const unclaimed = (now) => ({
+  status: 'published',
+  notifiedAt: null,
+  $or: [{ notifyClaimedAt: null }, { notifyClaimedAt: { $lt: new Date(now.getTime() - NOTIFY_CLAIM_TIMEOUT) } }]
+});
+
+class PublishingService {
+  // Mark a question as published now. The caller saves it.
+  publish(question) {
+    question.status = 'published';
+    question.publishedAt = new Date();
+    question.publishAt = null;
+    return question;
+  }
+
+  // Email subscribers about a published question unless they have already heard about it.
+  // The claim is atomic, so concurrent publishers never queue the emails together, and
+  // notifiedAt is only set once every email is queued. When queuing fails or can't run, the
+  // claim is released for notifyPending to try again; queuing again skips what was queued.
+  async notifyOnce(question, now = new Date()) {
+    const claimed = await Question.findOneAndUpdate(
+      { _id: question._id, ...unclaimed(now) },
+      { $set: { notifyClaimedAt: now } },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = await emailService.notifySubscribers(claimed);
+    } finally {
+      await Question.updateOne(
+        { _id: claimed._id, notifyClaimedAt: now },
+        { $set: result ? { notifiedAt: new Date(), notifyClaimedAt: null } : { notifyClaimedAt: null } }
+      );
+    }
+    if (!result) {
+      return null;
+    }
+
+    outboxService.wake();
+    return result;
+  }
+
+  // Queue the emails for recently published questions whose subscribers haven't all been
+  // told yet: queuing failed, the server stopped part way or email wasn't configured.
+  // Resolves to the number of questions notified.
+  async notifyPending(now = new Date()) {
+    if (!emailService.transporter) {
+      return 0;
+    }
+
+    const pending = await Question.find({
+      ...unclaimed(now),
+      publishedAt: { $gte: new Date(now.getTime() - NOTIFY_RETRY_WINDOW), $lte: now }
+    }).select('_id');
+
+    let notified = 0;
+    for (const question of pending) {
+      try {
+        if (await this.notifyOnce(question, now)) notified++;
+      } catch (error) {
+        console.error(`Failed to notify subscribers about ${question._id}:`, error);
+      }
+    }
+    return notified;
+  }
+
+  // Publish scheduled questions whose publishAt has passed and notify subscribers.
+  // Resolves to the published questions.
+  async publishDue(now = new Date()) {
+    const due = await Question.find({ status: 'scheduled', publishAt: { $lte: now } })
+      .sort({ publishAt: 1 })
+      .select('_id publishAt');
+
+    const published = [];
+    for (const { _id, publishAt } of due) {
+      // Claim each question so overlapping runs do not publish it twice
+      const question = await Question.findOneAndUpdate(
+        { _id, status: 'scheduled', publishAt: { $lte: now } },
+        { $set: { status: 'published', publishedAt: publishAt, publishAt: null, updatedAt: new Date() } },
+        { new: true }
+      );
+      if (!question) continue;
+
+      published.push(question);
+
+      try {
+        const previous = { ...revisionService.snapshot(question), status: 'scheduled', publishAt: publishAt.toISOString() };
+        await revisionService.record(question, { action: 'publish', previous });
+      } catch (error) {
+        console.error(`Failed to record publish revision for ${question._id}:`, error);
+      }
+
+      try {
+        await this.notifyOnce(question);
+      } catch (error) {
+        console.error(`Failed to notify subscribers about ${question._id}:`, error);
+      }
+    }
+
+    if (published.length > 0) {
+      searchService.invalidate();
+    }
+
+    return published;
+  }
+}
+
+module.exports = new PublishingService();
@@ -0,0 +1,102 @@
+const Reaction = require('../models/Reaction');
+const Response = require('../models/Response');
+
+// Agreeing replaces disagreeing and the other way round
+const OPPOSITES = {
+  agree: 'disagree',
+  disagree: 'agree'
+};
+
+const emptyCounts = () => Reaction.TYPES.reduce((counts, type) => ({ ...counts, [type]: 0 }), {});
+
+class ReactionService {
+  // Reactions of this visitor, matched by visitor id or (for visitors who lost their
+  // token) by IP and user agent
+  identityFilter(visitor) {
+    return { $or: [{ visitorId: visitor.id }, { fingerprint: visitor.fingerprint }] };
+  }
+
+  // Wilson score of a response from its reactions, one vote per visitor
+  async scoreResponse(responseId) {
+    const reactions = await Reaction.find({ response: responseId }).select('visitorId type').lean();
+    return Response.wilsonScore(Reaction.tally(reactions));
+  }
+
+  // Apply counter changes ({ agree: 1, disagree: -1 }) and refresh the Wilson score
+  async applyCounts(responseId, changes) {
+    const increments = Object.entries(changes).reduce((result, [type, change]) => {
+      if (change !== 0) result[`reactions.${type}`] = change;
+      return result;
+    }, {});
+
+    const updated = Object.keys(increments).length > 0
+      ? await Response.findOneAndUpdate({ _id: responseId }, { $inc: increments }, { new: true }).lean()
+      : await Response.findById(responseId).lean();
+    if (!updated) return emptyCounts();
+
+    const reactions = { ...emptyCounts(), ...updated.reactions };
+    await Response.updateOne({ _id: responseId }, { $set: { helpfulScore: await this.scoreResponse(responseId) } });
+
+    return reactions;
+  }
+
+  // Resolves to { reactions, viewerReactions }
+  async react(response, visitor, type) {
+    const changes = {};
+
+    const existing = await Reaction.exists({ response: response._id, type, ...this.identityFilter(visitor) });
+    if (!existing) {
+      try {
+        await Reaction.create({
+          response: response._id,
+          question: response.question,
+          visitorId: visitor.id,
+          fingerprint: visitor.fingerprint,
+          type
+        });
+        changes[type] = 1;
+      } catch (error) {
+        // A concurrent request from the same visitor got in first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const opposite = OPPOSITES[type];
+    if (opposite) {
+      const removed = await Reaction.deleteMany({ response: response._id, type: opposite, ...this.identityFilter(visitor) });
+      changes[opposite] = -removed.deletedCount;
+    }
+
+    const reactions = await this.applyCounts(response._id, changes);
+    const viewerReactions = await this.getViewerReactions([response._id], visitor);
+
+    return { reactions, viewerReactions: viewerReactions[String(response._id)] || [] };
+  }
+
+  // Resolves to { reactions, viewerReactions }
+  async unreact(response, visitor, type) {
+    const removed = await Reaction.deleteMany({ response: response._id, type, ...this.identityFilter(visitor) });
+
+    const reactions = await this.applyCounts(response._id, { [type]: -removed.deletedCount });
+    const viewerReactions = await this.getViewerReactions([response._id], visitor);
+
+    return { reactions, viewerReactions: viewerReactions[String(response._id)] || [] };
+  }
+
+  // { responseId: ['agree', ...] } for the responses this visitor reacted to
+  async getViewerReactions(responseIds, visitor) {
+    if (!visitor || responseIds.length === 0) return {};
+
+    const reactions = await Reaction.find({ response: { $in: responseIds }, ...this.identityFilter(visitor) })
+      .select('response type')
+      .lean();
+
+    return reactions.reduce((result, reaction) => {
+      const key = String(reaction.response);
+      result[key] = [...new Set([...(result[key] || []), reaction.type])];
+      return result;
+    }, {});
+  }
+}
+
+module.exports = new ReactionService();
@@ -0,0 +1,178 @@
+const Report = require('../models/Report');
+const Response = require('../models/Response');
+const moderationService = require('./moderationService');
+
+class ReportService {
+  // Record a reader's report and hide the response once its report score passes the
+  // threshold. Resolves to { report, hidden }, or null when the visitor already reported it.
+  async submitReport(response, { visitor, ipAddress, reason, details = '' }) {
+    const alreadyReported = await Report.exists({
+      response: response._id,
+      $or: [{ reporterId: visitor.id }, { fingerprint: visitor.fingerprint }]
+    });
+    if (alreadyReported) {
+      return null;
+    }
+
+    const weight = await Report.getReporterWeight(visitor.id);
+
+    let report;
+    try {
+      report = await Report.create({
+        response: response._id,
+        question: response.question,
+        reporterId: visitor.id,
+        fingerprint: visitor.fingerprint,
+        ipAddress,
+        reason,
+        details,
+        weight
+      });
+    } catch (error) {
+      // A concurrent report from the same visitor got in first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const updated = await Response.findOneAndUpdate(
+      { _id: response._id },
+      { $inc: { reportCount: 1, reportScore: weight } },
+      { new: true }
+    );
+
+    const settings = await moderationService.getSettings();
+    let hidden = false;
+
+    if (updated && updated.moderationStatus === 'approved' && updated.reportScore >= settings.reportThreshold) {
+      const now = new Date();
+      const result = await Response.updateOne(
+        { _id: response._id, moderationStatus: 'approved' },
+        {
+          $set: {
+            moderationStatus: 'flagged',
+            moderatedBy: null,
+            moderatedAt: now,
+            moderationReason: `Hidden automatically after ${updated.reportCount} reports`,
+            reportHiddenAt: now
+          }
+        }
+      );
+      hidden = result.modifiedCount > 0;
+    }
+
+    return { report, hidden };
+  }
+
+  // Close the open reports on some responses. Upholding rejects the responses and
+  // raises the reporters' reputation; dismissing restores responses that reports hid
+  // and lowers it.
+  async resolveReports(responseIds, action, { adminId = null, reason = null } = {}) {
+    const now = new Date();
+    const status = action === 'uphold' ? 'upheld' : 'dismissed';
+
+    const reports = await Report.updateMany(
+      { response: { $in: responseIds }, status: 'open' },
+      { $set: { status, resolvedBy: adminId, resolvedAt: now } }
+    );
+
+    let responses;
+    if (action === 'uphold') {
+      responses = await Response.updateMany(
+        { _id: { $in: responseIds } },
+        {
+          $set: {
+            moderationStatus: 'rejected',
+            moderatedBy: adminId,
+            moderatedAt: now,
+            moderationReason: reason || 'Reports upheld',
+            reportScore: 0
+          }
+        }
+      );
+    } else {
+      await Response.updateMany({ _id: { $in: responseIds } }, { $set: { reportScore: 0 } });
+      responses = await Response.updateMany(
+        { _id: { $in: responseIds }, moderationStatus: 'flagged', reportHiddenAt: { $ne: null } },
+        {
+          $set: {
+            moderationStatus: 'approved',
+            moderatedBy: adminId,
+            moderatedAt: now,
+            moderationReason: reason || null,
+            reportHiddenAt: null
+          }
+        }
+      );
+    }
+
+    return {
+      reports: reports.modifiedCount,
+      responses: responses.modifiedCount
+    };
+  }
+
+  // Reports grouped by response, highest weighted score first
+  async getSummary({ status = 'open', reason = null, page = 1, limit = 20 } = {}) {
+    const match = { status };
+    if (reason) match.reason = reason;
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$response',
+          reportCount: { $sum: 1 },
+          score: { $sum: '$weight' },
+          reasons: { $push: '$reason' },
+          lastReportedAt: { $max: '$createdAt' },
+          reports: {
+            $push: {
+              reason: '$reason',
+              details: '$details',
+              weight: '$weight',
+              reporterId: '$reporterId',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $sort: { score: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $addFields: { reports: { $slice: ['$reports', 10] } } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const items = result ? result.items : [];
+    const total = result && result.total[0] ? result.total[0].count : 0;
+
+    const responses = await Response.find({ _id: { $in: items.map(item => item._id) } })
+      .populate('question', 'title slug category')
+      .select('question questionType choice explanation responseText timestamp moderationStatus moderationReason reportCount reportHiddenAt')
+      .lean();
+
+    const groups = items.map(item => ({
+      response: responses.find(response => String(response._id) === String(item._id)) || null,
+      reportCount: item.reportCount,
+      score: Math.round(item.score * 100) / 100,
+      reasons: item.reasons.reduce((counts, value) => {
+        counts[value] = (counts[value] || 0) + 1;
+        return counts;
+      }, {}),
+      lastReportedAt: item.lastReportedAt,
+      // Shortened reporter ids are enough to spot the same reporter across responses
+      reports: item.reports.map(report => ({ ...report, reporterId: report.reporterId.slice(0, 8) }))
+    }));
+
+    return { groups, total };
+  }
+}
+
+module.exports = new ReportService();
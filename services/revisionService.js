@@ -0,0 +1,142 @@
+const QuestionRevision = require('../models/QuestionRevision');
+const { getActor } = require('../middleware/auth');
+
+// Question fields recorded in revisions. Vote counts are left out - they change with
+// every vote and are not an edit.
+const TRACKED_FIELDS = [
+  'title', 'category', 'questionText', 'choices', 'tags',
+  'difficulty', 'estimatedReadTime', 'featured', 'status', 'publishAt'
+];
+
+// Fields a rollback restores; publication state is changed with status instead
+const RESTORABLE_FIELDS = [
+  'title', 'category', 'questionText', 'choices', 'tags',
+  'difficulty', 'estimatedReadTime', 'featured'
+];
+
+const normalize = (field, value) => {
+  if (value === undefined) return null;
+  if (field === 'choices') {
+    return (value || []).map(choice => ({ _id: String(choice._id), text: choice.text }));
+  }
+  if (field === 'tags') return [...(value || [])];
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class RevisionService {
+  // Plain copy of a question's tracked fields
+  snapshot(question) {
+    return TRACKED_FIELDS.reduce((result, field) => {
+      result[field] = normalize(field, question[field]);
+      return result;
+    }, {});
+  }
+
+  // Field-level differences between two snapshots
+  diff(before, after) {
+    return TRACKED_FIELDS
+      .filter(field => !isEqual(before ? before[field] : null, after[field]))
+      .map(field => ({ field, from: before ? before[field] : null, to: after[field] }));
+  }
+
+  // Revision author from the request's principal, or the system for cron jobs
+  authorFromRequest(req) {
+    const { type, id, name } = getActor(req);
+    return { type, id, name };
+  }
+
+  getLatest(questionId) {
+    return QuestionRevision.findOne({ question: questionId }).sort({ revision: -1 }).lean();
+  }
+
+  // Record the question's current state. previous is its snapshot before the change;
+  // questions created before revisions existed get a baseline revision from it first.
+  // Resolves to the new revision, or null when no tracked field changed.
+  async record(question, { action = 'update', author, previous = null, restoredFrom = null } = {}) {
+    const current = this.snapshot(question);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      let latest = await this.getLatest(question._id);
+
+      if (!latest && previous && action !== 'create') {
+        latest = await this.insert(question._id, 1, {
+          action: 'baseline',
+          author: { type: 'system', id: null, name: null },
+          snapshot: previous,
+          changes: this.diff(null, previous)
+        });
+        if (!latest) continue;
+      }
+
+      const changes = this.diff(latest ? latest.snapshot : null, current);
+      if (latest && changes.length === 0) {
+        return null;
+      }
+
+      const revision = await this.insert(question._id, latest ? latest.revision + 1 : 1, {
+        action,
+        author: author || this.authorFromRequest(null),
+        snapshot: current,
+        changes,
+        restoredFrom
+      });
+      if (revision) return revision;
+    }
+
+    throw new Error('Could not record question revision after concurrent changes');
+  }
+
+  // Resolves to null when another request took the revision number
+  async insert(questionId, number, fields) {
+    try {
+      const revision = await QuestionRevision.create({ question: questionId, revision: number, ...fields });
+      return revision.toObject();
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  async list(questionId, { page = 1, limit = 20 } = {}) {
+    const [revisions, total] = await Promise.all([
+      QuestionRevision.find({ question: questionId })
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-snapshot')
+        .lean(),
+      QuestionRevision.countDocuments({ question: questionId })
+    ]);
+
+    return { revisions, total };
+  }
+
+  get(questionId, number) {
+    return QuestionRevision.findOne({ question: questionId, revision: number }).lean();
+  }
+
+  // Resolves to { from, to, changes }, or null when either revision does not exist
+  async compare(questionId, fromNumber, toNumber) {
+    const [from, to] = await Promise.all([this.get(questionId, fromNumber), this.get(questionId, toNumber)]);
+    if (!from || !to) return null;
+
+    return {
+      from: { revision: from.revision, action: from.action, author: from.author, createdAt: from.createdAt },
+      to: { revision: to.revision, action: to.action, author: to.author, createdAt: to.createdAt },
+      changes: this.diff(from.snapshot, to.snapshot)
+    };
+  }
+
+  // The values a rollback to this revision writes back
+  restorableValues(revision) {
+    return RESTORABLE_FIELDS.reduce((values, field) => {
+      if (revision.snapshot[field] !== undefined) values[field] = revision.snapshot[field];
+      return values;
+    }, {});
+  }
+}
+
+module.exports = new RevisionService();
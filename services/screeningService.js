@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const Response = require('../models/Response');
+
+// Characters commonly swapped for letters ("sh1t", "@ss", "$lut")
+const LEET_MAP = {
+  '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't', '€': 'e', '£': 'l'
+};
+// Symbols only stand for a letter inside or at the start of a word; "shit!" ends in punctuation
+const LEET_CHARS = /[0-9]|[@$!|+€£](?=[@$!|+€£]*[a-z0-9])/g;
+const WORD_SUFFIXES = ['', 's', 'es', 'ed', 'er', 'ers', 'ing', 'y'];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|info|biz|xyz|ru|cn|top|ly|gg|me|app|site|online|shop)\b(?:\/[^\s<>"']*)?/gi;
+const PUNCTUATION_RUN = /([!?$.*])\1{3,}/;
+
+const MIN_TEXT_FOR_ENTROPY = 20;
+const MIN_WORDS_FOR_RATIO = 10;
+const MIN_TEXT_FOR_SITE_REPEATS = 30;
+const MAX_WORD_LENGTH = 35;
+
+const stripAccents = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+// "fuuuck" and "fuck" (or "bulshit" and "bullshit") compare equal
+const collapseRuns = (word) => word.replace(/(.)\1+/g, '$1');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ScreeningService {
+  // Lowercase words with leetspeak undone; "*" is kept so masked words ("f*ck") can still match
+  normalizeWords(text) {
+    const normalized = stripAccents(String(text || '').toLowerCase())
+      .replace(LEET_CHARS, char => LEET_MAP[char])
+      .replace(/[^a-z*]+/g, ' ')
+      .trim();
+
+    const words = normalized ? normalized.split(' ') : [];
+
+    // Join spaced-out letters: "f u c k" / "f.u.c.k" -> "fuck"
+    const joined = [];
+    let letters = '';
+    for (const word of words) {
+      if (word.length === 1) {
+        letters += word;
+        continue;
+      }
+      if (letters.length > 1) joined.push(letters);
+      letters = '';
+      joined.push(word);
+    }
+    if (letters.length > 1) joined.push(letters);
+
+    return [...words, ...joined.filter(word => !words.includes(word))];
+  }
+
+  // Fingerprint of the text for spotting the same submission again
+  contentHash(text) {
+    const canonical = stripAccents(String(text || '').toLowerCase())
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  findBlockedWords(text, blockedWords) {
+    const blocked = new Map(blockedWords.map(word => [collapseRuns(word.toLowerCase()), word]));
+    const matches = new Set();
+
+    for (const word of this.normalizeWords(text)) {
+      const collapsed = collapseRuns(word);
+
+      for (const suffix of WORD_SUFFIXES) {
+        if (suffix && !collapsed.endsWith(suffix)) continue;
+        const stem = collapsed.slice(0, collapsed.length - suffix.length);
+        const found = stem.includes('*')
+          ? this.matchMasked(stem, blocked)
+          : blocked.get(stem);
+
+        if (found) {
+          matches.add(found);
+          break;
+        }
+      }
+    }
+
+    return [...matches];
+  }
+
+  // Masked letters stand for any letters ("f*ck"), but at least two must be real
+  matchMasked(stem, blocked) {
+    if (stem.replace(/\*/g, '').length < 2) return null;
+
+    const pattern = new RegExp(`^${stem.split(/\*+/).map(escapeRegex).join('[a-z]+')}$`);
+    for (const [collapsed, original] of blocked) {
+      if (pattern.test(collapsed)) return original;
+    }
+    return null;
+  }
+
+  findLinks(text, allowedDomains = []) {
+    const links = String(text || '').match(URL_PATTERN) || [];
+
+    return links.filter(link => {
+      const host = link.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#:]/)[0].toLowerCase();
+      return !allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    });
+  }
+
+  // Shannon entropy in bits per character
+  entropy(text) {
+    const chars = [...text];
+    if (chars.length === 0) return 0;
+
+    const counts = chars.reduce((result, char) => {
+      result[char] = (result[char] || 0) + 1;
+      return result;
+    }, {});
+
+    return Object.values(counts).reduce((total, count) => {
+      const p = count / chars.length;
+      return total - p * Math.log2(p);
+    }, 0);
+  }
+
+  checkProfanity(text, rule) {
+    const words = this.findBlockedWords(text, rule.words || []);
+    if (words.length === 0) return null;
+
+    return {
+      rule: 'profanity',
+      detail: `Blocked words: ${words.join(', ')}`,
+      score: rule.weight * Math.min(words.length, 2)
+    };
+  }
+
+  checkLinks(text, rule) {
+    const links = this.findLinks(text, rule.allowedDomains || []);
+    if (links.length === 0) return null;
+
+    return {
+      rule: 'links',
+      detail: `${links.length} link(s): ${links.slice(0, 3).join(', ')}`,
+      score: rule.weight * (links.length > 2 ? 2 : 1)
+    };
+  }
+
+  checkSpam(text, rule) {
+    const lower = String(text || '').toLowerCase().replace(/\s+/g, ' ');
+    const phrases = (rule.phrases || []).filter(phrase => phrase && lower.includes(phrase));
+    const letters = String(text || '').replace(/[^A-Za-z]/g, '');
+    const uppercase = letters.replace(/[^A-Z]/g, '').length;
+    const shouting = letters.length >= 20 && uppercase / letters.length > 0.7;
+    const punctuation = PUNCTUATION_RUN.test(text);
+
+    const signals = [];
+    let score = rule.weight * phrases.length;
+    if (phrases.length > 0) signals.push(`spam phrases: ${phrases.join(', ')}`);
+    if (shouting) {
+      signals.push('mostly capital letters');
+      score += rule.weight / 2;
+    }
+    if (punctuation) {
+      signals.push('repeated punctuation');
+      score += rule.weight / 2;
+    }
+
+    if (signals.length === 0) return null;
+
+    return {
+      rule: 'spam',
+      detail: signals.join('; '),
+      score: Math.min(score, rule.weight * 2)
+    };
+  }
+
+  // Same text from the same visitor on another question, or many times across the site
+  async checkRepetition(text, rule, { contentHash, questionId, visitor }) {
+    const since = new Date(Date.now() - rule.windowHours * 60 * 60 * 1000);
+    const recent = { 'screening.contentHash': contentHash, timestamp: { $gte: since } };
+
+    const authorMatches = [];
+    if (visitor && visitor.id) authorMatches.push({ visitorId: visitor.id });
+    if (visitor && visitor.fingerprint) authorMatches.push({ fingerprint: visitor.fingerprint });
+
+    const checkSiteWide = text.replace(/\s+/g, ' ').trim().length >= MIN_TEXT_FOR_SITE_REPEATS;
+
+    const [byAuthor, siteWide] = await Promise.all([
+      authorMatches.length > 0
+        ? Response.countDocuments({ ...recent, question: { $ne: questionId }, $or: authorMatches })
+        : 0,
+      checkSiteWide
+        ? Response.countDocuments({ ...recent, ...(visitor && visitor.id && { visitorId: { $ne: visitor.id } }) })
+        : 0
+    ]);
+
+    const signals = [];
+    if (byAuthor > 0) signals.push(`posted on ${byAuthor} other question(s)`);
+    if (siteWide >= rule.maxRepeats) signals.push(`submitted ${siteWide} times by others`);
+
+    if (signals.length === 0) return null;
+
+    return {
+      rule: 'repetition',
+      detail: `Identical text ${signals.join(' and ')} in the last ${rule.windowHours}h`,
+      score: rule.weight
+    };
+  }
+
+  checkQuality(text, rule) {
+    const compact = String(text || '').toLowerCase().replace(/\s+/g, '');
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    const longestWord = this.findLinks(text).reduce(
+      (remaining, link) => remaining.replace(link, ' '),
+      String(text || '')
+    ).split(/\s+/).reduce((longest, word) => Math.max(longest, word.length), 0);
+
+    const signals = [];
+    if (compact.length >= MIN_TEXT_FOR_ENTROPY) {
+      const bits = this.entropy(compact);
+      if (bits < rule.minEntropy) signals.push(`low character variety (${bits.toFixed(2)} bits)`);
+    }
+    if (words.length >= MIN_WORDS_FOR_RATIO) {
+      const ratio = new Set(words).size / words.length;
+      if (ratio < rule.minUniqueWordRatio) signals.push(`repeated words (${Math.round(ratio * 100)}% unique)`);
+    }
+    if (longestWord > MAX_WORD_LENGTH) {
+      signals.push(`${longestWord}-character word`);
+    }
+
+    if (signals.length === 0) return null;
+
+    return {
+      rule: 'quality',
+      detail: signals.join('; '),
+      score: rule.weight
+    };
+  }
+
+  // Score text against the rules. context: { questionId, visitor }.
+  // Resolves to { score (0-100), reasons: [{ rule, detail, score }], contentHash }
+  async screen(text, rules, context = {}) {
+    const contentHash = this.contentHash(text);
+    const reasons = [];
+
+    const checks = [
+      ['profanity', () => this.checkProfanity(text, rules.profanity)],
+      ['links', () => this.checkLinks(text, rules.links)],
+      ['spam', () => this.checkSpam(text, rules.spam)],
+      ['repetition', () => this.checkRepetition(text, rules.repetition, { ...context, contentHash })],
+      ['quality', () => this.checkQuality(text, rules.quality)]
+    ];
+
+    for (const [name, check] of checks) {
+      if (!rules[name] || !rules[name].enabled) continue;
+
+      const reason = await check();
+      if (reason && reason.score > 0) {
+        reasons.push({ ...reason, score: Math.round(reason.score) });
+      }
+    }
+
+    const score = Math.min(100, reasons.reduce((total, reason) => total + reason.score, 0));
+
+    return { score, reasons, contentHash };
+  }
+}
+
+module.exports = new ScreeningService();
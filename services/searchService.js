@@ -0,0 +1,275 @@
+const Question = require('../models/Question');
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 160;
+const VOCABULARY_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Words MongoDB's English text index ignores - never worth a "did you mean"
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'is', 'it', 'its', 'me',
+  'my', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when',
+  'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+const SORT_OPTIONS = {
+  relevance: { score: { $meta: 'textScore' }, 'popularityMetrics.popularityScore': -1 },
+  popularity: { 'popularityMetrics.popularityScore': -1, createdAt: -1 },
+  trending: { 'popularityMetrics.trendingScore': -1, createdAt: -1 },
+  newest: { publishedAt: -1, createdAt: -1 },
+  most_responses: { 'popularityMetrics.totalResponses': -1, createdAt: -1 }
+};
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+// Crude suffix stripping - only needs to agree with itself, not with MongoDB's stemmer
+const stem = (word) => {
+  const stemmed = word.replace(/(ing|ed|es|s|ly)$/, '');
+  return stemmed.length >= 4 ? stemmed : word;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Optimal string alignment distance, giving up once it exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+class SearchService {
+  constructor() {
+    this.vocabulary = null;
+    this.vocabularyBuiltAt = 0;
+  }
+
+  // Strip text-search operators (phrases, negation) so input is always a plain term list
+  sanitizeQuery(query) {
+    return String(query || '')
+      .slice(0, MAX_QUERY_LENGTH)
+      .replace(/["\\]/g, ' ')
+      .replace(/(^|\s)-+/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  getTerms(query) {
+    return [...new Set(tokenize(query))].filter(term => term.length >= 2 && !STOP_WORDS.has(term));
+  }
+
+  async search(query, options = {}) {
+    const {
+      filter = {},
+      filters = {},
+      facets = false,
+      sortBy = 'relevance',
+      page = 1,
+      limit = 20,
+      includeUnpublished = false,
+      select = 'title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime'
+    } = options;
+
+    const sanitized = this.sanitizeQuery(query);
+    const terms = this.getTerms(sanitized);
+
+    if (terms.length === 0) {
+      return { questions: [], totalResults: 0, terms, didYouMean: null, facets: null };
+    }
+
+    const textCriteria = { ...filter, $text: { $search: sanitized } };
+    const baseCriteria = includeUnpublished ? textCriteria : Question.published(textCriteria);
+    const criteria = Question.applyFilters(baseCriteria, filters);
+    const projection = select.split(' ').reduce((fields, field) => {
+      fields[field] = 1;
+      return fields;
+    }, { score: { $meta: 'textScore' } });
+
+    const [questions, totalResults, corrections, facetCounts] = await Promise.all([
+      Question.find(criteria, projection)
+        .sort(SORT_OPTIONS[sortBy] || SORT_OPTIONS.relevance)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Question.countDocuments(criteria),
+      this.suggest(terms),
+      facets ? Question.getFacets(baseCriteria, filters) : null
+    ]);
+
+    const matcher = this.buildMatcher(terms);
+    const didYouMean = corrections.size > 0
+      ? sanitized.replace(/[\p{L}\p{N}']+/gu, word => corrections.get(word.toLowerCase()) || word)
+      : null;
+
+    return {
+      questions: questions.map(({ score, ...question }) => ({
+        ...question,
+        relevanceScore: Math.round((score || 0) * 100) / 100,
+        highlights: this.highlight(question, matcher)
+      })),
+      totalResults,
+      terms,
+      didYouMean,
+      facets: facetCounts
+    };
+  }
+
+  // Match whole words that start with the stem of any search term
+  buildMatcher(terms) {
+    const stems = [...new Set(terms.map(stem))].sort((a, b) => b.length - a.length);
+    return new RegExp(`(?<![\\p{L}\\p{N}])(${stems.map(escapeRegex).join('|')})[\\p{L}\\p{N}']*`, 'giu');
+  }
+
+  // HTML-escape text and wrap matches in <mark>
+  markMatches(text, matcher) {
+    let result = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(matcher)) {
+      result += escapeHtml(text.slice(lastIndex, match.index));
+      result += `<mark>${escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+
+    return result + escapeHtml(text.slice(lastIndex));
+  }
+
+  // Snippet of the text centred on the first match
+  snippet(text, matcher) {
+    matcher.lastIndex = 0;
+    const match = matcher.exec(text);
+    matcher.lastIndex = 0;
+
+    let start = 0;
+    if (match && text.length > SNIPPET_LENGTH) {
+      start = Math.max(0, Math.min(match.index - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH));
+      if (start > 0) {
+        const wordBoundary = text.indexOf(' ', start);
+        if (wordBoundary >= 0 && wordBoundary < match.index) start = wordBoundary + 1;
+      }
+    }
+
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const wordBoundary = text.lastIndexOf(' ', end);
+      if (wordBoundary > start) end = wordBoundary;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return `${prefix}${this.markMatches(text.slice(start, end), matcher)}${suffix}`;
+  }
+
+  highlight(question, matcher) {
+    return {
+      title: this.markMatches(question.title || '', matcher),
+      questionText: this.snippet(question.questionText || '', matcher),
+      tags: (question.tags || [])
+        .filter(tag => tag.match(matcher))
+        .map(tag => this.markMatches(tag, matcher))
+    };
+  }
+
+  // Word frequencies across published question content, rebuilt every few minutes
+  async getVocabulary() {
+    if (this.vocabulary && Date.now() - this.vocabularyBuiltAt < VOCABULARY_TTL) {
+      return this.vocabulary;
+    }
+
+    const words = new Map();
+    const stems = new Set();
+    const cursor = Question.find(Question.published()).select('title questionText tags').lean().cursor();
+
+    for await (const question of cursor) {
+      const text = [question.title, question.questionText, ...(question.tags || [])].join(' ');
+      for (const word of tokenize(text)) {
+        if (word.length < 3 || STOP_WORDS.has(word)) continue;
+        words.set(word, (words.get(word) || 0) + 1);
+        stems.add(stem(word));
+      }
+    }
+
+    this.vocabulary = { words, stems };
+    this.vocabularyBuiltAt = Date.now();
+    return this.vocabulary;
+  }
+
+  // Drop the cached vocabulary after question content changes
+  invalidate() {
+    this.vocabulary = null;
+  }
+
+  // A term is known when it shares a stem (or a long stem prefix) with indexed content
+  isKnownTerm(termStem, stems) {
+    if (stems.has(termStem)) return true;
+    if (termStem.length < 5) return false;
+
+    for (const known of stems) {
+      if (known.length >= 5 && (termStem.startsWith(known) || known.startsWith(termStem))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Map each unknown term to the closest known word
+  async suggest(terms) {
+    const { words, stems } = await this.getVocabulary();
+    const corrections = new Map();
+
+    for (const term of terms) {
+      if (term.length < 3 || /\d/.test(term) || this.isKnownTerm(stem(term), stems)) {
+        continue;
+      }
+
+      const maxDistance = term.length <= 4 ? 1 : 2;
+      let best = null;
+
+      for (const [word, count] of words) {
+        const distance = editDistance(term, word, maxDistance);
+        if (distance > maxDistance) continue;
+
+        if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+          best = { word, distance, count };
+        }
+      }
+
+      if (best) {
+        corrections.set(term, best.word);
+      }
+    }
+
+    return corrections;
+  }
+}
+
+module.exports = new SearchService();
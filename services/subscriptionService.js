@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Subscriber = require('../models/Subscriber');
+
+const DEFAULT_CONFIRM_HOURS = 48;
+
+let fallbackSecret = null;
+
+const getSecret = () => {
+  const secret = process.env.SUBSCRIBER_SECRET || process.env.JWT_SECRET;
+  if (secret) return secret;
+
+  // Links signed with a per-process secret stop working after a restart
+  if (!fallbackSecret) {
+    console.warn('SUBSCRIBER_SECRET is not set - confirmation links will not survive a restart');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+// Double opt-in for newsletter subscribers. A sign-up records when and from where it was
+// requested and emails a confirmation link; the subscriber becomes active only once the
+// link is followed. The link signs the subscriber id, address and request time, so signing
+// up again replaces any earlier link. An address that has confirmed before keeps its consent
+// until the new link is followed, so a sign-up by someone else cannot undo it.
+class SubscriptionService {
+  getConfirmHours() {
+    const hours = parseInt(process.env.SUBSCRIPTION_CONFIRM_HOURS, 10);
+    return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_CONFIRM_HOURS;
+  }
+
+  // The request the confirmation link is for: a new sign-up by a confirmed address, or the
+  // subscriber's own
+  getRequest(subscriber) {
+    const pending = subscriber.pendingConsent;
+    return pending && pending.requestedAt ? pending : subscriber.consent;
+  }
+
+  sign(subscriber) {
+    return crypto
+      .createHmac('sha256', getSecret())
+      .update(`${subscriber._id}.${subscriber.email}.${this.getRequest(subscriber).requestedAt.getTime()}`)
+      .digest('base64url');
+  }
+
+  // Records a sign-up with its settings ({ locale, categories, tags, frequency }). A new or
+  // never-confirmed subscriber takes them and goes (back) into the pending state; one that
+  // has confirmed before only gets a pendingConsent. The caller saves.
+  requestConfirmation(subscriber, ipAddress, settings = {}) {
+    const request = { requestedAt: new Date(), requestedIp: ipAddress || null };
+
+    if (subscriber.isConfirmed()) {
+      subscriber.pendingConsent = { ...request, ...settings };
+      return subscriber;
+    }
+
+    Object.assign(subscriber, settings);
+    subscriber.deletedAt = null;
+    subscriber.isActive = false;
+    subscriber.consent = { ...request, confirmedAt: null, confirmedIp: null };
+    return subscriber;
+  }
+
+  createConfirmationToken(subscriber) {
+    return `${subscriber._id}.${this.sign(subscriber)}`;
+  }
+
+  getConfirmUrl(subscriber) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/api/subscribers/confirm/${this.createConfirmationToken(subscriber)}`;
+  }
+
+  isExpired(subscriber, now = Date.now()) {
+    return now - this.getRequest(subscriber).requestedAt.getTime() > this.getConfirmHours() * 60 * 60 * 1000;
+  }
+
+  // Resolves to { status, subscriber } where status is 'confirmed', 'already_confirmed',
+  // 'expired' or 'invalid'
+  async confirm(token, ipAddress) {
+    const [id, signature, ...rest] = String(token).split('.');
+    if (!id || !signature || rest.length > 0 || !mongoose.isValidObjectId(id)) {
+      return { status: 'invalid' };
+    }
+
+    // A trashed subscriber who signed up again comes back once they confirm
+    const subscriber = await Subscriber.findById(id).withDeleted();
+    if (!subscriber || !subscriber.consent.requestedAt) {
+      return { status: 'invalid' };
+    }
+
+    const expected = Buffer.from(this.sign(subscriber));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { status: 'invalid' };
+    }
+
+    const pending = subscriber.pendingConsent && subscriber.pendingConsent.requestedAt
+      ? subscriber.pendingConsent
+      : null;
+
+    if (!pending && subscriber.isConfirmed()) {
+      return { status: 'already_confirmed', subscriber };
+    }
+    if (this.isExpired(subscriber)) {
+      return { status: 'expired', subscriber };
+    }
+
+    if (pending) {
+      // The new sign-up replaces the earlier consent and settings
+      const { requestedAt, requestedIp, locale, categories, tags, frequency } = pending;
+      Object.assign(subscriber, { locale, categories, tags, frequency });
+      subscriber.consent = { requestedAt, requestedIp };
+      subscriber.pendingConsent = undefined;
+      subscriber.deletedAt = null;
+    }
+
+    subscriber.isActive = true;
+    subscriber.unsubscribedAt = null;
+    subscriber.subscribedAt = new Date();
+    subscriber.consent.confirmedAt = subscriber.subscribedAt;
+    subscriber.consent.confirmedIp = ipAddress || null;
+    await subscriber.save();
+
+    return { status: 'confirmed', subscriber };
+  }
+
+  // Deletes sign-ups that were never confirmed within the confirmation window. Addresses that
+  // confirmed before only have a pendingConsent, so they are never deleted here.
+  // Resolves to the number deleted.
+  async purgeUnconfirmed() {
+    const cutoff = new Date(Date.now() - this.getConfirmHours() * 60 * 60 * 1000);
+    const result = await Subscriber.deleteMany({
+      ...Subscriber.pendingConfirmation(),
+      'consent.requestedAt': { $lt: cutoff }
+    }).withDeleted();
+    return result.deletedCount;
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const Question = require('../models/Question');
+const { SOURCE_LOCALE, SUPPORTED_LOCALES } = require('../utils/i18n');
+
+class TranslationService {
+  // Questions are written in the source locale; these are the ones they can be translated into
+  getTargetLocales() {
+    return SUPPORTED_LOCALES.filter(locale => locale !== SOURCE_LOCALE);
+  }
+
+  // Fingerprint of the source content a translation was made from
+  sourceHash(question) {
+    const parts = [
+      question.title,
+      question.questionText,
+      ...(question.choices || []).map(choice => `${choice._id}:${choice.text}`)
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+  }
+
+  findTranslation(question, locale) {
+    return (question.translations || []).find(translation => translation.locale === locale) || null;
+  }
+
+  // One of Question.TRANSLATION_STATUSES
+  getStatus(question, locale) {
+    if (locale === SOURCE_LOCALE) return 'complete';
+
+    const translation = this.findTranslation(question, locale);
+    if (!translation) return 'missing';
+    if (!translation.title || !translation.questionText) return 'incomplete';
+
+    if (question.questionType === 'multiple_choice') {
+      const translated = new Set((translation.choices || [])
+        .filter(choice => choice.text)
+        .map(choice => String(choice.choiceId)));
+      if ((question.choices || []).some(choice => !translated.has(String(choice._id)))) {
+        return 'incomplete';
+      }
+    }
+
+    return translation.sourceHash === this.sourceHash(question) ? 'complete' : 'outdated';
+  }
+
+  // The public shape of a question in a locale. Choices keep their _id and vote counts, only
+  // their text changes, so votes cast in any language land on the same choice. Untranslated
+  // fields stay in the source language.
+  localize(question, locale) {
+    const localized = typeof question.toJSON === 'function' ? question.toJSON() : { ...question };
+    const translations = localized.translations || [];
+    delete localized.translations;
+
+    localized.locale = SOURCE_LOCALE;
+    localized.availableLocales = [SOURCE_LOCALE, ...translations
+      .map(translation => translation.locale)
+      .filter(code => code !== SOURCE_LOCALE && SUPPORTED_LOCALES.includes(code))];
+
+    const translation = locale !== SOURCE_LOCALE && translations.find(entry => entry.locale === locale);
+    if (!translation) return localized;
+
+    localized.locale = locale;
+    if (translation.title) localized.title = translation.title;
+    if (translation.questionText) localized.questionText = translation.questionText;
+
+    if (Array.isArray(localized.choices)) {
+      const texts = new Map((translation.choices || []).map(choice => [String(choice.choiceId), choice.text]));
+      localized.choices = localized.choices.map(choice => ({
+        ...choice,
+        text: texts.get(String(choice._id)) || choice.text
+      }));
+    }
+
+    return localized;
+  }
+
+  localizeAll(questions, locale) {
+    return questions.map(question => this.localize(question, locale));
+  }
+
+  // The source choice a vote is for. Clients send the choice _id, or its text in the
+  // request's locale; text from the source or another locale is accepted as well, so a
+  // page loaded before a language switch still votes for the right choice.
+  resolveChoice(question, { choiceId, choice } = {}) {
+    const choices = question.choices || [];
+
+    if (choiceId) {
+      return choices.find(option => String(option._id) === String(choiceId)) || null;
+    }
+    if (typeof choice !== 'string') return null;
+
+    const source = choices.find(option => option.text === choice);
+    if (source) return source;
+
+    for (const translation of question.translations || []) {
+      const match = (translation.choices || []).find(option => option.text === choice);
+      if (match) {
+        return choices.find(option => String(option._id) === String(match.choiceId)) || null;
+      }
+    }
+    return null;
+  }
+
+  // Votes are stored against the source text; this is how a voter reading in locale sees it
+  choiceText(question, sourceText, locale) {
+    if (!sourceText || locale === SOURCE_LOCALE) return sourceText;
+
+    const source = (question.choices || []).find(choice => choice.text === sourceText);
+    const translation = source && this.findTranslation(question, locale);
+    const match = translation && (translation.choices || [])
+      .find(choice => String(choice.choiceId) === String(source._id));
+
+    return (match && match.text) || sourceText;
+  }
+
+  // Add or replace the translation for a locale. Choices are matched to the source by choiceId.
+  setTranslation(question, locale, { title, questionText, choices = [] }) {
+    const translation = {
+      locale,
+      title,
+      questionText,
+      choices: choices.map(choice => ({ choiceId: choice.choiceId, text: choice.text })),
+      sourceHash: this.sourceHash(question),
+      updatedAt: new Date()
+    };
+
+    const index = (question.translations || []).findIndex(entry => entry.locale === locale);
+    if (index >= 0) {
+      question.translations.set(index, translation);
+    } else {
+      question.translations.push(translation);
+    }
+
+    return this.findTranslation(question, locale);
+  }
+
+  removeTranslation(question, locale) {
+    const existing = this.findTranslation(question, locale);
+    if (existing) {
+      question.translations.pull(existing);
+    }
+    return existing;
+  }
+
+  // Translation status of every question: counts per locale, plus the questions filtered by
+  // locale and status. Statuses depend on the source text, so they are worked out here
+  // rather than stored; questions are few enough to check in one pass.
+  async getReport({ locale = null, status = null, page = 1, limit = 20 } = {}) {
+    const locales = this.getTargetLocales();
+    const questions = await Question.find()
+      .sort({ createdAt: -1 })
+      .select('title slug category questionType questionText choices translations status createdAt')
+      .lean();
+
+    const summary = locales.reduce((counts, code) => {
+      counts[code] = Question.TRANSLATION_STATUSES.reduce((byStatus, name) => ({ ...byStatus, [name]: 0 }), {});
+      return counts;
+    }, {});
+
+    const rows = questions.map(question => {
+      const translations = locales.reduce((statuses, code) => {
+        statuses[code] = this.getStatus(question, code);
+        summary[code][statuses[code]] += 1;
+        return statuses;
+      }, {});
+
+      return {
+        _id: question._id,
+        title: question.title,
+        slug: question.slug,
+        category: question.category,
+        questionType: question.questionType,
+        status: question.status,
+        translations
+      };
+    });
+
+    const filtered = rows.filter(row => {
+      const checked = locale ? [locale] : locales;
+      return !status || checked.some(code => row.translations[code] === status);
+    });
+
+    return {
+      locales,
+      totalQuestions: questions.length,
+      summary,
+      questions: filtered.slice((page - 1) * limit, page * limit),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(filtered.length / limit),
+        totalQuestions: filtered.length,
+        questionsPerPage: limit
+      }
+    };
+  }
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,119 @@
+const Question = require('../models/Question');
+const Subscriber = require('../models/Subscriber');
+const View = require('../models/View');
+const Response = require('../models/Response');
+const Reply = require('../models/Reply');
+const Reaction = require('../models/Reaction');
+const Report = require('../models/Report');
+const Delivery = require('../models/Delivery');
+const OutboxMessage = require('../models/OutboxMessage');
+const EmailEvent = require('../models/EmailEvent');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// What can be trashed, and what goes with it when it is purged
+const TRASH_TYPES = {
+  questions: {
+    model: Question,
+    select: 'title slug category questionType status deletedAt createdAt responseCount',
+    purgeRelated: (question) => Promise.all(
+      [View, Response, Reply, Reaction, Report, Delivery].map(model => model.deleteMany({ question: question._id }))
+    )
+  },
+  subscribers: {
+    model: Subscriber,
+    select: 'email isActive subscribedAt deletedAt',
+    purgeRelated: (subscriber) => Promise.all(
+      [Delivery, OutboxMessage, EmailEvent].map(model => model.deleteMany({ subscriber: subscriber._id }))
+    )
+  }
+};
+
+class TrashService {
+  // Trashed documents are purged after this many days
+  getRetentionDays() {
+    return Math.max(parseInt(process.env.TRASH_RETENTION_DAYS) || 30, 1);
+  }
+
+  // When a document trashed at deletedAt will be purged
+  getPurgeAt(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.getRetentionDays() * DAY);
+  }
+
+  // Resolves to the trashed document, or null when it does not exist or is already in the trash
+  trash(type, id) {
+    return TRASH_TYPES[type].model.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Resolves to the restored document, or null when it is not in the trash
+  restore(type, id) {
+    return TRASH_TYPES[type].model.findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+  }
+
+  async list(type, { page = 1, limit = 20 } = {}) {
+    const { model, select } = TRASH_TYPES[type];
+    const filter = { deletedAt: { $ne: null } };
+
+    const [items, total] = await Promise.all([
+      model.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(select)
+        .lean(),
+      model.countDocuments(filter)
+    ]);
+
+    return {
+      items: items.map(item => ({ ...item, purgeAt: this.getPurgeAt(item.deletedAt) })),
+      total
+    };
+  }
+
+  // Permanently delete a trashed document and the records that belong to it.
+  // Resolves to { document, related } or null when it is not in the trash.
+  async purge(type, id) {
+    const { model, purgeRelated } = TRASH_TYPES[type];
+
+    const document = await model.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+    if (!document) {
+      return null;
+    }
+
+    const results = await purgeRelated(document);
+    const related = results.reduce((total, result) => total + result.deletedCount, 0);
+
+    return { document, related };
+  }
+
+  // Purge everything that has been in the trash longer than the retention period.
+  // Resolves to { questions: [...], subscribers: [...] } of what was removed.
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.getRetentionDays() * DAY);
+    const purged = {};
+
+    for (const type of Object.keys(TRASH_TYPES)) {
+      const expired = await TRASH_TYPES[type].model.find({ deletedAt: { $ne: null, $lte: cutoff } })
+        .select('_id')
+        .lean();
+
+      purged[type] = [];
+      for (const { _id } of expired) {
+        const result = await this.purge(type, _id);
+        if (result) purged[type].push(result);
+      }
+    }
+
+    return purged;
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,68 @@
+const AuditEvent = require('../models/AuditEvent');
+const auditService = require('../services/auditService');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('auditService.record', () => {
+  test('records who did what to which target from the request', async () => {
+    const create = jest.spyOn(AuditEvent, 'create').mockImplementation(async (fields) => fields);
+    const req = {
+      admin: { _id: 'admin-1', email: 'editor@example.com', role: 'editor' },
+      ip: '203.0.113.1',
+      requestId: 'req-1',
+      get: () => 'TestBrowser/1.0'
+    };
+
+    await auditService.record(req, {
+      action: 'question.update',
+      target: { type: 'question', id: 'q1', label: 'Is it fine to lie?' },
+      ...auditService.diff({ title: 'Old', tags: ['a'] }, { title: 'New', tags: ['a'] })
+    });
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      actor: { type: 'admin', id: 'admin-1', name: 'editor@example.com' },
+      action: 'question.update',
+      target: { type: 'question', ids: ['q1'], label: 'Is it fine to lie?' },
+      before: { title: 'Old' },
+      after: { title: 'New' },
+      ipAddress: '203.0.113.1',
+      requestId: 'req-1'
+    });
+  });
+
+  test('never fails the action it records', async () => {
+    jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('not primary'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(auditService.record(null, { action: 'question.delete', target: { type: 'question', ids: ['q1'] } })).resolves.toBeNull();
+  });
+});
+
+describe('auditService.buildFilter', () => {
+  test('matches action prefixes literally and bounds the time range', () => {
+    const from = new Date('2026-03-01T00:00:00Z');
+
+    expect(auditService.buildFilter({ action: 'question.*', targetId: 'q1', from })).toEqual({
+      action: { $regex: '^question\\.' },
+      'target.ids': 'q1',
+      createdAt: { $gte: from }
+    });
+  });
+});
+
+describe('auditService.exportCsv', () => {
+  test('quotes cells and defuses spreadsheet formulas', async () => {
+    jest.spyOn(AuditEvent, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ lean: async () => [{
+        createdAt: new Date('2026-03-02T08:00:00Z'),
+        action: 'question.update',
+        actor: { type: 'admin', name: '=HYPERLINK("x")', id: 'admin-1' },
+        target: { type: 'question', ids: ['q1', 'q2'], label: 'Lying, ever?' }
+      }] }) })
+    });
+
+    const [, row] = (await auditService.exportCsv({})).split('\n');
+
+    expect(row).toBe('2026-03-02T08:00:00.000Z,question.update,admin,"\'=HYPERLINK(""x"")",admin-1,question,q1 q2,"Lying, ever?",,,,,');
+  });
+});
@@ -0,0 +1,84 @@
+const express = require('express');
+const request = require('supertest');
+const AdminUser = require('../models/AdminUser');
+const ApiKey = require('../models/ApiKey');
+const authRoutes = require('../routes/auth');
+const { requireScope, signAccessToken } = require('../middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/auth', authRoutes);
+app.get('/export', requireScope('analytics:export'), (req, res) => res.json({ success: true }));
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('requireScope', () => {
+  test('rejects requests without credentials', async () => {
+    const res = await request(app).get('/export');
+
+    expect(res.status).toBe(401);
+    expect(console.warn).toHaveBeenCalledWith('Access denied', expect.objectContaining({ reason: 'missing_credentials' }));
+  });
+
+  test('accepts an API key only for the scopes it was given', async () => {
+    const apiKey = new ApiKey({ name: 'Reporting', prefix: 'abcd1234', keyHash: 'hash', scopes: ['analytics:read'] });
+    jest.spyOn(ApiKey, 'findByKey').mockResolvedValue(apiKey);
+    jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+
+    const res = await request(app).get('/export').set('X-API-Key', 'mdk_abcd1234_secret');
+    expect(res.status).toBe(403);
+
+    apiKey.scopes.push('analytics:export');
+    await request(app).get('/export').set('X-API-Key', 'mdk_abcd1234_secret').expect(200);
+  });
+
+  test('checks an admin\'s role on every request', async () => {
+    const admin = new AdminUser({ email: 'staff@example.com', passwordHash: 'hash', role: 'moderator' });
+    jest.spyOn(AdminUser, 'findById').mockResolvedValue(admin);
+    const token = signAccessToken(admin);
+
+    await request(app).get('/export').set('Authorization', `Bearer ${token}`).expect(403);
+
+    admin.role = 'analyst';
+    await request(app).get('/export').set('Authorization', `Bearer ${token}`).expect(200);
+  });
+});
+
+describe('admin sessions', () => {
+  let admin;
+
+  beforeEach(async () => {
+    admin = new AdminUser({ email: 'editor@example.com', passwordHash: 'unset', role: 'editor' });
+    await admin.setPassword('correct horse');
+    jest.spyOn(AdminUser, 'findByEmail').mockImplementation(async (email) => (email === admin.email ? admin : null));
+    jest.spyOn(AdminUser, 'findById').mockResolvedValue(admin);
+    jest.spyOn(AdminUser.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  test('logs in with the right password only', async () => {
+    await request(app).post('/auth/login').send({ email: 'editor@example.com', password: 'wrong' }).expect(401);
+
+    const res = await request(app).post('/auth/login').send({ email: 'editor@example.com', password: 'correct horse' }).expect(200);
+    expect(res.body.data.user).toEqual(expect.objectContaining({ email: 'editor@example.com', role: 'editor' }));
+    expect(res.body.data.user).not.toHaveProperty('passwordHash');
+    expect(admin.sessions).toHaveLength(1);
+
+    await request(app).get('/auth/me').set('Authorization', `Bearer ${res.body.data.accessToken}`).expect(200);
+  });
+
+  test('rotates refresh tokens and revokes every session when an old one is reused', async () => {
+    const login = await request(app).post('/auth/login').send({ email: 'editor@example.com', password: 'correct horse' });
+    const { refreshToken } = login.body.data;
+
+    const refreshed = await request(app).post('/auth/refresh').send({ refreshToken }).expect(200);
+    expect(refreshed.body.data.refreshToken).not.toBe(refreshToken);
+
+    await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+    expect(admin.sessions).toHaveLength(0);
+    await request(app).post('/auth/refresh').send({ refreshToken: refreshed.body.data.refreshToken }).expect(401);
+  });
+});
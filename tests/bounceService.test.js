@@ -0,0 +1,118 @@
+const Subscriber = require('../models/Subscriber');
+const Suppression = require('../models/Suppression');
+const OutboxMessage = require('../models/OutboxMessage');
+const bounceService = require('../services/bounceService');
+
+const dsn = (recipients) => [
+  'Message-ID: <report-1@mx.example.net>',
+  'Content-Type: multipart/report; report-type=delivery-status; boundary="b"',
+  '',
+  '--b',
+  'Content-Type: message/delivery-status',
+  '',
+  'Reporting-MTA: dns; mx.example.net',
+  '',
+  ...recipients.flatMap(recipient => [...recipient, '']),
+  '--b',
+  'Content-Type: text/rfc822-headers',
+  '',
+  'Message-ID: <outbox.64b0000000000000000000aa@example.com>',
+  'Subject: A new question',
+  '',
+  '--b--'
+].join('\r\n');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('bounceService.classify', () => {
+  test('treats 5.x.x codes as hard bounces', () => {
+    expect(bounceService.classify('5.1.1')).toBe('hard_bounce');
+    expect(bounceService.classify('550 5.1.10 Recipient not found')).toBe('hard_bounce');
+  });
+
+  test('treats temporary failures and full or rejecting mailboxes as soft bounces', () => {
+    ['4.2.2', '5.2.2', '5.2.3', '5.3.4', '5.7.1', '', undefined].forEach(status => {
+      expect(bounceService.classify(status)).toBe('soft_bounce');
+    });
+  });
+
+  test('ignores success codes', () => {
+    expect(bounceService.classify('2.0.0')).toBeNull();
+  });
+});
+
+describe('bounceService.parseDsn', () => {
+  test('reads failed recipients and skips delayed ones', () => {
+    const { events, ignored } = bounceService.parseDsn(dsn([
+      [
+        'Final-Recipient: rfc822; <Reader@Example.com>',
+        'Action: failed',
+        'Status: 5.1.1 (bad destination mailbox)',
+        'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+        'Last-Attempt-Date: Mon, 2 Mar 2026 08:00:00 +0000'
+      ],
+      ['Final-Recipient: rfc822; later@example.com', 'Action: delayed', 'Status: 4.4.1']
+    ]));
+
+    expect(ignored).toBe(1);
+    expect(events).toEqual([{
+      type: 'hard_bounce',
+      email: 'reader@example.com',
+      status: '5.1.1',
+      diagnostic: '550 5.1.1 User unknown',
+      messageId: '<outbox.64b0000000000000000000aa@example.com>',
+      eventId: 'dsn:<report-1@mx.example.net>:reader@example.com',
+      occurredAt: new Date('2026-03-02T08:00:00Z'),
+      source: 'dsn'
+    }]);
+  });
+
+  test('unfolds long header lines', () => {
+    const { events } = bounceService.parseDsn(dsn([[
+      'Final-Recipient: rfc822; reader@example.com',
+      'Action: failed',
+      'Status: 5.2.2',
+      'Diagnostic-Code: smtp; 552 5.2.2 Mailbox full,',
+      '  try again later'
+    ]]));
+
+    expect(events[0]).toMatchObject({ type: 'soft_bounce', diagnostic: '552 5.2.2 Mailbox full, try again later' });
+  });
+
+  test('reads abuse reports as complaints', () => {
+    const { events } = bounceService.parseDsn([
+      'Message-ID: <arf-7@feedback.example.net>',
+      '',
+      'Feedback-Type: abuse',
+      'Original-Rcpt-To: reader@example.com',
+      'Arrival-Date: Mon, 2 Mar 2026 09:30:00 +0000'
+    ].join('\n'));
+
+    expect(events).toEqual([expect.objectContaining({
+      type: 'complaint',
+      email: 'reader@example.com',
+      eventId: 'arf:<arf-7@feedback.example.net>:reader@example.com',
+      source: 'arf'
+    })]);
+  });
+
+  test('rejects text without a report', () => {
+    expect(bounceService.parseDsn('Hello there')).toEqual({ error: 'No delivery status or feedback report found' });
+  });
+});
+
+describe('bounceService.suppress', () => {
+  test('deactivates the subscriber with the time it was unsubscribed and cancels queued mail', async () => {
+    jest.spyOn(Suppression, 'suppress').mockResolvedValue({ suppression: { email: 'reader@example.com' }, created: true });
+    const updateSubscribers = jest.spyOn(Subscriber, 'updateMany').mockReturnValue({
+      withDeleted: async () => ({ modifiedCount: 1 })
+    });
+    const updateMessages = jest.spyOn(OutboxMessage, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(bounceService.suppress('Reader@example.com', 'hard_bounce')).resolves.toMatchObject({ created: true, deactivated: 1 });
+
+    expect(updateSubscribers.mock.calls[0][1].$set).toEqual({ isActive: false, unsubscribedAt: expect.any(Date) });
+    expect(Subscriber.schema.path('unsubscribedAt')).toBeDefined();
+    expect(updateMessages.mock.calls[0][1].$set.status).toBe('cancelled');
+  });
+});
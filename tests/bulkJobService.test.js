@@ -0,0 +1,55 @@
+const BulkJob = require('../models/BulkJob');
+const bulkJobService = require('../services/bulkJobService');
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('bulkJobService.processAll', () => {
+  test('fails only the items whose handler throws and reports progress in batches', async () => {
+    const ids = Array.from({ length: 25 }, (_, index) => `q${index}`);
+    const onProgress = jest.fn().mockResolvedValue();
+
+    const results = await bulkJobService.processAll(ids, async (id) => {
+      if (id === 'q3') throw new Error('Question not found');
+      return id === 'q4' ? { status: 'skipped', message: 'Already featured' } : { status: 'ok' };
+    }, { onProgress });
+
+    expect(results[3]).toEqual({ id: 'q3', status: 'error', message: 'Question not found' });
+    expect(bulkJobService.summarize(results)).toEqual({ total: 25, succeeded: 23, skipped: 1, failed: 1 });
+    expect(onProgress.mock.calls.map(([batch]) => batch.length)).toEqual([20, 5]);
+  });
+
+  test('runs large selections in the background', () => {
+    expect(bulkJobService.runsInBackground(50)).toBe(false);
+    expect(bulkJobService.runsInBackground(51)).toBe(true);
+  });
+});
+
+describe('bulkJobService.process', () => {
+  test('counts results on the job and marks it completed', async () => {
+    const updateOne = jest.spyOn(BulkJob, 'updateOne').mockResolvedValue({});
+    const onComplete = jest.fn();
+
+    await bulkJobService.process('job', ['a', 'b'], async (id) => ({ status: id === 'a' ? 'ok' : 'skipped' }), onComplete);
+
+    const updates = updateOne.mock.calls.map(([, update]) => update);
+    expect(updates[0].$set.status).toBe('running');
+    expect(updates[1].$inc).toEqual({ processed: 2, succeeded: 1, skipped: 1, failed: 0 });
+    expect(updates[2].$set.status).toBe('completed');
+    expect(onComplete.mock.calls[0][0]).toHaveLength(2);
+  });
+});
+
+describe('bulkJobService.get', () => {
+  test('marks jobs that stopped reporting as failed', async () => {
+    const stale = { _id: 'job', status: 'running', updatedAt: new Date(Date.now() - 10 * 60 * 1000) };
+    jest.spyOn(BulkJob, 'findOne').mockReturnValue({ lean: async () => stale });
+    const markFailed = jest.spyOn(BulkJob, 'findOneAndUpdate').mockReturnValue({ lean: async () => ({ ...stale, status: 'failed' }) });
+
+    await expect(bulkJobService.get('job', 'questions')).resolves.toMatchObject({ status: 'failed' });
+    expect(markFailed.mock.calls[0][0]).toEqual({ _id: 'job', status: 'running', updatedAt: stale.updatedAt });
+  });
+});
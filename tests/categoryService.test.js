@@ -0,0 +1,48 @@
+const Category = require('../models/Category');
+const categoryService = require('../services/categoryService');
+
+const categories = [
+  { slug: 'ethics', displayName: 'Ethics', sortOrder: 2, isActive: true },
+  { slug: 'trolley', displayName: 'Trolley', sortOrder: 1, isActive: false }
+];
+
+const stubFind = () => jest.spyOn(Category, 'find').mockReturnValue({ lean: async () => categories.map(category => ({ ...category })) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  categoryService.invalidate();
+});
+
+describe('categoryService', () => {
+  test('tells active categories from ones that only still exist', async () => {
+    stubFind();
+
+    await expect(categoryService.isActive('Ethics')).resolves.toBe(true);
+    await expect(categoryService.isActive('trolley')).resolves.toBe(false);
+    await expect(categoryService.exists('trolley')).resolves.toBe(true);
+    await expect(categoryService.exists('unknown')).resolves.toBe(false);
+    await expect(categoryService.exists(['ethics'])).resolves.toBe(false);
+  });
+
+  test('loads the list once until it is invalidated', async () => {
+    const find = stubFind();
+
+    expect((await categoryService.getAll()).map(category => category.slug)).toEqual(['trolley', 'ethics']);
+    await categoryService.getActive();
+    expect(find).toHaveBeenCalledTimes(1);
+
+    categoryService.invalidate();
+    await categoryService.getAll();
+    expect(find).toHaveBeenCalledTimes(2);
+  });
+
+  test('creates only the missing default categories and drops the cached list', async () => {
+    stubFind();
+    await categoryService.getAll();
+    const bulkWrite = jest.spyOn(Category, 'bulkWrite').mockResolvedValue({ upsertedCount: 1 });
+
+    await expect(categoryService.ensureDefaults()).resolves.toBe(1);
+    expect(bulkWrite.mock.calls[0][0][0].updateOne.update).toHaveProperty('$setOnInsert');
+    expect(categoryService.categories).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+const Question = require('../models/Question');
+const Subscriber = require('../models/Subscriber');
+const Delivery = require('../models/Delivery');
+const OutboxMessage = require('../models/OutboxMessage');
+const Suppression = require('../models/Suppression');
+const emailService = require('../services/emailService');
+const digestService = require('../services/digestService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-09T08:00:00Z');
+const { transporter } = emailService;
+
+const question = (id, fields = {}) => ({
+  _id: id,
+  category: 'ethics',
+  tags: [],
+  publishedAt: new Date(now.getTime() - DAY / 2),
+  ...fields
+});
+
+const subscriber = (fields = {}) => ({
+  _id: 'subscriber',
+  email: 'reader@example.com',
+  categories: [],
+  tags: [],
+  lastDigestAt: new Date(now.getTime() - DAY),
+  ...fields
+});
+
+const stubReceived = ({ delivered = [], queued = [] } = {}) => {
+  jest.spyOn(Delivery, 'receivedBy').mockResolvedValue(new Set(delivered));
+  jest.spyOn(OutboxMessage, 'queuedFor').mockResolvedValue(new Set(queued));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  emailService.transporter = transporter;
+});
+
+describe('digestService.getSince', () => {
+  test('starts from the last digest, but looks back at most two periods', () => {
+    const lastDigestAt = new Date(now.getTime() - 3 * DAY);
+
+    expect(digestService.getSince(subscriber({ lastDigestAt }), 'weekly', now)).toEqual(lastDigestAt);
+    expect(digestService.getSince(subscriber({ lastDigestAt }), 'daily', now)).toEqual(new Date(now.getTime() - 2 * DAY));
+    expect(digestService.getSince(subscriber({ lastDigestAt: null, consent: { confirmedAt: lastDigestAt } }), 'weekly', now))
+      .toEqual(lastDigestAt);
+  });
+});
+
+describe('digestService.buildDigest', () => {
+  test('lists new questions the subscriber follows and hasn\'t received, then other trending ones', async () => {
+    stubReceived({ delivered: ['delivered'], queued: ['queued'] });
+    const recent = [
+      question('new', { tags: ['trust'] }),
+      question('old', { tags: ['trust'], publishedAt: new Date(now.getTime() - 2 * DAY) }),
+      question('delivered', { tags: ['trust'] }),
+      question('queued', { tags: ['trust'] }),
+      question('other', { category: 'science' })
+    ];
+    const trending = [recent[0], question('popular', { category: 'science', tags: ['trust'] })];
+
+    const digest = await digestService.buildDigest(subscriber({ tags: ['trust'] }), 'daily', { recent, trending }, now);
+
+    expect(digest.newQuestions.map(q => q._id)).toEqual(['new']);
+    expect(digest.trendingQuestions.map(q => q._id)).toEqual(['popular']);
+  });
+});
+
+describe('digestService.sendDigests', () => {
+  const stubSources = (subscribers, suppressed = []) => {
+    const recent = [question('new')];
+    jest.spyOn(Question, 'find')
+      .mockReturnValueOnce({ sort: () => ({ select: async () => recent }) })
+      .mockReturnValueOnce({ sort: () => ({ limit: () => ({ select: async () => [] }) }) });
+    jest.spyOn(Subscriber, 'findActiveForDigest').mockResolvedValue(subscribers);
+    jest.spyOn(Subscriber, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Suppression, 'suppressedAmong').mockResolvedValue(new Set(suppressed));
+    jest.spyOn(emailService, 'generateDigestEmail').mockReturnValue({ subject: 'Digest', html: '', text: '' });
+    jest.spyOn(emailService, 'personalize').mockImplementation((template, { email }) => ({ ...template, to: email }));
+    stubReceived();
+    return jest.spyOn(OutboxMessage, 'enqueueOne').mockResolvedValue({});
+  };
+
+  test('queues one digest per subscriber and day, skipping suppressed addresses', async () => {
+    emailService.transporter = {};
+    const enqueueOne = stubSources(
+      [subscriber(), subscriber({ _id: 'bounced', email: 'bounced@example.com' })],
+      ['bounced@example.com']
+    );
+
+    await expect(digestService.sendDigests('daily', now)).resolves.toEqual({ subscribers: 2, queued: 1, skipped: 1, failed: 0 });
+    expect(enqueueOne).toHaveBeenCalledWith(expect.objectContaining({
+      key: 'digest:daily:subscriber:2026-03-09',
+      kind: 'digest',
+      questions: ['new'],
+      to: 'reader@example.com'
+    }));
+    expect(Subscriber.updateOne).toHaveBeenCalledWith({ _id: 'subscriber' }, { $set: { lastDigestAt: now } });
+  });
+
+  test('refuses unknown frequencies and sends nothing without a mail transporter', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    emailService.transporter = null;
+
+    await expect(digestService.sendDigests('instant', now)).rejects.toThrow('Unknown digest frequency: instant');
+    await expect(digestService.sendDigests('weekly', now)).resolves.toEqual({ subscribers: 0, queued: 0, skipped: 0, failed: 0 });
+  });
+});
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const auditService = require('../services/auditService');
+const categoryService = require('../services/categoryService');
+const importService = require('../services/importService');
+
+const HEADER = 'title,category,questionText,choice1,choice2,tags\n';
+
+const row = (overrides = {}) => ({
+  title: 'Is it fine to lie?',
+  category: 'ethics',
+  questionText: 'Is it ever fine to lie to a friend?',
+  choices: [{ text: 'Yes' }, { text: 'No' }],
+  ...overrides
+});
+
+// Question.findOne(...).withDeleted() resolving to the question stored under each slug
+const stubQuestions = (bySlug) => jest.spyOn(Question, 'findOne').mockImplementation(({ slug }) => ({
+  withDeleted: async () => bySlug[slug] || null
+}));
+
+const existingQuestion = (fields = {}) => new Question({
+  title: 'Is it fine to lie?',
+  slug: 'is-it-fine-to-lie',
+  category: 'ethics',
+  questionText: 'Is it ever fine to lie to a friend?',
+  choices: [{ text: 'Yes', votes: 4 }, { text: 'No', votes: 0 }],
+  tags: ['honesty'],
+  difficulty: 'easy',
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(categoryService, 'isActive').mockResolvedValue(true);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('importService.parse (CSV)', () => {
+  test('reads quoted cells with commas, doubled quotes and line breaks', () => {
+    const csv = HEADER + '"Lying, ever?",ethics,"She said ""never""\nand meant it",Yes,No,"honesty, trust"\n';
+    const { rows } = importService.parse(csv, 'csv');
+
+    expect(rows).toEqual([{
+      row: 2,
+      data: {
+        title: 'Lying, ever?',
+        category: 'ethics',
+        questionText: 'She said "never"\nand meant it',
+        choices: [{ text: 'Yes' }, { text: 'No' }],
+        tags: ['honesty', 'trust']
+      }
+    }]);
+  });
+
+  test('numbers rows like the spreadsheet and skips blank ones', () => {
+    const csv = '\uFEFF' + HEADER + 'First question,ethics,Text one here,A,B,\r\n,,,,,\r\nSecond question,ethics,Text two here,A,B,';
+    const { rows } = importService.parse(csv, 'csv');
+
+    expect(rows.map(({ row }) => row)).toEqual([2, 4]);
+    expect(rows[0].data.title).toBe('First question');
+    expect(rows[0].data).not.toHaveProperty('tags');
+  });
+
+  test('rejects an unclosed quote and a file without questions', () => {
+    expect(importService.parse(HEADER + '"Never closed,ethics\n', 'csv'))
+      .toEqual({ error: 'Invalid CSV: a quoted cell is never closed' });
+    expect(importService.parse(HEADER, 'csv')).toEqual({ error: 'The file has no questions' });
+  });
+});
+
+describe('importService.plan', () => {
+  test('creates new questions and skips slugs that are taken', async () => {
+    stubQuestions({ 'is-it-fine-to-lie': existingQuestion() });
+
+    const results = await importService.plan([
+      { row: 1, data: row() },
+      { row: 2, data: row({ title: 'A brand new question' }) },
+      { row: 3, data: row({ title: 'A brand new question' }) }
+    ]);
+
+    expect(results.map(({ action, reason }) => [action, reason])).toEqual([
+      ['skip', 'A question with this slug already exists'],
+      ['create', undefined],
+      ['skip', 'An earlier row uses the same slug']
+    ]);
+  });
+
+  test('renames to the next free slug', async () => {
+    stubQuestions({ 'is-it-fine-to-lie': existingQuestion(), 'is-it-fine-to-lie-1': existingQuestion() });
+
+    const [result] = await importService.plan([{ row: 1, data: row() }], { onConflict: 'rename' });
+    expect(result).toMatchObject({ action: 'rename', slug: 'is-it-fine-to-lie-2' });
+  });
+
+  test('refuses updates that drop choices with votes or touch questions in the trash', async () => {
+    const trashed = existingQuestion({ slug: 'in-the-trash', deletedAt: new Date() });
+    stubQuestions({ 'is-it-fine-to-lie': existingQuestion(), 'in-the-trash': trashed });
+
+    const results = await importService.plan([
+      { row: 1, data: row({ choices: [{ text: 'No' }, { text: 'Maybe' }] }) },
+      { row: 2, data: row({ slug: 'in-the-trash' }) }
+    ], { onConflict: 'update' });
+
+    expect(results[0].errors).toEqual(['Choices with votes cannot be removed: "Yes"']);
+    expect(results[1].errors).toEqual(['A question with this slug is in the trash; restore or purge it first']);
+  });
+
+  test('reports validation errors per row', async () => {
+    stubQuestions({});
+
+    const [result] = await importService.plan([{ row: 1, data: row({ difficulty: 'impossible' }) }]);
+    expect(result.action).toBe('error');
+    expect(result.errors).toEqual(['"difficulty" must be one of [easy, medium, hard]']);
+  });
+});
+
+describe('importService.applyUpdate', () => {
+  test('changes the metadata the row sets and keeps votes on unchanged choices', async () => {
+    stubQuestions({ 'is-it-fine-to-lie': existingQuestion() });
+    const data = row({ tags: ['Trust'], estimatedReadTime: '5' });
+
+    const [result] = await importService.plan([{ row: 1, data }], { onConflict: 'update' });
+    const question = importService.applyUpdate(result);
+
+    expect(question.tags).toEqual(['trust']);
+    expect(question.estimatedReadTime).toBe(5);
+    expect(question.difficulty).toBe('easy');
+    expect(question.choices.map(({ text, votes }) => [text, votes])).toEqual([['Yes', 4], ['No', 0]]);
+  });
+});
+
+describe('importService.run', () => {
+  test('saves updates without overwriting votes and reports edits that got in first', async () => {
+    stubQuestions({ 'is-it-fine-to-lie': existingQuestion() });
+    const versionError = new mongoose.Error.VersionError(existingQuestion(), 0, ['choices']);
+    const save = jest.spyOn(Question.prototype, 'saveKeepingVotes').mockRejectedValue(versionError);
+
+    const report = await importService.run([{ row: 1, data: row() }], { onConflict: 'update' });
+
+    expect(save).toHaveBeenCalledWith({ session: null });
+    expect(report.rows[0]).toMatchObject({ action: 'error', errors: ['The question was changed while importing'] });
+  });
+
+  test('imports nothing and says so when the database does not support transactions', async () => {
+    stubQuestions({});
+    const record = jest.spyOn(auditService, 'record');
+    jest.spyOn(mongoose.connection, 'transaction').mockRejectedValue(Object.assign(
+      new Error('Transaction numbers are only allowed on a replica set member or mongos'),
+      { code: 20, codeName: 'IllegalOperation' }
+    ));
+
+    const report = await importService.run([{ row: 1, data: row() }], { transactional: true });
+
+    expect(report).toMatchObject({ transactionsUnsupported: true, imported: false });
+    expect(report.error).toMatch(/without transactional mode/);
+    expect(record).not.toHaveBeenCalled();
+  });
+});
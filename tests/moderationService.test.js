@@ -0,0 +1,56 @@
+const Response = require('../models/Response');
+const ModerationSettings = require('../models/ModerationSettings');
+const moderationService = require('../services/moderationService');
+
+// Settings as an admin saved them, with screening off so only the mode decides
+const stubSettings = (mode) => jest.spyOn(ModerationSettings, 'findOne')
+  .mockResolvedValue(new ModerationSettings({ mode, screening: { enabled: false } }));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  moderationService.settings = null;
+});
+
+describe('moderationService.screenSubmission', () => {
+  test('holds submissions for review under pre-moderation and approves them otherwise', async () => {
+    stubSettings('pre_moderation');
+    await expect(moderationService.screenSubmission('I would pull the lever')).resolves.toEqual({ moderationStatus: 'pending' });
+
+    moderationService.settings = null;
+    stubSettings('auto_approve');
+    await expect(moderationService.screenSubmission('I would pull the lever')).resolves.toEqual({ moderationStatus: 'approved' });
+  });
+
+  test('reuses the loaded settings for a minute', async () => {
+    const findOne = stubSettings('auto_approve');
+
+    await moderationService.screenSubmission('First');
+    await moderationService.screenSubmission('Second');
+
+    expect(findOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('moderationService queue', () => {
+  test('records who moderated the responses and why', async () => {
+    const updateMany = jest.spyOn(Response, 'updateMany').mockResolvedValue({ matchedCount: 2, modifiedCount: 1 });
+
+    await expect(moderationService.moderate(['a', 'b'], 'rejected', { adminId: 'admin', reason: 'Off topic' }))
+      .resolves.toEqual({ matched: 2, modified: 1 });
+    expect(updateMany.mock.calls[0][1].$set).toMatchObject({ moderationStatus: 'rejected', moderatedBy: 'admin', moderationReason: 'Off topic' });
+  });
+
+  test('counts every status, including ones with no responses', async () => {
+    jest.spyOn(Response, 'aggregate').mockResolvedValue([{ _id: 'pending', count: 4 }, { _id: 'approved', count: 9 }]);
+
+    await expect(moderationService.getStatusCounts()).resolves.toEqual({ pending: 4, approved: 9, rejected: 0, flagged: 0 });
+  });
+
+  test('updates only the settings that changed', async () => {
+    const findOneAndUpdate = jest.spyOn(ModerationSettings, 'findOneAndUpdate').mockResolvedValue({});
+
+    await moderationService.updateSettings({ mode: 'pre_moderation', screening: { spam: { weight: 10 } } }, 'admin');
+
+    expect(findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ mode: 'pre_moderation', 'screening.spam.weight': 10 });
+  });
+});
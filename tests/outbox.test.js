@@ -0,0 +1,119 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const Delivery = require('../models/Delivery');
+const Subscriber = require('../models/Subscriber');
+const Suppression = require('../models/Suppression');
+const emailService = require('../services/emailService');
+const outboxService = require('../services/outboxService');
+
+const duplicateKey = (insertedDocs) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, insertedDocs });
+
+const claimed = (fields = {}) => ({
+  _id: '64b0000000000000000000aa',
+  key: 'question:64b000000000000000000001:64b000000000000000000002',
+  kind: 'question',
+  subscriber: '64b000000000000000000002',
+  questions: ['64b000000000000000000001'],
+  to: 'reader@example.com',
+  attempts: 1,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.OUTBOX_RETRY_BASE_SECONDS;
+  delete process.env.OUTBOX_MAX_ATTEMPTS;
+});
+
+describe('OutboxMessage.enqueue', () => {
+  test('counts only the messages whose key was not queued before', async () => {
+    jest.spyOn(OutboxMessage, 'insertMany').mockRejectedValue(duplicateKey([{ key: 'b' }]));
+
+    await expect(OutboxMessage.enqueue([{ key: 'a' }, { key: 'b' }])).resolves.toBe(1);
+    expect(OutboxMessage.insertMany.mock.calls[0][1]).toEqual({ ordered: false });
+  });
+
+  test('queues nothing for an empty batch and passes other errors on', async () => {
+    const insertMany = jest.spyOn(OutboxMessage, 'insertMany').mockRejectedValue(new Error('not primary'));
+
+    await expect(OutboxMessage.enqueue([])).resolves.toBe(0);
+    expect(insertMany).not.toHaveBeenCalled();
+    await expect(OutboxMessage.enqueue([{ key: 'a' }])).rejects.toThrow('not primary');
+  });
+
+  test('enqueueOne returns the earlier message when an upsert races for the key', async () => {
+    const earlier = { key: 'digest:daily:1:2026-03-02' };
+    jest.spyOn(OutboxMessage, 'findOneAndUpdate').mockRejectedValue(duplicateKey());
+    jest.spyOn(OutboxMessage, 'findOne').mockResolvedValue(earlier);
+
+    await expect(OutboxMessage.enqueueOne(earlier)).resolves.toBe(earlier);
+  });
+});
+
+describe('outboxService retries', () => {
+  test('doubles the wait after each failure, up to six hours', () => {
+    process.env.OUTBOX_RETRY_BASE_SECONDS = '60';
+
+    expect([1, 2, 3].map(attempts => outboxService.getRetryDelay(attempts))).toEqual([60000, 120000, 240000]);
+    expect(outboxService.getRetryDelay(20)).toBe(6 * 60 * 60 * 1000);
+  });
+
+  test('schedules a retry until the last attempt, then dead-letters the message', async () => {
+    process.env.OUTBOX_MAX_ATTEMPTS = '3';
+    const updateOne = jest.spyOn(OutboxMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(outboxService.fail(claimed({ attempts: 2 }), new Error('421 try later'))).resolves.toBe('retried');
+    expect(updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'pending', lastError: '421 try later' });
+
+    await expect(outboxService.fail(claimed({ attempts: 3 }), new Error('421 try later'))).resolves.toBe('dead');
+    expect(updateOne.mock.calls[1][1].$set).toMatchObject({ status: 'dead', deadAt: expect.any(Date) });
+  });
+
+  test('dead-letters messages left marked as sending rather than sending them again', async () => {
+    const now = new Date('2026-03-02T08:00:00Z');
+    const updateMany = jest.spyOn(OutboxMessage, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(outboxService.recoverStale(now)).resolves.toBe(2);
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ status: 'sending', lockedAt: { $lt: new Date('2026-03-02T07:55:00Z') } });
+    expect(update.$set.status).toBe('dead');
+  });
+});
+
+describe('outboxService.deliver', () => {
+  const stubSend = ({ active = true, suppressed = false } = {}) => {
+    jest.spyOn(Subscriber, 'exists').mockResolvedValue(active ? { _id: 'subscriber' } : null);
+    jest.spyOn(Subscriber, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Suppression, 'isSuppressed').mockResolvedValue(suppressed);
+    jest.spyOn(OutboxMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(emailService, 'sendMessage').mockResolvedValue({});
+    return jest.spyOn(Delivery, 'record').mockResolvedValue();
+  };
+
+  test('records the deliveries once the message is sent', async () => {
+    const record = stubSend();
+    const message = claimed({ kind: 'digest', key: 'digest:weekly:64b000000000000000000002:2026-03-02' });
+
+    await expect(outboxService.deliver(message)).resolves.toBe('sent');
+    expect(record).toHaveBeenCalledWith([{
+      subscriber: message.subscriber,
+      question: message.questions[0],
+      channel: 'weekly',
+      sentAt: expect.any(Date)
+    }]);
+  });
+
+  test('records nothing for cancelled or failed messages', async () => {
+    const record = stubSend({ active: false });
+    await expect(outboxService.deliver(claimed())).resolves.toBe('cancelled');
+
+    emailService.sendMessage.mockRejectedValue(new Error('550 rejected'));
+    Subscriber.exists.mockResolvedValue({ _id: 'subscriber' });
+    await expect(outboxService.deliver(claimed())).resolves.toBe('retried');
+
+    expect(record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+const Question = require('../models/Question');
+const emailService = require('../services/emailService');
+const outboxService = require('../services/outboxService');
+const revisionService = require('../services/revisionService');
+const publishingService = require('../services/publishingService');
+
+const now = new Date('2026-03-02T08:00:00Z');
+const question = { _id: '64b000000000000000000001' };
+
+// The atomic claim succeeds, and the update after queuing is captured
+const stubClaim = (claimed = question) => {
+  jest.spyOn(Question, 'findOneAndUpdate').mockResolvedValue(claimed);
+  jest.spyOn(outboxService, 'wake').mockImplementation(() => {});
+  return jest.spyOn(Question, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('publishingService.notifyOnce', () => {
+  test('marks the question notified only after the emails are queued', async () => {
+    const updateOne = stubClaim();
+    jest.spyOn(emailService, 'notifySubscribers').mockResolvedValue({ total: 2, queued: 2, skipped: 0 });
+
+    await expect(publishingService.notifyOnce(question, now)).resolves.toEqual({ total: 2, queued: 2, skipped: 0 });
+
+    expect(Question.findOneAndUpdate.mock.calls[0][1]).toEqual({ $set: { notifyClaimedAt: now } });
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: question._id, notifyClaimedAt: now });
+    expect(update.$set).toMatchObject({ notifiedAt: expect.any(Date), notifyClaimedAt: null });
+  });
+
+  test('releases the claim when queuing fails part way', async () => {
+    const updateOne = stubClaim();
+    jest.spyOn(emailService, 'notifySubscribers').mockRejectedValue(new Error('connection lost'));
+
+    await expect(publishingService.notifyOnce(question, now)).rejects.toThrow('connection lost');
+    expect(updateOne.mock.calls[0][1]).toEqual({ $set: { notifyClaimedAt: null } });
+  });
+
+  test('releases the claim when email is not configured', async () => {
+    const updateOne = stubClaim();
+    jest.spyOn(emailService, 'notifySubscribers').mockResolvedValue(undefined);
+
+    await expect(publishingService.notifyOnce(question, now)).resolves.toBeNull();
+    expect(updateOne.mock.calls[0][1]).toEqual({ $set: { notifyClaimedAt: null } });
+    expect(outboxService.wake).not.toHaveBeenCalled();
+  });
+
+  test('does nothing when another publisher holds the claim', async () => {
+    const updateOne = stubClaim(null);
+    const notifySubscribers = jest.spyOn(emailService, 'notifySubscribers');
+
+    await expect(publishingService.notifyOnce(question, now)).resolves.toBeNull();
+    expect(notifySubscribers).not.toHaveBeenCalled();
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('publishingService.notifyPending', () => {
+  test('retries recent questions whose claim was released or expired', async () => {
+    stubClaim();
+    emailService.transporter = {};
+    const find = jest.spyOn(Question, 'find').mockReturnValue({ select: async () => [question] });
+    jest.spyOn(emailService, 'notifySubscribers').mockResolvedValue({ total: 1, queued: 1, skipped: 0 });
+
+    try {
+      await expect(publishingService.notifyPending(now)).resolves.toBe(1);
+    } finally {
+      emailService.transporter = null;
+    }
+
+    const filter = find.mock.calls[0][0];
+    expect(filter).toMatchObject({ status: 'published', notifiedAt: null });
+    expect(filter.$or[1].notifyClaimedAt.$lt).toEqual(new Date('2026-03-02T07:50:00Z'));
+    expect(filter.publishedAt.$gte).toEqual(new Date('2026-03-01T08:00:00Z'));
+  });
+});
+
+describe('publishingService.publishDue', () => {
+  test('publishes due questions as of their scheduled time, skipping ones another run took', async () => {
+    const publishAt = new Date('2026-03-02T07:30:00Z');
+    const due = [{ _id: 'a', publishAt }, { _id: 'b', publishAt }];
+    jest.spyOn(Question, 'find').mockReturnValue({ sort: () => ({ select: async () => due }) });
+    const claim = jest.spyOn(Question, 'findOneAndUpdate').mockImplementation(async ({ _id }) => (
+      _id === 'a' ? new Question({ _id: '64b000000000000000000001', title: 'Due', status: 'published', publishedAt: publishAt }) : null
+    ));
+    const record = jest.spyOn(revisionService, 'record').mockResolvedValue();
+    const notifyOnce = jest.spyOn(publishingService, 'notifyOnce').mockResolvedValue(null);
+
+    const published = await publishingService.publishDue(now);
+
+    expect(published.map(question => question.title)).toEqual(['Due']);
+    expect(claim.mock.calls[0][0]).toEqual({ _id: 'a', status: 'scheduled', publishAt: { $lte: now } });
+    expect(claim.mock.calls[0][1].$set).toMatchObject({ status: 'published', publishedAt: publishAt, publishAt: null });
+    expect(record.mock.calls[0][1]).toMatchObject({ action: 'publish', previous: { status: 'scheduled' } });
+    expect(notifyOnce).toHaveBeenCalledTimes(1);
+  });
+
+  test('lists only published questions publicly', () => {
+    expect(Question.published({ category: 'ethics' })).toEqual({ category: 'ethics', status: 'published' });
+  });
+});
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const View = require('../models/View');
+const Response = require('../models/Response');
+const categoryService = require('../services/categoryService');
+
+const [yes, no, maybe] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+// The question as the collection holds it. Saves only match while every choice has the votes
+// the document read, as the filter saveKeepingVotes adds asks for.
+let stored;
+
+const copy = () => ({ ...stored, choices: stored.choices.map(choice => ({ ...choice })) });
+
+const matches = (choice, { _id, votes }) =>
+  (_id.$nin ? !_id.$nin.some(id => id.equals(choice._id)) : _id.equals(choice._id)) &&
+  ('$gt' in votes ? choice.votes > votes.$gt : choice.votes !== votes.$ne);
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    __v: 0,
+    title: 'The trolley problem',
+    questionText: 'Would you pull the lever?',
+    category: 'ethics',
+    slug: 'the-trolley-problem',
+    questionType: 'multiple_choice',
+    choices: [{ _id: yes, text: 'Yes', votes: 3 }, { _id: no, text: 'No', votes: 0 }, { _id: maybe, text: 'Maybe', votes: 0 }]
+  };
+  jest.spyOn(categoryService, 'exists').mockResolvedValue(true);
+  jest.spyOn(Question.collection, 'findOne').mockImplementation(async () => copy());
+  jest.spyOn(Question.collection, 'updateOne').mockImplementation(async (filter, update) => {
+    const clauses = filter.choices.$not.$elemMatch.$or;
+    if (filter.__v !== stored.__v || stored.choices.some(choice => clauses.some(clause => matches(choice, clause)))) {
+      return { matchedCount: 0 };
+    }
+    stored = { ...stored, ...update.$set, __v: stored.__v + 1 };
+    return { matchedCount: 1 };
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const read = () => Question.hydrate(copy());
+const texts = () => stored.choices.map(({ text, votes }) => ({ text, votes }));
+
+describe('Question#saveKeepingVotes', () => {
+  test('keeps votes cast between reading the question and saving the edit', async () => {
+    const question = read();
+    stored.choices[0].votes = 5;
+
+    question.choices = [{ _id: yes, text: 'Yes, always', votes: 3 }, { _id: no, text: 'No', votes: 0 }, { text: 'It depends', votes: 0 }];
+    await question.saveKeepingVotes();
+
+    expect(texts()).toEqual([{ text: 'Yes, always', votes: 5 }, { text: 'No', votes: 0 }, { text: 'It depends', votes: 0 }]);
+    expect(Question.collection.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('refuses to remove a choice that was voted for meanwhile', async () => {
+    const question = read();
+    stored.choices[2].votes = 1;
+
+    question.choices = [{ _id: yes, text: 'Yes', votes: 3 }, { _id: no, text: 'No', votes: 0 }];
+    await expect(question.saveKeepingVotes()).rejects.toThrow(mongoose.Error.VersionError);
+
+    expect(texts()).toEqual([{ text: 'Yes', votes: 3 }, { text: 'No', votes: 0 }, { text: 'Maybe', votes: 1 }]);
+  });
+
+  test('fails when another edit was saved first', async () => {
+    const question = read();
+    stored.__v = 1;
+
+    question.choices = [{ _id: no, text: 'No', votes: 0 }, { _id: yes, text: 'Yes', votes: 3 }];
+    await expect(question.saveKeepingVotes()).rejects.toThrow(mongoose.Error.VersionError);
+  });
+});
+
+describe('Question views and responses', () => {
+  test('records a view in the views collection and counts it on the question', async () => {
+    const create = jest.spyOn(View, 'create').mockResolvedValue({});
+    const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+    const question = read();
+
+    await question.recordView('203.0.113.1', 'TestBrowser/1.0');
+
+    expect(create.mock.calls[0][0]).toMatchObject({ question: question._id, ipAddress: '203.0.113.1' });
+    expect(updateOne).toHaveBeenCalledWith({ _id: question._id }, { $inc: { viewCount: 1 } });
+    expect(question.viewCount).toBe(1);
+  });
+
+  test('stores a vote as its own response and counts it atomically on the question', async () => {
+    jest.spyOn(Response, 'findOne').mockReturnValue({ sort: async () => null });
+    const create = jest.spyOn(Response, 'create').mockImplementation(async (fields) => fields);
+    const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+    const question = read();
+
+    const { response, previousChoice } = await question.addMultipleChoiceResponse('Yes', 'Five is more than one', '203.0.113.1', '', {
+      visitor: { id: 'visitor-0123456789ab', fingerprint: 'print' }
+    });
+
+    expect(previousChoice).toBeNull();
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(response).toMatchObject({ question: question._id, choice: 'Yes', visitorId: 'visitor-0123456789ab' });
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: question._id, 'choices.text': 'Yes' },
+      { $inc: { 'choices.$.votes': 1, responseCount: 1 } }
+    );
+    expect(question.choices[0].votes).toBe(4);
+  });
+});
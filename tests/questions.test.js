@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+const Reply = require('../models/Reply');
+const moderationService = require('../services/moderationService');
+const { createToken } = require('../middleware/visitor');
+const questionRoutes = require('../routes/questions');
+
+const app = express();
+app.use(express.json());
+app.use('/questions', questionRoutes);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /questions filters', () => {
+  test('reads comma separated and repeated list values and includes the whole last day', async () => {
+    const getLatest = jest.spyOn(Question, 'getLatest').mockResolvedValue([]);
+
+    await request(app)
+      .get('/questions?tags=Trust, honesty&tags=lies&difficulty=easy,medium&minReadTime=2&createdBefore=2026-03-02')
+      .expect(200);
+
+    expect(getLatest.mock.calls[0][1].$and).toEqual([
+      { tags: { $in: ['trust', 'honesty', 'lies'] } },
+      { difficulty: { $in: ['easy', 'medium'] } },
+      { estimatedReadTime: { $gte: 2 } },
+      { createdAt: { $lte: new Date('2026-03-02T23:59:59.999Z') } }
+    ]);
+  });
+
+  test('rejects unknown difficulties and inverted ranges', async () => {
+    const getLatest = jest.spyOn(Question, 'getLatest').mockResolvedValue([]);
+
+    await request(app).get('/questions?difficulty=impossible').expect(400);
+    await request(app).get('/questions?minReadTime=10&maxReadTime=5').expect(400);
+    expect(getLatest).not.toHaveBeenCalled();
+  });
+});
+
+describe('Question.applyFilters', () => {
+  test('leaves out the excluded dimensions so facets can count their other values', () => {
+    const filters = { tags: ['trust'], difficulty: ['hard'], category: 'Ethics' };
+
+    expect(Question.applyFilters({ status: 'published' }, filters, ['difficulty'])).toEqual({
+      status: 'published',
+      $and: [{ category: 'ethics' }, { tags: { $in: ['trust'] } }]
+    });
+    expect(Question.applyFilters({ status: 'published' }, {})).toEqual({ status: 'published' });
+  });
+});
+
+describe('POST /questions/:category/:slug/responses/:responseId/replies', () => {
+  const responseId = '64b0000000000000000000aa';
+  const parentId = '64b0000000000000000000bb';
+  const url = `/questions/ethics/the-trolley-problem/responses/${responseId}/replies`;
+  const token = createToken('visitor-0123456789ab');
+
+  // An approved response with an approved reply at parentDepth under it
+  const stubThread = (parentDepth) => {
+    jest.spyOn(Question, 'findByCategoryAndSlug').mockResolvedValue({ _id: 'question' });
+    jest.spyOn(Response, 'findOne').mockResolvedValue({ _id: responseId, question: 'question' });
+    jest.spyOn(Reply, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ depth: parentDepth }) }) });
+    jest.spyOn(moderationService, 'screenSubmission').mockResolvedValue({ moderationStatus: 'pending' });
+    return jest.spyOn(Reply, 'create').mockImplementation(async (fields) => ({ _id: 'reply', timestamp: new Date(), ...fields }));
+  };
+
+  test('nests a reply one level below the reply it answers and holds it for moderation', async () => {
+    const create = stubThread(1);
+
+    const res = await request(app).post(url).set('X-Visitor-Token', token)
+      .send({ text: 'The five would agree with you', parentId })
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({ reply: { depth: 2, parent: parentId }, moderationStatus: 'pending' });
+    expect(create.mock.calls[0][0]).toMatchObject({ response: responseId, visitorId: 'visitor-0123456789ab' });
+  });
+
+  test('refuses to nest deeper than the limit', async () => {
+    const create = stubThread(Reply.MAX_DEPTH);
+
+    await request(app).post(url).set('X-Visitor-Token', token)
+      .send({ text: 'One reply too many for this thread', parentId })
+      .expect(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+const Reaction = require('../models/Reaction');
+const Response = require('../models/Response');
+const reactionService = require('../services/reactionService');
+
+describe('Reaction.tally', () => {
+  test('counts one positive vote per visitor however many positive reactions they gave', () => {
+    expect(Reaction.tally([
+      { visitorId: 'a', type: 'insightful' },
+      { visitorId: 'a', type: 'agree' },
+      { visitorId: 'b', type: 'agree' },
+      { visitorId: 'c', type: 'disagree' }
+    ])).toEqual({ positive: 2, negative: 1 });
+  });
+
+  test('counts a visitor who found a response insightful but disagreed both ways', () => {
+    expect(Reaction.tally([
+      { visitorId: 'a', type: 'insightful' },
+      { visitorId: 'a', type: 'disagree' }
+    ])).toEqual({ positive: 1, negative: 1 });
+  });
+
+  test('is empty without reactions', () => {
+    expect(Reaction.tally([])).toEqual({ positive: 0, negative: 0 });
+  });
+});
+
+describe('Response.wilsonScore', () => {
+  test('is 0 without votes', () => {
+    expect(Response.wilsonScore()).toBe(0);
+    expect(Response.wilsonScore({ positive: 0, negative: 0 })).toBe(0);
+  });
+
+  test('ranks many mostly positive votes above a few unanimous ones', () => {
+    const few = Response.wilsonScore({ positive: 2, negative: 0 });
+    const many = Response.wilsonScore({ positive: 90, negative: 10 });
+    expect(many).toBeGreaterThan(few);
+  });
+
+  test('stays between 0 and 1 and rounds to four decimals', () => {
+    const score = Response.wilsonScore({ positive: 7, negative: 3 });
+    expect(score).toBeGreaterThan(0);
+    expect(score).toBeLessThan(0.7);
+    expect(Math.round(score * 10000) / 10000).toBe(score);
+    expect(Response.wilsonScore({ positive: 0, negative: 5 })).toBe(0);
+  });
+});
+
+describe('reactionService.scoreResponse', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('gives a visitor who reacted insightful and agree the score of a single positive vote', async () => {
+    const reactions = [
+      { visitorId: 'a', type: 'insightful' },
+      { visitorId: 'a', type: 'agree' },
+      { visitorId: 'b', type: 'disagree' }
+    ];
+    jest.spyOn(Reaction, 'find').mockReturnValue({
+      select: () => ({ lean: async () => reactions })
+    });
+
+    await expect(reactionService.scoreResponse('response-id'))
+      .resolves.toBe(Response.wilsonScore({ positive: 1, negative: 1 }));
+  });
+});
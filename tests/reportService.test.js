@@ -0,0 +1,82 @@
+const Report = require('../models/Report');
+const Response = require('../models/Response');
+const moderationService = require('../services/moderationService');
+const reportService = require('../services/reportService');
+
+const history = (upheld, dismissed) => [
+  ...(upheld ? [{ _id: 'upheld', count: upheld }] : []),
+  ...(dismissed ? [{ _id: 'dismissed', count: dismissed }] : [])
+];
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Report.getReporterWeight', () => {
+  test('gives new reporters a weight of 1', async () => {
+    jest.spyOn(Report, 'aggregate').mockResolvedValue(history(0, 0));
+    await expect(Report.getReporterWeight('visitor')).resolves.toBe(1);
+  });
+
+  test('raises the weight of reporters whose reports were upheld, up to 2', async () => {
+    jest.spyOn(Report, 'aggregate').mockResolvedValue(history(3, 0));
+    await expect(Report.getReporterWeight('visitor')).resolves.toBe(1.6);
+
+    Report.aggregate.mockResolvedValue(history(98, 0));
+    await expect(Report.getReporterWeight('visitor')).resolves.toBe(1.98);
+  });
+
+  test('lowers the weight of reporters whose reports were dismissed', async () => {
+    jest.spyOn(Report, 'aggregate').mockResolvedValue(history(0, 3));
+    await expect(Report.getReporterWeight('visitor')).resolves.toBe(0.4);
+
+    Report.aggregate.mockResolvedValue(history(2, 2));
+    await expect(Report.getReporterWeight('visitor')).resolves.toBe(1);
+  });
+});
+
+describe('reportService.submitReport', () => {
+  const visitor = { id: 'visitor', fingerprint: 'fingerprint' };
+  const response = { _id: 'response', question: 'question' };
+
+  const stubReport = ({ weight, reportScore, reportCount = 1 }) => {
+    jest.spyOn(Report, 'exists').mockResolvedValue(null);
+    jest.spyOn(Report, 'getReporterWeight').mockResolvedValue(weight);
+    jest.spyOn(Report, 'create').mockImplementation(async (report) => report);
+    jest.spyOn(Response, 'findOneAndUpdate').mockResolvedValue({ moderationStatus: 'approved', reportScore, reportCount });
+    jest.spyOn(Response, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(moderationService, 'getSettings').mockResolvedValue({ reportThreshold: 3 });
+  };
+
+  test('adds the reporter weight to the response score', async () => {
+    stubReport({ weight: 1.5, reportScore: 1.5 });
+
+    const result = await reportService.submitReport(response, { visitor, reason: 'spam' });
+
+    expect(result).toEqual({ report: expect.objectContaining({ weight: 1.5 }), hidden: false });
+    expect(Response.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'response' },
+      { $inc: { reportCount: 1, reportScore: 1.5 } },
+      { new: true }
+    );
+    expect(Response.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('hides the response once the weighted score reaches the threshold', async () => {
+    stubReport({ weight: 2, reportScore: 3, reportCount: 2 });
+
+    const result = await reportService.submitReport(response, { visitor, reason: 'spam' });
+
+    expect(result.hidden).toBe(true);
+    expect(Response.updateOne).toHaveBeenCalledWith(
+      { _id: 'response', moderationStatus: 'approved' },
+      { $set: expect.objectContaining({ moderationStatus: 'flagged', moderationReason: 'Hidden automatically after 2 reports' }) }
+    );
+  });
+
+  test('ignores a second report from the same visitor', async () => {
+    jest.spyOn(Report, 'exists').mockResolvedValue({ _id: 'earlier' });
+    jest.spyOn(Report, 'create');
+
+    await expect(reportService.submitReport(response, { visitor, reason: 'spam' })).resolves.toBeNull();
+    expect(Report.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,55 @@
+const QuestionRevision = require('../models/QuestionRevision');
+const revisionService = require('../services/revisionService');
+
+const question = {
+  _id: '64b000000000000000000001',
+  title: 'Is it fine to lie?',
+  category: 'ethics',
+  questionText: 'Is it ever fine to lie to a friend?',
+  choices: [{ _id: '64b0000000000000000000aa', text: 'Yes', votes: 4 }],
+  tags: ['honesty'],
+  status: 'published'
+};
+
+// The latest stored revision, and the revisions insert() creates
+const stubRevisions = (latest) => {
+  jest.spyOn(QuestionRevision, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => latest }) });
+  return jest.spyOn(QuestionRevision, 'create').mockImplementation(async (fields) => ({ toObject: () => fields }));
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('revisionService.record', () => {
+  test('records only the fields that changed since the latest revision, ignoring votes', async () => {
+    const before = revisionService.snapshot(question);
+    stubRevisions({ revision: 3, snapshot: before });
+
+    const revision = await revisionService.record({ ...question, title: 'Is lying ever fine?' }, { previous: before });
+
+    expect(revision.revision).toBe(4);
+    expect(revision.changes).toEqual([{ field: 'title', from: 'Is it fine to lie?', to: 'Is lying ever fine?' }]);
+
+    const votesOnly = { ...question, choices: [{ ...question.choices[0], votes: 9 }] };
+    await expect(revisionService.record(votesOnly, { previous: before })).resolves.toBeNull();
+  });
+
+  test('records a baseline first for questions edited before revisions existed', async () => {
+    const create = stubRevisions(null);
+    const before = revisionService.snapshot(question);
+
+    const revision = await revisionService.record({ ...question, tags: ['honesty', 'trust'] }, { previous: before });
+
+    expect(create.mock.calls.map(([fields]) => [fields.revision, fields.action])).toEqual([[1, 'baseline'], [2, 'update']]);
+    expect(revision.changes.map(change => change.field)).toEqual(['tags']);
+  });
+});
+
+describe('revisionService.restorableValues', () => {
+  test('restores content but leaves publication state alone', () => {
+    const values = revisionService.restorableValues({ snapshot: revisionService.snapshot(question) });
+
+    expect(values).toMatchObject({ title: 'Is it fine to lie?', choices: [{ _id: '64b0000000000000000000aa', text: 'Yes' }] });
+    expect(values).not.toHaveProperty('status');
+    expect(values).not.toHaveProperty('publishAt');
+  });
+});
@@ -0,0 +1,50 @@
+const screeningService = require('../services/screeningService');
+
+describe('screeningService.normalizeWords', () => {
+  test('undoes leetspeak inside and at the start of words', () => {
+    expect(screeningService.normalizeWords('sh1t @ss $lut a55')).toEqual(['shit', 'ass', 'slut', 'ass']);
+  });
+
+  test('drops punctuation after a word instead of reading it as a letter', () => {
+    expect(screeningService.normalizeWords('shit! what the hell!!!')).toEqual(['shit', 'what', 'the', 'hell']);
+    expect(screeningService.normalizeWords('sh!t')).toEqual(['shit']);
+  });
+
+  test('joins spaced-out letters', () => {
+    expect(screeningService.normalizeWords('f u c k off')).toEqual(['f', 'u', 'c', 'k', 'off', 'fuck']);
+    expect(screeningService.normalizeWords('f.u.c.k')).toContain('fuck');
+  });
+
+  test('strips accents and keeps masking asterisks', () => {
+    expect(screeningService.normalizeWords('Ça f*ck')).toEqual(['ca', 'f*ck']);
+  });
+});
+
+describe('screeningService.findBlockedWords', () => {
+  const blocked = ['shit', 'fuck', 'bullshit'];
+
+  test('matches words with trailing punctuation', () => {
+    expect(screeningService.findBlockedWords('Well, shit!', blocked)).toEqual(['shit']);
+  });
+
+  test('matches repeated letters, suffixes and masked words', () => {
+    expect(screeningService.findBlockedWords('fuuuucking', blocked)).toEqual(['fuck']);
+    expect(screeningService.findBlockedWords('bulshit', blocked)).toEqual(['bullshit']);
+    expect(screeningService.findBlockedWords('f*ck', blocked)).toEqual(['fuck']);
+  });
+
+  test('needs at least two real letters in a masked word', () => {
+    expect(screeningService.findBlockedWords('f***', blocked)).toEqual([]);
+  });
+
+  test('leaves clean text alone', () => {
+    expect(screeningService.findBlockedWords('Shitake mushrooms? Sure!', blocked)).toEqual([]);
+  });
+});
+
+describe('screeningService.contentHash', () => {
+  test('ignores case, accents and punctuation', () => {
+    expect(screeningService.contentHash('Café, please!')).toBe(screeningService.contentHash('cafe please'));
+    expect(screeningService.contentHash('cafe please')).not.toBe(screeningService.contentHash('tea please'));
+  });
+});
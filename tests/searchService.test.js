@@ -0,0 +1,55 @@
+const Question = require('../models/Question');
+const searchService = require('../services/searchService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  searchService.invalidate();
+});
+
+describe('searchService queries', () => {
+  test('strips phrase and negation operators and ignores stop words', () => {
+    const sanitized = searchService.sanitizeQuery('"the trolley" -lever \\ problem');
+
+    expect(sanitized).toBe('the trolley lever problem');
+    expect(searchService.getTerms(sanitized)).toEqual(['trolley', 'lever', 'problem']);
+  });
+});
+
+describe('searchService.highlight', () => {
+  test('marks other forms of a term and escapes the rest of the text', () => {
+    const matcher = searchService.buildMatcher(['pulling']);
+
+    const highlights = searchService.highlight({
+      title: 'Would you <pull> the lever?',
+      questionText: 'She pulled it. A pullover is not a pull.',
+      tags: ['pulls', 'trolley']
+    }, matcher);
+
+    expect(highlights.title).toBe('Would you &lt;<mark>pull</mark>&gt; the lever?');
+    expect(highlights.questionText).toBe('She <mark>pulled</mark> it. A <mark>pullover</mark> is not a <mark>pull</mark>.');
+    expect(highlights.tags).toEqual(['<mark>pulls</mark>']);
+  });
+
+  test('centres long texts on the first match', () => {
+    const text = `${'Some words before the point. '.repeat(10)}Would you pull the lever? ${'And more after it. '.repeat(10)}`;
+
+    const snippet = searchService.snippet(text, searchService.buildMatcher(['lever']));
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('<mark>lever</mark>');
+  });
+});
+
+describe('searchService.suggest', () => {
+  test('suggests the closest known word for misspelt terms', async () => {
+    const questions = [{ title: 'The trolley problem', questionText: 'Would you pull the lever?', tags: ['utilitarianism'] }];
+    jest.spyOn(Question, 'find').mockReturnValue({
+      select: () => ({ lean: () => ({ cursor: () => questions }) })
+    });
+
+    const corrections = await searchService.suggest(['troley', 'lever', 'xyzzy']);
+
+    expect([...corrections]).toEqual([['troley', 'trolley']]);
+  });
+});
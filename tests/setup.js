@@ -0,0 +1,4 @@
+// Runs before every test file. Tests exercise services directly and stub model calls,
+// so no database or mail server is needed.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
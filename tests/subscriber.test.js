@@ -0,0 +1,64 @@
+const express = require('express');
+const request = require('supertest');
+const Subscriber = require('../models/Subscriber');
+const categoryService = require('../services/categoryService');
+const subscriberRoutes = require('../routes/subscribers');
+
+const app = express();
+app.use(express.json());
+app.use('/subscribers', subscriberRoutes);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Subscriber.interestedIn', () => {
+  test('matches subscribers following everything, the question\'s category or one of its tags', () => {
+    expect(Subscriber.interestedIn({ category: 'ethics', tags: ['trust', 'lies'] })).toEqual({
+      $or: [
+        { 'categories.0': { $exists: false }, 'tags.0': { $exists: false } },
+        { categories: 'ethics' },
+        { tags: { $in: ['trust', 'lies'] } }
+      ]
+    });
+  });
+
+  test('leaves out the tag condition for untagged questions', () => {
+    expect(Subscriber.interestedIn({ category: 'ethics' }).$or).toHaveLength(2);
+  });
+});
+
+describe('Subscriber.findActiveForQuestion', () => {
+  test('emails only confirmed subscribers who don\'t get digests', () => {
+    const find = jest.spyOn(Subscriber, 'find').mockReturnValue([]);
+
+    Subscriber.findActiveForQuestion({ category: 'ethics', tags: [] });
+
+    expect(find.mock.calls[0][0]).toMatchObject({
+      isActive: true,
+      'consent.confirmedAt': { $ne: null },
+      frequency: { $nin: ['daily', 'weekly'] },
+      $or: expect.any(Array)
+    });
+    expect(Subscriber.withFrequency('weekly')).toEqual({ frequency: 'weekly' });
+  });
+});
+
+describe('PUT /subscribers/preferences/:token', () => {
+  test('changes only the preferences sent', async () => {
+    const subscriber = new Subscriber({ email: 'reader@example.com', isActive: true, categories: ['ethics'], tags: ['trust'] });
+    jest.spyOn(categoryService, 'isActive').mockResolvedValue(true);
+    jest.spyOn(Subscriber, 'findOne').mockResolvedValue(subscriber);
+    jest.spyOn(subscriber, 'save').mockResolvedValue(subscriber);
+
+    const res = await request(app)
+      .put('/subscribers/preferences/token')
+      .send({ tags: ['Lies'], frequency: 'daily' })
+      .expect(200);
+
+    expect(res.body.data).toEqual({ email: 'reader@example.com', categories: ['ethics'], tags: ['lies'], frequency: 'daily' });
+  });
+
+  test('rejects an empty update and unknown frequencies', async () => {
+    await request(app).put('/subscribers/preferences/token').send({}).expect(400);
+    await request(app).put('/subscribers/preferences/token').send({ frequency: 'hourly' }).expect(400);
+  });
+});
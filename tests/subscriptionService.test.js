@@ -0,0 +1,119 @@
+const Subscriber = require('../models/Subscriber');
+const subscriptionService = require('../services/subscriptionService');
+
+const HOUR = 60 * 60 * 1000;
+
+// The subscriber save() last wrote. Reads go through the real query and its soft-delete
+// hook, and only the collection call is stubbed, so trashed subscribers are hidden unless
+// the query asks for them.
+let stored = null;
+
+beforeEach(() => {
+  stored = null;
+  jest.spyOn(Subscriber.prototype, 'save').mockImplementation(async function () {
+    stored = this.toObject();
+    return this;
+  });
+  jest.spyOn(Subscriber.collection, 'findOne').mockImplementation(async (filter) => {
+    if (!stored || String(filter._id) !== String(stored._id)) return null;
+    if (filter.deletedAt === null && stored.deletedAt) return null;
+    return stored;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// A saved subscriber that signed up hoursAgo, confirmed or not
+const saveSubscriber = async ({ hoursAgo = 1, confirmed = false, deletedAt = null } = {}) => {
+  const requestedAt = new Date(Date.now() - hoursAgo * HOUR);
+  const subscriber = new Subscriber({
+    email: 'reader@example.com',
+    isActive: confirmed && !deletedAt,
+    categories: ['ethics'],
+    deletedAt,
+    consent: {
+      requestedAt,
+      requestedIp: '203.0.113.1',
+      confirmedAt: confirmed ? requestedAt : null,
+      confirmedIp: confirmed ? '203.0.113.1' : null
+    }
+  });
+  return subscriber.save();
+};
+
+describe('subscriptionService.confirm', () => {
+  test('confirms a pending sign-up from its signed token', async () => {
+    const subscriber = await saveSubscriber();
+
+    const result = await subscriptionService.confirm(subscriptionService.createConfirmationToken(subscriber), '198.51.100.7');
+
+    expect(result.status).toBe('confirmed');
+    expect(stored.isActive).toBe(true);
+    expect(stored.consent.confirmedIp).toBe('198.51.100.7');
+  });
+
+  test('rejects tampered, malformed and superseded tokens', async () => {
+    const subscriber = await saveSubscriber();
+    const token = subscriptionService.createConfirmationToken(subscriber);
+    const [id, signature] = token.split('.');
+
+    await expect(subscriptionService.confirm(`${id}.${signature.slice(1)}x`)).resolves.toEqual({ status: 'invalid' });
+    await expect(subscriptionService.confirm('not-a-token')).resolves.toEqual({ status: 'invalid' });
+
+    // Signing up again replaces the link
+    await subscriptionService.requestConfirmation(subscriber, '203.0.113.1').save();
+    await expect(subscriptionService.confirm(token)).resolves.toEqual({ status: 'invalid' });
+  });
+
+  test('refuses links followed after the confirmation window', async () => {
+    const subscriber = await saveSubscriber({ hoursAgo: subscriptionService.getConfirmHours() + 1 });
+
+    const { status } = await subscriptionService.confirm(subscriptionService.createConfirmationToken(subscriber));
+
+    expect(status).toBe('expired');
+    expect(stored.isActive).toBe(false);
+  });
+});
+
+describe('subscriptionService.requestConfirmation', () => {
+  const settings = { locale: 'en', categories: [], tags: ['trolley'], frequency: 'weekly' };
+
+  test('keeps a confirmed address\'s consent until the new sign-up is confirmed', async () => {
+    const subscriber = await saveSubscriber({ confirmed: true });
+    const { confirmedAt } = subscriber.consent;
+
+    await subscriptionService.requestConfirmation(subscriber, '198.51.100.7', settings).save();
+
+    expect(stored.consent.confirmedAt).toEqual(confirmedAt);
+    expect(stored.categories).toEqual(['ethics']);
+    expect(stored.pendingConsent.requestedIp).toBe('198.51.100.7');
+
+    const { status } = await subscriptionService.confirm(subscriptionService.createConfirmationToken(subscriber), '198.51.100.7');
+
+    expect(status).toBe('confirmed');
+    expect(stored).toMatchObject({ isActive: true, tags: ['trolley'], frequency: 'weekly' });
+    expect(stored.consent.requestedIp).toBe('198.51.100.7');
+    expect(stored.pendingConsent).toBeUndefined();
+  });
+
+  test('brings a trashed, previously confirmed subscriber back once they confirm again', async () => {
+    const subscriber = await saveSubscriber({ confirmed: true, deletedAt: new Date() });
+
+    await subscriptionService.requestConfirmation(subscriber, '198.51.100.7', settings).save();
+    expect(stored.deletedAt).toBeInstanceOf(Date);
+
+    const { status } = await subscriptionService.confirm(subscriptionService.createConfirmationToken(subscriber), '198.51.100.7');
+
+    expect(status).toBe('confirmed');
+    expect(stored).toMatchObject({ isActive: true, deletedAt: null });
+  });
+
+  test('purges only sign-ups that were never confirmed', async () => {
+    const deleteMany = jest.spyOn(Subscriber, 'deleteMany').mockReturnValue({
+      withDeleted: async () => ({ deletedCount: 2 })
+    });
+
+    await expect(subscriptionService.purgeUnconfirmed()).resolves.toBe(2);
+    expect(deleteMany.mock.calls[0][0]).toMatchObject({ 'consent.confirmedAt': null });
+  });
+});
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const translationService = require('../services/translationService');
+const { parseAcceptLanguage, t } = require('../utils/i18n');
+
+const yes = new mongoose.Types.ObjectId();
+const no = new mongoose.Types.ObjectId();
+
+const question = () => new Question({
+  title: 'Would you pull the lever?',
+  category: 'ethics',
+  slug: 'would-you-pull-the-lever',
+  questionText: 'A trolley is heading for five people.',
+  choices: [{ _id: yes, text: 'Yes', votes: 3 }, { _id: no, text: 'No', votes: 1 }]
+});
+
+const spanish = {
+  title: '¿Tirarías de la palanca?',
+  questionText: 'Un tranvía se dirige hacia cinco personas.',
+  choices: [{ choiceId: yes, text: 'Sí' }, { choiceId: no, text: 'No' }]
+};
+
+describe('translationService', () => {
+  test('shows translated text while keeping each choice\'s id and votes', () => {
+    const source = question();
+    translationService.setTranslation(source, 'es', spanish);
+
+    const localized = translationService.localize(source, 'es');
+
+    expect(localized).toMatchObject({ locale: 'es', title: spanish.title, availableLocales: ['en', 'es'] });
+    expect(localized.choices.map(({ _id, text, votes }) => [String(_id), text, votes])).toEqual([
+      [String(yes), 'Sí', 3],
+      [String(no), 'No', 1]
+    ]);
+    expect(translationService.localize(source, 'fr').title).toBe('Would you pull the lever?');
+  });
+
+  test('counts a vote in any language towards the same choice', () => {
+    const source = question();
+    translationService.setTranslation(source, 'es', spanish);
+
+    expect(translationService.resolveChoice(source, { choice: 'Sí' })._id).toEqual(yes);
+    expect(translationService.resolveChoice(source, { choiceId: String(no) })._id).toEqual(no);
+    expect(translationService.resolveChoice(source, { choice: 'Maybe' })).toBeNull();
+    expect(translationService.choiceText(source, 'Yes', 'es')).toBe('Sí');
+  });
+
+  test('marks translations outdated once the source changes and incomplete while choices are missing', () => {
+    const source = question();
+    translationService.setTranslation(source, 'es', spanish);
+    translationService.setTranslation(source, 'fr', { ...spanish, choices: spanish.choices.slice(0, 1) });
+    expect(translationService.getStatus(source, 'es')).toBe('complete');
+    expect(translationService.getStatus(source, 'fr')).toBe('incomplete');
+
+    source.title = 'Should you pull the lever?';
+    expect(translationService.getStatus(source, 'es')).toBe('outdated');
+  });
+});
+
+describe('i18n', () => {
+  test('picks the best supported locale from Accept-Language', () => {
+    expect(parseAcceptLanguage('de-DE, fr-CA;q=0.8, es;q=0.9')).toBe('es');
+    expect(parseAcceptLanguage('de, ja;q=0.5')).toBeNull();
+  });
+
+  test('falls back to the default catalog for unknown locales and to the key for unknown strings', () => {
+    expect(t('es', 'email.from')).toBe('Dilemas Morales');
+    expect(t('xx', 'email.from')).toBe('Moral Dilemmas');
+    expect(t('es', 'no.such.key')).toBe('no.such.key');
+  });
+});
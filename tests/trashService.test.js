@@ -0,0 +1,58 @@
+const Question = require('../models/Question');
+const Subscriber = require('../models/Subscriber');
+const View = require('../models/View');
+const Response = require('../models/Response');
+const Reply = require('../models/Reply');
+const Reaction = require('../models/Reaction');
+const Report = require('../models/Report');
+const Delivery = require('../models/Delivery');
+const trashService = require('../services/trashService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.TRASH_RETENTION_DAYS;
+});
+
+describe('soft delete', () => {
+  test('leaves trashed documents out of queries unless they ask for them', async () => {
+    const count = jest.spyOn(Question.collection, 'countDocuments').mockResolvedValue(0);
+
+    await Question.countDocuments({ category: 'ethics' });
+    await Question.countDocuments({ category: 'ethics' }).withDeleted();
+    await Question.countDocuments({ deletedAt: { $ne: null } });
+
+    expect(count.mock.calls.map(([filter]) => filter)).toEqual([
+      { category: 'ethics', deletedAt: null },
+      { category: 'ethics' },
+      { deletedAt: { $ne: null } }
+    ]);
+  });
+});
+
+describe('trashService', () => {
+  test('purges a trashed question with its responses and deliveries', async () => {
+    const question = { _id: '64b000000000000000000001', deletedAt: new Date() };
+    const findOneAndDelete = jest.spyOn(Question, 'findOneAndDelete').mockResolvedValue(question);
+    [View, Reply, Reaction, Report].forEach(model => jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 0 }));
+    jest.spyOn(Response, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+    jest.spyOn(Delivery, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+    await expect(trashService.purge('questions', question._id)).resolves.toEqual({ document: question, related: 5 });
+    expect(findOneAndDelete.mock.calls[0][0]).toEqual({ _id: question._id, deletedAt: { $ne: null } });
+    expect(Response.deleteMany).toHaveBeenCalledWith({ question: question._id });
+  });
+
+  test('purges only what has been in the trash longer than the retention period', async () => {
+    process.env.TRASH_RETENTION_DAYS = '7';
+    const now = new Date('2026-03-10T00:00:00Z');
+    const select = () => ({ lean: async () => [] });
+    const findQuestions = jest.spyOn(Question, 'find').mockReturnValue({ select });
+    jest.spyOn(Subscriber, 'find').mockReturnValue({ select });
+
+    await expect(trashService.purgeExpired(now)).resolves.toEqual({ questions: [], subscribers: [] });
+    expect(findQuestions.mock.calls[0][0].deletedAt.$lte).toEqual(new Date(now.getTime() - 7 * DAY));
+    expect(trashService.getPurgeAt(now)).toEqual(new Date('2026-03-17T00:00:00Z'));
+  });
+});
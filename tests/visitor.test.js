@@ -0,0 +1,52 @@
+const express = require('express');
+const request = require('supertest');
+const Response = require('../models/Response');
+const { identifyVisitor, createToken, verifyToken, fingerprintFor } = require('../middleware/visitor');
+
+const app = express();
+app.get('/whoami', identifyVisitor, (req, res) => res.json(req.visitor));
+
+// No earlier response to recover a visitor from
+const stubResponses = () => jest.spyOn(Response, 'findOne').mockReturnValue({
+  sort: () => ({ select: () => ({ lean: async () => null }) })
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('visitor tokens', () => {
+  test('verify only well-formed tokens with a matching signature', () => {
+    const token = createToken('visitor-0123456789ab');
+
+    expect(verifyToken(token)).toBe('visitor-0123456789ab');
+    expect(verifyToken(`${token.slice(0, -1)}x`)).toBeNull();
+    expect(verifyToken('short.signature')).toBeNull();
+    expect(verifyToken(undefined)).toBeNull();
+  });
+});
+
+describe('identifyVisitor', () => {
+  test('issues a new visitor a token and recognises it when it comes back', async () => {
+    stubResponses();
+
+    const first = await request(app).get('/whoami').expect(200);
+    expect(first.body.source).toBe('new');
+
+    const again = await request(app).get('/whoami').set('X-Visitor-Token', first.headers['x-visitor-token']);
+    expect(again.body).toMatchObject({ id: first.body.id, source: 'header' });
+    expect(again.headers['x-visitor-token']).toBeUndefined();
+  });
+
+  test('recovers a visitor without a token from their fingerprint, ignoring a forged X-Forwarded-For', async () => {
+    const forged = fingerprintFor('198.51.100.7', 'TestBrowser/1.0');
+    jest.spyOn(Response, 'findOne').mockImplementation(({ fingerprint }) => ({
+      sort: () => ({ select: () => ({ lean: async () => (fingerprint === forged ? null : { visitorId: 'returning-visitor-01' }) }) })
+    }));
+
+    const res = await request(app).get('/whoami')
+      .set('User-Agent', 'TestBrowser/1.0')
+      .set('X-Forwarded-For', '198.51.100.7');
+
+    expect(res.body).toMatchObject({ id: 'returning-visitor-01', source: 'fingerprint' });
+    expect(res.body.fingerprint).not.toBe(forged);
+  });
+});
@@ -0,0 +1,17 @@
+// Read a single cookie without pulling in a cookie parser
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  const match = header.split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  if (!match) return null;
+
+  try {
+    return decodeURIComponent(match.slice(name.length + 1));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { readCookie };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+// Locale files live in /locales as <code>.json with a "ui" section (sent to the browser)
+// and an "email" section (used by emailService). English is the source language: any
+// key missing from another locale falls back to it.
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const SOURCE_LOCALE = 'en';
+
+const catalogs = fs.readdirSync(LOCALES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .reduce((all, file) => {
+    all[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    return all;
+  }, {});
+
+const SUPPORTED_LOCALES = Object.keys(catalogs).sort();
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : SOURCE_LOCALE;
+
+// 'es-MX' and 'ES' both mean 'es'; anything unsupported resolves to null
+const normalize = (locale) => {
+  if (typeof locale !== 'string') return null;
+  const code = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(code) ? code : null;
+};
+
+// The best supported locale for an Accept-Language header, honouring q-values
+const parseAcceptLanguage = (header) => {
+  if (typeof header !== 'string' || !header) return null;
+
+  const ranked = header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag, q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.tag && entry.q > 0)
+    .sort((a, b) => (b.q - a.q) || (a.index - b.index));
+
+  for (const entry of ranked) {
+    const locale = normalize(entry.tag);
+    if (locale) return locale;
+  }
+  return null;
+};
+
+const lookup = (catalog, key) => key.split('.')
+  .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+// Translate a dotted key such as 'email.welcome.subject'. {name} placeholders are filled from
+// params; missing keys fall back to the default locale, then English, then the key itself.
+const t = (locale, key, params = {}) => {
+  const candidates = [normalize(locale), DEFAULT_LOCALE, SOURCE_LOCALE];
+  let value;
+  for (const code of candidates) {
+    value = code && lookup(catalogs[code], key);
+    if (typeof value === 'string') break;
+  }
+
+  if (typeof value !== 'string') return key;
+  return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+const mergeStrings = (base, override) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeStrings(base[key] || {}, value)
+      : value;
+  }
+  return merged;
+};
+
+// The UI strings for a locale, with gaps filled from English
+const getStrings = (locale) => {
+  const code = normalize(locale) || DEFAULT_LOCALE;
+  return mergeStrings(catalogs[SOURCE_LOCALE].ui, catalogs[code].ui);
+};
+
+const getLocales = () => SUPPORTED_LOCALES.map(code => ({
+  code,
+  name: catalogs[code].meta.name
+}));
+
+module.exports = {
+  SOURCE_LOCALE,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalize,
+  parseAcceptLanguage,
+  t,
+  getStrings,
+  getLocales
+};
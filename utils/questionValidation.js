@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const categoryService = require('../services/categoryService');
+
+// Categories live in the database, so these checks only run through validate() below
+const activeCategory = Joi.string().trim().lowercase().external(async (value, helpers) => {
+  if (value === undefined || await categoryService.isActive(value)) return value;
+  return helpers.message({ external: '{{#label}} must be an active category' });
+});
+
+// Filters over existing questions also accept inactive categories
+const knownCategory = Joi.string().trim().lowercase().external(async (value, helpers) => {
+  if (value === undefined || await categoryService.exists(value)) return value;
+  return helpers.message({ external: '{{#label}} must be an existing category' });
+});
+
+// Validation schema for new questions - supports both multiple choice and paragraph types.
+// Shared by POST /api/admin/questions and the bulk importer.
+const questionSchema = Joi.object({
+  title: Joi.string().min(5).max(200).required(),
+  category: activeCategory.required(),
+  questionText: Joi.string().min(10).max(2000).required(),
+  questionType: Joi.string().valid('multiple_choice', 'paragraph').default('multiple_choice'),
+  choices: Joi.when('questionType', {
+    is: 'multiple_choice',
+    then: Joi.array().items(
+      Joi.object({
+        text: Joi.string().min(1).max(500).required()
+      })
+    ).min(2).max(6).required(),
+    otherwise: Joi.forbidden()
+  }),
+  featured: Joi.boolean().default(false),
+  // New questions can be kept as drafts or scheduled; archiving only applies to existing ones
+  status: Joi.string().valid('draft', 'scheduled', 'published').default('published'),
+  publishAt: Joi.when('status', {
+    is: 'scheduled',
+    then: Joi.date().iso().greater('now').required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// Like schema.validate(), but also runs the category lookups. Resolves to { value } or { error }.
+const validate = async (schema, input, options = {}) => {
+  try {
+    return { value: await schema.validateAsync(input, options) };
+  } catch (error) {
+    if (error instanceof Joi.ValidationError) {
+      return { error };
+    }
+    throw error;
+  }
+};
+
+module.exports = { questionSchema, activeCategory, knownCategory, validate };